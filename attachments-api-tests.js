@@ -1,60 +1,30 @@
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config();
 // Import the TypeScript SDK - adjust path as needed
 const { AttachmentsApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector, STATUS, summarize } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { createTestImage } = require('./lib/test-images');
+const { decodeImageHeader } = require('./lib/renditions');
+
+const config = requireConfig();
 
 // Configuration setup with API key authentication
 const configuration = new Configuration({
-  basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
-  apiKey: process.env.APOSTROPHE_API_KEY // Set this environment variable
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
 });
 
-const attachmentsApi = new AttachmentsApi(configuration);
+// Collect structured results for every test in this suite
+const results = new ResultCollector('attachments');
+
+const attachmentsApi = instrumentApi(new AttachmentsApi(configuration), results);
 
 // Global variables to store test data between tests
-let testImageBuffer = null;
+let testImage = null;
 let uploadedAttachment = null;
 
-// Expected test image filename in the same directory as this test
-const TEST_IMAGE_FILENAME = 'test-image.png';
-
-/**
- * Helper function to load the test image from the local filesystem
- * Expects a file named 'test-image.png' in the same directory as this test
- */
-async function loadTestImage() {
-  return new Promise((resolve, reject) => {
-    console.log('📁 Loading test image from local filesystem...');
-
-    // Look for the test image in the same directory as this script
-    const imagePath = path.join(__dirname, TEST_IMAGE_FILENAME);
-
-    console.log(`   Looking for image at: ${imagePath}`);
-
-    // Check if the file exists
-    if (!fs.existsSync(imagePath)) {
-      reject(new Error(`Test image not found at ${imagePath}. Please download a PNG image and save it as '${TEST_IMAGE_FILENAME}' in the same directory as this test.`));
-      return;
-    }
-
-    try {
-      // Read the image file
-      const imageBuffer = fs.readFileSync(imagePath);
-
-      if (imageBuffer.length === 0) {
-        reject(new Error('Test image file is empty'));
-        return;
-      }
-
-      console.log(`✅ Successfully loaded test image (${imageBuffer.length} bytes)`);
-      resolve(imageBuffer);
-
-    } catch (error) {
-      reject(new Error(`Error reading test image: ${error.message}`));
-    }
-  });
-}
+// The image every test uploads: 200x150 PNG quadrants, drawn at runtime
+const TEST_IMAGE_OPTIONS = { format: 'png', width: 200, height: 150, pattern: 'quadrants' };
 
 /**
  * Helper function to create a File-like object that works with the TypeScript SDK
@@ -110,65 +80,38 @@ function createFileFromBuffer(buffer, filename, mimeType) {
 }
 
 /**
- * Test 1: Load the test image from the local filesystem
- * This test ensures we have a valid image file to work with
+ * Test 1: Generate the test image
+ * This test ensures we have a valid image file of known size to work with
  */
-async function test1_loadTestImage() {
-  console.log('\n🧪 Test 1: Load Test Image');
+async function test1_generateTestImage() {
+  console.log('\n🧪 Test 1: Generate Test Image');
   console.log('='.repeat(50));
 
   try {
-    // Load the test image from local file
-    testImageBuffer = await loadTestImage();
+    testImage = createTestImage(TEST_IMAGE_OPTIONS);
 
-    // Validate the loaded image
-    if (!testImageBuffer || testImageBuffer.length === 0) {
-      throw new Error('Loaded image buffer is empty');
+    // The header must describe the image that was asked for
+    const decoded = decodeImageHeader(testImage.buffer);
+    if (!decoded) {
+      throw new Error('Generated image has no recognizable PNG, JPEG, GIF or WebP header');
     }
-
-    // Check if it looks like a PNG file (starts with PNG signature)
-    const pngSignature = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
-    if (testImageBuffer.length >= 8 && testImageBuffer.subarray(0, 8).equals(pngSignature)) {
-      console.log(`✅ Test 1 PASSED: Successfully loaded valid PNG image (${testImageBuffer.length} bytes)`);
-      console.log(`   PNG signature verified: ${testImageBuffer.subarray(0, 8).toString('hex')}`);
-    } else {
-      // Not a PNG, but still might be a valid image - let's check for other common formats
-      const jpegSignature = Buffer.from([0xFF, 0xD8, 0xFF]);
-      const gifSignature = Buffer.from([0x47, 0x49, 0x46]);
-      const webpSignature = Buffer.from([0x52, 0x49, 0x46, 0x46]);
-
-      if (testImageBuffer.length >= 3 && testImageBuffer.subarray(0, 3).equals(jpegSignature)) {
-        console.log(`✅ Test 1 PASSED: Successfully loaded valid JPEG image (${testImageBuffer.length} bytes)`);
-        console.log(`   JPEG signature verified: ${testImageBuffer.subarray(0, 4).toString('hex')}`);
-      } else if (testImageBuffer.length >= 3 && testImageBuffer.subarray(0, 3).equals(gifSignature)) {
-        console.log(`✅ Test 1 PASSED: Successfully loaded valid GIF image (${testImageBuffer.length} bytes)`);
-        console.log(`   GIF signature verified: ${testImageBuffer.subarray(0, 6).toString('ascii')}`);
-      } else if (testImageBuffer.length >= 4 && testImageBuffer.subarray(0, 4).equals(webpSignature)) {
-        console.log(`✅ Test 1 PASSED: Successfully loaded valid WebP image (${testImageBuffer.length} bytes)`);
-        console.log(`   WebP signature verified: ${testImageBuffer.subarray(0, 4).toString('ascii')}`);
-      } else {
-        console.log(`⚠️  Test 1 WARNING: Image format not recognized, but proceeding with upload test`);
-        console.log(`   File size: ${testImageBuffer.length} bytes`);
-        console.log(`   First 16 bytes: ${testImageBuffer.subarray(0, 16).toString('hex')}`);
-      }
+    if (decoded.format !== testImage.format || decoded.width !== testImage.width || decoded.height !== testImage.height) {
+      throw new Error(`Generated image is ${decoded.format} ${decoded.width}x${decoded.height}, expected ${testImage.format} ${testImage.width}x${testImage.height}`);
     }
 
+    console.log(`✅ Test 1 PASSED: Generated ${testImage.filename} (${testImage.buffer.length} bytes)`);
+    console.log(`   ${decoded.format} ${decoded.width}x${decoded.height}, ${testImage.pattern} pattern`);
+
   } catch (error) {
     console.error(`❌ Test 1 FAILED: ${error.message}`);
     console.error('   Stack trace:', error.stack);
-    console.error('');
-    console.error('   💡 SETUP INSTRUCTIONS:');
-    console.error(`   1. Download any PNG, JPEG, GIF, or WebP image file`);
-    console.error(`   2. Save it as "${TEST_IMAGE_FILENAME}" in the same directory as this test`);
-    console.error(`   3. Make sure the file is not empty and is a valid image`);
-    console.error('');
     throw error; // Re-throw to stop subsequent tests
   }
 }
 
 /**
  * Test 2: Upload attachment using the AttachmentsApi.attachmentUpload endpoint
- * This test uploads the loaded image and verifies the response
+ * This test uploads the generated image and verifies the response
  */
 async function test2_uploadAttachment() {
   console.log('\n🧪 Test 2: Upload Attachment');
@@ -176,14 +119,14 @@ async function test2_uploadAttachment() {
 
   try {
     // Ensure we have a test image
-    if (!testImageBuffer) {
-      throw new Error('No test image available - run load test first');
+    if (!testImage) {
+      throw new Error('No test image available - run the generate test first');
     }
 
     console.log('📤 Preparing to upload attachment...');
 
     // Create a proper File object from the buffer
-    const testFile = createFileFromBuffer(testImageBuffer, 'test-image.png', 'image/png');
+    const testFile = createFileFromBuffer(testImage.buffer, testImage.filename, testImage.mimeType);
 
     console.log(`   File details: ${testFile.name}, ${testFile.type}, ${testFile.size} bytes`);
     console.log(`   File constructor: ${testFile.constructor.name}`);
@@ -217,6 +160,14 @@ async function test2_uploadAttachment() {
       }
     }
 
+    // The image was drawn here, so its size and type are known exactly
+    if (uploadedAttachment.extension !== testImage.extension) {
+      throw new Error(`Attachment extension is ${uploadedAttachment.extension}, expected ${testImage.extension}`);
+    }
+    if (uploadedAttachment.width !== testImage.width || uploadedAttachment.height !== testImage.height) {
+      throw new Error(`Attachment is ${uploadedAttachment.width}x${uploadedAttachment.height}, expected ${testImage.width}x${testImage.height}`);
+    }
+
     console.log(`✅ Test 2 PASSED: Successfully uploaded attachment`);
     console.log(`   Attachment ID: ${uploadedAttachment._id}`);
     console.log(`   Response status: ${response.status}`);
@@ -249,8 +200,7 @@ async function test2_uploadAttachment() {
     console.error('   💡 DEBUGGING TIPS:');
     console.error('   1. Verify your API key is correct and has upload permissions');
     console.error('   2. Check that the ApostropheCMS server is running');
-    console.error('   3. Ensure the image file is a valid format (PNG, JPEG, GIF, WebP)');
-    console.error('   4. Try with a smaller image file to rule out size limits');
+    console.error('   3. Check the server accepts PNG uploads');
 
     throw error;
   }
@@ -287,11 +237,13 @@ async function test3_uploadAttachmentInvalidParams() {
         // Authentication error - might indicate API key issues
         console.log(`⚠️  Test 3 INCONCLUSIVE: Got 401 Unauthorized - check API key configuration`);
         console.log(`   This may be a configuration issue rather than a test failure`);
+        return STATUS.WARN;
       } else {
         // For this test, we'll be more lenient since we're getting different error behaviors
         console.log(`⚠️  Test 3 PARTIAL: Upload failed as expected, but with different error code: ${uploadError.response?.status || 'unknown'}`);
         console.log(`   Error message: ${uploadError.response?.data?.message || uploadError.message}`);
         console.log(`   This still indicates proper error handling, just different than expected`);
+        return STATUS.WARN;
       }
     }
 
@@ -322,36 +274,22 @@ async function test4_cropAttachment() {
 
     console.log(`📐 Preparing to crop attachment: ${uploadedAttachment._id}`);
 
-    // Create a crop request with conservative coordinates
-    // Use smaller dimensions to be safe with any image size
+    // Crop exactly the green top right quadrant of the generated image
+    const half = { width: Math.floor(testImage.width / 2), height: Math.floor(testImage.height / 2) };
     const cropRequest = {
       _id: uploadedAttachment._id,
       crop: {
         name: 'thumbnail',  // Name for this crop
-        top: 0,             // Start from top
-        left: 0,            // Start from left
-        width: 50,          // Small crop to be safe
-        height: 50          // Small crop to be safe
+        top: 0,
+        left: half.width,
+        width: testImage.width - half.width,
+        height: half.height
       }
     };
 
+    console.log(`   Original image dimensions: ${testImage.width}x${testImage.height}`);
     console.log('   Crop parameters:', JSON.stringify(cropRequest.crop, null, 2));
 
-    // If we have image dimensions, make sure crop doesn't exceed them
-    if (uploadedAttachment.width && uploadedAttachment.height) {
-      console.log(`   Original image dimensions: ${uploadedAttachment.width}x${uploadedAttachment.height}`);
-
-      // Adjust crop if it would exceed image bounds
-      if (cropRequest.crop.width > uploadedAttachment.width) {
-        cropRequest.crop.width = Math.floor(uploadedAttachment.width / 2);
-      }
-      if (cropRequest.crop.height > uploadedAttachment.height) {
-        cropRequest.crop.height = Math.floor(uploadedAttachment.height / 2);
-      }
-
-      console.log(`   Adjusted crop dimensions: ${cropRequest.crop.width}x${cropRequest.crop.height}`);
-    }
-
     // Call the attachmentCrop endpoint
     console.log('🚀 Calling AttachmentsApi.attachmentCrop...');
     const response = await attachmentsApi.attachmentCrop(
@@ -392,7 +330,7 @@ async function test4_cropAttachment() {
     // 3. The attachment ID is invalid (404 error expected)
     if (error.response?.status === 422) {
       console.log('   💡 Note: 422 error indicates crop coordinates exceed image bounds');
-      console.log('   💡 Try uploading a larger image or using smaller crop dimensions');
+      console.log('   💡 The crop reaches the right edge exactly, so the server read a different image size');
     } else if (error.response?.status === 404) {
       console.log('   💡 Note: 404 error indicates attachment not found');
     }
@@ -441,6 +379,7 @@ async function test5_cropAttachmentInvalidParams() {
         console.log(`   Error message: ${cropError.response.data?.message || 'No error message'}`);
       } else if (cropError.response && cropError.response.status === 401) {
         console.log(`⚠️  Test 5 INCONCLUSIVE: Got 401 Unauthorized - check API key configuration`);
+        return STATUS.WARN;
       } else {
         throw new Error(`Expected 404 or 400, but got: ${cropError.response?.status || 'unknown error'}`);
       }
@@ -467,14 +406,14 @@ async function test6_uploadAttachmentDifferentModes() {
 
   try {
     // Ensure we have a test image
-    if (!testImageBuffer) {
+    if (!testImage) {
       throw new Error('No test image available');
     }
 
     // Test with 'published' mode
     console.log('📤 Testing upload with published mode...');
 
-    const testFile = createFileFromBuffer(testImageBuffer, 'test-image-published.png', 'image/png');
+    const testFile = createFileFromBuffer(testImage.buffer, `test-image-published.${testImage.extension}`, testImage.mimeType);
 
     const response = await attachmentsApi.attachmentUpload(
       testFile,
@@ -512,11 +451,11 @@ async function runAllAttachmentTests() {
   console.log('- attachmentUpload: Upload media files');
   console.log('- attachmentCrop: Crop image attachments');
   console.log('');
-  console.log(`📁 Expected test image: ${TEST_IMAGE_FILENAME} (in same directory as this test)`);
+  console.log(`🖼️  Test image: ${TEST_IMAGE_OPTIONS.width}x${TEST_IMAGE_OPTIONS.height} ${TEST_IMAGE_OPTIONS.format}, generated at runtime`);
   console.log('');
 
   const tests = [
-    { name: 'Load Test Image', fn: test1_loadTestImage },
+    { name: 'Generate Test Image', fn: test1_generateTestImage },
     { name: 'Upload Attachment', fn: test2_uploadAttachment },
     { name: 'Upload Invalid Parameters', fn: test3_uploadAttachmentInvalidParams },
     { name: 'Crop Attachment', fn: test4_cropAttachment },
@@ -524,57 +463,67 @@ async function runAllAttachmentTests() {
     { name: 'Upload Different Modes', fn: test6_uploadAttachmentDifferentModes }
   ];
 
-  const results = {
-    passed: 0,
-    failed: 0,
-    errors: []
-  };
+  const checkpoint = results.checkpoint();
+  const errors = [];
 
   // Run each test
+  let stopped = false;
   for (const test of tests) {
+    if (stopped) {
+      results.record({ name: test.name, status: STATUS.SKIP, details: 'Skipped after critical failure' });
+      continue;
+    }
+
     try {
-      await test.fn();
-      results.passed++;
+      // Tests return STATUS.WARN for inconclusive outcomes, nothing on success
+      const status = await test.fn();
+      results.record({ name: test.name, status: status || STATUS.PASS });
     } catch (error) {
-      results.failed++;
-      results.errors.push({
+      errors.push({
         testName: test.name,
         error: error.message
       });
+      results.record({ name: test.name, status: STATUS.FAIL, details: error.message });
 
       // Log the error but continue with other tests (except for critical failures)
-      if (test.name === 'Load Test Image') {
+      if (test.name === 'Generate Test Image') {
         console.log('\n💥 Critical test failed - stopping test suite');
-        break;
+        stopped = true;
       }
     }
   }
 
   // Print summary
+  const suiteResults = results.since(checkpoint);
+  const summary = summarize(suiteResults);
   console.log('\n📊 TEST SUMMARY');
   console.log('='.repeat(50));
-  console.log(`✅ Passed: ${results.passed}`);
-  console.log(`❌ Failed: ${results.failed}`);
-  console.log(`📈 Success Rate: ${((results.passed / (results.passed + results.failed)) * 100).toFixed(1)}%`);
+  console.log(`✅ Passed: ${summary.passed}`);
+  console.log(`⚠️  Warnings: ${summary.warned}`);
+  console.log(`❌ Failed: ${summary.failed}`);
+  console.log(`⏭️  Skipped: ${summary.skipped}`);
+  console.log(`📈 Success Rate: ${(((summary.passed + summary.warned) / (summary.passed + summary.warned + summary.failed)) * 100).toFixed(1)}%`);
 
-  if (results.errors.length > 0) {
+  if (errors.length > 0) {
     console.log('\n❌ FAILED TESTS:');
-    results.errors.forEach((error, index) => {
+    errors.forEach((error, index) => {
       console.log(`   ${index + 1}. ${error.testName}: ${error.error}`);
     });
   }
 
   console.log('\n🏁 Attachments API tests completed');
 
-  // Set exit code based on results
-  if (results.failed > 0) {
-    process.exit(1);
-  }
+  return suiteResults;
 }
 
 // Run the tests if this file is executed directly
 if (require.main === module) {
-  runAllAttachmentTests().catch((error) => {
+  runAllAttachmentTests().then((suiteResults) => {
+    // Set exit code based on results
+    if (summarize(suiteResults).failed > 0) {
+      process.exit(1);
+    }
+  }).catch((error) => {
     console.error('💥 Fatal error running tests:', error);
     process.exit(1);
   });
@@ -583,7 +532,7 @@ if (require.main === module) {
 // Export for use in other test files
 module.exports = {
   runAllAttachmentTests,
-  test1_loadTestImage,
+  test1_generateTestImage,
   test2_uploadAttachment,
   test3_uploadAttachmentInvalidParams,
   test4_cropAttachment,
@@ -1,45 +1,28 @@
 // Authentication API Test Suite for ApostropheCMS SDK
 // This test suite covers authentication endpoints with simple, verbose tests
 // Tests use API key for validation but also test username/password login flows
-require('dotenv').config();
 const { AuthenticationApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+
+// Login tests also need APOSTROPHE_USERNAME and APOSTROPHE_PASSWORD
+const config = requireConfig();
 
 // Configure the API client
 const configuration = new Configuration({
-  basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
-  apiKey: process.env.APOSTROPHE_API_KEY
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
 });
 
-// Validate that we have the required environment variables
-if (!process.env.APOSTROPHE_API_KEY) {
-  console.error('❌ Error: APOSTROPHE_API_KEY is required in .env file');
-  console.log('Please create a .env file with:');
-  console.log('APOSTROPHE_API_KEY=your-api-key-here');
-  console.log('APOSTROPHE_BASE_URL=http://localhost:3000/api/v1  # Optional, defaults to localhost');
-  console.log('');
-  console.log('For login tests, also add:');
-  console.log('APOSTROPHE_USERNAME=your-test-username');
-  console.log('APOSTROPHE_PASSWORD=your-test-password');
-  process.exit(1);
-}
-
-const authApi = new AuthenticationApi(configuration);
-
-// Helper function to log test results
-function logTest(testName, success, details = '') {
-  const status = success ? '✅ PASS' : '❌ FAIL';
-  console.log(`${status}: ${testName}`);
-  if (details) {
-    console.log(`   Details: ${details}`);
-  }
-}
+// Collect structured results for every check in this suite
+const results = new ResultCollector('authentication');
+const logTest = results.logTest;
 
-// Helper function to wait between tests
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const authApi = instrumentApi(new AuthenticationApi(configuration), results);
 
 async function runAuthenticationTests() {
+  const checkpoint = results.checkpoint();
   console.log('🚀 Starting ApostropheCMS Authentication API Tests');
   console.log('===============================================\n');
 
@@ -73,8 +56,6 @@ async function runAuthenticationTests() {
       logTest('Get authentication context', false, error.message);
     }
 
-    await wait(500);
-
     // Test 2: Test the deprecated GET context endpoint for comparison
     console.log('\n📄 Test 2: Get Authentication Context (authContext - deprecated GET)');
     try {
@@ -90,8 +71,6 @@ async function runAuthenticationTests() {
       logTest('Get authentication context (GET)', false, `Deprecated endpoint error: ${error.message}`);
     }
 
-    await wait(500);
-
     // Test 3: Check current authentication status using API key (POST method)
     console.log('\n📄 Test 3: Who Am I - Check Current User (authWhoAmIPost)');
     try {
@@ -118,8 +97,6 @@ async function runAuthenticationTests() {
       logTest('Check current user (API key)', false, error.message);
     }
 
-    await wait(500);
-
     // Test 4: Test the deprecated GET whoami endpoint for comparison  
     console.log('\n📄 Test 4: Who Am I - Check Current User (authWhoAmI - deprecated GET)');
     try {
@@ -135,23 +112,21 @@ async function runAuthenticationTests() {
       logTest('Check current user (GET)', false, `Deprecated endpoint error: ${error.message}`);
     }
 
-    await wait(500);
-
     // Test 5: Test username/password login (if credentials provided)
     console.log('\n📄 Test 5: Username/Password Login (authLogin)');
-    if (process.env.APOSTROPHE_USERNAME && process.env.APOSTROPHE_PASSWORD) {
+    if (config.username && config.password) {
       try {
         const loginData = {
-          username: process.env.APOSTROPHE_USERNAME,
-          password: process.env.APOSTROPHE_PASSWORD,
+          username: config.username,
+          password: config.password,
           session: false // Request bearer token instead of session cookie
         };
 
         // Create a new API instance without API key for login test
         const loginConfiguration = new Configuration({
-          basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1'
+          basePath: config.baseUrl
         });
-        const loginAuthApi = new AuthenticationApi(loginConfiguration);
+        const loginAuthApi = instrumentApi(new AuthenticationApi(loginConfiguration), results);
 
         const { status, data } = await loginAuthApi.authLogin(loginData);
 
@@ -182,27 +157,25 @@ async function runAuthenticationTests() {
         console.log('   💡 Ensure username/password are correct and user has API access');
       }
     } else {
-      logTest('Username/password login', false, 'No credentials provided in environment variables');
+      logTest('Username/password login', 'skip', 'No credentials provided in environment variables');
       console.log('   💡 Add APOSTROPHE_USERNAME and APOSTROPHE_PASSWORD to .env to test login');
     }
 
-    await wait(500);
-
     // Test 6: Test session-based login (if credentials provided)
     console.log('\n📄 Test 6: Session-Based Login (authLogin with session=true)');
-    if (process.env.APOSTROPHE_USERNAME && process.env.APOSTROPHE_PASSWORD) {
+    if (config.username && config.password) {
       try {
         const sessionLoginData = {
-          username: process.env.APOSTROPHE_USERNAME,
-          password: process.env.APOSTROPHE_PASSWORD,
+          username: config.username,
+          password: config.password,
           session: true // Request session cookie instead of bearer token
         };
 
         // Create a new API instance without API key for session login test
         const sessionConfiguration = new Configuration({
-          basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1'
+          basePath: config.baseUrl
         });
-        const sessionAuthApi = new AuthenticationApi(sessionConfiguration);
+        const sessionAuthApi = instrumentApi(new AuthenticationApi(sessionConfiguration), results);
 
         const { status, data } = await sessionAuthApi.authLogin(sessionLoginData);
 
@@ -230,22 +203,20 @@ async function runAuthenticationTests() {
         logTest('Session-based login', false, error.message);
       }
     } else {
-      logTest('Session-based login', false, 'No credentials provided in environment variables');
+      logTest('Session-based login', 'skip', 'No credentials provided in environment variables');
       console.log('   💡 Add APOSTROPHE_USERNAME and APOSTROPHE_PASSWORD to .env to test session login');
     }
 
-    await wait(500);
-
     // Test 7: Test bearer token authentication (if we got a token)
     console.log('\n📄 Test 7: Bearer Token Authentication Test');
     if (bearerToken) {
       try {
         // Create API instance with bearer token
         const bearerConfiguration = new Configuration({
-          basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
+          basePath: config.baseUrl,
           accessToken: bearerToken
         });
-        const bearerAuthApi = new AuthenticationApi(bearerConfiguration);
+        const bearerAuthApi = instrumentApi(new AuthenticationApi(bearerConfiguration), results);
 
         const { status, data } = await bearerAuthApi.authWhoAmIPost();
 
@@ -259,12 +230,10 @@ async function runAuthenticationTests() {
         logTest('Bearer token authentication', false, error.message);
       }
     } else {
-      logTest('Bearer token authentication', false, 'No bearer token available to test');
+      logTest('Bearer token authentication', 'skip', 'No bearer token available to test');
       console.log('   💡 Bearer token test requires successful username/password login');
     }
 
-    await wait(500);
-
     // Test 8: Test logout with API key (should work)
     console.log('\n📄 Test 8: Logout with API Key (authLogout)');
     try {
@@ -284,18 +253,16 @@ async function runAuthenticationTests() {
       logTest('Logout with API key', false, error.message);
     }
 
-    await wait(500);
-
     // Test 9: Test logout with bearer token (if available)
     console.log('\n📄 Test 9: Logout with Bearer Token');
     if (bearerToken) {
       try {
         // Create API instance with bearer token for logout test
         const bearerLogoutConfiguration = new Configuration({
-          basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
+          basePath: config.baseUrl,
           accessToken: bearerToken
         });
-        const bearerLogoutAuthApi = new AuthenticationApi(bearerLogoutConfiguration);
+        const bearerLogoutAuthApi = instrumentApi(new AuthenticationApi(bearerLogoutConfiguration), results);
 
         const { status, data } = await bearerLogoutAuthApi.authLogout();
 
@@ -303,7 +270,6 @@ async function runAuthenticationTests() {
           logTest('Logout with bearer token', true, 'Bearer token logout successful');
 
           // Test if token is now invalid
-          await wait(500);
           console.log('   🔄 Testing if bearer token is now invalid...');
 
           try {
@@ -323,11 +289,9 @@ async function runAuthenticationTests() {
         logTest('Logout with bearer token', false, error.message);
       }
     } else {
-      logTest('Logout with bearer token', false, 'No bearer token available for logout test');
+      logTest('Logout with bearer token', 'skip', 'No bearer token available for logout test');
     }
 
-    await wait(500);
-
     // Test 10: Verify API key still works after logout tests
     console.log('\n📄 Test 10: Verify API Key Still Valid After Logout Tests');
     try {
@@ -345,14 +309,18 @@ async function runAuthenticationTests() {
 
   } catch (error) {
     console.error('❌ Test suite failed with error:', error.message);
+    logTest('Authentication API suite', false, `Test suite failed with error: ${error.message}`);
   }
 
   console.log('\n===============================================');
   console.log('🎯 Authentication API Tests Complete');
+
+  return results.since(checkpoint);
 }
 
 // Additional tests for password reset functionality (if enabled)
 async function runPasswordResetTests() {
+  const checkpoint = results.checkpoint();
   console.log('\n🔐 Password Reset Tests');
   console.log('======================\n');
 
@@ -360,10 +328,10 @@ async function runPasswordResetTests() {
   console.log('📄 Test 1: Request Password Reset (authResetRequest)');
 
   // Only test with a test email if provided, otherwise skip
-  if (process.env.APOSTROPHE_TEST_EMAIL) {
+  if (config.testEmail) {
     try {
       const resetRequestData = {
-        email: process.env.APOSTROPHE_TEST_EMAIL
+        email: config.testEmail
       };
 
       const { status, data } = await authApi.authResetRequest(resetRequestData);
@@ -389,16 +357,14 @@ async function runPasswordResetTests() {
       }
     }
   } else {
-    logTest('Password reset request', false, 'No test email provided');
+    logTest('Password reset request', 'skip', 'No test email provided');
     console.log('   💡 Add APOSTROPHE_TEST_EMAIL to .env to test password reset request');
     console.log('   💡 Use a test email address that you control');
   }
 
-  await wait(500);
-
   // Test 2: Note about completing password reset
   console.log('\n📄 Test 2: Complete Password Reset (authReset)');
-  logTest('Password reset completion', false, 'Cannot test without valid reset token');
+  logTest('Password reset completion', 'skip', 'Cannot test without valid reset token');
   console.log('   ℹ️ Testing password reset completion requires:');
   console.log('   ℹ️ 1. Password reset to be enabled in ApostropheCMS config');
   console.log('   ℹ️ 2. A valid reset token from a reset email');
@@ -407,24 +373,30 @@ async function runPasswordResetTests() {
 
   console.log('\n======================');
   console.log('🔐 Password Reset Tests Complete');
+
+  return results.since(checkpoint);
 }
 
 // Main execution function
 async function main() {
+  const checkpoint = results.checkpoint();
   try {
     await runAuthenticationTests();
 
-    // Only run password reset tests if explicitly requested or test email provided
-    if (process.env.APOSTROPHE_TEST_EMAIL || process.env.RUN_PASSWORD_RESET_TESTS) {
+    // Only run password reset tests if explicitly requested; they need passwordReset enabled
+    if (config.runPasswordResetTests) {
       await runPasswordResetTests();
     } else {
+      results.record({ name: 'Password reset tests', status: 'skip', details: 'RUN_PASSWORD_RESET_TESTS is not true' });
       console.log('\n💡 Password reset tests skipped');
-      console.log('Add APOSTROPHE_TEST_EMAIL to .env or set RUN_PASSWORD_RESET_TESTS=true to run them');
+      console.log('Set RUN_PASSWORD_RESET_TESTS=true (and APOSTROPHE_TEST_EMAIL) in .env to run them');
     }
   } catch (error) {
     console.error('Test execution failed:', error);
     process.exit(1);
   }
+
+  return results.since(checkpoint);
 }
 
 // Export for use in test runners or run directly
@@ -0,0 +1,119 @@
+// Authentication for the fake server: API key (?apikey= or "Authorization: ApiKey"),
+// bearer tokens issued by /login/login with session: false, and session cookies
+// issued with session: true. Passwords live apart from user docs, as in Apostrophe
+const crypto = require('crypto');
+const { invalid, unauthorized } = require('./router');
+
+const USER_TYPE = '@apostrophecms/user';
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(header
+    .split(';')
+    .map(pair => pair.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, value]) => [name, decodeURIComponent(value)]));
+}
+
+class Auth {
+  constructor({ store, apiKey, shortName = 'apos-fake', passwordReset = true }) {
+    this.store = store;
+    this.apiKey = apiKey;
+    this.cookieName = `${shortName}.sid`;
+    this.passwordReset = passwordReset;
+    this.passwords = new Map(); // user _id -> password
+    this.tokens = new Map(); // bearer token -> user _id
+    this.sessions = new Map(); // session id -> user _id
+  }
+
+  // The API key acts as an admin that is not a stored user
+  apiKeyUser() {
+    return { _id: 'apikey', username: 'apikey', title: 'API Key', role: 'admin', apiKey: true };
+  }
+
+  setPassword(userId, password) {
+    this.passwords.set(userId, String(password));
+  }
+
+  forgetUser(userId) {
+    this.passwords.delete(userId);
+    for (const [token, id] of this.tokens) if (id === userId) this.tokens.delete(token);
+    for (const [sid, id] of this.sessions) if (id === userId) this.sessions.delete(sid);
+  }
+
+  // Resolve the caller from the request; throws 401 for credentials that
+  // are present but no longer valid, returns null for anonymous requests
+  authenticate(req, query) {
+    const header = req.headers.authorization || '';
+    const [scheme, credential] = header.split(' ');
+
+    const key = query.apikey || query.apiKey || (/^apikey$/i.test(scheme) ? credential : null);
+    if (key) {
+      if (key !== this.apiKey) throw unauthorized('Invalid API key');
+      return { user: this.apiKeyUser(), via: 'apikey' };
+    }
+
+    if (/^bearer$/i.test(scheme) && credential) {
+      const user = this.userById(this.tokens.get(credential));
+      if (!user) throw unauthorized('Invalid or expired bearer token');
+      return { user, via: 'bearer', token: credential };
+    }
+
+    const sid = parseCookies(req.headers.cookie)[this.cookieName];
+    if (sid) {
+      const user = this.userById(this.sessions.get(sid));
+      if (user) return { user, via: 'session', sid };
+    }
+
+    return null;
+  }
+
+  userById(id) {
+    if (!id) return null;
+    const user = this.store.get(id);
+    return user && user.type === USER_TYPE && !user.archived && !user.disabled ? user : null;
+  }
+
+  // Returns { token } for bearer logins, or { sid } for session logins
+  login({ username, password, session }) {
+    if (!username || !password) {
+      throw invalid('Both username and password are required.');
+    }
+    const user = this.store
+      .find(USER_TYPE, { archived: false })
+      .find(doc => doc.username === username || doc.email === username);
+    if (!user || user.disabled || this.passwords.get(user._id) !== String(password)) {
+      throw invalid('Your credentials are incorrect, or there is no such user.');
+    }
+
+    if (session) {
+      const sid = randomToken();
+      this.sessions.set(sid, user._id);
+      return { user, sid };
+    }
+    const token = randomToken();
+    this.tokens.set(token, user._id);
+    return { user, token };
+  }
+
+  logout(caller) {
+    if (caller?.token) this.tokens.delete(caller.token);
+    if (caller?.sid) this.sessions.delete(caller.sid);
+  }
+
+  sessionCookie(sid) {
+    return `${this.cookieName}=${encodeURIComponent(sid)}; Path=/; HttpOnly; SameSite=Lax`;
+  }
+
+  clearedSessionCookie() {
+    return `${this.cookieName}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`;
+  }
+}
+
+module.exports = {
+  Auth,
+  USER_TYPE
+};
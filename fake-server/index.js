@@ -0,0 +1,215 @@
+// Local stateful stand-in for an ApostropheCMS instance
+// Implements the /api/v1 routes the SDK suites call (pages, global, users,
+// login, attachments, images, files and tags) with draft/published documents,
+// `aposDocId:locale:mode` ids, the page tree, API key, bearer and session auth
+// and the default role permissions.
+// State lives in memory and is lost when the server stops.
+//
+// Usage:
+//   node fake-server                      # listen on port 3000
+//   node fake-server --port 4000 --locales en,fr
+//   node fake-server --fault-rate 0.1      # turn away 10% of API requests (429/503)
+//
+// Or from code:
+//   const { createFakeServer } = require('./fake-server');
+//   const server = createFakeServer({ apiKey: 'test-key' });
+//   const { baseUrl } = await server.start();
+const http = require('http');
+const { parseArgs } = require('util');
+const { DocumentStore } = require('./store');
+const { Auth, USER_TYPE } = require('./auth');
+const { Jobs } = require('./jobs');
+const { Router, HttpError, notFound, invalid, parseBody, sendJson, sendError } = require('./router');
+const { registerPages, seedPages } = require('./routes/pages');
+const { registerMedia, registerGlobal, registerUsers } = require('./routes/pieces');
+const { registerAttachments, serveUpload } = require('./routes/attachments');
+const { registerLogin } = require('./routes/login');
+const { registerI18n, registerJobs } = require('./routes/i18n');
+
+const API_PREFIX = '/api/v1';
+const MODES = ['draft', 'published'];
+const DEFAULT_MAX_UPLOAD_BYTES = 10 * 1024 * 1024;
+
+function createFakeServer({
+  apiKey = process.env.APOSTROPHE_API_KEY || 'fake-server-api-key',
+  username = process.env.APOSTROPHE_USERNAME || 'admin',
+  password = process.env.APOSTROPHE_PASSWORD || 'password',
+  // Comma-separated, e.g. en,fr; the first is the default locale
+  locales = (process.env.FAKE_SERVER_LOCALES || 'en').split(',').map(locale => locale.trim()).filter(Boolean),
+  localeLabels = { en: 'English' },
+  passwordReset = true,
+  // Types a new page may have, besides the home and archive pages
+  pageTypes = ['default-page', process.env.APOSTROPHE_PAGE_TYPE].filter(Boolean),
+  port = 0,
+  host = '127.0.0.1',
+  // Share of API requests answered 429 or 503 before they are handled, to
+  // exercise the suites' retries
+  faultRate = Number(process.env.FAKE_SERVER_FAULT_RATE) || 0,
+  // Largest file an attachment upload accepts
+  maxUploadBytes = Number(process.env.APOSTROPHE_MAX_UPLOAD_BYTES) || DEFAULT_MAX_UPLOAD_BYTES,
+  verbose = false
+} = {}) {
+  const store = new DocumentStore({ locales });
+  const app = {
+    store,
+    locales,
+    localeLabels,
+    pageTypes,
+    auth: new Auth({ store, apiKey, passwordReset }),
+    jobs: new Jobs(),
+    attachments: new Map(),
+    uploads: new Map(),
+    maxUploadBytes,
+    siteUrl: ''
+  };
+
+  const router = new Router();
+  registerLogin(router, app);
+  registerPages(router, app);
+  registerGlobal(router, app);
+  registerUsers(router, app);
+  registerMedia(router, app);
+  registerAttachments(router, app);
+  registerI18n(router, app);
+  registerJobs(router, app);
+
+  // Seed what a fresh starter kit has: an admin, the page tree and the global doc
+  const admin = store.insert(USER_TYPE, { title: 'Admin', username, email: `${username}@example.com`, role: 'admin' });
+  app.auth.setPassword(admin._id, password);
+  seedPages(app);
+  // One global doc, localized into every locale so it keeps one aposDocId
+  const global = store.insert('@apostrophecms/global', { title: 'Global' }, { locale: locales[0] });
+  locales.slice(1).forEach((locale) => {
+    store.localize(global.aposDocId, locales[0], locale);
+    store.publish(global.aposDocId, locale);
+  });
+
+  let faults = 0;
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && serveUpload(app, url.pathname, res)) return;
+    if (!url.pathname.startsWith(API_PREFIX)) throw notFound(`Not found: ${url.pathname}`);
+
+    // Alternate a rate limit that says when to come back with a plain outage
+    if (faultRate > 0 && Math.random() < faultRate) {
+      faults += 1;
+      if (faults % 2) {
+        sendJson(res, 429, { name: 'toomanyrequests', message: 'Too many requests', data: {} }, { 'Retry-After': '1' });
+      } else {
+        sendJson(res, 503, { name: 'unavailable', message: 'Service unavailable', data: {} });
+      }
+      return;
+    }
+
+    const path = url.pathname.slice(API_PREFIX.length) || '/';
+    const query = Object.fromEntries(url.searchParams);
+    const { body, files } = await parseBody(req);
+
+    const found = router.match(req.method, path);
+    if (!found) throw notFound(`No route for ${req.method} ${url.pathname}`);
+    if (found.allowed) {
+      throw new HttpError(405, 'invalid', `${req.method} is not allowed here. Allowed: ${found.allowed.join(', ')}`);
+    }
+
+    const mode = query.aposMode || 'published';
+    const locale = query.aposLocale || locales[0];
+    if (!MODES.includes(mode)) throw invalid(`Invalid aposMode: ${mode}`);
+    if (!locales.includes(locale)) throw invalid(`Invalid aposLocale: ${locale}`);
+
+    const caller = app.auth.authenticate(req, query);
+    const headers = {};
+    const ctx = {
+      req,
+      res,
+      method: req.method,
+      path,
+      params: found.params,
+      query,
+      body: body && typeof body === 'object' ? body : {},
+      files,
+      caller,
+      user: caller ? caller.user : null,
+      mode,
+      locale,
+      setHeader: (name, value) => { headers[name] = value; }
+    };
+
+    const payload = await found.route.handler(ctx);
+    sendJson(res, 200, payload === undefined ? {} : payload, headers);
+  }
+
+  const server = http.createServer((req, res) => {
+    const started = Date.now();
+    res.on('finish', () => {
+      if (verbose) console.log(`   🛰️  ${req.method} ${req.url} → ${res.statusCode} (${Date.now() - started}ms)`);
+    });
+    handle(req, res).catch(error => sendError(res, error));
+  });
+
+  return {
+    app,
+    server,
+
+    // Resolves with the site and API base URLs once listening
+    start() {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          const { port: actualPort } = server.address();
+          app.siteUrl = `http://${host}:${actualPort}`;
+          resolve({ url: app.siteUrl, baseUrl: `${app.siteUrl}${API_PREFIX}` });
+        });
+      });
+    },
+
+    stop() {
+      return new Promise((resolve) => {
+        server.close(() => resolve());
+        server.closeAllConnections();
+      });
+    }
+  };
+}
+
+async function main() {
+  require('dotenv').config();
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: process.env.FAKE_SERVER_PORT || '3000' },
+      host: { type: 'string', default: '127.0.0.1' },
+      locales: { type: 'string', default: process.env.FAKE_SERVER_LOCALES || 'en' },
+      'fault-rate': { type: 'string', default: process.env.FAKE_SERVER_FAULT_RATE || '0' },
+      verbose: { type: 'boolean', default: false }
+    }
+  });
+
+  const fake = createFakeServer({
+    port: Number(values.port),
+    host: values.host,
+    locales: values.locales.split(',').map(locale => locale.trim()).filter(Boolean),
+    faultRate: Number(values['fault-rate']) || 0,
+    verbose: values.verbose
+  });
+  const { baseUrl } = await fake.start();
+
+  console.log('🧪 Fake ApostropheCMS server running');
+  console.log(`🌐 APOSTROPHE_BASE_URL=${baseUrl}`);
+  console.log(`🔑 API key: ${fake.app.auth.apiKey}`);
+  console.log('   Press Ctrl-C to stop');
+
+  process.on('SIGINT', () => fake.stop().then(() => process.exit(0)));
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('💥 Fake server failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createFakeServer,
+  API_PREFIX
+};
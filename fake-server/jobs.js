@@ -0,0 +1,55 @@
+// Background jobs for batch operations (archive, publish, localize)
+// Batch routes answer { jobId } at once and do the work on the next ticks,
+// so clients see the same asynchronous shape as a real Apostrophe instance.
+// Progress is served from GET /@apostrophecms/job/:id
+const { createId } = require('./store');
+
+class Jobs {
+  constructor({ stepDelayMs = 5 } = {}) {
+    this.jobs = new Map();
+    this.stepDelayMs = stepDelayMs;
+  }
+
+  // Run `work(id)` for every id, counting good and bad outcomes
+  start(ids, work) {
+    const job = {
+      _id: createId(),
+      processed: 0,
+      good: 0,
+      bad: 0,
+      total: ids.length,
+      ended: false,
+      results: {}
+    };
+    this.jobs.set(job._id, job);
+
+    const step = async (index) => {
+      if (index >= ids.length) {
+        job.ended = true;
+        return;
+      }
+      const id = ids[index];
+      try {
+        await work(id);
+        job.good++;
+        job.results[id] = true;
+      } catch (error) {
+        job.bad++;
+        job.results[id] = false;
+      }
+      job.processed++;
+      setTimeout(() => step(index + 1), this.stepDelayMs);
+    };
+    setTimeout(() => step(0), this.stepDelayMs);
+
+    return job._id;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+}
+
+module.exports = {
+  Jobs
+};
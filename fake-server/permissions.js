@@ -0,0 +1,45 @@
+// Role permissions for the fake server, after Apostrophe's default
+// @apostrophecms/permission rules for the four built-in roles:
+//   guest        may view published content, nothing else
+//   contributor  may also view, create and edit drafts, upload attachments and
+//                delete drafts that were never published, but not publish
+//   editor       may do anything with content, but not manage users
+//   admin        may do anything
+// The API key acts as an admin.
+
+const ROLES = ['guest', 'contributor', 'editor', 'admin'];
+
+// Types only admins may view or change
+const ADMIN_ONLY_TYPES = ['@apostrophecms/user'];
+
+// action: view, edit, publish, delete or upload-attachment. `mode` is the
+// version acted on (edits to the published version need publish rights);
+// `doc` is the document itself when there is one
+function can(user, action, { type, mode = 'draft', doc } = {}) {
+  const role = user?.role;
+  if (role === 'admin') return true;
+  if (type && ADMIN_ONLY_TYPES.includes(type)) return false;
+  const editor = role === 'editor';
+  const contributor = role === 'contributor';
+
+  switch (action) {
+    case 'view':
+      return mode === 'published' || editor || contributor;
+    case 'edit':
+      return editor || (contributor && mode === 'draft');
+    case 'publish':
+      return editor;
+    case 'delete':
+      return editor || (contributor && mode === 'draft' && !doc?.lastPublishedAt);
+    case 'upload-attachment':
+      return editor || contributor;
+    default:
+      throw new Error(`Unknown permission action: ${action}`);
+  }
+}
+
+module.exports = {
+  ROLES,
+  ADMIN_ONLY_TYPES,
+  can
+};
@@ -0,0 +1,199 @@
+// Minimal router and body parsing for the fake server (node:http only)
+// Routes are registered as 'GET /@apostrophecms/page/:_id' and handlers
+// receive a request context: { method, path, params, query, body, files, user, res }
+
+// Errors thrown from handlers are sent as Apostrophe-style JSON error bodies
+class HttpError extends Error {
+  constructor(status, name, message, data = {}) {
+    super(message);
+    this.status = status;
+    this.name = name;
+    this.data = data;
+  }
+}
+
+const notFound = (message = 'Not found') => new HttpError(404, 'notfound', message);
+const invalid = (message = 'Invalid request', data) => new HttpError(400, 'invalid', message, data);
+const forbidden = (message = 'Forbidden') => new HttpError(403, 'forbidden', message);
+const unauthorized = (message = 'Unauthorized') => new HttpError(401, 'unauthorized', message);
+
+function compile(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map(segment => {
+      if (segment.startsWith(':')) {
+        keys.push(segment.slice(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+// A malformed escape such as `%E0` is the client's mistake, not a server error
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    if (error instanceof URIError) throw invalid(`Malformed URL segment: ${value}`);
+    throw error;
+  }
+}
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  add(method, pattern, handler) {
+    this.routes.push({ method, pattern, handler, ...compile(pattern) });
+    return this;
+  }
+
+  get(pattern, handler) { return this.add('GET', pattern, handler); }
+  post(pattern, handler) { return this.add('POST', pattern, handler); }
+  put(pattern, handler) { return this.add('PUT', pattern, handler); }
+  patch(pattern, handler) { return this.add('PATCH', pattern, handler); }
+  delete(pattern, handler) { return this.add('DELETE', pattern, handler); }
+
+  // Returns { route, params } or null; a path match with the wrong method
+  // reports the allowed methods so the caller can answer 405
+  match(method, path) {
+    const allowed = [];
+    for (const route of this.routes) {
+      const found = route.regex.exec(path);
+      if (!found) continue;
+      if (route.method !== method) {
+        allowed.push(route.method);
+        continue;
+      }
+      const params = {};
+      route.keys.forEach((key, i) => { params[key] = decodeParam(found[i + 1]); });
+      return { route, params };
+    }
+    return allowed.length ? { allowed } : null;
+  }
+}
+
+// Past the limit the rest of the body is read and dropped rather than the
+// socket closed, so the client gets the 413 instead of a connection reset
+function readRaw(req, limit = 50 * 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size <= limit) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > limit) {
+        reject(new HttpError(413, 'invalid', 'Request body too large'));
+        return;
+      }
+      resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Parse multipart/form-data into text fields and file parts
+function parseMultipart(buffer, boundary) {
+  const fields = {};
+  const files = {};
+  const delimiter = Buffer.from(`--${boundary}`);
+  let start = buffer.indexOf(delimiter);
+
+  while (start !== -1) {
+    const partStart = start + delimiter.length;
+    if (buffer.subarray(partStart, partStart + 2).toString() === '--') break;
+    const next = buffer.indexOf(delimiter, partStart);
+    if (next === -1) break;
+
+    // Each part: CRLF, headers, blank line, content, CRLF before the next delimiter
+    const part = buffer.subarray(partStart + 2, next - 2);
+    const headerEnd = part.indexOf('\r\n\r\n');
+    if (headerEnd !== -1) {
+      const headers = part.subarray(0, headerEnd).toString('utf8');
+      const content = part.subarray(headerEnd + 4);
+      const name = /name="([^"]*)"/i.exec(headers)?.[1];
+      const filename = /filename="([^"]*)"/i.exec(headers)?.[1];
+      const type = /content-type:\s*([^\r\n]+)/i.exec(headers)?.[1]?.trim();
+
+      if (name && filename !== undefined) {
+        files[name] = { name: filename, type: type || 'application/octet-stream', buffer: content };
+      } else if (name) {
+        fields[name] = content.toString('utf8');
+      }
+    }
+    start = next;
+  }
+
+  return { fields, files };
+}
+
+async function parseBody(req) {
+  if (['GET', 'HEAD', 'DELETE'].includes(req.method)) {
+    return { body: {}, files: {} };
+  }
+
+  const raw = await readRaw(req);
+  const contentType = req.headers['content-type'] || '';
+  if (!raw.length) {
+    return { body: {}, files: {} };
+  }
+
+  if (contentType.startsWith('multipart/form-data')) {
+    const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+    if (!boundary) throw invalid('Missing multipart boundary');
+    const { fields, files } = parseMultipart(raw, boundary[1] || boundary[2]);
+    return { body: fields, files };
+  }
+
+  if (contentType.includes('json')) {
+    try {
+      return { body: JSON.parse(raw.toString('utf8')), files: {} };
+    } catch (error) {
+      throw invalid(`Malformed JSON body: ${error.message}`);
+    }
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return { body: Object.fromEntries(new URLSearchParams(raw.toString('utf8'))), files: {} };
+  }
+
+  return { body: {}, files: {} };
+}
+
+function sendJson(res, status, payload, headers = {}) {
+  const body = JSON.stringify(payload);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    ...headers
+  });
+  res.end(body);
+}
+
+function sendError(res, error) {
+  if (error instanceof HttpError) {
+    sendJson(res, error.status, { name: error.name, message: error.message, data: error.data });
+    return;
+  }
+  console.error('💥 Fake server error:', error);
+  sendJson(res, 500, { name: 'error', message: error.message || 'An error occurred.', data: {} });
+}
+
+module.exports = {
+  Router,
+  HttpError,
+  notFound,
+  invalid,
+  forbidden,
+  unauthorized,
+  parseBody,
+  parseMultipart,
+  sendJson,
+  sendError
+};
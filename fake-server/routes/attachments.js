@@ -0,0 +1,331 @@
+// Attachment upload and crop, plus the /uploads files they produce
+// Renditions are listed for every Apostrophe image size. A PNG larger than a
+// size is scaled (nearest neighbour) to the size Apostrophe would scale it
+// to, or replaced by a plain grey PNG of that size when it is not an 8-bit,
+// non-interlaced PNG; other formats, and images that already fit, serve the
+// original bytes.
+// Like Apostrophe, an image whose extension names the wrong format is stored
+// under its real one. Files over app.maxUploadBytes are refused with a 413
+// and, as the spec documents no 403 for either route, callers who may not
+// upload get a 401
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { requireUser } = require('./doc-type');
+const { can } = require('../permissions');
+const { HttpError, invalid, notFound, unauthorized } = require('../router');
+const { createId, slugify } = require('../store');
+
+const FILE_GROUPS = {
+  images: ['gif', 'jpg', 'png', 'webp', 'svg'],
+  office: ['txt', 'rtf', 'pdf', 'xls', 'ppt', 'doc', 'pptx', 'sldx', 'ppsx', 'potx', 'xlsx', 'xltx', 'csv', 'docx', 'dotx']
+};
+const EXTENSION_ALIASES = { jpeg: 'jpg' };
+// Image formats told apart by their headers
+const RASTER_EXTENSIONS = ['gif', 'jpg', 'png', 'webp'];
+// Apostrophe's default imageSizes
+const IMAGE_SIZES = [
+  { name: 'max', width: 1600, height: 1600 },
+  { name: 'full', width: 1140, height: 1140 },
+  { name: 'two-thirds', width: 760, height: 760 },
+  { name: 'one-half', width: 570, height: 700 },
+  { name: 'one-third', width: 380, height: 700 },
+  { name: 'one-sixth', width: 190, height: 350 }
+];
+const CONTENT_TYPES = {
+  gif: 'image/gif',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  csv: 'text/csv'
+};
+
+// Read width and height from the image header; null when it is not a valid image
+function imageSize(buffer, extension) {
+  if (extension === 'png' && buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (extension === 'gif' && buffer.length >= 10 && buffer.subarray(0, 3).toString('ascii') === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+  if (extension === 'jpg' && buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    // Walk the segments until a start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + length;
+    }
+    return null;
+  }
+  if (extension === 'webp' && buffer.length >= 30 && buffer.subarray(0, 4).toString('ascii') === 'RIFF' &&
+      buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    const chunk = buffer.subarray(12, 16).toString('ascii');
+    if (chunk === 'VP8 ') return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    return null;
+  }
+  if (extension === 'svg') {
+    const source = buffer.toString('utf8');
+    if (!/<svg[\s>]/i.test(source)) return null;
+    const width = parseFloat(/\bwidth="([\d.]+)/.exec(source)?.[1]);
+    const height = parseFloat(/\bheight="([\d.]+)/.exec(source)?.[1]);
+    return { width: width || null, height: height || null };
+  }
+  return null;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (const byte of buffer) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+// An 8-bit PNG of `colorType` (0 grey, 2 RGB) from unfiltered rows of pixels
+function encodePng(width, height, colorType, pixels) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  const stride = pixels.length / height;
+  // Each row is a filter byte (none) and its pixels
+  const rows = Buffer.alloc(height * (stride + 1));
+  for (let y = 0; y < height; y += 1) pixels.copy(rows, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(rows)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// Bytes per pixel of each 8-bit PNG colour type: grey, RGB, palette, grey
+// and alpha, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// The RGB pixels of an 8-bit, non-interlaced PNG, alpha dropped; null for
+// any other PNG
+function decodePng(buffer) {
+  const idat = [];
+  let ihdr = null;
+  let palette = null;
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('ascii');
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') ihdr = data;
+    else if (type === 'PLTE') palette = data;
+    else if (type === 'IDAT') idat.push(data);
+    offset += 12 + length;
+  }
+  if (!ihdr || !idat.length) return null;
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  const [depth, colorType, , , interlace] = ihdr.subarray(8, 13);
+  const channels = PNG_CHANNELS[colorType];
+  if (depth !== 8 || interlace !== 0 || !channels || (colorType === 3 && !palette)) return null;
+
+  const stride = width * channels;
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat));
+  } catch (error) {
+    return null;
+  }
+  if (raw.length < height * (stride + 1)) return null;
+  const bytes = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    if (filter > 4) return null;
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let i = 0; i < stride; i += 1) {
+      const a = i >= channels ? bytes[row + i - channels] : 0;
+      const b = y > 0 ? bytes[row - stride + i] : 0;
+      const c = i >= channels && y > 0 ? bytes[row - stride + i - channels] : 0;
+      const predicted = [0, a, b, (a + b) >> 1, filter === 4 ? paeth(a, b, c) : 0][filter];
+      bytes[row + i] = (raw[source + i] + predicted) & 0xff;
+    }
+  }
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let p = 0; p < width * height; p += 1) {
+    const at = p * channels;
+    if (colorType === 3) palette.copy(rgb, p * 3, bytes[at] * 3, bytes[at] * 3 + 3);
+    else if (channels <= 2) rgb.fill(bytes[at], p * 3, p * 3 + 3);
+    else bytes.copy(rgb, p * 3, at, at + 3);
+  }
+  return { width, height, rgb };
+}
+
+// The PNG scaled to width x height by picking the nearest source pixel, or
+// a plain grey PNG of that size when it cannot be decoded
+function scalePng(buffer, width, height) {
+  const source = decodePng(buffer);
+  if (!source) return encodePng(width, height, 0, Buffer.alloc(width * height, 0x80));
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    const sy = Math.min(source.height - 1, Math.floor((y + 0.5) * source.height / height));
+    for (let x = 0; x < width; x += 1) {
+      const sx = Math.min(source.width - 1, Math.floor((x + 0.5) * source.width / width));
+      source.rgb.copy(rgb, (y * width + x) * 3, (sy * source.width + sx) * 3, (sy * source.width + sx) * 3 + 3);
+    }
+  }
+  return encodePng(width, height, 2, rgb);
+}
+
+// The bytes served for one rendition. Like Apostrophe, images are scaled
+// down to fit the size, keeping their aspect ratio, and never scaled up
+function rendition(buffer, extension, original, size) {
+  if (!original.width || !original.height) return buffer;
+  const scale = Math.min(1, size.width / original.width, size.height / original.height);
+  if (scale === 1 || extension !== 'png') return buffer;
+  return scalePng(
+    buffer,
+    Math.max(1, Math.round(original.width * scale)),
+    Math.max(1, Math.round(original.height * scale))
+  );
+}
+
+function requireUploader(ctx) {
+  requireUser(ctx);
+  if (!can(ctx.user, 'upload-attachment', {})) {
+    throw unauthorized(`The ${ctx.user.role || 'guest'} role may not upload attachments`);
+  }
+}
+
+function registerAttachments(router, app) {
+  const { attachments, uploads } = app;
+
+  router.post('/@apostrophecms/attachment/upload', (ctx) => {
+    requireUploader(ctx);
+    const file = ctx.files.file;
+    if (!file) throw invalid('A file must be provided in the "file" field');
+
+    const parsed = path.parse(file.name || '');
+    const raw = parsed.ext.replace(/^\./, '').toLowerCase();
+    let extension = EXTENSION_ALIASES[raw] || raw;
+    const group = Object.keys(FILE_GROUPS).find(name => FILE_GROUPS[name].includes(extension));
+    if (!group) {
+      throw invalid(`File type was not accepted: .${raw || '(none)'}`, { extension: raw });
+    }
+    if (!file.buffer.length) throw invalid('The file is empty');
+    if (file.buffer.length > app.maxUploadBytes) {
+      throw new HttpError(413, 'invalid', `The file is ${file.buffer.length} bytes, over the ${app.maxUploadBytes}-byte upload limit`, { limit: app.maxUploadBytes });
+    }
+    if (RASTER_EXTENSIONS.includes(extension) && !imageSize(file.buffer, extension)) {
+      extension = RASTER_EXTENSIONS.find(candidate => imageSize(file.buffer, candidate)) || extension;
+    }
+
+    const _id = createId();
+    const name = slugify(parsed.name) || 'file';
+    const base = `/uploads/attachments/${_id}-${name}`;
+    const attachment = {
+      _id,
+      name,
+      title: parsed.name,
+      extension,
+      type: 'attachment',
+      group,
+      length: file.buffer.length,
+      md5: crypto.createHash('md5').update(file.buffer).digest('hex'),
+      createdAt: new Date().toISOString(),
+      crops: [],
+      used: false,
+      docIds: [],
+      archivedDocIds: []
+    };
+
+    if (group === 'images') {
+      const size = imageSize(file.buffer, extension);
+      if (!size) throw invalid(`The file is not a valid ${extension} image`);
+      Object.assign(attachment, size);
+      attachment._urls = { original: `${app.siteUrl}${base}.${extension}` };
+      IMAGE_SIZES.forEach(({ name: sizeName }) => {
+        attachment._urls[sizeName] = `${app.siteUrl}${base}.${sizeName}.${extension}`;
+      });
+      IMAGE_SIZES.forEach((box) => {
+        const buffer = rendition(file.buffer, extension, size, box);
+        uploads.set(`${base}.${box.name}.${extension}`, { buffer, extension });
+      });
+    }
+    attachment._url = `${app.siteUrl}${base}.${extension}`;
+    uploads.set(`${base}.${extension}`, { buffer: file.buffer, extension });
+    attachments.set(_id, attachment);
+    return attachment;
+  });
+
+  router.post('/@apostrophecms/attachment/crop', (ctx) => {
+    requireUploader(ctx);
+    const { _id, crop } = ctx.body;
+    if (!_id || !crop || typeof crop !== 'object') throw invalid('_id and crop are required');
+    const attachment = attachments.get(_id);
+    if (!attachment) throw notFound(`Attachment not found: ${_id}`);
+    if (attachment.group !== 'images' || !attachment.width) throw invalid('Only images can be cropped');
+
+    const { top, left, width, height } = crop;
+    const integers = [top, left, width, height].every(Number.isInteger);
+    if (!integers || top < 0 || left < 0 || width < 1 || height < 1) {
+      throw invalid('Crop top and left must be integers >= 0, width and height integers >= 1');
+    }
+    if (left + width > attachment.width || top + height > attachment.height) {
+      throw invalid(`Crop exceeds the image bounds (${attachment.width}x${attachment.height})`);
+    }
+    attachment.crops.push({ top, left, width, height });
+    return true;
+  });
+}
+
+// Serve a stored upload; returns false when the path is not an upload
+function serveUpload(app, pathname, res) {
+  const upload = app.uploads.get(pathname);
+  if (!upload) return false;
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[upload.extension] || 'application/octet-stream',
+    'Content-Length': upload.buffer.length
+  });
+  res.end(upload.buffer);
+  return true;
+}
+
+module.exports = {
+  registerAttachments,
+  serveUpload,
+  imageSize,
+  FILE_GROUPS,
+  IMAGE_SIZES
+};
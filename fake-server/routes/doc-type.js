@@ -0,0 +1,379 @@
+// REST routes shared by every document type (pieces, global, users, pages)
+// Mirrors the Apostrophe REST API: list, insert, get, PUT/PATCH, DELETE,
+// per-document workflow routes and the batch routes that return a job
+const { invalid, notFound, unauthorized, forbidden } = require('../router');
+const { can } = require('../permissions');
+const { MODES } = require('../store');
+
+const PROTECTED_ON_SAVE = ['password'];
+const VISIBILITIES = ['public', 'loginRequired', 'private'];
+
+// Anonymous callers may read published content of public types only;
+// logged-in callers need a role that may view the type in this mode
+function requireRead(ctx, { publicRead = true, type } = {}) {
+  if (ctx.user) {
+    requirePermission(ctx, 'view', { type, mode: ctx.mode });
+    return;
+  }
+  if (!publicRead || ctx.mode !== 'published') {
+    throw unauthorized('You must be logged in to access this content');
+  }
+}
+
+function requireUser(ctx) {
+  if (!ctx.user) throw unauthorized('You must be logged in to make changes');
+}
+
+// 401 when not logged in, 403 when the caller's role does not allow the
+// action; the mode defaults to the version of `doc`, then the request's
+function requirePermission(ctx, action, { type, mode, doc } = {}) {
+  requireUser(ctx);
+  const acting = { type: type || doc?.type, mode: mode || doc?.aposMode || ctx.mode, doc };
+  if (!can(ctx.user, action, acting)) {
+    throw forbidden(`The ${ctx.user.role || 'guest'} role may not ${action} ${acting.type || 'this'}${acting.type ? ` (${acting.mode})` : ''}`);
+  }
+}
+
+function toInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+function paginate(docs, query, defaultPerPage = 10) {
+  const perPage = toInt(query.perPage, defaultPerPage);
+  const pages = Math.max(1, Math.ceil(docs.length / perPage));
+  const currentPage = toInt(query.page, 1);
+  return {
+    results: docs.slice((currentPage - 1) * perPage, currentPage * perPage),
+    pages,
+    currentPage
+  };
+}
+
+// `archived` query: true/1 for archived only, `any` for both, otherwise live docs
+function archivedFilter(value) {
+  if (value === 'any') return null;
+  return value === 'true' || value === '1';
+}
+
+function matchesSearch(doc, search) {
+  if (!search) return true;
+  const needle = String(search).toLowerCase();
+  return ['title', 'slug', 'username', 'email']
+    .some(field => typeof doc[field] === 'string' && doc[field].toLowerCase().includes(needle));
+}
+
+// Refuse values the spec's schemas do not allow for the fields every doc
+// type shares, rather than storing them and answering with a broken doc
+function checkSharedFields(fields) {
+  for (const field of ['title', 'slug']) {
+    if (fields[field] !== undefined && typeof fields[field] !== 'string') {
+      throw invalid(`${field} must be a string`, { errors: [{ path: field, name: 'invalid' }] });
+    }
+  }
+  if (fields.archived !== undefined && typeof fields.archived !== 'boolean') {
+    throw invalid('archived must be true or false', { errors: [{ path: 'archived', name: 'invalid' }] });
+  }
+  if (fields.visibility !== undefined && !VISIBILITIES.includes(fields.visibility)) {
+    throw invalid(`visibility must be one of ${VISIBILITIES.join(', ')}`, { errors: [{ path: 'visibility', name: 'invalid' }] });
+  }
+}
+
+// Fold PATCH operators into plain field values, as Apostrophe applies them:
+// $push appends to an array field, $pullAll removes values from one and
+// $pullAllById removes the items (or ids) with the given _ids
+function applyOperators(fields, existing) {
+  const { $push, $pullAll, $pullAllById, ...rest } = fields;
+  const operators = { $push, $pullAll, $pullAllById };
+  for (const [operator, changes] of Object.entries(operators)) {
+    if (changes === undefined) continue;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw invalid(`${operator} must be an object of field names`);
+    }
+    for (const [field, value] of Object.entries(changes)) {
+      const current = rest[field] ?? existing[field] ?? [];
+      if (!Array.isArray(current)) throw invalid(`${operator}: ${field} is not an array field`);
+      if (operator === '$push') {
+        rest[field] = [...current, value];
+        continue;
+      }
+      if (!Array.isArray(value)) throw invalid(`${operator}: ${field} must be given an array`);
+      rest[field] = operator === '$pullAll'
+        ? current.filter(item => !value.includes(item))
+        : current.filter(item => !value.includes(typeof item === 'string' ? item : item?._id));
+    }
+  }
+  return rest;
+}
+
+// Register the standard routes for one doc type. Hooks:
+//   beforeSave(ctx, fields, existing)  validate/normalise incoming fields
+//   present(doc, ctx)                  shape a stored doc for the response
+//   insert(ctx, fields)                replace the default insert (global singleton)
+//   archive(ctx, doc) / restore(ctx, doc)  replace the default archive behaviour
+//   restored(docs)                     shape the restore response (default: the array)
+//   beforePublish(ctx, draft)          veto publishing
+//   isType(doc)                        match stored docs (pages have many types)
+//   types                              types an update may set (default: the type)
+function registerDocType(router, app, type, hooks = {}) {
+  const { store, jobs } = app;
+  const isType = hooks.isType || (doc => doc.type === type);
+  const base = hooks.base || `/${type}`;
+  const publicRead = hooks.publicRead !== false;
+  const present = (doc, ctx) => {
+    if (!doc) return doc;
+    const shaped = { ...doc };
+    PROTECTED_ON_SAVE.forEach(field => delete shaped[field]);
+    return hooks.present ? hooks.present(shaped, ctx) : shaped;
+  };
+  const localized = store.isLocalized(type);
+
+  // Look up the version addressed by the route, honouring aposMode/aposLocale
+  function findDoc(ctx, id = ctx.params._id) {
+    const doc = store.get(id, { locale: ctx.locale, mode: ctx.mode });
+    if (!doc || !isType(doc)) throw notFound();
+    return doc;
+  }
+
+  // Batch routes address documents by aposDocId and work on the draft
+  function findForBatch(ctx, id) {
+    return findDoc({ ...ctx, mode: 'draft' }, id);
+  }
+
+  function draftOf(ctx, doc) {
+    if (!localized) return doc;
+    const draft = store.getVersion(doc.aposDocId, doc.aposLocale, 'draft');
+    if (!draft) throw notFound('No draft exists for this document');
+    return draft;
+  }
+
+  function idsFromBody(ctx) {
+    const ids = ctx.body._ids;
+    if (!Array.isArray(ids) || !ids.length) {
+      throw invalid('_ids must be a non-empty array');
+    }
+    return ids;
+  }
+
+  // Archiving and restoring change every version, so published documents
+  // also need publish rights
+  function requireArchive(ctx, doc) {
+    requirePermission(ctx, 'edit', { type, mode: 'draft', doc });
+    if (doc.lastPublishedAt) requirePermission(ctx, 'publish', { type, doc });
+  }
+
+  function archiveDoc(ctx, doc) {
+    requireArchive(ctx, doc);
+    if (hooks.archive) return hooks.archive(ctx, doc);
+    store.setOnAllVersions(doc.aposDocId, { archived: true }, doc.aposLocale);
+  }
+
+  function restoreDoc(ctx, doc) {
+    requireArchive(ctx, doc);
+    if (hooks.restore) return hooks.restore(ctx, doc);
+    store.setOnAllVersions(doc.aposDocId, { archived: false }, doc.aposLocale);
+  }
+
+  router.get(base, (ctx) => {
+    requireRead(ctx, { publicRead, type });
+    const docs = store
+      .find(type, { locale: ctx.locale, mode: ctx.mode, archived: archivedFilter(ctx.query.archived) })
+      .filter(doc => matchesSearch(doc, ctx.query.search))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    const page = paginate(docs, ctx.query, hooks.perPage);
+    return { ...page, results: page.results.map(doc => present(doc, ctx)) };
+  });
+
+  router.post(base, (ctx) => {
+    // Inserting in published mode publishes straight away
+    requirePermission(ctx, 'edit', { type, mode: ctx.mode });
+    checkSharedFields(ctx.body);
+    const fields = hooks.beforeSave ? hooks.beforeSave(ctx, { ...ctx.body }, null) : { ...ctx.body };
+    if (hooks.insert) return present(hooks.insert(ctx, fields), ctx);
+    if (hooks.requireTitle !== false && (typeof fields.title !== 'string' || !fields.title.trim())) {
+      throw invalid('title is required', { errors: [{ path: 'title', name: 'required' }] });
+    }
+    const doc = store.insert(type, fields, { locale: ctx.locale, mode: ctx.mode });
+    if (hooks.afterInsert) hooks.afterInsert(ctx, doc, ctx.body);
+    return present(store.get(doc._id), ctx);
+  });
+
+  router.get(`${base}/:_id`, (ctx) => {
+    requireRead(ctx, { publicRead, type });
+    return present(findDoc(ctx), ctx);
+  });
+
+  // The type, mode and locale of a doc are not changed by an update, but
+  // values that could never be right are refused rather than ignored
+  function checkUpdate(body, existing) {
+    const types = hooks.types || [type];
+    if (body.type !== undefined && body.type !== existing.type && !types.includes(body.type)) {
+      throw invalid(`Not a ${type} type: ${body.type}`, { errors: [{ path: 'type', name: 'invalid' }] });
+    }
+    if (body.aposMode !== undefined && !MODES.includes(body.aposMode)) {
+      throw invalid(`Invalid aposMode: ${body.aposMode}`, { errors: [{ path: 'aposMode', name: 'invalid' }] });
+    }
+    if (body.aposLocale !== undefined && !app.locales.includes(body.aposLocale)) {
+      throw invalid(`Invalid aposLocale: ${body.aposLocale}`, { errors: [{ path: 'aposLocale', name: 'invalid' }] });
+    }
+  }
+
+  const update = replace => (ctx) => {
+    requireUser(ctx);
+    const existing = findDoc(ctx);
+    requirePermission(ctx, 'edit', { type, doc: existing });
+    checkUpdate(ctx.body, existing);
+    const body = replace ? { ...ctx.body } : applyOperators(ctx.body, existing);
+    checkSharedFields(body);
+    const fields = hooks.beforeSave ? hooks.beforeSave(ctx, body, existing) : body;
+    const updated = store.update(existing._id, fields, {}, { replace });
+    if (hooks.afterUpdate) hooks.afterUpdate(ctx, updated, ctx.body);
+    return present(store.get(updated._id), ctx);
+  };
+  router.put(`${base}/:_id`, update(true));
+  router.patch(`${base}/:_id`, update(false));
+
+  router.delete(`${base}/:_id`, (ctx) => {
+    requireUser(ctx);
+    const doc = findDoc(ctx);
+    requirePermission(ctx, 'delete', { type, doc });
+    if (hooks.beforeDelete) hooks.beforeDelete(ctx, doc);
+    return present(store.remove(doc), ctx);
+  });
+
+  if (!localized) {
+    return { findDoc, present };
+  }
+
+  router.post(`${base}/:_id/publish`, (ctx) => {
+    requireUser(ctx);
+    const draft = draftOf(ctx, findDoc(ctx));
+    requirePermission(ctx, 'publish', { type, doc: draft });
+    if (draft.archived) throw invalid('Archived documents cannot be published');
+    if (hooks.beforePublish) hooks.beforePublish(ctx, draft);
+    return present(store.publish(draft.aposDocId, draft.aposLocale), ctx);
+  });
+
+  router.post(`${base}/:_id/unpublish`, (ctx) => {
+    requireUser(ctx);
+    const doc = findDoc(ctx);
+    requirePermission(ctx, 'publish', { type, doc });
+    const draft = store.unpublish(doc.aposDocId, doc.aposLocale);
+    if (!draft) throw notFound('This document is not published');
+    return present(draft, ctx);
+  });
+
+  router.post(`${base}/:_id/revert-draft-to-published`, (ctx) => {
+    requireUser(ctx);
+    const doc = findDoc(ctx);
+    requirePermission(ctx, 'edit', { type, mode: 'draft', doc });
+    const draft = store.revertDraftToPublished(doc.aposDocId, doc.aposLocale);
+    if (!draft) throw notFound('This document has never been published');
+    return present(draft, ctx);
+  });
+
+  router.post(`${base}/:_id/revert-published-to-previous`, (ctx) => {
+    requireUser(ctx);
+    const doc = findDoc(ctx);
+    requirePermission(ctx, 'publish', { type, doc });
+    const published = store.revertPublishedToPrevious(doc.aposDocId, doc.aposLocale);
+    if (!published) throw notFound('There is no previous published version');
+    return present(published, ctx);
+  });
+
+  router.post(`${base}/:_id/submit`, (ctx) => {
+    requireUser(ctx);
+    const draft = draftOf(ctx, findDoc(ctx));
+    requirePermission(ctx, 'edit', { type, doc: draft });
+    draft.submitted = { by: ctx.user.title, byId: ctx.user._id, at: new Date().toISOString() };
+    return present(store.get(draft._id), ctx);
+  });
+
+  router.post(`${base}/:_id/dismiss-submission`, (ctx) => {
+    requireUser(ctx);
+    const draft = draftOf(ctx, findDoc(ctx));
+    requirePermission(ctx, 'publish', { type, doc: draft });
+    delete draft.submitted;
+    return present(store.get(draft._id), ctx);
+  });
+
+  router.post(`${base}/:_id/localize`, (ctx) => {
+    requireUser(ctx);
+    const doc = findDoc(ctx);
+    requirePermission(ctx, 'edit', { type, mode: 'draft', doc });
+    const { toLocale } = ctx.body;
+    if (!app.locales.includes(toLocale)) throw invalid(`Unknown locale: ${toLocale}`);
+    const localizedDoc = store.localize(doc.aposDocId, doc.aposLocale, toLocale);
+    if (!localizedDoc) throw notFound('No draft exists for this document');
+    return present(localizedDoc, ctx);
+  });
+
+  router.get(`${base}/:_id/locales`, (ctx) => {
+    requireUser(ctx);
+    const doc = findDoc(ctx);
+    requirePermission(ctx, 'view', { type, mode: 'draft', doc });
+    if (hooks.locales) return hooks.locales(ctx, doc);
+    return store.localesOf(doc.aposDocId);
+  });
+
+  router.get(`${base}/:_id/locale/:toLocale`, (ctx) => {
+    requireRead(ctx, { publicRead, type });
+    const doc = findDoc(ctx);
+    const version = store.getVersion(doc.aposDocId, ctx.params.toLocale, doc.aposMode);
+    if (!version) throw notFound(`No ${ctx.params.toLocale} version of this document`);
+    return present(version, ctx);
+  });
+
+  router.post(`${base}/archive`, (ctx) => {
+    requirePermission(ctx, 'edit', { type, mode: 'draft' });
+    const ids = idsFromBody(ctx);
+    const jobId = jobs.start(ids, id => archiveDoc(ctx, findForBatch(ctx, id)));
+    return { jobId };
+  });
+
+  router.post(`${base}/restore`, (ctx) => {
+    requirePermission(ctx, 'edit', { type, mode: 'draft' });
+    const ids = idsFromBody(ctx);
+    const restored = ids.map(id => {
+      const doc = findForBatch(ctx, id);
+      restoreDoc(ctx, doc);
+      return present(store.get(doc._id), ctx);
+    });
+    return hooks.restored ? hooks.restored(restored) : restored;
+  });
+
+  router.post(`${base}/publish`, (ctx) => {
+    requirePermission(ctx, 'publish', { type });
+    const ids = idsFromBody(ctx);
+    const jobId = jobs.start(ids, (id) => {
+      const draft = findForBatch(ctx, id);
+      if (hooks.beforePublish) hooks.beforePublish(ctx, draft);
+      store.publish(draft.aposDocId, draft.aposLocale);
+    });
+    return { jobId };
+  });
+
+  router.post(`${base}/localize`, (ctx) => {
+    requirePermission(ctx, 'edit', { type, mode: 'draft' });
+    const ids = idsFromBody(ctx);
+    const toLocales = [].concat(ctx.body.toLocales || ctx.body.toLocale || []);
+    const unknown = toLocales.filter(locale => !app.locales.includes(locale));
+    if (!toLocales.length || unknown.length) throw invalid(`Unknown or missing locales: ${unknown.join(', ')}`);
+    const jobId = jobs.start(ids, (id) => {
+      const doc = findForBatch(ctx, id);
+      toLocales.forEach(toLocale => store.localize(doc.aposDocId, doc.aposLocale, toLocale));
+    });
+    return { jobId };
+  });
+
+  return { findDoc, findForBatch, draftOf, present };
+}
+
+module.exports = {
+  registerDocType,
+  requireRead,
+  requireUser,
+  requirePermission,
+  paginate,
+  matchesSearch
+};
@@ -0,0 +1,23 @@
+// @apostrophecms/i18n and @apostrophecms/job routes
+const { notFound } = require('../router');
+const { requireUser } = require('./doc-type');
+
+function registerI18n(router, app) {
+  router.get('/@apostrophecms/i18n/locales', () => Object.fromEntries(
+    app.locales.map(locale => [locale, { label: app.localeLabels[locale] || locale, _edit: true }])
+  ));
+}
+
+function registerJobs(router, app) {
+  router.get('/@apostrophecms/job/:id', (ctx) => {
+    requireUser(ctx);
+    const job = app.jobs.get(ctx.params.id);
+    if (!job) throw notFound(`Job not found: ${ctx.params.id}`);
+    return job;
+  });
+}
+
+module.exports = {
+  registerI18n,
+  registerJobs
+};
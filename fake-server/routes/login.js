@@ -0,0 +1,55 @@
+// @apostrophecms/login routes: login, logout, whoami, context, reset-request
+const { forbidden, invalid, unauthorized } = require('../router');
+
+function whoami(user) {
+  const { _id, username, title, email, role } = user;
+  return { _id, username, title, email, role };
+}
+
+function registerLogin(router, app) {
+  const { auth } = app;
+  const base = '/@apostrophecms/login';
+
+  router.post(`${base}/login`, (ctx) => {
+    const { token, sid } = auth.login(ctx.body || {});
+    if (sid) {
+      ctx.setHeader('Set-Cookie', auth.sessionCookie(sid));
+      return {};
+    }
+    return { token };
+  });
+
+  router.post(`${base}/logout`, (ctx) => {
+    if (!ctx.user) throw forbidden('You are not logged in');
+    auth.logout(ctx.caller);
+    if (ctx.caller.sid) ctx.setHeader('Set-Cookie', auth.clearedSessionCookie());
+    return {};
+  });
+
+  const whoamiRoute = (ctx) => {
+    if (!ctx.user) throw unauthorized('You are not logged in');
+    return whoami(ctx.user);
+  };
+  router.get(`${base}/whoami`, whoamiRoute);
+  router.post(`${base}/whoami`, whoamiRoute);
+
+  const contextRoute = () => ({
+    localLogin: true,
+    passwordReset: auth.passwordReset,
+    totp: false,
+    requirementProps: {}
+  });
+  router.get(`${base}/context`, contextRoute);
+  router.post(`${base}/context`, contextRoute);
+
+  // Always succeeds when enabled, so it cannot be used to probe for accounts
+  router.post(`${base}/reset-request`, (ctx) => {
+    if (!auth.passwordReset) throw forbidden('Password reset is not enabled');
+    if (!ctx.body.email) throw invalid('email is required');
+    return {};
+  });
+}
+
+module.exports = {
+  registerLogin
+};
@@ -0,0 +1,319 @@
+// Page tree routes. Pages are ordinary docs plus tree fields: `path` is the
+// chain of aposDocIds from the home page, `level` is the depth (home is 0)
+// and `rank` orders siblings. The draft is the source of truth for the tree;
+// every move is copied to the other versions in the same locale
+const { registerDocType, requireRead } = require('./doc-type');
+const { invalid, notFound } = require('../router');
+const { slugify } = require('../store');
+
+const PAGE_TYPE = '@apostrophecms/page';
+const HOME_TYPE = '@apostrophecms/home-page';
+const ARCHIVE_TYPE = '@apostrophecms/archive-page';
+const MAX_TITLE_LENGTH = 100;
+const POSITIONS = ['before', 'after', 'firstChild', 'lastChild'];
+
+function parentPath(path) {
+  return path.split('/').slice(0, -1).join('/');
+}
+
+function isWithin(path, ancestorPath) {
+  return path === ancestorPath || path.startsWith(`${ancestorPath}/`);
+}
+
+function joinSlug(parentSlug, segment) {
+  return parentSlug === '/' ? `/${segment}` : `${parentSlug}/${segment}`;
+}
+
+// Move a slug that sits under one prefix to sit under another
+function rebaseSlug(slug, fromPrefix, toPrefix) {
+  const prefix = fromPrefix === '/' ? '/' : `${fromPrefix}/`;
+  return slug.startsWith(prefix) ? joinSlug(toPrefix, slug.slice(prefix.length)) : slug;
+}
+
+function registerPages(router, app) {
+  const { store } = app;
+  const isPage = doc => doc && typeof doc.slug === 'string' && doc.slug.startsWith('/') && doc.path !== undefined;
+
+  function pagesIn(locale, mode) {
+    return store.find(null, { locale, mode, archived: null, filter: isPage });
+  }
+
+  function home(locale, mode = 'draft') {
+    return pagesIn(locale, mode).find(doc => doc.level === 0) || null;
+  }
+
+  function archivePage(locale, mode = 'draft') {
+    return pagesIn(locale, mode).find(doc => doc.type === ARCHIVE_TYPE) || null;
+  }
+
+  function childrenOf(parent, locale, mode) {
+    return pagesIn(locale, mode)
+      .filter(doc => parentPath(doc.path) === parent.path)
+      .sort((a, b) => a.rank - b.rank);
+  }
+
+  function parentOf(page, locale, mode) {
+    const path = parentPath(page.path);
+    return pagesIn(locale, mode).find(doc => doc.path === path) || null;
+  }
+
+  // Resolve _targetId, which may be _home, _archive or any page id form
+  function resolveTarget(targetId, locale) {
+    if (!targetId || targetId === '_home') return home(locale);
+    if (targetId === '_archive') return archivePage(locale);
+    const target = store.get(targetId, { locale, mode: 'draft' });
+    if (!target || !isPage(target)) return null;
+    return store.getVersion(target.aposDocId, locale, 'draft') || target;
+  }
+
+  // Copy tree fields from a draft to every version in the locale
+  function syncTree(draft) {
+    store.setOnAllVersions(draft.aposDocId, {
+      path: draft.path,
+      level: draft.level,
+      rank: draft.rank,
+      slug: draft.slug,
+      archived: draft.archived
+    }, draft.aposLocale);
+  }
+
+  function renumber(parent, locale) {
+    childrenOf(parent, locale, 'draft').forEach((child, rank) => {
+      if (child.rank !== rank) {
+        child.rank = rank;
+        syncTree(child);
+      }
+    });
+  }
+
+  // Place a draft page relative to a target, moving its descendants with it
+  function move(page, targetId, position = 'lastChild') {
+    const locale = page.aposLocale;
+    const target = resolveTarget(targetId, locale);
+    if (!target) throw notFound(`Target page not found: ${targetId}`);
+    if (page.level === 0 || page.type === ARCHIVE_TYPE) throw invalid('The home and archive pages cannot be moved');
+
+    const numeric = typeof position === 'number' || /^\d+$/.test(String(position));
+    if (!numeric && !POSITIONS.includes(position)) {
+      throw invalid(`Invalid _position: ${position}. Use before, after, firstChild, lastChild or a number`);
+    }
+    const sibling = position === 'before' || position === 'after';
+    if (sibling && target.level === 0) throw invalid('Pages cannot be placed beside the home page');
+    const parent = sibling ? parentOf(target, locale, 'draft') : target;
+    if (page.path && isWithin(parent.path, page.path)) {
+      throw invalid('A page cannot be moved inside itself or one of its descendants');
+    }
+
+    const oldParent = page.path ? parentOf(page, locale, 'draft') : null;
+    const siblings = childrenOf(parent, locale, 'draft').filter(doc => doc.aposDocId !== page.aposDocId);
+    let index;
+    if (position === 'firstChild') index = 0;
+    else if (position === 'lastChild') index = siblings.length;
+    else if (sibling) {
+      index = siblings.findIndex(doc => doc.aposDocId === target.aposDocId) + (position === 'after' ? 1 : 0);
+    } else index = Math.min(parseInt(position, 10), siblings.length);
+
+    // Rewrite path, level, archived flag and slug prefix for the whole subtree;
+    // slugs are left alone when the move goes into the archive
+    const oldPath = page.path;
+    const oldSlug = page.slug;
+    const newPath = `${parent.path}/${page.aposDocId}`;
+    const archived = parent.type === ARCHIVE_TYPE || Boolean(parent.archived);
+    const subtree = oldPath
+      ? pagesIn(locale, 'draft').filter(doc => isWithin(doc.path, oldPath)).sort((a, b) => a.level - b.level)
+      : [page];
+    for (const doc of subtree) {
+      doc.path = oldPath ? newPath + doc.path.slice(oldPath.length) : newPath;
+      doc.level = doc.path.split('/').length - 1;
+      doc.archived = archived;
+      if (oldParent && !archived) {
+        const slug = doc === page
+          ? rebaseSlug(doc.slug, oldParent.slug, parent.slug)
+          : rebaseSlug(doc.slug, oldSlug, page.slug);
+        if (slug !== doc.slug) {
+          doc.slug = store.uniqueSlug(slug, { type: PAGE_TYPE, locale, mode: 'draft', aposDocId: doc.aposDocId });
+        }
+      }
+      syncTree(doc);
+    }
+
+    siblings.splice(index, 0, page);
+    siblings.forEach((doc, rank) => {
+      doc.rank = rank;
+      syncTree(doc);
+    });
+    if (oldParent && oldParent.path !== parent.path) renumber(oldParent, locale);
+  }
+
+  // Shape a page for responses: _url, plus the ids of its _ancestors and its
+  // direct _children, as the spec's Page schema has them
+  function present(page, ctx, { relatives = true } = {}) {
+    const shaped = { ...page, _url: `${app.siteUrl}${page.slug}` };
+    if (!relatives || page.path === undefined) return shaped;
+    const locale = page.aposLocale;
+    const mode = page.aposMode;
+    const ancestors = [];
+    for (let parent = parentOf(page, locale, mode); parent; parent = parentOf(parent, locale, mode)) {
+      ancestors.unshift(parent._id);
+    }
+    shaped._ancestors = ancestors;
+    shaped._children = childrenOf(page, locale, mode)
+      .filter(child => ctx.query.all || !child.archived)
+      .map(child => ({ ...child, _url: `${app.siteUrl}${child.slug}` }));
+    return shaped;
+  }
+
+  function tree(page, ctx, includeArchived) {
+    const children = childrenOf(page, ctx.locale, ctx.mode)
+      .filter(child => includeArchived || (!child.archived && child.type !== ARCHIVE_TYPE))
+      .map(child => tree(child, ctx, includeArchived));
+    return { ...page, _url: `${app.siteUrl}${page.slug}`, _children: children };
+  }
+
+  const truthy = value => value === true || value === '1' || value === 'true';
+
+  // Registered before the generic doc routes so it replaces their list route
+  router.get(`/${PAGE_TYPE}`, (ctx) => {
+    requireRead(ctx, { type: PAGE_TYPE });
+    const includeArchived = truthy(ctx.query.all);
+    const root = home(ctx.locale, ctx.mode);
+    if (!root) throw notFound('The home page has not been published');
+
+    if (truthy(ctx.query.flat)) {
+      const results = pagesIn(ctx.locale, ctx.mode)
+        .filter(doc => includeArchived || (!doc.archived && doc.type !== ARCHIVE_TYPE))
+        .sort((a, b) => a.level - b.level || a.path.localeCompare(b.path) || a.rank - b.rank)
+        .map(doc => ({
+          ...doc,
+          _url: `${app.siteUrl}${doc.slug}`,
+          _children: childrenOf(doc, ctx.locale, ctx.mode)
+            .filter(child => includeArchived || (!child.archived && child.type !== ARCHIVE_TYPE))
+            .map(child => child._id)
+        }));
+      return { results };
+    }
+
+    if (ctx.query.children === 'false' || ctx.query.children === '0') {
+      return present(root, ctx, { relatives: false });
+    }
+    return tree(root, ctx, includeArchived);
+  });
+
+  const pages = registerDocType(router, app, PAGE_TYPE, {
+    isType: isPage,
+    types: [HOME_TYPE, ARCHIVE_TYPE, ...app.pageTypes],
+    present: (doc, ctx) => present(doc, ctx),
+    // Tree fields only change through _targetId/_position moves. Titles are
+    // limited as in the spec, and slugs are slugified so _url is a valid URL
+    beforeSave: (ctx, fields) => {
+      const { path, level, rank, archived, ...rest } = fields;
+      if (typeof rest.title === 'string' && rest.title.length > MAX_TITLE_LENGTH) {
+        throw invalid(`title must be at most ${MAX_TITLE_LENGTH} characters`, { errors: [{ path: 'title', name: 'invalid' }] });
+      }
+      if (typeof rest.slug === 'string') {
+        const segments = rest.slug.split('/').map(slugify).filter(Boolean);
+        if (!segments.length) throw invalid('slug must contain letters or digits', { errors: [{ path: 'slug', name: 'invalid' }] });
+        rest.slug = `/${segments.join('/')}`;
+      }
+      return rest;
+    },
+    beforePublish: (ctx, draft) => {
+      if (!isPublishedParentOf(draft)) throw invalid('The parent page must be published first');
+    },
+    insert: (ctx, fields) => {
+      if (typeof fields.title !== 'string' || !fields.title.trim()) {
+        throw invalid('title is required', { errors: [{ path: 'title', name: 'required' }] });
+      }
+      if (fields.type !== undefined && !app.pageTypes.includes(fields.type)) {
+        throw invalid(`Not a page type: ${fields.type}`, { errors: [{ path: 'type', name: 'invalid' }] });
+      }
+      const target = resolveTarget(ctx.body._targetId, ctx.locale);
+      // The spec documents no 404 for page creation, so a missing target is a bad request
+      if (!target) throw invalid(`Target page not found: ${ctx.body._targetId}`);
+      const position = ctx.body._position ?? 'lastChild';
+      const parent = ['before', 'after'].includes(position) ? parentOf(target, ctx.locale, 'draft') : target;
+      const segment = fields.slug ? String(fields.slug).replace(/^\/+/, '') : slugify(fields.title);
+      const slug = fields.slug ? `/${segment}` : joinSlug(parent ? parent.slug : '/', segment);
+
+      // Insert as a draft first so the tree fields exist before publishing
+      const draft = store.insert(PAGE_TYPE, { type: 'default-page', ...fields, slug }, { locale: ctx.locale, mode: 'draft' });
+      const stored = store.getVersion(draft.aposDocId, ctx.locale, 'draft');
+      stored.type = fields.type || 'default-page';
+      try {
+        move(stored, target._id, position);
+      } catch (error) {
+        store.remove(stored);
+        throw error;
+      }
+      if (ctx.mode === 'published') {
+        if (!isPublishedParentOf(stored)) {
+          store.remove(stored);
+          throw invalid('The parent page must be published first');
+        }
+        return store.publish(stored.aposDocId, ctx.locale);
+      }
+      return store.get(stored._id);
+    },
+    afterUpdate: (ctx, doc, body) => {
+      if (body._targetId === undefined && body._position === undefined) return;
+      const draft = store.getVersion(doc.aposDocId, doc.aposLocale, 'draft');
+      move(draft, body._targetId ?? parentOf(draft, draft.aposLocale, 'draft')._id, body._position ?? 'lastChild');
+    },
+    beforeDelete: (ctx, doc) => {
+      if (doc.level === 0 || doc.type === ARCHIVE_TYPE) throw invalid('The home and archive pages cannot be deleted');
+      if (doc.aposMode === 'draft' && childrenOf(doc, doc.aposLocale, 'draft').length) {
+        throw invalid('This page has children. Delete or move them first.');
+      }
+    },
+    archive: (ctx, doc) => {
+      const draft = store.getVersion(doc.aposDocId, doc.aposLocale, 'draft');
+      if (!draft.archived) move(draft, '_archive', 'lastChild');
+    },
+    restore: (ctx, doc) => {
+      const draft = store.getVersion(doc.aposDocId, doc.aposLocale, 'draft');
+      if (draft.archived) move(draft, '_home', 'lastChild');
+    },
+    locales: (ctx, doc) => ({
+      results: store.versions(doc.aposDocId).map(({ _id, aposLocale, aposMode }) => ({ _id, aposLocale, aposMode }))
+    })
+  });
+
+  // A page can only be published once its parent is
+  function isPublishedParentOf(draft) {
+    const parent = parentOf(draft, draft.aposLocale, 'draft');
+    return !parent || Boolean(store.getVersion(parent.aposDocId, draft.aposLocale, 'published'));
+  }
+
+  return { ...pages, move, home, archivePage, isPublishedParentOf };
+}
+
+// Seed the home and archive pages in the first locale, draft and published,
+// then localize them into the others; as in Apostrophe, each page keeps one
+// aposDocId across locales
+function seedPages(app) {
+  const { store } = app;
+  const [first, ...others] = store.locales;
+  const homeDraft = store.insert(PAGE_TYPE, { title: 'Home', type: HOME_TYPE, slug: '/' }, { locale: first, mode: 'draft' });
+  const home = store.getVersion(homeDraft.aposDocId, first, 'draft');
+  Object.assign(home, { type: HOME_TYPE, path: home.aposDocId, level: 0, rank: 0 });
+
+  const archiveDraft = store.insert(PAGE_TYPE, { title: 'Archive', type: ARCHIVE_TYPE, slug: '/archive' }, { locale: first, mode: 'draft' });
+  const archive = store.getVersion(archiveDraft.aposDocId, first, 'draft');
+  Object.assign(archive, { type: ARCHIVE_TYPE, path: `${home.path}/${archive.aposDocId}`, level: 1, rank: 0, archived: false });
+
+  for (const { aposDocId } of [home, archive]) {
+    store.publish(aposDocId, first);
+    for (const locale of others) {
+      store.localize(aposDocId, first, locale);
+      store.publish(aposDocId, locale);
+    }
+  }
+}
+
+module.exports = {
+  registerPages,
+  seedPages,
+  PAGE_TYPE,
+  HOME_TYPE,
+  ARCHIVE_TYPE
+};
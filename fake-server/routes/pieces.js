@@ -0,0 +1,172 @@
+// Piece types: images, files, image and file tags, the global doc and users
+const { registerDocType, requireRead, requirePermission } = require('./doc-type');
+const { invalid, notFound } = require('../router');
+const { USER_TYPE } = require('../auth');
+const { ROLES } = require('../permissions');
+const { imageSize } = require('./attachments');
+
+// Replace an { _id } attachment reference with the full stored attachment
+function resolveAttachment(app, fields, group) {
+  if (fields.attachment === undefined || fields.attachment === null) return fields;
+  const id = typeof fields.attachment === 'string' ? fields.attachment : fields.attachment._id;
+  const attachment = app.attachments.get(id);
+  if (!attachment) {
+    throw invalid(`Attachment not found: ${id}`, { errors: [{ path: 'attachment', name: 'invalid' }] });
+  }
+  if (group && attachment.group !== group) {
+    throw invalid(`Attachment must be in the ${group} group`, { errors: [{ path: 'attachment', name: 'invalid' }] });
+  }
+  return { ...fields, attachment };
+}
+
+function registerMedia(router, app) {
+  const { store } = app;
+  const image = registerDocType(router, app, '@apostrophecms/image', {
+    // The attachment field of an image is required
+    beforeSave: (ctx, fields, existing) => {
+      if (fields.attachment === null || (!existing && fields.attachment === undefined)) {
+        throw invalid('attachment is required', { errors: [{ path: 'attachment', name: 'required' }] });
+      }
+      return resolveAttachment(app, fields, 'images');
+    }
+  });
+  registerDocType(router, app, '@apostrophecms/file', {
+    beforeSave: (ctx, fields) => resolveAttachment(app, fields)
+  });
+  registerDocType(router, app, '@apostrophecms/image-tag');
+  registerDocType(router, app, '@apostrophecms/file-tag');
+
+  // Describes the rendition of the requested size with the JSON body the
+  // spec documents, rather than redirecting to it as Apostrophe does
+  router.get('/@apostrophecms/image/:imageId/src', (ctx) => {
+    requireRead(ctx, { type: '@apostrophecms/image' });
+    const doc = store.get(ctx.params.imageId, { locale: ctx.locale, mode: ctx.mode }) ||
+      store.get(ctx.params.imageId, { locale: ctx.locale, mode: 'draft' });
+    if (!doc || doc.type !== '@apostrophecms/image' || !doc.attachment) throw notFound();
+    const size = ctx.query.size || 'full';
+    const url = doc.attachment._urls && doc.attachment._urls[size];
+    if (!url) throw notFound(`No ${size} rendition for this image`);
+    const { buffer, extension } = app.uploads.get(url.slice(app.siteUrl.length));
+    return { url, ...imageSize(buffer, extension), format: extension, size: buffer.length };
+  });
+
+  router.post('/@apostrophecms/image/autocrop', (ctx) => {
+    requirePermission(ctx, 'edit', { type: '@apostrophecms/image', mode: 'draft' });
+    const ids = ctx.body._ids;
+    if (!Array.isArray(ids) || !ids.length) throw invalid('_ids must be a non-empty array');
+    return ids.map(id => {
+      const doc = image.findForBatch(ctx, id);
+      const { width, height } = doc.attachment || {};
+      if (width && height && ctx.body.cropRatio) {
+        const [w, h] = String(ctx.body.cropRatio).split(':').map(Number);
+        if (w > 0 && h > 0) {
+          const cropWidth = Math.min(width, Math.floor(height * w / h));
+          const cropHeight = Math.min(height, Math.floor(width * h / w));
+          doc.attachment._crop = {
+            left: Math.floor((width - cropWidth) / 2),
+            top: Math.floor((height - cropHeight) / 2),
+            width: cropWidth,
+            height: cropHeight
+          };
+        }
+      }
+      return image.present(store.get(doc._id), ctx);
+    });
+  });
+
+  // Adds tags (tag doc ids or titles of existing tags) to a set of images
+  router.post('/@apostrophecms/image/tag', (ctx) => {
+    requirePermission(ctx, 'edit', { type: '@apostrophecms/image', mode: 'draft' });
+    const ids = ctx.body._ids;
+    if (!Array.isArray(ids) || !ids.length) throw invalid('_ids must be a non-empty array');
+    const requested = [].concat(ctx.body.tagIds || [], ctx.body.tags || []);
+    const tags = requested.map(value => {
+      const tag = store.get(value, { locale: ctx.locale, mode: 'draft' }) ||
+        store.find('@apostrophecms/image-tag', { locale: ctx.locale, mode: 'draft' })
+          .find(doc => doc.title === value || doc.slug === value);
+      if (!tag || tag.type !== '@apostrophecms/image-tag') throw invalid(`Unknown image tag: ${value}`);
+      return tag.aposDocId;
+    });
+    return ids.map(id => {
+      const doc = image.findForBatch(ctx, id);
+      doc.tagsIds = [...new Set([...(doc.tagsIds || []), ...tags])];
+      return image.present(store.get(doc._id), ctx);
+    });
+  });
+}
+
+// The global doc is a singleton created at startup; POST updates it in place
+function registerGlobal(router, app) {
+  const { store } = app;
+  const type = '@apostrophecms/global';
+
+  registerDocType(router, app, type, {
+    requireTitle: false,
+    insert: (ctx, fields) => {
+      const existing = store.find(type, { locale: ctx.locale, mode: 'draft', archived: null })[0];
+      if (!existing) return store.insert(type, fields, { locale: ctx.locale, mode: ctx.mode });
+      const updated = store.update(existing._id, fields, {});
+      return ctx.mode === 'published' ? store.publish(updated.aposDocId, updated.aposLocale) : updated;
+    },
+    // The global doc cannot be archived; the job reports it as a failure
+    archive: () => {
+      throw invalid('The global document cannot be archived');
+    },
+    // Restoring answers with the global doc itself rather than a list
+    restored: docs => docs[0]
+  });
+}
+
+function registerUsers(router, app) {
+  const { store, auth } = app;
+
+  const users = registerDocType(router, app, USER_TYPE, {
+    publicRead: false,
+    beforeSave: (ctx, fields, existing) => {
+      const { password, ...rest } = fields;
+      const username = rest.username ?? existing?.username;
+      if (!existing && (typeof password !== 'string' || !password)) {
+        throw invalid('password is required', { errors: [{ path: 'password', name: 'required' }] });
+      }
+      if (typeof username !== 'string' || !username.trim()) {
+        throw invalid('username is required', { errors: [{ path: 'username', name: 'required' }] });
+      }
+      if (![undefined, null, ''].includes(rest.email) && !(typeof rest.email === 'string' && /^[^\s@]+@[^\s@]+$/.test(rest.email))) {
+        throw invalid('email is not a valid email address', { errors: [{ path: 'email', name: 'invalid' }] });
+      }
+      if (rest.role !== undefined && !ROLES.includes(rest.role)) {
+        throw invalid(`role must be one of ${ROLES.join(', ')}`, { errors: [{ path: 'role', name: 'invalid' }] });
+      }
+      const clash = store.find(USER_TYPE, { archived: null }).find(doc =>
+        doc._id !== existing?._id && (doc.username === username || (rest.email && doc.email === rest.email))
+      );
+      if (clash) {
+        throw invalid('That username or email address is already in use', { errors: [{ path: 'username', name: 'unique' }] });
+      }
+      return { role: existing?.role || 'guest', ...rest, title: rest.title || existing?.title || username };
+    },
+    afterInsert: (ctx, doc, body) => auth.setPassword(doc._id, body.password),
+    afterUpdate: (ctx, doc, body) => {
+      if (body.password) auth.setPassword(doc._id, body.password);
+    },
+    beforeDelete: (ctx, doc) => auth.forgetUser(doc._id)
+  });
+
+  // Not in the published spec, but the SDK and the users suite call it
+  router.post('/@apostrophecms/user/unique-username', (ctx) => {
+    requirePermission(ctx, 'edit', { type: USER_TYPE });
+    const { username } = ctx.body;
+    if (typeof username !== 'string' || !username) throw invalid('username is required');
+    const taken = store.find(USER_TYPE, { archived: null }).some(doc => doc.username === username);
+    return { available: !taken };
+  });
+
+  return users;
+}
+
+module.exports = {
+  registerMedia,
+  registerGlobal,
+  registerUsers,
+  ROLES
+};
@@ -0,0 +1,284 @@
+// In-memory document store for the fake ApostropheCMS server
+// Mirrors the Apostrophe document model closely enough for the SDK suites:
+// every localized doc exists as separate draft and published versions whose
+// _id is `${aposDocId}:${aposLocale}:${aposMode}`, while non-localized types
+// (users) have a single version whose _id is the aposDocId
+const crypto = require('crypto');
+
+const MODES = ['draft', 'published'];
+
+// cuid-like ids: lowercase alphanumeric, as the spec's AposDocId pattern expects
+function createId() {
+  return 'c' + crypto.randomBytes(12).toString('hex').slice(0, 24);
+}
+
+function slugify(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9/]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function clone(doc) {
+  return doc ? JSON.parse(JSON.stringify(doc)) : doc;
+}
+
+class DocumentStore {
+  constructor({ locales = ['en'], nonLocalizedTypes = ['@apostrophecms/user'] } = {}) {
+    this.locales = locales;
+    this.defaultLocale = locales[0];
+    this.nonLocalizedTypes = new Set(nonLocalizedTypes);
+    this.docs = new Map();
+    this.previous = new Map(); // published _id -> version it replaced
+  }
+
+  isLocalized(type) {
+    return !this.nonLocalizedTypes.has(type);
+  }
+
+  // Split an id that may carry locale and mode ('abc', 'abc:en', 'abc:en:draft'),
+  // falling back to the request's locale and mode
+  parseId(id, { locale, mode } = {}) {
+    const [aposDocId, idLocale, idMode] = String(id).split(':');
+    return {
+      aposDocId,
+      locale: idLocale || locale || this.defaultLocale,
+      mode: idMode || mode || 'published',
+      explicitMode: Boolean(idMode)
+    };
+  }
+
+  key(aposDocId, locale, mode) {
+    return `${aposDocId}:${locale}:${mode}`;
+  }
+
+  // Find one version of a document from any id form
+  get(id, context = {}) {
+    if (this.docs.has(id) && !this.isLocalized(this.docs.get(id).type)) {
+      return this.docs.get(id);
+    }
+    const { aposDocId, locale, mode } = this.parseId(id, context);
+    return this.docs.get(this.key(aposDocId, locale, mode)) || null;
+  }
+
+  getVersion(aposDocId, locale, mode) {
+    return this.docs.get(this.key(aposDocId, locale, mode)) || null;
+  }
+
+  // All versions of one document across locales and modes
+  versions(aposDocId) {
+    return [...this.docs.values()].filter(doc => doc.aposDocId === aposDocId);
+  }
+
+  find(type, { locale = this.defaultLocale, mode = 'published', archived = false, filter } = {}) {
+    return [...this.docs.values()].filter(doc => {
+      if (type && doc.type !== type) return false;
+      if (this.isLocalized(doc.type) && (doc.aposLocale !== locale || doc.aposMode !== mode)) return false;
+      if (archived !== null && Boolean(doc.archived) !== archived) return false;
+      return filter ? filter(doc) : true;
+    });
+  }
+
+  uniqueSlug(slug, { type, locale, mode, aposDocId }) {
+    const taken = candidate => [...this.docs.values()].some(doc =>
+      doc.slug === candidate &&
+      doc.aposDocId !== aposDocId &&
+      (!this.isLocalized(doc.type) || (doc.aposLocale === locale && doc.aposMode === mode)) &&
+      // Page slugs start with '/' and share one namespace across page types
+      (candidate.startsWith('/') ? doc.slug.startsWith('/') : doc.type === type)
+    );
+    let candidate = slug;
+    for (let n = 2; taken(candidate); n++) {
+      candidate = `${slug}-${n}`;
+    }
+    return candidate;
+  }
+
+  // Insert a new document as a draft; publish it too unless the request is in draft mode
+  insert(type, input, { locale = this.defaultLocale, mode = 'published' } = {}) {
+    const now = new Date().toISOString();
+    const aposDocId = createId();
+    // Keys starting with _ are request directives (_targetId) or computed (_url)
+    const fields = Object.fromEntries(Object.entries(input).filter(([key]) => !key.startsWith('_')));
+
+    if (!this.isLocalized(type)) {
+      const doc = {
+        ...fields,
+        _id: aposDocId,
+        aposDocId,
+        type,
+        archived: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      doc.slug = this.uniqueSlug(doc.slug || slugify(doc.title) || aposDocId, { type, aposDocId });
+      this.docs.set(aposDocId, doc);
+      return clone(doc);
+    }
+
+    const draft = {
+      ...fields,
+      _id: this.key(aposDocId, locale, 'draft'),
+      aposDocId,
+      aposLocale: locale,
+      aposMode: 'draft',
+      type,
+      archived: false,
+      visibility: fields.visibility || 'public',
+      createdAt: now,
+      updatedAt: now,
+      lastPublishedAt: null,
+      modified: true
+    };
+    draft.slug = this.uniqueSlug(draft.slug || slugify(draft.title) || aposDocId, { type, locale, mode: 'draft', aposDocId });
+    this.docs.set(draft._id, draft);
+
+    if (mode === 'published') {
+      return this.publish(aposDocId, locale);
+    }
+    return clone(draft);
+  }
+
+  // Apply changes to the draft; a published-mode request republishes afterwards
+  update(id, fields, context = {}, { replace = false } = {}) {
+    const existing = this.get(id, context);
+    if (!existing) return null;
+
+    const protectedFields = ['_id', 'aposDocId', 'aposLocale', 'aposMode', 'type', 'createdAt', 'lastPublishedAt'];
+    const changes = Object.fromEntries(Object.entries(fields).filter(([key]) => !protectedFields.includes(key) && !key.startsWith('_')));
+    const now = new Date().toISOString();
+
+    if (!this.isLocalized(existing.type)) {
+      const base = replace ? { _id: existing._id, aposDocId: existing.aposDocId, type: existing.type, createdAt: existing.createdAt } : existing;
+      const updated = { ...base, ...changes, updatedAt: now };
+      this.docs.set(existing._id, updated);
+      return clone(updated);
+    }
+
+    const { aposDocId, aposLocale, aposMode } = existing;
+    const draft = this.getVersion(aposDocId, aposLocale, 'draft') || existing;
+    const keep = Object.fromEntries(protectedFields.concat(['archived', 'visibility', 'path', 'level', 'rank', 'slug']).map(key => [key, draft[key]]));
+    const base = replace ? keep : draft;
+    const updated = { ...base, ...changes, _id: this.key(aposDocId, aposLocale, 'draft'), aposMode: 'draft', updatedAt: now, modified: true };
+    if (changes.slug) {
+      updated.slug = this.uniqueSlug(changes.slug, { type: updated.type, locale: aposLocale, mode: 'draft', aposDocId });
+    }
+    this.docs.set(updated._id, updated);
+
+    if (aposMode === 'published') {
+      return this.publish(aposDocId, aposLocale);
+    }
+    return clone(updated);
+  }
+
+  // Copy the draft over the published version, keeping the version it
+  // replaces so revert-published-to-previous can bring it back
+  publish(aposDocId, locale) {
+    const draft = this.getVersion(aposDocId, locale, 'draft');
+    if (!draft) return null;
+
+    const now = new Date().toISOString();
+    const key = this.key(aposDocId, locale, 'published');
+    if (this.docs.has(key)) {
+      this.previous.set(key, clone(this.docs.get(key)));
+    }
+    const published = {
+      ...clone(draft),
+      _id: key,
+      aposMode: 'published',
+      lastPublishedAt: now,
+      modified: false
+    };
+    draft.lastPublishedAt = now;
+    draft.modified = false;
+    this.docs.set(key, published);
+    return clone(published);
+  }
+
+  // Remove the published version; the draft stays
+  unpublish(aposDocId, locale) {
+    const published = this.getVersion(aposDocId, locale, 'published');
+    if (!published) return null;
+    this.docs.delete(published._id);
+    this.previous.delete(published._id);
+
+    const draft = this.getVersion(aposDocId, locale, 'draft');
+    if (draft) {
+      draft.lastPublishedAt = null;
+      draft.modified = true;
+    }
+    return clone(draft);
+  }
+
+  revertDraftToPublished(aposDocId, locale) {
+    const published = this.getVersion(aposDocId, locale, 'published');
+    if (!published) return null;
+    const draft = { ...clone(published), _id: this.key(aposDocId, locale, 'draft'), aposMode: 'draft', modified: false };
+    this.docs.set(draft._id, draft);
+    return clone(draft);
+  }
+
+  revertPublishedToPrevious(aposDocId, locale) {
+    const key = this.key(aposDocId, locale, 'published');
+    const previous = this.previous.get(key);
+    if (!this.docs.has(key) || !previous) return null;
+    const restored = { ...previous, lastPublishedAt: new Date().toISOString() };
+    this.previous.delete(key);
+    this.docs.set(key, restored);
+    return clone(restored);
+  }
+
+  // Deleting a published version leaves the draft; deleting the draft
+  // removes the document from that locale entirely, as Apostrophe does
+  remove(doc) {
+    this.docs.delete(doc._id);
+    this.previous.delete(doc._id);
+    if (this.isLocalized(doc.type) && doc.aposMode === 'draft') {
+      const published = this.key(doc.aposDocId, doc.aposLocale, 'published');
+      this.docs.delete(published);
+      this.previous.delete(published);
+    }
+    return clone(doc);
+  }
+
+  // Copy the draft of a document into another locale as a new draft
+  localize(aposDocId, fromLocale, toLocale) {
+    const source = this.getVersion(aposDocId, fromLocale, 'draft');
+    if (!source) return null;
+    const now = new Date().toISOString();
+    const existing = this.getVersion(aposDocId, toLocale, 'draft');
+    const localized = {
+      ...clone(source),
+      _id: this.key(aposDocId, toLocale, 'draft'),
+      aposLocale: toLocale,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      lastPublishedAt: existing ? existing.lastPublishedAt : null,
+      modified: true
+    };
+    this.docs.set(localized._id, localized);
+    return clone(localized);
+  }
+
+  // Locales in which a document has any version
+  localesOf(aposDocId) {
+    return [...new Set(this.versions(aposDocId).map(doc => doc.aposLocale).filter(Boolean))];
+  }
+
+  // Set a field on every version of a document (archived flags, tree fields)
+  setOnAllVersions(aposDocId, fields, locale) {
+    this.versions(aposDocId)
+      .filter(doc => !locale || doc.aposLocale === locale)
+      .forEach(doc => Object.assign(doc, fields, { updatedAt: new Date().toISOString() }));
+  }
+}
+
+module.exports = {
+  DocumentStore,
+  createId,
+  slugify,
+  clone,
+  MODES
+};
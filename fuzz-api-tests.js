@@ -0,0 +1,357 @@
+// Fuzz Test Suite for ApostropheCMS SDK
+// Sends generated malformed and edge-case payloads to the write endpoints
+// (pagePost, pagePatchById, userCreate, globalPatchById, imagePost and
+// attachmentCrop) and checks the server never answers with a 5xx or hangs,
+// and refuses what it must refuse with a 4xx. Failing payloads are shrunk
+// to a minimal reproduction; see lib/fuzz.js for how cases are made.
+// Opt-in: run it with `node run-all-tests.js fuzz`.
+const {
+  PagesApi,
+  GlobalContentApi,
+  MediaApi,
+  AttachmentsApi,
+  UsersApi,
+  Configuration
+} = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, unpublishThenDelete, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle, testUsername } = require('./lib/run-id');
+const { drop, set, fuzzTarget, randomSeed } = require('./lib/fuzz');
+const { createTestImage } = require('./lib/test-images');
+
+const config = requireConfig();
+
+const configuration = new Configuration({
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
+});
+
+const results = new ResultCollector('fuzz');
+const logTest = results.logTest;
+
+const pagesApi = instrumentApi(new PagesApi(configuration), results);
+const globalApi = instrumentApi(new GlobalContentApi(configuration), results);
+const mediaApi = instrumentApi(new MediaApi(configuration), results);
+const attachmentsApi = instrumentApi(new AttachmentsApi(configuration), results);
+const usersApi = instrumentApi(new UsersApi(configuration), results);
+
+const TEST_PASSWORD = 'TestPassword123!';
+
+// Ids and values that look plausible but point nowhere
+const MISSING_IDS = ['ck00000000000000000000000', 'ck00000000000000000000000:en:draft', 'not-a-real-id'];
+const UNKNOWN_POSITIONS = ['sideways', 'firstchild', 'LASTCHILD', 'lastChild ', 'middle'];
+
+// Extra keys that must never reach the stored document as they are
+const INJECTED = [
+  set(['_id'], ['injected-id', 'ck00000000000000000000000:en:published']),
+  set(['__proto__'], [{ polluted: true }]),
+  set(['aposDocId'], ['injected-doc-id']),
+  set(['sdkFuzzExtra'], 'hugeString')
+];
+
+const TEXT_FIELD = field => [set([field], 'wrongType'), set([field], 'hugeString'), set([field], 'oddString'), set([field], 'oddObject')];
+
+let counter = 0;
+
+function testImageFile(filename) {
+  const { buffer, mimeType } = createTestImage();
+  return new File([buffer], filename, { type: mimeType });
+}
+
+// The endpoints and how their payloads are broken. `payload` is a valid
+// request body, made fresh for every case so slugs and usernames never clash
+function buildTargets(shared) {
+  return [
+    {
+      name: 'pagePost',
+      payload: () => ({
+        title: `${testTitle('SDK Test Page')} fuzz ${++counter}`,
+        type: config.pageType,
+        slug: `${testSlug('sdk-test-page')}-fuzz-${counter}`,
+        _targetId: shared.parentPageId,
+        _position: 'lastChild'
+      }),
+      mutations: [
+        drop(['title'], { invalid: true }),
+        drop(['type']),
+        drop(['_targetId']),
+        ...TEXT_FIELD('title'),
+        ...TEXT_FIELD('slug'),
+        set(['type'], ['not-a-page-type', '@apostrophecms/user'], { invalid: true }),
+        set(['type'], 'wrongType'),
+        set(['_position'], UNKNOWN_POSITIONS, { invalid: true }),
+        set(['_position'], 'wrongType'),
+        set(['_position'], 'oddNumber'),
+        set(['_targetId'], MISSING_IDS, { invalid: true }),
+        set(['_targetId'], 'wrongType'),
+        set(['archived'], 'wrongType'),
+        set(['visibility'], ['secret', 42]),
+        ...INJECTED
+      ],
+      send: (body, options) => pagesApi.pagePost(body, undefined, undefined, options),
+      cleanUp: async (page) => {
+        if (!page?._id) return;
+        ledger.track('fuzz', 'page', page);
+        if (await unpublishThenDelete(pagesApi, 'page', page._id)) ledger.release(page._id);
+      }
+    },
+    {
+      name: 'pagePatchById',
+      payload: () => ({
+        title: `${testTitle('SDK Test Page')} fuzz - Updated`,
+        _targetId: shared.parentPageId,
+        _position: 'lastChild'
+      }),
+      mutations: [
+        ...TEXT_FIELD('title'),
+        ...TEXT_FIELD('slug'),
+        set(['_position'], UNKNOWN_POSITIONS, { invalid: true }),
+        set(['_position'], 'wrongType'),
+        set(['_position'], 'oddNumber'),
+        set(['_targetId'], MISSING_IDS, { invalid: true }),
+        // A page cannot move inside itself
+        set(['_targetId'], () => [shared.page._id], { invalid: true }),
+        set(['_targetId'], 'wrongType'),
+        set(['type'], ['not-a-page-type', '@apostrophecms/user'], { invalid: true }),
+        set(['archived'], 'wrongType'),
+        ...INJECTED
+      ],
+      send: (body, options) => pagesApi.pagePatchById(shared.page._id, body, undefined, undefined, options)
+    },
+    {
+      name: 'userCreate',
+      payload: () => {
+        const username = `${testUsername('sdktest-fuzz')}-${++counter}`;
+        return { title: `SDK Test User ${username}`, username, password: TEST_PASSWORD, email: `${username}@example.com`, role: 'guest' };
+      },
+      mutations: [
+        drop(['username'], { invalid: true }),
+        drop(['password']),
+        set(['username'], ['', '   '], { invalid: true }),
+        ...TEXT_FIELD('username'),
+        ...TEXT_FIELD('password'),
+        set(['email'], ['not-an-email', '@', 'a@', 'a b@example.com'], { invalid: true }),
+        set(['email'], 'wrongType'),
+        set(['role'], ['superuser', 'root', 'Admin'], { invalid: true }),
+        set(['role'], 'wrongType'),
+        ...TEXT_FIELD('title'),
+        ...INJECTED
+      ],
+      send: (body, options) => usersApi.userCreate(body, options),
+      cleanUp: async (user) => {
+        if (!user?._id) return;
+        ledger.track('fuzz', 'user', user, user.username);
+        // A failed delete must not end the target's cases; the ledger keeps
+        // the user for the next cleanup
+        try {
+          await usersApi.userDeleteById(user._id);
+          ledger.release(user._id);
+        } catch (error) {
+          logTest(`Delete fuzz user ${user.username}`, false, error.message);
+        }
+      }
+    },
+    {
+      // Only the draft is patched, and the whole draft is put back afterwards
+      name: 'globalPatchById',
+      payload: () => ({}),
+      mutations: [
+        ...TEXT_FIELD('title'),
+        set(['type'], ['@apostrophecms/page', 'not-a-type'], { invalid: true }),
+        set(['aposMode'], ['published']),
+        set(['aposMode'], ['nope'], { invalid: true }),
+        set(['aposLocale'], ['xx', '../en'], { invalid: true }),
+        set(['archived'], [true, 'yes']),
+        set(['$push'], ['x'], { invalid: true }),
+        set(['$push'], [{ nope: 1 }, { title: 'x' }]),
+        set(['$pullAll'], [1], { invalid: true }),
+        set(['$pullAll'], [{ title: 'x' }]),
+        set(['$pullAllById'], [null], { invalid: true }),
+        set(['$pullAllById'], [{ nope: ['a'] }]),
+        ...INJECTED
+      ],
+      send: (body, options) => globalApi.globalPatchById(shared.global._id, body, undefined, undefined, options)
+    },
+    {
+      name: 'imagePost',
+      payload: () => ({
+        title: `${testTitle('SDK Test Image')} fuzz ${++counter}`,
+        slug: `${testSlug('sdk-test-image')}-fuzz-${counter}`,
+        attachment: { _id: shared.attachment._id }
+      }),
+      mutations: [
+        drop(['title'], { invalid: true }),
+        drop(['attachment'], { invalid: true }),
+        set(['attachment'], [null, 'not-an-attachment', 123, {}, []], { invalid: true }),
+        set(['attachment', '_id'], [...MISSING_IDS, ''], { invalid: true }),
+        set(['attachment', '_id'], 'oddObject', { invalid: true }),
+        ...TEXT_FIELD('title'),
+        ...TEXT_FIELD('slug'),
+        ...INJECTED
+      ],
+      send: (body, options) => mediaApi.imagePost(body, 'draft', undefined, options),
+      cleanUp: async (image) => {
+        if (!image?._id) return;
+        ledger.track('fuzz', 'image', image);
+        if (await unpublishThenDelete(mediaApi, 'image', image._id)) ledger.release(image._id);
+      }
+    },
+    {
+      name: 'attachmentCrop',
+      payload: () => ({
+        _id: shared.attachment._id,
+        // Well inside the 200x150 test image
+        crop: { top: 0, left: 0, width: 10, height: 10 }
+      }),
+      mutations: [
+        drop(['_id'], { invalid: true }),
+        drop(['crop'], { invalid: true }),
+        set(['_id'], [...MISSING_IDS, '', null, 123], { invalid: true }),
+        set(['crop'], 'wrongType'),
+        ...['top', 'left'].map(side => set(['crop', side], [-1, -50, -0.5], { invalid: true })),
+        ...['width', 'height'].map(side => set(['crop', side], [0, -1, -10], { invalid: true })),
+        // Far larger than the test image
+        ...['width', 'height'].map(side => set(['crop', side], [100000, 1e308], { invalid: true })),
+        ...['top', 'left', 'width', 'height'].map(side => set(['crop', side], 'wrongType')),
+        ...['top', 'left', 'width', 'height'].map(side => drop(['crop', side])),
+        set(['crop', 'name'], 'hugeString')
+      ],
+      send: (body, options) => attachmentsApi.attachmentCrop(body, 'draft', undefined, options)
+    }
+  ];
+}
+
+// A page to patch, the global draft and an attachment to crop and use
+async function setUp() {
+  console.log('🔧 Setup: page, global draft and attachment to fuzz against');
+  const shared = {};
+
+  const { data: home } = await pagesApi.pageGet(undefined, undefined, 'false');
+  shared.parentPageId = config.parentPageId || home._id;
+
+  const { data: page } = await pagesApi.pagePost({
+    title: `${testTitle('SDK Test Page')} fuzz target`,
+    type: config.pageType,
+    slug: `${testSlug('sdk-test-page')}-fuzz-target`,
+    _targetId: shared.parentPageId,
+    _position: 'lastChild'
+  }, 'draft');
+  ledger.track('fuzz', 'page', page);
+  shared.page = page;
+
+  const { data: globalDoc } = await globalApi.globalGet('draft');
+  shared.global = globalDoc.results ? globalDoc.results[0] : globalDoc;
+
+  const { data: attachment } = await attachmentsApi.attachmentUpload(testImageFile('sdk-test-fuzz.png'), 'draft');
+  shared.attachment = attachment;
+
+  logTest('Set up fuzz targets', true, `page ${page._id}, global ${shared.global._id}, attachment ${shared.attachment._id}`);
+  return shared;
+}
+
+// Accepting a payload marked invalid fails the target like a 5xx does
+function reportTarget(summary, seed) {
+  const label = { 'server-error': 'server error', hang: 'hang', 'no-response': 'dropped connection', 'accepted-invalid': 'accepted an invalid payload' };
+  for (const failure of summary.failures) {
+    logTest(`Fuzz ${summary.name}: ${label[failure.kind]}`, false,
+      `${failure.minimal} → ${failure.outcome} (case ${failure.caseNumber}, seed ${seed}, shrunk in ${failure.shrinkSteps} steps from: ${failure.original})`);
+    console.log(`   💥 Minimal payload: ${JSON.stringify(failure.payload)}`);
+  }
+  if (summary.duplicates) {
+    console.log(`   ℹ️  ${summary.duplicates} more failing case(s) shrank to one of the above`);
+  }
+  if (summary.unshrunk) {
+    console.log(`   ℹ️  ${summary.unshrunk} more failing case(s) not shrunk`);
+  }
+  if (!summary.failures.length) {
+    logTest(`Fuzz ${summary.name}: no 5xx, hangs or accepted invalid payloads`, true,
+      `${summary.cases} cases: ${summary.refused} refused with 4xx, ${summary.accepted} accepted`);
+  }
+}
+
+// Fields an accepted patch could have left changed on the global draft
+const GLOBAL_FIELDS = ['type', 'aposLocale', 'aposMode', 'title', 'slug', 'archived', 'visibility', 'modified'];
+
+// A draft that had no unpublished changes is reverted to the published
+// version, since patching it back would leave it modified. Otherwise every
+// field of the saved draft is patched back onto it (the spec's
+// globalPutById takes no body). Returns the fields that are still different
+async function restoreGlobal(shared) {
+  const original = shared.global;
+  if (original.modified === false) {
+    await globalApi.globalRevertDraftToPublishedById(original._id);
+  } else {
+    const fields = Object.fromEntries(Object.entries(original).filter(([key]) => !key.startsWith('_')));
+    await globalApi.globalPatchById(original._id, fields, 'draft');
+  }
+  // The draft's _id addresses the draft whatever the mode
+  const { data: restored } = await globalApi.globalGetById(original._id);
+  return GLOBAL_FIELDS.filter(key => JSON.stringify(restored[key]) !== JSON.stringify(original[key]));
+}
+
+async function cleanUp(shared) {
+  console.log('\n🧹 Cleanup: Delete Test Content');
+  const problems = [];
+  if (shared?.global) {
+    try {
+      const changed = await restoreGlobal(shared);
+      if (changed.length) problems.push(`the global draft's ${changed.join(', ')} did not go back`);
+    } catch (error) {
+      problems.push(`could not restore the global draft: ${error.message}`);
+    }
+  }
+  if (shared?.page) {
+    if (await unpublishThenDelete(pagesApi, 'page', shared.page._id)) ledger.release(shared.page._id);
+    else problems.push(`could not delete page ${shared.page._id}`);
+  }
+  if (problems.length) logTest('Clean up fuzz targets', false, problems.join('; '));
+  else if (shared) logTest('Clean up fuzz targets', true, 'Global draft restored, test page deleted');
+}
+
+async function runFuzzTests() {
+  const checkpoint = results.checkpoint();
+  console.log('🧪 Fuzz API Test Suite');
+  console.log('======================\n');
+
+  const seed = config.fuzzSeed ?? randomSeed();
+  console.log(`🎲 Seed ${seed} (APOSTROPHE_FUZZ_SEED=${seed} replays these cases)`);
+  console.log(`🔢 ${config.fuzzCases} cases per endpoint, ${config.fuzzTimeoutMs}ms before a request counts as a hang\n`);
+
+  let shared = null;
+  try {
+    shared = await setUp();
+
+    for (const target of buildTargets(shared)) {
+      console.log(`\n📄 ${target.name}`);
+      const summary = await fuzzTarget(target, {
+        seed,
+        cases: config.fuzzCases,
+        timeoutMs: config.fuzzTimeoutMs,
+        onCase: ({ index, mutations, outcome, kind }) => {
+          if (kind) console.log(`   ❗ Case ${index} (${mutations.length} mutation(s)): ${outcome.httpStatus ?? outcome.code ?? 'no response'}, shrinking...`);
+        }
+      });
+      reportTarget(summary, seed);
+    }
+  } catch (error) {
+    console.error('❌ Test suite failed with error:', error.message);
+    logTest('Fuzz API suite', false, `Test suite failed with error: ${error.message}`);
+  }
+
+  await cleanUp(shared);
+
+  console.log('\n=====================================');
+  console.log('🎯 Fuzz API Tests Complete');
+
+  return results.since(checkpoint);
+}
+
+// Run the tests
+if (require.main === module) {
+  installCleanupHandlers();
+  cleanupLedger().then(runFuzzTests).catch(console.error);
+}
+
+module.exports = { runFuzzTests };
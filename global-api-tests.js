@@ -2,42 +2,30 @@
 // This test suite covers all global content endpoints with simple, verbose tests
 // Tests assume API key authentication and full read/write permissions
 
-require('dotenv').config();
 const { GlobalContentApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { testTitle } = require('./lib/run-id');
+const { settleBatch, checkArchived, describeWrong } = require('./lib/jobs');
+
+const config = requireConfig();
 
 // Configure the API client with API key authentication
 const configuration = new Configuration({
-  basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
-  apiKey: process.env.APOSTROPHE_API_KEY
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
 });
 
-// Validate that we have the required environment variables
-if (!process.env.APOSTROPHE_API_KEY) {
-  console.error('❌ Error: APOSTROPHE_API_KEY is required in .env file');
-  console.log('Please create a .env file with:');
-  console.log('APOSTROPHE_API_KEY=your-api-key-here');
-  console.log('APOSTROPHE_BASE_URL=http://localhost:3000/api/v1  # Optional, defaults to localhost');
-  process.exit(1);
-}
-
-const globalApi = new GlobalContentApi(configuration);
-
-// Helper function to log test results with clear formatting
-function logTest(testName, success, details = '') {
-  const status = success ? '✅' : '❌';
-  console.log(`${status} ${testName}`);
-  if (details) {
-    console.log(`   ${details}`);
-  }
-}
+// Collect structured results for every check in this suite
+const results = new ResultCollector('global');
+const logTest = results.logTest;
 
-// Helper function to add delay between API calls
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const globalApi = instrumentApi(new GlobalContentApi(configuration), results);
 
 // Main test runner
 async function runGlobalContentTests() {
+  const checkpoint = results.checkpoint();
   console.log('🌐 ApostropheCMS Global Content API Tests');
   console.log('==========================================\n');
 
@@ -72,18 +60,16 @@ async function runGlobalContentTests() {
         }
       } else {
         logTest('Verify authentication', false, `Unexpected status code: ${status}`);
-        return; // Exit if we can't authenticate
+        return results.since(checkpoint); // Exit if we can't authenticate
       }
     } catch (error) {
       logTest('Verify authentication', false, error.message);
       if (error.message.includes('401')) {
         console.log('   💡 Check your API key in the .env file');
       }
-      return; // Exit if authentication fails
+      return results.since(checkpoint); // Exit if authentication fails
     }
 
-    await wait(500);
-
     // Test 2: Get global content (published mode)
     console.log('\n📄 Test 2: Get Global Content - Published Mode (globalGet)');
     try {
@@ -118,8 +104,6 @@ async function runGlobalContentTests() {
       logTest('Get global content (published)', false, error.message);
     }
 
-    await wait(500);
-
     // Test 3: Get global content (draft mode)
     console.log('\n📄 Test 3: Get Global Content - Draft Mode (globalGet)');
     try {
@@ -148,14 +132,12 @@ async function runGlobalContentTests() {
       logTest('Get global content (draft)', false, error.message);
     }
 
-    await wait(500);
-
     // Test 4: Update global content using POST
     console.log('\n📝 Test 4: Update Global Content (globalPost)');
     try {
       // Prepare simple test data for global content - just one string field
       const updateData = {
-        testField: 'SDK Test Value - Updated via POST'
+        testField: `${testTitle('SDK Test Value')} - Updated via POST`
       };
 
       const { status, data } = await globalApi.globalPost(
@@ -185,8 +167,6 @@ async function runGlobalContentTests() {
       logTest('Update global content', false, error.message);
     }
 
-    await wait(500);
-
     // Test 5: Get global content by ID
     console.log('\n📄 Test 5: Get Global Content by ID (globalGetById)');
     if (globalDocumentId) {
@@ -206,17 +186,15 @@ async function runGlobalContentTests() {
         logTest('Get global content by ID', false, error.message);
       }
     } else {
-      logTest('Get global content by ID', false, 'No global document ID available');
+      logTest('Get global content by ID', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test 6: Update global content using PATCH
     console.log('\n📝 Test 6: Patch Global Content (globalPatchById)');
     if (globalDocumentId) {
       try {
         const patchData = {
-          testField: 'SDK Test Value - Updated via PATCH'
+          testField: `${testTitle('SDK Test Value')} - Updated via PATCH`
         };
 
         const { status, data } = await globalApi.globalPatchById(globalDocumentId, patchData);
@@ -237,11 +215,9 @@ async function runGlobalContentTests() {
         logTest('Patch global content', false, error.message);
       }
     } else {
-      logTest('Patch global content', false, 'No global document ID available');
+      logTest('Patch global content', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test 7: Publish global content
     console.log('\n🚀 Test 7: Publish Global Content (globalPublishById)');
     if (globalDocumentId) {
@@ -262,11 +238,9 @@ async function runGlobalContentTests() {
         }
       }
     } else {
-      logTest('Publish global content', false, 'No global document ID available');
+      logTest('Publish global content', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test 8: Get published global content to verify publish worked
     console.log('\n📄 Test 8: Verify Published Content (globalGet published)');
     try {
@@ -281,7 +255,7 @@ async function runGlobalContentTests() {
 
           // Look for our test updates in any of the published documents
           const hasTestUpdates = data.results.some(doc =>
-            doc.testField && doc.testField.includes('SDK Test')
+            doc.testField && doc.testField.includes(testTitle('SDK Test Value'))
           );
 
           if (hasTestUpdates) {
@@ -291,7 +265,7 @@ async function runGlobalContentTests() {
           }
         } else {
           // Handle single document response
-          if (data.testField && data.testField.includes('SDK Test')) {
+          if (data.testField && data.testField.includes(testTitle('SDK Test Value'))) {
             console.log('   ✓ Our test updates are visible in published version');
           } else {
             console.log('   ⚠️  Published version may not include our test updates');
@@ -304,8 +278,6 @@ async function runGlobalContentTests() {
       logTest('Verify published content', false, error.message);
     }
 
-    await wait(500);
-
     // Test 9: Test internationalization - Get locales
     console.log('\n🌍 Test 9: Test Internationalization - Get Locales (globalGetLocalesById)');
     if (globalDocumentId) {
@@ -332,11 +304,9 @@ async function runGlobalContentTests() {
         }
       }
     } else {
-      logTest('Get global document locales', false, 'No global document ID available');
+      logTest('Get global document locales', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test 10: Test complete replacement with PUT
     console.log('\n🔄 Test 10: Complete Replacement (globalPutById)');
     if (globalDocumentId) {
@@ -347,7 +317,7 @@ async function runGlobalContentTests() {
         // Prepare complete replacement data
         const putData = {
           ...currentDoc, // Preserve existing structure
-          testField: 'SDK Test Value - Complete Replacement via PUT'
+          testField: `${testTitle('SDK Test Value')} - Complete Replacement via PUT`
         };
 
         const { status, data } = await globalApi.globalPutById(globalDocumentId, putData);
@@ -368,11 +338,9 @@ async function runGlobalContentTests() {
         logTest('Complete replacement with PUT', false, error.message);
       }
     } else {
-      logTest('Complete replacement with PUT', false, 'No global document ID available');
+      logTest('Complete replacement with PUT', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test 11: Test workflow operations (if enabled)
     console.log('\n🔄 Test 11: Test Workflow Operations');
 
@@ -394,11 +362,9 @@ async function runGlobalContentTests() {
         }
       }
     } else {
-      logTest('Submit for review', false, 'No global document ID available');
+      logTest('Submit for review', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test dismissing submission
     // console.log('\n📤 Test 11b: Dismiss Submission (globalDismissSubmissionById)');
     // if (globalDocumentId) {
@@ -417,11 +383,9 @@ async function runGlobalContentTests() {
     //     }
     //   }
     // } else {
-    //   logTest('Dismiss submission', false, 'No global document ID available');
+    //   logTest('Dismiss submission', 'skip', 'No global document ID available');
     // }
 
-    // await wait(500);
-
     // Test 12: Test revert operations
     console.log('\n🔄 Test 12: Test Revert Operations');
 
@@ -443,13 +407,14 @@ async function runGlobalContentTests() {
         }
       }
     } else {
-      logTest('Revert draft to published', false, 'No global document ID available');
+      logTest('Revert draft to published', 'skip', 'No global document ID available');
     }
 
-    await wait(500);
-
     // Test 13: Archive and restore operations
+    // Both may run as background jobs; each is waited for, and afterwards the
+    // global document must not be left archived
     console.log('\n🗃️  Test 13: Archive and Restore Operations');
+    const getGlobalDoc = async (id) => (await globalApi.globalGetById(id, { params: { archived: 'any' } })).data;
 
     // Test archiving
     console.log('\n📦 Test 13a: Archive Global Content (globalArchive)');
@@ -459,10 +424,20 @@ async function runGlobalContentTests() {
         _ids: globalDocumentId ? [globalDocumentId] : []
       };
 
-      const { status, data } = await globalApi.globalArchive(archiveData);
-
-      if (status === 200) {
-        logTest('Archive global content', true, 'Archive operation completed');
+      const response = await globalApi.globalArchive(archiveData);
+
+      if (response.status === 200) {
+        const { jobId, job } = await settleBatch(globalApi, response, { label: 'Archive job' });
+        const notArchived = globalDocumentId ? await checkArchived(archiveData._ids, getGlobalDoc, true) : [];
+        if (job?.bad) {
+          // Apostrophe refuses to archive the global document, and the job says so
+          if (notArchived.length) logTest('Archive global content', true, `Job ${jobId} refused to archive the global document`);
+          else logTest('Archive global content', false, `Job ${jobId} reported a failure but the document was archived`);
+        } else if (notArchived.length) {
+          logTest('Archive global content', false, `Not archived after the ${jobId ? 'job finished' : 'response'}: ${describeWrong(notArchived)}`);
+        } else {
+          logTest('Archive global content', true, `Archive operation completed${jobId ? ` (job ${jobId})` : ''}`);
+        }
       } else {
         logTest('Archive global content', false, 'Archive operation failed');
       }
@@ -473,8 +448,6 @@ async function runGlobalContentTests() {
       }
     }
 
-    await wait(500);
-
     // Test restoring
     console.log('\n📦 Test 13b: Restore Global Content (globalRestore)');
     try {
@@ -482,10 +455,18 @@ async function runGlobalContentTests() {
         _ids: globalDocumentId ? [globalDocumentId] : []
       };
 
-      const { status, data } = await globalApi.globalRestore(restoreData);
+      const response = await globalApi.globalRestore(restoreData);
 
-      if (status === 200) {
-        logTest('Restore global content', true, 'Restore operation completed');
+      if (response.status === 200) {
+        const { jobId, job } = await settleBatch(globalApi, response, { label: 'Restore job' });
+        const stillArchived = globalDocumentId ? await checkArchived(restoreData._ids, getGlobalDoc, false) : [];
+        if (stillArchived.length) {
+          logTest('Restore global content', false, `Still archived after the ${jobId ? 'job finished' : 'response'}: ${describeWrong(stillArchived)}`);
+        } else if (job?.bad) {
+          logTest('Restore global content', false, `Job ${jobId} failed to restore ${job.bad} of ${job.total} document(s)`);
+        } else {
+          logTest('Restore global content', true, `Restore operation completed${jobId ? ` (job ${jobId})` : ''}`);
+        }
       } else {
         logTest('Restore global content', false, 'Restore operation failed');
       }
@@ -496,8 +477,6 @@ async function runGlobalContentTests() {
       }
     }
 
-    await wait(500);
-
     // Test 14: Final verification - Ensure global content still accessible
     console.log('\n✅ Test 14: Final Verification - Global Content Accessibility');
     try {
@@ -528,19 +507,21 @@ async function runGlobalContentTests() {
 
   } catch (error) {
     console.error('❌ Test suite failed with error:', error.message);
+    logTest('Global Content API suite', false, `Test suite failed with error: ${error.message}`);
     console.error('Stack trace:', error.stack);
   }
 
   console.log('\n=====================================');
   console.log('🎯 Global Content API Tests Complete');
   console.log('=====================================');
+
+  return results.since(checkpoint);
 }
 
 // Export the test runner for use in other test files
 module.exports = {
   runGlobalContentTests,
-  logTest,
-  wait
+  logTest
 };
 
 // Run tests if this file is executed directly
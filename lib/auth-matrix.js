@@ -0,0 +1,171 @@
+// Auth-mode matrix: run the suites once per credential type and report every
+// SDK operation whose outcome depends on how the caller authenticated.
+//
+// The runner logs in with authLogin twice, once for a bearer token and once
+// for a session cookie, then runs the matrix suites under the API key, the
+// token and the cookie in turn. While a credential is active, instrumentApi()
+// swaps it into every SDK instance the suites create and records each call's
+// HTTP status here, so the runs can be compared operation by operation.
+const axios = require('axios');
+const { STATUS } = require('./results');
+
+const AUTH_MODES = ['apikey', 'bearer', 'session'];
+
+// The authentication suite tests the credentials themselves, so it runs once
+const MATRIX_SUITES = ['users', 'global', 'pages', 'attachments', 'media'];
+
+let active = null;
+const calls = new Map(); // `${suite}\n${method}` -> { [mode]: { [status]: count } }
+const applied = new WeakMap(); // SDK Configuration -> { credential, adapter } applied
+
+function useCredential(credential) {
+  active = credential;
+}
+
+function activeCredential() {
+  return active;
+}
+
+// Keep a session's cookies current from every response, and send back the
+// CSRF cookie Apostrophe sets as the X-XSRF-TOKEN header it checks on writes
+function sessionAdapter(jar, next) {
+  const adapter = next || axios.getAdapter(axios.defaults.adapter);
+  const remember = (response) => {
+    [].concat(response?.headers?.['set-cookie'] || []).forEach((cookie) => {
+      const [pair] = cookie.split(';');
+      const [name, ...value] = pair.split('=');
+      if (!name.trim()) return;
+      if (value.join('=') === '') jar.delete(name.trim());
+      else jar.set(name.trim(), value.join('='));
+    });
+  };
+
+  return async (config) => {
+    config.headers.set('Cookie', [...jar].map(([name, value]) => `${name}=${value}`).join('; '));
+    const csrf = [...jar.keys()].find(name => name.endsWith('.csrf'));
+    if (csrf) config.headers.set('X-XSRF-TOKEN', jar.get(csrf));
+    try {
+      const response = await adapter(config);
+      remember(response);
+      return response;
+    } catch (error) {
+      remember(error.response);
+      throw error;
+    }
+  };
+}
+
+// Replace the API key on an SDK instance with the active credential. SDK
+// instances in a suite may share one Configuration, so each is changed once,
+// unless a cassette attached since has replaced the session adapter
+function applyCredential(api, credential = active) {
+  const configuration = api.configuration;
+  if (!credential || credential.mode === 'apikey' || !configuration) return api;
+  const previous = applied.get(configuration);
+  if (previous?.credential === credential && previous.adapter === configuration.baseOptions?.adapter) return api;
+
+  configuration.apiKey = undefined;
+  if (credential.mode === 'bearer') {
+    configuration.accessToken = credential.token;
+  } else {
+    configuration.accessToken = undefined;
+    configuration.baseOptions = {
+      ...configuration.baseOptions,
+      adapter: sessionAdapter(credential.jar, configuration.baseOptions?.adapter)
+    };
+  }
+  applied.set(configuration, { credential, adapter: configuration.baseOptions?.adapter });
+  return api;
+}
+
+// Called by instrumentApi() for every SDK call made while a credential is active
+function recordCall(suite, method, httpStatus) {
+  if (!active) return;
+  const key = `${suite}\n${method}`;
+  const byMode = calls.get(key) || {};
+  const statuses = byMode[active.mode] || (byMode[active.mode] = {});
+  const status = httpStatus ?? 'no-response';
+  statuses[status] = (statuses[status] || 0) + 1;
+  calls.set(key, byMode);
+}
+
+function formatStatuses(statuses = {}) {
+  const entries = Object.entries(statuses);
+  if (!entries.length) return 'not called';
+  return entries
+    .sort(([a], [b]) => String(a).localeCompare(String(b)))
+    .map(([status, count]) => (count > 1 ? `${status} ×${count}` : status))
+    .join(', ');
+}
+
+// Every operation the matrix suites called, with the statuses it got under
+// each mode; `differs` is set when they are not the same for all modes
+function compareModes(modes = AUTH_MODES) {
+  return [...calls].map(([key, byMode]) => {
+    const [suite, method] = key.split('\n');
+    const outcomes = modes.map(mode => formatStatuses(byMode[mode]));
+    return {
+      suite,
+      method,
+      outcomes: Object.fromEntries(modes.map((mode, index) => [mode, outcomes[index]])),
+      differs: new Set(outcomes).size > 1
+    };
+  });
+}
+
+// Log in for a bearer token and for a session cookie with an instrumented
+// AuthenticationApi, so both logins show up as checks
+async function logIn({ sdk, basePath, username, password, instrument, logTest }) {
+  const credentials = [{ mode: 'apikey' }];
+  const loginApi = instrument(new sdk.AuthenticationApi(new sdk.Configuration({ basePath })));
+
+  try {
+    const { data } = await loginApi.authLogin({ username, password, session: false });
+    if (!data?.token) throw new Error('no token in the login response');
+    credentials.push({ mode: 'bearer', token: data.token });
+    logTest('Log in for a bearer token', true, `as ${username}`);
+  } catch (error) {
+    logTest('Log in for a bearer token', false, error.message);
+  }
+
+  try {
+    const credential = { mode: 'session', jar: new Map() };
+    const sessionApi = applyCredential(instrument(new sdk.AuthenticationApi(new sdk.Configuration({ basePath }))), credential);
+    // The adapter picks the session cookie out of the login response; a GET
+    // then proves it works and collects the CSRF cookie writes need
+    await sessionApi.authLogin({ username, password, session: true });
+    if (!credential.jar.size) throw new Error('no cookie in the login response');
+    await sessionApi.authWhoAmI();
+    credentials.push(credential);
+    logTest('Log in for a session cookie', true, `cookies: ${[...credential.jar.keys()].join(', ')}`);
+  } catch (error) {
+    logTest('Log in for a session cookie', false, error.message);
+  }
+
+  return credentials;
+}
+
+// End the token and the session again; failures only warn
+async function logOut({ sdk, basePath, credentials, instrument, logTest }) {
+  for (const credential of credentials.filter(c => c.mode !== 'apikey')) {
+    try {
+      const api = applyCredential(instrument(new sdk.AuthenticationApi(new sdk.Configuration({ basePath }))), credential);
+      await api.authLogout();
+      logTest(`Log out ${credential.mode}`, true);
+    } catch (error) {
+      logTest(`Log out ${credential.mode}`, STATUS.WARN, error.message);
+    }
+  }
+}
+
+module.exports = {
+  AUTH_MODES,
+  MATRIX_SUITES,
+  useCredential,
+  activeCredential,
+  applyCredential,
+  recordCall,
+  compareModes,
+  logIn,
+  logOut
+};
@@ -0,0 +1,156 @@
+// Per-endpoint latency benchmarking
+// instrumentApi() times every SDK request that gets a successful response
+// (the final attempt only; pacing waits and retried attempts are left out).
+// With --benchmark the runner runs the suites several times, works out p50,
+// p95 and p99 for each SDK operation, and either saves them as a baseline
+// file or compares them with the saved one. An operation whose p50 or p95 is
+// more than the tolerance (a percentage) slower than its baseline fails.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BASELINE_FILE = 'benchmarks/baseline.json';
+const DEFAULT_ITERATIONS = 5;
+const DEFAULT_TOLERANCE = 20;
+
+const PERCENTILES = ['p50', 'p95', 'p99'];
+
+// p99 is reported but not compared: with a few dozen samples it is simply the
+// slowest call, which is too noisy to fail a run on
+const COMPARED_PERCENTILES = ['p50', 'p95'];
+
+// Slowdowns smaller than this many milliseconds are noise, whatever the percentage
+const MIN_REGRESSION_MS = 5;
+
+class LatencyTracker {
+  constructor() {
+    // 'PagesApi.pagePost' → [12.4, 9.8, ...] in milliseconds
+    this.samples = new Map();
+  }
+
+  record(method, durationMs) {
+    if (!this.samples.has(method)) this.samples.set(method, []);
+    this.samples.get(method).push(durationMs);
+  }
+
+  reset() {
+    this.samples.clear();
+  }
+}
+
+// Every SDK call in this process is timed here, whichever suite made it
+const latency = new LatencyTracker();
+
+function round(ms) {
+  return Math.round(ms * 10) / 10;
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+// { 'PagesApi.pageGet': { samples, p50, p95, p99 } }, sorted by operation
+function summarizeLatency(tracker = latency) {
+  return Object.fromEntries([...tracker.samples.keys()].sort().map((method) => {
+    const sorted = [...tracker.samples.get(method)].sort((a, b) => a - b);
+    const entry = { samples: sorted.length };
+    PERCENTILES.forEach((name) => {
+      entry[name] = round(percentile(sorted, Number(name.slice(1))));
+    });
+    return [method, entry];
+  }));
+}
+
+// The saved baseline, or null when there is none yet
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read the latency baseline ${filePath}: ${error.message}`);
+  }
+  if (!baseline || typeof baseline.endpoints !== 'object') {
+    throw new Error(`${filePath} is not a latency baseline (no "endpoints")`);
+  }
+  return baseline;
+}
+
+// Write the measured latencies as the new baseline. Operations this run did
+// not call keep their old figures, so a baseline can be built suite by suite
+function saveBaseline(filePath, endpoints, meta = {}) {
+  const previous = loadBaseline(filePath);
+  const baseline = {
+    ...meta,
+    savedAt: new Date().toISOString(),
+    endpoints: { ...previous?.endpoints, ...endpoints }
+  };
+  baseline.endpoints = Object.fromEntries(Object.entries(baseline.endpoints).sort(([a], [b]) => a.localeCompare(b)));
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(baseline, null, 2) + '\n');
+  return baseline;
+}
+
+// Each measured operation against its baseline figures. `change` is the
+// percentage difference per compared percentile; `regressed` lists the ones
+// beyond the tolerance (and MIN_REGRESSION_MS)
+function compareLatency(endpoints, baseline, tolerance) {
+  return Object.entries(endpoints).map(([method, current]) => {
+    const before = baseline?.endpoints?.[method] || null;
+    const change = {};
+    const regressed = [];
+    if (before) {
+      COMPARED_PERCENTILES.forEach((name) => {
+        if (typeof before[name] !== 'number') return;
+        change[name] = before[name] > 0 ? Math.round(((current[name] - before[name]) / before[name]) * 1000) / 10 : 0;
+        const slower = current[name] - before[name];
+        if (slower > MIN_REGRESSION_MS && slower > before[name] * (tolerance / 100)) regressed.push(name);
+      });
+    }
+    return { method, ...current, baseline: before, change, regressed };
+  });
+}
+
+function parseWholeNumber(value, fallback, what) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`Invalid ${what} "${value}": use a whole number of 1 or more`);
+  }
+  return number;
+}
+
+// From the command line or APOSTROPHE_BENCHMARK_ITERATIONS
+function parseIterations(value) {
+  return parseWholeNumber(value, DEFAULT_ITERATIONS, 'benchmark iteration count');
+}
+
+// From the command line or APOSTROPHE_BENCHMARK_TOLERANCE; a percentage
+function parseTolerance(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_TOLERANCE;
+  const tolerance = Number(value);
+  if (!Number.isFinite(tolerance) || tolerance < 0) {
+    throw new Error(`Latency tolerance must be a percentage of 0 or more, got "${value}"`);
+  }
+  return tolerance;
+}
+
+module.exports = {
+  DEFAULT_BASELINE_FILE,
+  DEFAULT_ITERATIONS,
+  DEFAULT_TOLERANCE,
+  PERCENTILES,
+  COMPARED_PERCENTILES,
+  MIN_REGRESSION_MS,
+  LatencyTracker,
+  latency,
+  percentile,
+  summarizeLatency,
+  loadBaseline,
+  saveBaseline,
+  compareLatency,
+  parseIterations,
+  parseTolerance
+};
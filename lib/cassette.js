@@ -0,0 +1,352 @@
+// HTTP record/replay cassettes for the SDK suites
+// In record mode every request and response the SDK makes goes through an
+// axios adapter that saves it to cassettes/<suite>.json; in replay mode the
+// same adapter answers from the cassette with no server at all.
+//
+// Volatile values are normalised so cassettes stay stable between recordings:
+// ids, job ids and tokens become {{id:N}} / {{token:N}}, ISO timestamps become
+// {{timestamp}}, Date.now() suffixes become {{now}}, the run ID in slugs and
+// titles becomes {{runId}} and the server origin becomes {{baseUrl}}.
+// The API key, passwords and auth headers are never saved.
+// Binary bodies (image renditions) are stored once, base64, under `bodies`.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { runId } = require('./run-id');
+
+const MODES = ['off', 'record', 'replay'];
+const DEFAULT_CASSETTE_DIR = 'cassettes';
+const CASSETTE_VERSION = 1;
+
+const ID_KEYS = ['_id', 'aposDocId', 'jobId', 'docId'];
+const TOKEN_KEYS = ['token'];
+const SECRET_KEYS = ['password'];
+const SECRET_QUERY = ['apikey', 'apiKey'];
+const KEPT_HEADERS = ['content-type', 'location', 'retry-after', 'set-cookie'];
+
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z/g;
+const EPOCH_MS = /(?<!\d)1\d{12}(?!\d)/g;
+const SESSION_COOKIE = /(\.sid=)[^;]+/g;
+const PLACEHOLDER = /\{\{(id|token):(\d+)\}\}/g;
+const TEXT_CONTENT = /json|text|xml|javascript/;
+
+function cassetteMode() {
+  const mode = (process.env.APOSTROPHE_CASSETTE_MODE || 'off').toLowerCase();
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown APOSTROPHE_CASSETTE_MODE "${mode}". Use one of: ${MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function cassetteDir() {
+  return process.env.APOSTROPHE_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+}
+
+// Maps volatile values to placeholders and back
+class Normalizer {
+  constructor() {
+    this.toPlaceholder = new Map();
+    this.fromPlaceholder = new Map();
+    this.counters = { id: 0, token: 0 };
+    this.origin = null;
+  }
+
+  learn(value, kind) {
+    if (typeof value !== 'string' || value.length < 8 || value.includes('{{')) return;
+    if (this.toPlaceholder.has(value)) return;
+    const placeholder = `{{${kind}:${++this.counters[kind]}}}`;
+    this.toPlaceholder.set(value, placeholder);
+    this.fromPlaceholder.set(placeholder, value);
+  }
+
+  // Learn ids and tokens from a response body (ids may carry :locale:mode)
+  learnFrom(value) {
+    if (Array.isArray(value)) {
+      value.forEach(item => this.learnFrom(item));
+    } else if (value && typeof value === 'object') {
+      for (const [key, item] of Object.entries(value)) {
+        if (ID_KEYS.includes(key) && typeof item === 'string') this.learn(item.split(':')[0], 'id');
+        else if (TOKEN_KEYS.includes(key)) this.learn(item, 'token');
+        else this.learnFrom(item);
+      }
+    }
+  }
+
+  normalizeString(text) {
+    let result = text;
+    if (this.origin) result = result.split(this.origin).join('{{baseUrl}}');
+    // Longest first so a value is never replaced inside a longer one
+    const known = [...this.toPlaceholder.keys()].sort((a, b) => b.length - a.length);
+    for (const value of known) {
+      if (result.includes(value)) result = result.split(value).join(this.toPlaceholder.get(value));
+    }
+    return result
+      .split(runId()).join('{{runId}}')
+      .replace(ISO_TIMESTAMP, '{{timestamp}}')
+      .replace(EPOCH_MS, '{{now}}')
+      .replace(SESSION_COOKIE, '$1{{session}}');
+  }
+
+  normalize(value) {
+    if (typeof value === 'string') return this.normalizeString(value);
+    if (Array.isArray(value)) return value.map(item => this.normalize(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_KEYS.includes(key) ? '{{redacted}}' : this.normalize(item)
+      ]));
+    }
+    return value;
+  }
+
+  // Replace placeholders with concrete values, inventing new ones on first use
+  restoreString(text) {
+    return text
+      .replace(PLACEHOLDER, (placeholder, kind) => {
+        if (!this.fromPlaceholder.has(placeholder)) {
+          const value = kind === 'id'
+            ? 'c' + crypto.randomBytes(12).toString('hex').slice(0, 24)
+            : crypto.randomBytes(24).toString('base64url');
+          this.fromPlaceholder.set(placeholder, value);
+          this.toPlaceholder.set(value, placeholder);
+        }
+        return this.fromPlaceholder.get(placeholder);
+      })
+      .split('{{baseUrl}}').join(this.origin || '')
+      .split('{{runId}}').join(runId())
+      .split('{{timestamp}}').join(new Date().toISOString())
+      .split('{{now}}').join(String(Date.now()))
+      .split('{{session}}').join('replayed-session');
+  }
+
+  restore(value) {
+    if (typeof value === 'string') return this.restoreString(value);
+    if (Array.isArray(value)) return value.map(item => this.restore(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.restore(item)]));
+    }
+    return value;
+  }
+}
+
+function parseJson(text) {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+// Describe a request body; multipart bodies are summarised by field
+function describeBody(data) {
+  if (data === undefined || data === null || data === '') return undefined;
+  if (typeof FormData !== 'undefined' && data instanceof FormData) {
+    return {
+      multipart: [...data.entries()].map(([name, value]) => (typeof value === 'string'
+        ? { name, value }
+        : { name, filename: value.name, type: value.type, size: value.size }))
+    };
+  }
+  return parseJson(Buffer.isBuffer(data) ? data.toString('utf8') : data);
+}
+
+// Turn raw bytes into what the http adapter would hand back for responseType
+function decodeBody(bytes, config) {
+  if (config.responseType === 'arraybuffer') return bytes;
+  return bytes.toString(config.responseEncoding || 'utf8');
+}
+
+function pickHeaders(headers = {}) {
+  const plain = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+  return Object.fromEntries(Object.entries(plain)
+    .filter(([name]) => KEPT_HEADERS.includes(name.toLowerCase()))
+    .map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+class Cassette {
+  constructor(suite, { mode = cassetteMode(), dir = cassetteDir() } = {}) {
+    this.suite = suite;
+    this.mode = mode;
+    this.file = path.join(dir, `${suite}.json`);
+    this.normalizer = new Normalizer();
+    this.interactions = [];
+    this.bodies = {};
+    this.used = new Set();
+    this.adapter = this.adapter.bind(this);
+
+    if (mode === 'replay') {
+      if (!fs.existsSync(this.file)) {
+        throw new Error(`No cassette for suite "${suite}" at ${this.file}. Record one first with --record`);
+      }
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.interactions = saved.interactions || [];
+      this.bodies = saved.bodies || {};
+    }
+  }
+
+  // Route an SDK API instance's requests through this cassette
+  attach(api) {
+    if (!api.configuration) return api;
+    api.configuration.baseOptions = { ...api.configuration.baseOptions, adapter: this.adapter };
+    return api;
+  }
+
+  // Method, URL and query with secrets dropped and volatile values normalised
+  describeRequest(config) {
+    const url = new URL(config.url, config.baseURL || 'http://localhost');
+    this.normalizer.origin = this.normalizer.origin || url.origin;
+    const query = Object.fromEntries(url.searchParams);
+    Object.assign(query, config.params || {});
+    SECRET_QUERY.forEach(name => delete query[name]);
+
+    const sortedQuery = Object.fromEntries(Object.keys(query).sort().map(key => [key, String(query[key])]));
+    return {
+      method: (config.method || 'get').toUpperCase(),
+      url: this.normalizer.normalizeString(`${url.origin}${url.pathname}`),
+      query: this.normalizer.normalize(sortedQuery),
+      body: this.normalizer.normalize(describeBody(config.data))
+    };
+  }
+
+  adapter(config) {
+    return this.mode === 'replay' ? this.replay(config) : this.record(config);
+  }
+
+  async record(config) {
+    const request = this.describeRequest(config);
+    const transport = axios.getAdapter(axios.defaults.adapter);
+    // Streams can't be both saved and handed on, so pass them straight through
+    if (config.responseType === 'stream') return transport(config);
+
+    let response;
+    let failure;
+    try {
+      // Fetch raw bytes so binary bodies are saved exactly, then decode them
+      // the way the caller asked for
+      response = await transport({ ...config, responseType: 'arraybuffer' });
+    } catch (error) {
+      failure = error;
+      response = error.response;
+    }
+
+    if (response) {
+      const bytes = Buffer.from(response.data || []);
+      response.data = decodeBody(bytes, config);
+      response.config = config;
+      const headers = pickHeaders(response.headers);
+      // Learn cookie values only, so replayed cookies keep their names
+      [].concat(headers['set-cookie'] || []).forEach((cookie) => {
+        this.normalizer.learn(cookie.split(';')[0].split('=').slice(1).join('='), 'token');
+      });
+      this.save({
+        request,
+        response: {
+          status: response.status,
+          headers: this.normalizer.normalize(headers),
+          ...this.describeResponseBody(bytes, headers['content-type'])
+        }
+      });
+    } else {
+      this.save({ request, error: { code: failure.code || null, message: failure.message } });
+    }
+
+    if (failure) throw failure;
+    return response;
+  }
+
+  // Text and JSON are normalised inline; anything else is kept by digest
+  describeResponseBody(bytes, contentType = '') {
+    if (!bytes.length) return { data: '' };
+    if (TEXT_CONTENT.test(contentType)) {
+      const data = parseJson(bytes.toString('utf8'));
+      this.normalizer.learnFrom(data);
+      return { data: this.normalizer.normalize(data) };
+    }
+    const digest = crypto.createHash('sha1').update(bytes).digest('hex').slice(0, 16);
+    this.bodies[digest] = bytes.toString('base64');
+    return { body: digest };
+  }
+
+  async replay(config) {
+    const request = this.describeRequest(config);
+    const index = this.interactions.findIndex((interaction, i) => !this.used.has(i) &&
+      interaction.request.method === request.method &&
+      interaction.request.url === request.url &&
+      JSON.stringify(interaction.request.query) === JSON.stringify(request.query));
+
+    if (index === -1) {
+      const error = new Error(`No recorded response in ${this.file} for ${request.method} ${request.url}`);
+      error.code = 'ECASSETTE';
+      error.config = config;
+      throw error;
+    }
+    this.used.add(index);
+
+    const recorded = this.interactions[index];
+    if (recorded.error) {
+      throw new axios.AxiosError(recorded.error.message, recorded.error.code, config);
+    }
+
+    const response = {
+      status: recorded.response.status,
+      statusText: String(recorded.response.status),
+      headers: new axios.AxiosHeaders(this.normalizer.restore(recorded.response.headers)),
+      data: recorded.response.body
+        ? decodeBody(Buffer.from(this.bodies[recorded.response.body], 'base64'), config)
+        : this.normalizer.restore(recorded.response.data),
+      config,
+      request: { replayed: true }
+    };
+
+    const validateStatus = config.validateStatus;
+    if (validateStatus && !validateStatus(response.status)) {
+      throw new axios.AxiosError(
+        `Request failed with status code ${response.status}`,
+        response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+      );
+    }
+    return response;
+  }
+
+  // Rewrite the cassette after every interaction so a crash keeps what ran
+  save(interaction) {
+    this.interactions.push(interaction);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, JSON.stringify({
+      version: CASSETTE_VERSION,
+      suite: this.suite,
+      interactions: this.interactions,
+      bodies: this.bodies
+    }, null, 2) + '\n');
+  }
+}
+
+const cassettes = new Map();
+
+// The cassette for a suite, or null when record/replay is off
+function cassetteFor(suite) {
+  if (cassetteMode() === 'off') return null;
+  if (!cassettes.has(suite)) cassettes.set(suite, new Cassette(suite));
+  return cassettes.get(suite);
+}
+
+// Cassette files a replay of `suiteNames` needs but cannot find
+function missingCassettes(suiteNames, dir = cassetteDir()) {
+  return suiteNames
+    .map(suite => path.join(dir, `${suite}.json`))
+    .filter(file => !fs.existsSync(file));
+}
+
+module.exports = {
+  Cassette,
+  Normalizer,
+  cassetteFor,
+  missingCassettes,
+  cassetteMode,
+  DEFAULT_CASSETTE_DIR
+};
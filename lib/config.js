@@ -0,0 +1,316 @@
+// Settings shared by the runner, the suites and the sweeper
+// Every setting is declared once in SCHEMA with its type, default and
+// description, and read through loadConfig(), which reports every invalid or
+// missing value at once instead of failing on the first request.
+//
+// A named profile (APOSTROPHE_PROFILE or run-all-tests.js --profile) picks
+// where the values come from. Highest precedence first:
+//   1. the real environment
+//   2. .env.<profile>, e.g. .env.staging
+//   3. .env (skipped by profiles marked `skipDotEnv`)
+//   4. the profile's built-in defaults
+//   5. the schema defaults
+// Any name with a .env.<name> file is a profile; the built-in ones are below.
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const DEFAULT_PROFILE = 'local';
+
+class ConfigError extends Error {
+  constructor(problems, profile) {
+    super(`Invalid configuration${profile ? ` (profile "${profile}")` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+    this.profile = profile;
+  }
+}
+
+const PROFILES = {
+  local: {
+    description: 'starter-kit-essentials running on this machine'
+  },
+  staging: {
+    description: 'a shared instance; its URL and API key must come from .env.staging or the environment',
+    // Never fall back to the local URL and key in .env
+    requires: ['APOSTROPHE_BASE_URL', 'APOSTROPHE_API_KEY']
+  },
+  'fake-server': {
+    description: 'the in-memory fake server, which run-all-tests.js starts on a free port',
+    fakeServer: true,
+    // Ids and credentials in .env belong to a real instance
+    skipDotEnv: true,
+    defaults: {
+      APOSTROPHE_API_KEY: 'fake-server-api-key',
+      APOSTROPHE_USERNAME: 'admin',
+      APOSTROPHE_PASSWORD: 'password',
+      // Nothing to protect: no pacing between requests
+      APOSTROPHE_RATE_LIMIT: '0',
+      // The fake server's own default upload limit, 10 MB
+      APOSTROPHE_MAX_UPLOAD_BYTES: '10485760'
+    }
+  }
+};
+
+const PARSERS = {
+  string: value => value,
+  url(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error(`"${value}" is not a URL`);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`"${value}" must be an http(s) URL`);
+    return value.replace(/\/+$/, '');
+  },
+  email(value) {
+    if (!/^[^\s@]+@[^\s@]+$/.test(value)) throw new Error(`"${value}" is not an email address`);
+    return value;
+  },
+  number(value) {
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new Error(`"${value}" is not a number of 0 or more`);
+    return number;
+  },
+  integer(value) {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0) throw new Error(`"${value}" is not a whole number of 0 or more`);
+    return number;
+  },
+  boolean(value) {
+    if (/^(true|1|yes|on)$/i.test(value)) return true;
+    if (/^(false|0|no|off)$/i.test(value)) return false;
+    throw new Error(`"${value}" is not a boolean; use true or false`);
+  },
+  // name:WIDTHxHEIGHT, comma-separated, e.g. max:1600x1600,full:1140x1140
+  imageSizes(value) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+      const match = /^([\w-]+):(\d+)x(\d+)$/.exec(entry);
+      if (!match || !Number(match[2]) || !Number(match[3])) {
+        throw new Error(`"${entry}" is not a size; use name:WIDTHxHEIGHT, e.g. full:1140x1140`);
+      }
+      return { name: match[1], width: Number(match[2]), height: Number(match[3]) };
+    });
+  }
+};
+
+const SCHEMA = {
+  APOSTROPHE_BASE_URL: {
+    key: 'baseUrl',
+    type: 'url',
+    default: 'http://localhost:3000/api/v1',
+    description: 'REST API root, including /api/v1'
+  },
+  APOSTROPHE_API_KEY: {
+    key: 'apiKey',
+    type: 'string',
+    required: true,
+    description: 'an API key from the @apostrophecms/express apiKeys option'
+  },
+  APOSTROPHE_USERNAME: {
+    key: 'username',
+    type: 'string',
+    description: 'user for the login tests'
+  },
+  APOSTROPHE_PASSWORD: {
+    key: 'password',
+    type: 'string',
+    description: 'password of APOSTROPHE_USERNAME'
+  },
+  APOSTROPHE_PARENT_PAGE_ID: {
+    key: 'parentPageId',
+    type: 'string',
+    description: 'page the pages suite creates its test pages under (default: the home page)'
+  },
+  APOSTROPHE_PAGE_TYPE: {
+    key: 'pageType',
+    type: 'string',
+    default: 'default-page',
+    description: 'page type the pages suite creates'
+  },
+  APOSTROPHE_TEST_EMAIL: {
+    key: 'testEmail',
+    type: 'email',
+    description: 'address the password reset tests send to'
+  },
+  RUN_PASSWORD_RESET_TESTS: {
+    key: 'runPasswordResetTests',
+    type: 'boolean',
+    default: false,
+    description: 'run the password reset tests'
+  },
+  APOSTROPHE_RATE_LIMIT: {
+    key: 'rateLimit',
+    type: 'number',
+    default: 10,
+    description: 'most SDK requests per second, across all suites; 0 for no limit'
+  },
+  APOSTROPHE_MAX_RETRIES: {
+    key: 'maxRetries',
+    type: 'integer',
+    default: 3,
+    description: 'retries of a request that fails with 429, 503 or a dropped connection'
+  },
+  APOSTROPHE_RETRY_DELAY_MS: {
+    key: 'retryDelayMs',
+    type: 'integer',
+    default: 500,
+    description: 'wait before the first retry; doubles with each retry unless Retry-After says otherwise'
+  },
+  APOSTROPHE_JOB_TIMEOUT_MS: {
+    key: 'jobTimeoutMs',
+    type: 'integer',
+    default: 30000,
+    description: 'how long to wait for a background job (archive, restore, publish) to finish'
+  },
+  APOSTROPHE_JOB_POLL_MS: {
+    key: 'jobPollMs',
+    type: 'integer',
+    default: 250,
+    description: 'wait between two checks on a background job\'s progress'
+  },
+  APOSTROPHE_IMAGE_SIZES: {
+    key: 'imageSizes',
+    type: 'imageSizes',
+    description: 'the project\'s image sizes, largest first, as name:WIDTHxHEIGHT,... (default: Apostrophe\'s max, full, two-thirds, one-half, one-third and one-sixth)'
+  },
+  APOSTROPHE_MAX_UPLOAD_BYTES: {
+    key: 'maxUploadBytes',
+    type: 'integer',
+    description: 'the project\'s upload size limit in bytes; the uploads suite sends a file one byte over it (skipped when unset)'
+  },
+  APOSTROPHE_FUZZ_CASES: {
+    key: 'fuzzCases',
+    type: 'integer',
+    default: 25,
+    description: 'generated payloads per endpoint in the fuzz suite'
+  },
+  APOSTROPHE_FUZZ_SEED: {
+    key: 'fuzzSeed',
+    type: 'integer',
+    description: 'seed for the fuzz suite\'s generator, to replay a run (default: a new one each run)'
+  },
+  APOSTROPHE_FUZZ_TIMEOUT_MS: {
+    key: 'fuzzTimeoutMs',
+    type: 'integer',
+    default: 10000,
+    description: 'how long a fuzzed request may take before it counts as a hang'
+  },
+  APOSTROPHE_LIFECYCLE_SEQUENCES: {
+    key: 'lifecycleSequences',
+    type: 'integer',
+    default: 5,
+    description: 'random operation sequences per document type in the lifecycle suite'
+  },
+  APOSTROPHE_LIFECYCLE_STEPS: {
+    key: 'lifecycleSteps',
+    type: 'integer',
+    default: 8,
+    description: 'operations in each lifecycle sequence'
+  },
+  APOSTROPHE_LIFECYCLE_SEED: {
+    key: 'lifecycleSeed',
+    type: 'integer',
+    description: 'seed for the lifecycle suite\'s sequences, to replay a run (default: a new one each run)'
+  }
+};
+
+function readEnvFile(file) {
+  const filePath = path.resolve(file);
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : null;
+}
+
+let activeProfile = null;
+
+// Select a profile and copy its values into process.env, never overriding
+// what is already set. Later calls return the same profile
+function loadProfile(name) {
+  const dotEnv = readEnvFile('.env') || {};
+  const selected = name || process.env.APOSTROPHE_PROFILE || dotEnv.APOSTROPHE_PROFILE || DEFAULT_PROFILE;
+  if (activeProfile) {
+    if (activeProfile.name !== selected) {
+      throw new ConfigError([`profile "${activeProfile.name}" is already loaded; cannot switch to "${selected}"`]);
+    }
+    return activeProfile;
+  }
+
+  const builtin = PROFILES[selected];
+  const profileFile = `.env.${selected}`;
+  const profileEnv = readEnvFile(profileFile);
+  if (!builtin && !profileEnv) {
+    throw new ConfigError([`unknown profile "${selected}"; use one of ${Object.keys(PROFILES).join(', ')} or create ${profileFile}`]);
+  }
+
+  const missing = (builtin?.requires || []).filter(key => !process.env[key] && !profileEnv?.[key]);
+  if (missing.length) {
+    throw new ConfigError(missing.map(key => `${key} must be set in ${profileFile} or the environment`), selected);
+  }
+
+  const layered = { ...builtin?.defaults, ...(builtin?.skipDotEnv ? {} : dotEnv), ...profileEnv };
+  for (const [key, value] of Object.entries(layered)) {
+    if (process.env[key] === undefined) process.env[key] = value;
+  }
+  process.env.APOSTROPHE_PROFILE = selected;
+
+  activeProfile = {
+    name: selected,
+    description: builtin?.description || `settings from ${profileFile}`,
+    fakeServer: Boolean(builtin?.fakeServer),
+    files: [builtin?.skipDotEnv ? null : '.env', profileFile].filter(file => file && fs.existsSync(path.resolve(file)))
+  };
+  return activeProfile;
+}
+
+// Validate the current environment against SCHEMA; throws a ConfigError
+// listing every problem
+function loadConfig() {
+  const profile = loadProfile();
+  const config = { profile: profile.name };
+  const problems = [];
+
+  for (const [name, setting] of Object.entries(SCHEMA)) {
+    const value = (process.env[name] || '').trim();
+    if (!value) {
+      if (setting.required) problems.push(`${name} is required: ${setting.description}`);
+      config[setting.key] = setting.default ?? null;
+      continue;
+    }
+    try {
+      config[setting.key] = PARSERS[setting.type](value);
+    } catch (error) {
+      problems.push(`${name}: ${error.message}`);
+    }
+  }
+
+  if (Boolean(config.username) !== Boolean(config.password)) {
+    problems.push('APOSTROPHE_USERNAME and APOSTROPHE_PASSWORD must be set together');
+  }
+
+  if (problems.length) throw new ConfigError(problems, profile.name);
+  return Object.freeze(config);
+}
+
+// loadConfig() for scripts: returns the validated settings from .env and the
+// selected profile, and with invalid settings prints every problem and exits
+// instead of throwing
+function requireConfig() {
+  try {
+    return loadConfig();
+  } catch (error) {
+    if (!(error instanceof ConfigError)) throw error;
+    console.error(`❌ ${error.message}`);
+    console.error('   💡 Set these in .env (or .env.<profile>); see "Configuration" in README.md');
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  ConfigError,
+  PROFILES,
+  SCHEMA,
+  DEFAULT_PROFILE,
+  loadProfile,
+  loadConfig,
+  requireConfig
+};
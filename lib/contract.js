@@ -0,0 +1,206 @@
+// OpenAPI contract checks for SDK responses
+// Every response an instrumented SDK call receives is checked against the
+// apostrophecms-openapi spec the SDK was generated from: the status code must
+// be documented for the operation, the content-type must be one the spec
+// lists for that status, and a JSON body must match the response schema.
+// Mismatches come back as { path, message, source } with a JSON path such as
+// `$.results[0]._id`, so a disagreement between spec and server is pinned down.
+// `source` is 'server' when the response breaks the spec, and 'spec' when the
+// spec itself is at fault: a body that matches several oneOf branches, or a
+// call with no operation in the spec. Those would fail against any server.
+//
+// APOSTROPHE_CONTRACT=fail|warn|off picks how mismatches are recorded
+// (default fail); APOSTROPHE_OPENAPI_SPEC points at another spec file.
+const fs = require('fs');
+const YAML = require('yaml');
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+const CONTRACT_MODES = ['fail', 'warn', 'off'];
+const SPEC_ID = 'openapi';
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+function contractMode() {
+  const mode = (process.env.APOSTROPHE_CONTRACT || 'fail').toLowerCase();
+  if (!CONTRACT_MODES.includes(mode)) {
+    throw new Error(`Unknown APOSTROPHE_CONTRACT "${mode}". Use one of: ${CONTRACT_MODES.join(', ')}`);
+  }
+  return mode;
+}
+
+function loadSpec(file = process.env.APOSTROPHE_OPENAPI_SPEC) {
+  let specFile = file;
+  if (!specFile) {
+    try {
+      specFile = require.resolve('apostrophecms-openapi');
+    } catch (error) {
+      throw new Error('Cannot find the apostrophecms-openapi package. Run npm install, ' +
+        'set APOSTROPHE_OPENAPI_SPEC to a spec file, or set APOSTROPHE_CONTRACT=off');
+    }
+  }
+  const source = fs.readFileSync(specFile, 'utf8');
+  return specFile.endsWith('.json') ? JSON.parse(source) : YAML.parse(source);
+}
+
+// `#/a/b` style pointer segment
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// `/results/0/_id` → `$.results[0]._id`
+function toJsonPath(pointer, property) {
+  const segments = pointer.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((jsonPath, segment) => {
+    if (/^\d+$/.test(segment)) return `${jsonPath}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return `${jsonPath}.${segment}`;
+    return `${jsonPath}[${JSON.stringify(segment)}]`;
+  }, '$');
+}
+
+// The property an Ajv error is about, for errors reported on the parent object
+function errorProperty(error) {
+  return error.params.missingProperty ?? error.params.additionalProperty ?? error.params.unevaluatedProperty;
+}
+
+// Several oneOf branches passing means the branches overlap: the spec is
+// ambiguous, whatever the server sent
+function isSpecAmbiguity(error) {
+  return error.keyword === 'oneOf' && Array.isArray(error.params.passingSchemas);
+}
+
+function errorMessage(error) {
+  // Ajv only says "must match exactly one schema" when several branches pass
+  if (isSpecAmbiguity(error)) {
+    return `matches oneOf branches ${error.params.passingSchemas.join(' and ')}; expected exactly one`;
+  }
+  if (error.keyword === 'enum') return `${error.message}: ${error.params.allowedValues.join(', ')}`;
+  return error.message;
+}
+
+function mediaType(contentType = '') {
+  return String(contentType).split(';')[0].trim().toLowerCase();
+}
+
+function mediaTypeMatches(pattern, actual) {
+  if (pattern === '*/*') return true;
+  if (pattern.endsWith('/*')) return actual.startsWith(pattern.slice(0, -1));
+  return pattern === actual;
+}
+
+class Contract {
+  constructor(spec = loadSpec()) {
+    this.spec = spec;
+    this.ajv = new Ajv2020({ strict: false, allErrors: true, validateFormats: true });
+    addFormats(this.ajv);
+    this.ajv.addSchema(spec, SPEC_ID);
+    this.validators = new Map();
+
+    // SDK method names are the operationIds with a lowercase first letter
+    this.operations = new Map();
+    for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+      for (const method of HTTP_METHODS) {
+        const operation = pathItem[method];
+        if (!operation?.operationId) continue;
+        const sdkMethod = operation.operationId.charAt(0).toLowerCase() + operation.operationId.slice(1);
+        this.operations.set(sdkMethod, { ...operation, route, method });
+      }
+    }
+  }
+
+  // Follow a `#/components/responses/...` reference; returns the response and its pointer
+  resolveResponse(operation, status) {
+    let pointer = `#/paths/${escapePointer(operation.route)}/${operation.method}/responses/${escapePointer(status)}`;
+    let response = operation.responses[status];
+    while (response?.$ref) {
+      pointer = response.$ref;
+      response = pointer.slice(2).split('/')
+        .map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, key) => node?.[key], this.spec);
+    }
+    return { response, pointer };
+  }
+
+  // Response key for a status: exact code, then `4XX`-style range, then default
+  documentedStatus(operation, status) {
+    const responses = operation.responses || {};
+    return [String(status), `${String(status)[0]}XX`, 'default'].find(key => key in responses);
+  }
+
+  validator(pointer) {
+    if (!this.validators.has(pointer)) {
+      this.validators.set(pointer, this.ajv.compile({ $ref: `${SPEC_ID}${pointer}` }));
+    }
+    return this.validators.get(pointer);
+  }
+
+  // Check one response; returns the list of mismatches (empty when it conforms)
+  check(sdkMethod, { status, headers = {}, data }) {
+    const operation = this.operations.get(sdkMethod);
+    if (!operation) {
+      return [{ path: '$', message: `${sdkMethod} has no operation in the OpenAPI spec`, source: 'spec' }];
+    }
+
+    const label = `${operation.operationId} (${operation.method.toUpperCase()} ${operation.route})`;
+    const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+    const statusKey = this.documentedStatus(operation, status);
+    if (!statusKey) {
+      const documented = Object.keys(operation.responses || {}).join(', ');
+      const location = header('location');
+      return [{
+        path: '$',
+        message: `status ${status}${location ? ` (Location: ${location})` : ''} is not documented for ${label}; ` +
+          `documented: ${documented}`,
+        source: 'server'
+      }];
+    }
+
+    const { response, pointer } = this.resolveResponse(operation, statusKey);
+    const content = response?.content || {};
+    const documentedTypes = Object.keys(content);
+    const actualType = mediaType(header('content-type'));
+    const hasBody = data !== undefined && data !== null && data !== '';
+
+    if (!documentedTypes.length) {
+      return hasBody
+        ? [{ path: '$', message: `${label} documents no body for ${statusKey} but got ${actualType || 'a body'}`, source: 'server' }]
+        : [];
+    }
+    const matchedType = documentedTypes.find(type => mediaTypeMatches(type, actualType));
+    if (!matchedType) {
+      return [{
+        path: '$',
+        message: `content-type ${actualType || '(none)'} is not documented for ${label} ${statusKey}; ` +
+          `documented: ${documentedTypes.join(', ')}`,
+        source: 'server'
+      }];
+    }
+    if (!content[matchedType].schema || !/json/.test(matchedType)) return [];
+
+    const validate = this.validator(`${pointer}/content/${escapePointer(matchedType)}/schema`);
+    if (validate(data)) return [];
+    return validate.errors.map(error => ({
+      path: toJsonPath(error.instancePath, errorProperty(error)),
+      message: errorMessage(error),
+      source: isSpecAmbiguity(error) ? 'spec' : 'server'
+    }));
+  }
+}
+
+let sharedContract = null;
+
+// The process-wide contract, or null when checks are off
+function getContract() {
+  if (contractMode() === 'off') return null;
+  if (!sharedContract) sharedContract = new Contract();
+  return sharedContract;
+}
+
+module.exports = {
+  Contract,
+  getContract,
+  contractMode,
+  loadSpec,
+  toJsonPath,
+  CONTRACT_MODES
+};
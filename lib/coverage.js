@@ -0,0 +1,96 @@
+// SDK method coverage
+// instrumentApi() reports every SDK call here; at the end of a run the
+// runner lists every operation on the covered API classes with how often it
+// was called and which HTTP statuses came back, and can fail the run when
+// overall coverage drops below APOSTROPHE_COVERAGE_THRESHOLD (a percentage)
+
+const COVERED_APIS = [
+  'PagesApi',
+  'MediaApi',
+  'GlobalContentApi',
+  'UsersApi',
+  'AuthenticationApi',
+  'AttachmentsApi',
+  'InternationalizationApi'
+];
+
+// Status key for a call that never got an HTTP response
+const NO_RESPONSE = 'no-response';
+
+class CoverageTracker {
+  constructor() {
+    // 'PagesApi.pagePost' → { calls, statuses: { 200: 2, 404: 1 } }
+    this.calls = new Map();
+  }
+
+  record(apiName, method, httpStatus) {
+    const key = `${apiName}.${method}`;
+    if (!this.calls.has(key)) this.calls.set(key, { calls: 0, statuses: {} });
+    const entry = this.calls.get(key);
+    const status = httpStatus ?? NO_RESPONSE;
+    entry.calls += 1;
+    entry.statuses[status] = (entry.statuses[status] || 0) + 1;
+  }
+
+  reset() {
+    this.calls.clear();
+  }
+}
+
+// Every SDK call in this process is tracked here, whichever suite made it
+const coverage = new CoverageTracker();
+
+function percent(called, total) {
+  return total ? Math.round((called / total) * 1000) / 10 : 100;
+}
+
+// Operations are the methods the generated classes define on their prototype
+function listOperations(ApiClass) {
+  return Object.getOwnPropertyNames(ApiClass.prototype)
+    .filter(name => name !== 'constructor' && typeof ApiClass.prototype[name] === 'function')
+    .sort();
+}
+
+// Coverage of each API class in the SDK module, from the tracked calls
+function buildCoverage(sdk, tracker = coverage, apiNames = COVERED_APIS) {
+  const apis = apiNames.map((api) => {
+    if (typeof sdk[api] !== 'function') {
+      return { api, missing: true, total: 0, called: 0, percent: 0, operations: [] };
+    }
+
+    const operations = listOperations(sdk[api]).map((name) => {
+      const entry = tracker.calls.get(`${api}.${name}`);
+      return {
+        name,
+        called: Boolean(entry),
+        calls: entry ? entry.calls : 0,
+        statuses: entry ? { ...entry.statuses } : {}
+      };
+    });
+    const called = operations.filter(operation => operation.called).length;
+    return { api, total: operations.length, called, percent: percent(called, operations.length), operations };
+  });
+
+  const total = apis.reduce((sum, api) => sum + api.total, 0);
+  const called = apis.reduce((sum, api) => sum + api.called, 0);
+  return { total, called, percent: percent(called, total), apis };
+}
+
+// Threshold from the command line or APOSTROPHE_COVERAGE_THRESHOLD; null when unset
+function parseThreshold(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error(`Coverage threshold must be a percentage between 0 and 100, got "${value}"`);
+  }
+  return threshold;
+}
+
+module.exports = {
+  COVERED_APIS,
+  NO_RESPONSE,
+  CoverageTracker,
+  coverage,
+  buildCoverage,
+  parseThreshold
+};
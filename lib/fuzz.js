@@ -0,0 +1,315 @@
+// Property-based fuzzing of request payloads
+// A fuzz case is a valid payload with one to three mutations applied: a field
+// dropped, or set to a wrong type, a huge or odd string, an odd number or a
+// value the endpoint must refuse. Every case is sent and must get an answer
+// within the timeout, and that answer must never be a 5xx. Cases with a
+// mutation marked `invalid` must also be refused with a 4xx, and accepting
+// one fails like a 5xx does. Only mark values no server should store: many
+// other wrong values are laundered by Apostrophe rather than refused.
+//
+// A case that breaks the property is shrunk: mutations are dropped and values
+// simplified (shorter strings, smaller numbers, emptier objects) as long as
+// the case still fails the same way, so the report shows a minimal payload.
+// Cases come from a seeded generator, so APOSTROPHE_FUZZ_SEED replays a run.
+
+// Most cases a target shrinks; later failures are only counted
+const MAX_SHRUNK_FAILURES = 3;
+
+// Most requests spent shrinking one failure
+const MAX_SHRINK_STEPS = 60;
+
+// mulberry32: small, fast and good enough to pick test data
+function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: list => list[Math.floor(next() * list.length)]
+  };
+}
+
+// Stable per-target seed, so one target's cases do not depend on the others
+function hashString(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function randomSeed() {
+  return Math.floor(Math.random() * 2 ** 31);
+}
+
+// Values the mutations draw from, by kind
+const VALUES = {
+  wrongType: () => [123, -1, 1.5, true, false, null, [], ['a', 'b'], {}, { nested: { deep: [1] } }],
+  hugeString: () => [10000, 100000, 1000000].map(length => 'x'.repeat(length)),
+  oddString: () => [
+    '',
+    ' ',
+    '\u0000',
+    '\ud800',
+    '../../etc/passwd',
+    '<script>alert(1)</script>',
+    '\'; DROP TABLE docs; --',
+    '{"$gt": ""}',
+    '😀'.repeat(50),
+    '‮evil',
+    'a\r\nb'
+  ],
+  oddNumber: () => [-1, 0, -0.5, 0.5, 1e308, -1e308, 2 ** 53 + 1, -100000],
+  // Keys Mongo or JavaScript treat specially
+  oddObject: () => [{ $gt: '' }, { $where: '1' }, { 'a.b': 1 }, { constructor: { prototype: {} } }]
+};
+
+// Mutation generators. `path` is a list of keys; `invalid` marks mutations
+// that must be refused. `values` is a kind from VALUES, a list of values or
+// a function returning one (for values only known once the suite has set up)
+function drop(path, { invalid = false } = {}) {
+  return () => ({ path, drop: true, invalid });
+}
+
+function set(path, values, { invalid = false } = {}) {
+  return (rng) => {
+    const choices = typeof values === 'string' ? VALUES[values]() : typeof values === 'function' ? values() : values;
+    return { path, value: rng.pick(choices), invalid };
+  };
+}
+
+function clone(value) {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function overlaps(a, b) {
+  const length = Math.min(a.length, b.length);
+  return a.slice(0, length).every((key, index) => key === b[index]);
+}
+
+// One to three mutations on distinct, non-nested paths
+function generateCase(rng, generators) {
+  const count = rng.int(1, Math.min(3, generators.length));
+  const mutations = [];
+  for (let tries = 0; mutations.length < count && tries < 20; tries += 1) {
+    const mutation = rng.pick(generators)(rng);
+    if (!mutations.some(other => overlaps(other.path, mutation.path))) mutations.push(mutation);
+  }
+  return mutations;
+}
+
+// Apply mutations to a copy of the payload. Keys are defined rather than
+// assigned, so "__proto__" becomes a real key in the JSON
+function applyMutations(payload, mutations) {
+  const result = clone(payload);
+  for (const { path, drop: remove, value } of mutations) {
+    let parent = result;
+    for (const key of path.slice(0, -1)) {
+      if (parent[key] === null || typeof parent[key] !== 'object') {
+        Object.defineProperty(parent, key, { value: {}, enumerable: true, writable: true, configurable: true });
+      }
+      parent = parent[key];
+    }
+    const last = path[path.length - 1];
+    if (remove) delete parent[last];
+    else Object.defineProperty(parent, last, { value: clone(value), enumerable: true, writable: true, configurable: true });
+  }
+  return result;
+}
+
+// Simpler versions of a value, simplest first
+function shrinkValue(value) {
+  if (typeof value === 'string') {
+    // '', then half, three quarters, seven eighths... so a length threshold
+    // is found in a few dozen requests
+    const lengths = [0];
+    for (let cut = Math.floor(value.length / 2); cut > 0; cut = Math.floor(cut / 2)) lengths.push(value.length - cut);
+    return [...new Set(lengths)].filter(length => length < value.length).map(length => value.slice(0, length));
+  }
+  if (typeof value === 'number') {
+    return [...new Set([0, Math.trunc(value), Math.trunc(value / 2), value < 0 ? -1 : 1])]
+      .filter(candidate => Math.abs(candidate) < Math.abs(value) || (candidate !== value && Number.isInteger(candidate) && !Number.isInteger(value)));
+  }
+  if (Array.isArray(value)) {
+    return value.length ? [[], value.slice(0, Math.ceil(value.length / 2))].filter(c => c.length < value.length) : [];
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value);
+    return keys.length ? [{}, ...keys.map(key => Object.fromEntries(keys.filter(k => k !== key).map(k => [k, value[k]])))] : [];
+  }
+  return value === true ? [false] : [];
+}
+
+// Fewer mutations first, then simpler values. `keepInvalid` leaves the values
+// of invalid mutations alone, since a simpler one may no longer be invalid
+function* shrinkCandidates(mutations, { keepInvalid = false } = {}) {
+  if (mutations.length > 1) {
+    for (let i = 0; i < mutations.length; i += 1) yield mutations.filter((_, index) => index !== i);
+  }
+  for (let i = 0; i < mutations.length; i += 1) {
+    if (mutations[i].drop || (keepInvalid && mutations[i].invalid)) continue;
+    for (const value of shrinkValue(mutations[i].value)) {
+      yield mutations.map((mutation, index) => (index === i ? { ...mutation, value } : mutation));
+    }
+  }
+}
+
+// Greedy shrinking: take the first simpler case that still fails, repeat
+async function shrinkCase(mutations, stillFails, { maxSteps = MAX_SHRINK_STEPS, keepInvalid = false } = {}) {
+  let current = mutations;
+  let steps = 0;
+  for (let improved = true; improved && steps < maxSteps;) {
+    improved = false;
+    for (const candidate of shrinkCandidates(current, { keepInvalid })) {
+      if (steps >= maxSteps) break;
+      steps += 1;
+      if (await stillFails(candidate)) {
+        current = candidate;
+        improved = true;
+        break;
+      }
+    }
+  }
+  return { mutations: current, steps };
+}
+
+function formatValue(value) {
+  if (typeof value === 'string' && value.length > 40) return `"${value.slice(0, 12)}…" (${value.length} chars)`;
+  const json = JSON.stringify(value);
+  return json === undefined ? String(value) : json.length > 80 ? `${json.slice(0, 77)}...` : json;
+}
+
+// The payload with long strings cut short, for reports
+function abbreviate(value) {
+  if (typeof value === 'string') return value.length > 40 ? `${value.slice(0, 12)}… (${value.length} chars)` : value;
+  if (!value || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(abbreviate);
+  const result = {};
+  Object.keys(value).forEach((key) => {
+    Object.defineProperty(result, key, { value: abbreviate(value[key]), enumerable: true, writable: true, configurable: true });
+  });
+  return result;
+}
+
+function describeMutation({ path, drop: remove, value }) {
+  return remove ? `without ${path.join('.')}` : `${path.join('.')} = ${formatValue(value)}`;
+}
+
+function describeCase(mutations) {
+  return mutations.map(describeMutation).join(', ');
+}
+
+// Failures with the same kind, paths and value types are the same bug
+function failureSignature(kind, mutations) {
+  const valueType = value => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+  return [kind, ...mutations.map(m => `${m.path.join('.')}:${m.drop ? 'dropped' : valueType(m.value)}`).sort()].join('|');
+}
+
+// Send one case: { httpStatus, code, timedOut, message }
+async function sendCase(target, mutations, timeoutMs) {
+  const payload = applyMutations(await target.payload(), mutations);
+  let response;
+  try {
+    response = await target.send(payload, { timeout: timeoutMs });
+  } catch (error) {
+    if (error.response) {
+      return { httpStatus: error.response.status, message: error.response.data?.message || error.message };
+    }
+    return { httpStatus: null, code: error.code || null, timedOut: ['ECONNABORTED', 'ETIMEDOUT'].includes(error.code), message: error.message };
+  }
+  // Whatever an accepted case created is removed before the next one
+  if (target.cleanUp) await target.cleanUp(response.data, payload);
+  return { httpStatus: response.status };
+}
+
+// How a case's outcome breaks the property, or null when it does not
+function classify(outcome, mutations) {
+  if (outcome.httpStatus === null) return outcome.timedOut ? 'hang' : 'no-response';
+  if (outcome.httpStatus >= 500) return 'server-error';
+  const mustRefuse = mutations.some(mutation => mutation.invalid);
+  if (mustRefuse && outcome.httpStatus < 400) return 'accepted-invalid';
+  return null;
+}
+
+function describeOutcome(outcome) {
+  if (outcome.httpStatus === null) {
+    return outcome.timedOut ? 'no answer before the timeout' : `no response (${outcome.code || outcome.message})`;
+  }
+  return `HTTP ${outcome.httpStatus}${outcome.message ? ` ${outcome.message}` : ''}`;
+}
+
+// Run `cases` generated cases against one target; returns counts and the
+// shrunk failures, one per distinct minimal case
+async function fuzzTarget(target, { seed, cases, timeoutMs, onCase = () => {} }) {
+  const rng = createRng(seed ^ hashString(target.name));
+  const summary = { name: target.name, cases: 0, refused: 0, accepted: 0, failures: [], duplicates: 0, unshrunk: 0 };
+  const seen = new Set();
+
+  for (let index = 1; index <= cases; index += 1) {
+    const mutations = generateCase(rng, target.mutations);
+    const outcome = await sendCase(target, mutations, timeoutMs);
+    summary.cases += 1;
+    if (outcome.httpStatus >= 400 && outcome.httpStatus < 500) summary.refused += 1;
+    else if (outcome.httpStatus !== null && outcome.httpStatus < 300) summary.accepted += 1;
+    const kind = classify(outcome, mutations);
+    onCase({ index, mutations, outcome, kind });
+    if (!kind) continue;
+
+    if (summary.failures.length >= MAX_SHRUNK_FAILURES) {
+      summary.unshrunk += 1;
+      continue;
+    }
+    let last = outcome;
+    const shrunk = await shrinkCase(mutations, async (candidate) => {
+      const candidateOutcome = await sendCase(target, candidate, timeoutMs);
+      if (classify(candidateOutcome, candidate) !== kind) return false;
+      last = candidateOutcome;
+      return true;
+    }, { keepInvalid: kind === 'accepted-invalid' });
+    const minimal = describeCase(shrunk.mutations);
+    const signature = failureSignature(kind, shrunk.mutations);
+    if (seen.has(signature)) {
+      summary.duplicates += 1;
+      continue;
+    }
+    seen.add(signature);
+    summary.failures.push({
+      kind,
+      caseNumber: index,
+      original: describeCase(mutations),
+      minimal,
+      payload: abbreviate(applyMutations(await target.payload(), shrunk.mutations)),
+      outcome: describeOutcome(last),
+      httpStatus: last.httpStatus,
+      shrinkSteps: shrunk.steps
+    });
+  }
+  return summary;
+}
+
+module.exports = {
+  MAX_SHRUNK_FAILURES,
+  MAX_SHRINK_STEPS,
+  VALUES,
+  createRng,
+  hashString,
+  randomSeed,
+  drop,
+  set,
+  generateCase,
+  applyMutations,
+  shrinkValue,
+  shrinkCase,
+  describeCase,
+  formatValue,
+  abbreviate,
+  classify,
+  describeOutcome,
+  fuzzTarget
+};
@@ -0,0 +1,93 @@
+// Wraps a generated SDK API instance so every call is reported to a
+// ResultCollector (SDK method name, HTTP status, error) and to the coverage
+// tracker without the suites having to pass that information to logTest by
+// hand. Every response is also checked against the OpenAPI spec, and when
+// record/replay is on the instance's requests go through the suite's cassette.
+// During an auth-matrix run the instance uses the matrix's current credential
+// instead of the API key. Calls are paced and retried by lib/pacing.js, and
+// only the final attempt counts towards results, coverage and contract checks.
+// Successful requests are timed for the latency benchmark (lib/benchmark.js)
+const { cassetteFor } = require('./cassette');
+const { getContract, contractMode } = require('./contract');
+const { STATUS } = require('./results');
+const { coverage } = require('./coverage');
+const authMatrix = require('./auth-matrix');
+const { paced } = require('./pacing');
+const { latency } = require('./benchmark');
+
+// Record any way the response disagrees with the spec. Faults in the spec
+// itself are kept apart and only warned about, since no server can fix them
+function checkContract(contract, collector, method, property, response) {
+  if (!contract || !response) return;
+  const mismatches = contract.check(property, response);
+  const serverMismatches = mismatches.filter(mismatch => mismatch.source !== 'spec');
+  const specProblems = mismatches.filter(mismatch => mismatch.source === 'spec');
+  if (serverMismatches.length) {
+    collector.recordContract({
+      method,
+      httpStatus: response.status,
+      mismatches: serverMismatches,
+      status: contractMode() === 'warn' ? STATUS.WARN : STATUS.FAIL
+    });
+  }
+  if (specProblems.length) {
+    collector.recordContract({
+      method,
+      httpStatus: response.status,
+      mismatches: specProblems,
+      status: STATUS.WARN,
+      source: 'spec'
+    });
+  }
+}
+
+function instrumentApi(api, collector) {
+  const apiName = api.constructor.name;
+  // One cassette per suite and credential type
+  const credential = authMatrix.activeCredential();
+  const cassette = cassetteFor(credential && credential.mode !== 'apikey' ? `${collector.suite}.${credential.mode}` : collector.suite);
+  if (cassette) cassette.attach(api);
+  authMatrix.applyCredential(api, credential);
+  const contract = getContract();
+
+  return new Proxy(api, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function' || typeof property !== 'string' || property === 'constructor') {
+        return value;
+      }
+
+      const method = `${apiName}.${property}`;
+      return async function instrumentedCall(...args) {
+        let response;
+        try {
+          // Timed inside paced() so pacing waits and failed attempts are left out
+          response = await paced(async () => {
+            const started = performance.now();
+            const result = await value.apply(target, args);
+            latency.record(method, performance.now() - started);
+            return result;
+          }, {
+            method,
+            onRetry: retry => collector.noteRetry(retry)
+          });
+        } catch (error) {
+          collector.noteCall({ method, httpStatus: error.response?.status, error });
+          coverage.record(apiName, property, error.response?.status);
+          authMatrix.recordCall(collector.suite, method, error.response?.status);
+          checkContract(contract, collector, method, property, error.response);
+          throw error;
+        }
+        collector.noteCall({ method, httpStatus: response?.status });
+        coverage.record(apiName, property, response?.status);
+        authMatrix.recordCall(collector.suite, method, response?.status);
+        checkContract(contract, collector, method, property, response);
+        return response;
+      };
+    }
+  });
+}
+
+module.exports = {
+  instrumentApi
+};
@@ -0,0 +1,133 @@
+// Background jobs behind Apostrophe's batch routes
+// Batch archive, restore, publish and localize may answer { jobId } and do the
+// work afterwards. waitForJob() polls GET /@apostrophecms/job/:id, which the
+// SDK has no method for, until the job ends, printing progress as it goes, and
+// gives up after APOSTROPHE_JOB_TIMEOUT_MS. The poll uses the SDK instance's
+// configuration, so it carries the same credential, goes through the same
+// cassette and is paced like any SDK call. settleBatch() accepts either kind
+// of batch response, a job or an immediate result, and resolves once the work
+// is done; checkArchived() then confirms what the job claims.
+const axios = require('axios');
+const { loadConfig } = require('./config');
+const { paced } = require('./pacing');
+const { cassetteMode } = require('./cassette');
+
+class JobTimeoutError extends Error {
+  constructor(jobId, timeoutMs, job) {
+    super(`Job ${jobId} did not finish within ${timeoutMs}ms${job ? ` (${describeProgress(job)})` : ''}`);
+    this.name = 'JobTimeoutError';
+    this.jobId = jobId;
+    this.job = job;
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Apostrophe sets `ended` when a job finishes; some versions report a status instead
+function jobEnded(job) {
+  return Boolean(job) && (job.ended === true || ['completed', 'failed'].includes(job.status));
+}
+
+function describeProgress(job) {
+  const total = Number.isInteger(job.total) ? job.total : '?';
+  return `${job.processed ?? 0}/${total} processed, ${job.good ?? 0} good, ${job.bad ?? 0} bad`;
+}
+
+// The credential the generated SDK would send: the apikey query parameter or a bearer token
+async function authFor(configuration) {
+  const params = {};
+  const headers = { ...configuration.baseOptions?.headers };
+  if (configuration.apiKey) {
+    params.apikey = typeof configuration.apiKey === 'function' ? await configuration.apiKey('apikey') : configuration.apiKey;
+  }
+  if (configuration.accessToken) {
+    const token = typeof configuration.accessToken === 'function' ? await configuration.accessToken() : configuration.accessToken;
+    headers.Authorization = `Bearer ${token}`;
+  }
+  return { params, headers };
+}
+
+// One look at a job. `api` is any SDK instance (instrumented or not) pointed at the server
+async function fetchJob(api, jobId) {
+  const configuration = api.configuration || {};
+  const { params, headers } = await authFor(configuration);
+  const response = await paced(() => axios.request({
+    ...configuration.baseOptions,
+    method: 'get',
+    url: `${configuration.basePath || api.basePath}/@apostrophecms/job/${encodeURIComponent(jobId)}`,
+    params,
+    headers
+  }), { method: 'GET /@apostrophecms/job' });
+  return response.data;
+}
+
+// Poll until the job ends and return its final state. Progress is printed
+// whenever it changes; a job still running after `timeoutMs` throws a
+// JobTimeoutError. Replayed cassettes hold every recorded poll, so replay
+// does not wait between them
+async function waitForJob(api, jobId, { label = 'Job', timeoutMs, pollMs, log = console.log } = {}) {
+  const config = loadConfig();
+  timeoutMs = timeoutMs ?? config.jobTimeoutMs;
+  pollMs = pollMs ?? config.jobPollMs;
+  const offline = cassetteMode() === 'replay';
+  const started = Date.now();
+  let last = null;
+  let job = null;
+
+  for (;;) {
+    job = await fetchJob(api, jobId);
+    const progress = describeProgress(job);
+    if (progress !== last) {
+      log(`   ⏳ ${label} ${jobId}: ${progress}`);
+      last = progress;
+    }
+    if (jobEnded(job)) return job;
+    if (!offline && Date.now() - started >= timeoutMs) throw new JobTimeoutError(jobId, timeoutMs, job);
+    if (!offline) await sleep(pollMs);
+  }
+}
+
+// Wait out a batch route's response. Returns { jobId, job } when the server
+// started a job, or { jobId: null, job: null, results } when it did the work
+// before answering
+async function settleBatch(api, response, options = {}) {
+  const data = response?.data;
+  if (data && typeof data === 'object' && !Array.isArray(data) && data.jobId) {
+    const job = await waitForJob(api, data.jobId, options);
+    return { jobId: data.jobId, job, results: null };
+  }
+  return { jobId: null, job: null, results: data };
+}
+
+// Fetch every id with `getDoc(id)` and list those whose `archived` flag is
+// not `archived`; a document that cannot be fetched counts as wrong too
+async function checkArchived(ids, getDoc, archived) {
+  const wrong = [];
+  for (const id of ids) {
+    try {
+      const doc = await getDoc(id);
+      if (Boolean(doc?.archived) !== archived) wrong.push({ id, archived: doc?.archived ?? null });
+    } catch (error) {
+      wrong.push({ id, error: error.response?.status ? `HTTP ${error.response.status}` : error.message });
+    }
+  }
+  return wrong;
+}
+
+// 'ck1 (archived: false), ck2 (HTTP 404)'
+function describeWrong(wrong) {
+  return wrong.map(entry => `${entry.id} (${entry.error || `archived: ${entry.archived}`})`).join(', ');
+}
+
+module.exports = {
+  JobTimeoutError,
+  jobEnded,
+  describeProgress,
+  fetchJob,
+  waitForJob,
+  settleBatch,
+  checkArchived,
+  describeWrong
+};
@@ -0,0 +1,215 @@
+// Cleanup ledger for documents the suites create
+// Every page, image, file, tag or user a suite creates is written to an
+// on-disk ledger as soon as the API returns it, and released once the suite
+// has deleted it. Whatever is still listed (a crash, Ctrl-C, a failed delete)
+// is cleaned up on SIGINT/SIGTERM, on unhandled errors and at the start of
+// the next run, using the same unpublish-then-delete order as the suites.
+// Entries carry the run ID and process that made them, so a run never cleans
+// up documents another run on the same machine is still using.
+//
+// APOSTROPHE_LEDGER_FILE sets the file (default .apos-test-ledger.json);
+// APOSTROPHE_LEDGER=off disables it (the runner does so for the fake server
+// and for cassette replay, where nothing outlives the process).
+const fs = require('fs');
+const path = require('path');
+const { runId } = require('./run-id');
+
+const DEFAULT_LEDGER_FILE = '.apos-test-ledger.json';
+
+// How each kind of document is unpublished and deleted
+const KINDS = {
+  page: { api: 'PagesApi', unpublish: 'pageUnpublishById', remove: 'pageDeleteById' },
+  image: { api: 'MediaApi', unpublish: 'imageUnpublishById', remove: 'imageDeleteById' },
+  file: { api: 'MediaApi', unpublish: 'fileUnpublishById', remove: 'fileDeleteById' },
+  imageTag: { api: 'MediaApi', unpublish: 'imageTagUnpublishById', remove: 'imageTagDeleteById' },
+  fileTag: { api: 'MediaApi', unpublish: 'fileTagUnpublishById', remove: 'fileTagDeleteById' },
+  user: { api: 'UsersApi', remove: 'userDeleteById' }
+};
+
+function ledgerEnabled() {
+  return (process.env.APOSTROPHE_LEDGER || 'on').toLowerCase() !== 'off';
+}
+
+// Signal 0 only checks the process exists; EPERM means it does but isn't ours
+function processAlive(pid) {
+  if (!pid || pid === process.pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+function currentBaseUrl() {
+  return process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1';
+}
+
+class Ledger {
+  constructor(file = process.env.APOSTROPHE_LEDGER_FILE || DEFAULT_LEDGER_FILE) {
+    this.file = path.resolve(file);
+  }
+
+  read() {
+    if (!fs.existsSync(this.file)) return [];
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).entries || [];
+    } catch (error) {
+      console.log(`   ⚠️  Ignoring unreadable cleanup ledger ${this.file}: ${error.message}`);
+      return [];
+    }
+  }
+
+  // Write to a temp file and rename so a crash never leaves half a ledger
+  write(entries) {
+    if (!entries.length) {
+      fs.rmSync(this.file, { force: true });
+      return;
+    }
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ entries }, null, 2) + '\n');
+    fs.renameSync(tmp, this.file);
+  }
+
+  // Record a document the API just returned
+  track(suite, kind, doc, label = '') {
+    if (!ledgerEnabled() || !doc?._id) return;
+    if (!KINDS[kind]) throw new Error(`Unknown ledger kind: ${kind}`);
+    const entries = this.read();
+    entries.push({
+      suite,
+      kind,
+      id: doc._id,
+      aposDocId: doc.aposDocId || doc._id.split(':')[0],
+      label: label || doc.title || '',
+      baseUrl: currentBaseUrl(),
+      runId: runId(),
+      pid: process.pid,
+      createdAt: new Date().toISOString()
+    });
+    this.write(entries);
+  }
+
+  // Forget a document once it has been deleted; accepts any form of its id
+  release(id) {
+    if (!ledgerEnabled() || !id) return;
+    const aposDocId = String(id).split(':')[0];
+    const entries = this.read();
+    const remaining = entries.filter(entry => entry.aposDocId !== aposDocId);
+    if (remaining.length !== entries.length) this.write(remaining);
+  }
+}
+
+const ledger = new Ledger();
+
+// Unpublish, then delete trying the given id, its draft id and the bare aposDocId.
+// Returns true when the document is gone (deleted now or already missing)
+async function unpublishThenDelete(api, kind, id) {
+  const { unpublish, remove } = KINDS[kind];
+  if (unpublish) {
+    try {
+      await api[unpublish](id);
+    } catch (error) {
+      // Not published, or already gone; the delete below tells which
+    }
+  }
+
+  // Once unpublished, the published id 404s while the draft is still there,
+  // so a document only counts as gone when every form of its id 404s
+  const tryIds = [...new Set([id, id.replace(/:published$/, ':draft'), id.split(':')[0]])];
+  let notFound = 0;
+  for (const tryId of tryIds) {
+    try {
+      const response = await api[remove](tryId);
+      if (response.status === 200) return true;
+    } catch (error) {
+      if (error.response?.status === 404) notFound += 1;
+    }
+  }
+  return notFound === tryIds.length;
+}
+
+// Which entries a cleanup may touch: those of one run (and suite) when given,
+// otherwise every entry whose process has gone away
+function isCleanable(entry, { runId: onlyRun, suite } = {}) {
+  if (onlyRun) return entry.runId === onlyRun && (!suite || entry.suite === suite);
+  return !processAlive(entry.pid);
+}
+
+// Delete everything still in the ledger for the current server, newest first
+// so children go before their parents and tags after the media using them
+async function cleanupLedger({ reason = 'Cleaning up leftovers from the ledger', runId: onlyRun, suite } = {}) {
+  if (!ledgerEnabled()) return { cleaned: 0, failed: 0 };
+  const baseUrl = currentBaseUrl();
+  const pending = ledger.read()
+    .filter(entry => entry.baseUrl === baseUrl && isCleanable(entry, { runId: onlyRun, suite }));
+  if (!pending.length) return { cleaned: 0, failed: 0 };
+
+  console.log(`\n🧹 ${reason} (${pending.length} document${pending.length === 1 ? '' : 's'})`);
+  const sdk = require('apostrophecms-client');
+  const configuration = new sdk.Configuration({ basePath: baseUrl, apiKey: process.env.APOSTROPHE_API_KEY });
+  const apis = {};
+
+  let cleaned = 0;
+  let failed = 0;
+  for (const entry of [...pending].reverse()) {
+    const apiName = KINDS[entry.kind]?.api;
+    if (!apiName) continue;
+    apis[apiName] = apis[apiName] || new sdk[apiName](configuration);
+
+    if (await unpublishThenDelete(apis[apiName], entry.kind, entry.id)) {
+      ledger.release(entry.aposDocId);
+      cleaned += 1;
+      console.log(`   🗑️  Removed ${entry.kind} ${entry.label ? `"${entry.label}" ` : ''}(${entry.aposDocId}) from ${entry.suite}`);
+    } else {
+      failed += 1;
+      console.log(`   ⚠️  Could not remove ${entry.kind} ${entry.aposDocId}; it stays in ${ledger.file}`);
+    }
+  }
+  return { cleaned, failed };
+}
+
+let handlersInstalled = false;
+
+// Clean up from the ledger before the process dies on Ctrl-C, SIGTERM or an
+// unhandled error. A second Ctrl-C exits straight away
+function installCleanupHandlers() {
+  if (handlersInstalled) return;
+  handlersInstalled = true;
+  let cleaning = false;
+
+  const cleanupAndExit = async (reason, exitCode) => {
+    if (cleaning) {
+      console.error(`\n⚠️  ${reason} during cleanup; anything left stays in the ledger for the next run`);
+      process.exit(exitCode);
+    }
+    cleaning = true;
+    try {
+      await cleanupLedger({ reason: `${reason}: cleaning up created documents`, runId: runId() });
+    } catch (error) {
+      console.error(`⚠️  Ledger cleanup failed: ${error.message}`);
+    }
+    process.exit(exitCode);
+  };
+
+  process.on('SIGINT', () => cleanupAndExit('Interrupted', 130));
+  process.on('SIGTERM', () => cleanupAndExit('Terminated', 143));
+  process.on('uncaughtException', (error) => {
+    console.error('💥 Uncaught exception:', error);
+    cleanupAndExit('Uncaught exception', 1);
+  });
+  process.on('unhandledRejection', (reason) => {
+    console.error('💥 Unhandled rejection:', reason);
+    cleanupAndExit('Unhandled rejection', 1);
+  });
+}
+
+module.exports = {
+  Ledger,
+  ledger,
+  KINDS,
+  DEFAULT_LEDGER_FILE,
+  unpublishThenDelete,
+  cleanupLedger,
+  installCleanupHandlers
+};
@@ -0,0 +1,319 @@
+// Model-based testing of the draft/published lifecycle
+// A document's expected state is kept in a small model: the draft's and the
+// published version's titles, the archived flag, whether the draft has
+// changes that are not published (`modified`) and how `lastPublishedAt`
+// should have moved. Random sequences of lifecycle operations are applied to
+// a real document and to the model. After every step the document is fetched
+// in draft and published mode and looked for in both list endpoints; any
+// difference from the model breaks an invariant. A failing sequence is shrunk
+// by dropping steps while it still breaks the same invariant, so the report
+// shows a minimal reproduction.
+//
+// The model follows Apostrophe's rules:
+//   patch      changes the draft only; the draft is now modified
+//   publish    copies the draft over the published version and moves
+//              lastPublishedAt forward on both; refused while archived
+//   unpublish  removes the published version and clears lastPublishedAt;
+//              the draft is modified again; refused when not published
+//   revert     copies the published version over the draft (revert draft to
+//              published); refused when there is no published version
+//   archive    archives every version; some Apostrophe versions unpublish
+//              too, so whether a published version is left is taken from
+//              the server, and so is `modified`
+//   restore    clears the archived flag
+//   delete     unpublishes, then deletes the draft; the document is gone
+const { createRng, hashString } = require('./fuzz');
+const { settleBatch } = require('./jobs');
+
+// Most sequences run while shrinking one failure
+const MAX_SHRINK_RUNS = 40;
+
+const OPERATIONS = {
+  patch: {
+    expect: () => 'ok',
+    apply: (model, step) => ({ ...model, draftTitle: step.title, modified: true, lastPublished: 'same' })
+  },
+  publish: {
+    expect: model => (model.archived ? 'refused' : 'ok'),
+    apply: model => ({ ...model, publishedTitle: model.draftTitle, modified: false, lastPublished: 'advanced' })
+  },
+  unpublish: {
+    expect: model => (model.publishedTitle === null ? 'refused' : 'ok'),
+    apply: model => ({ ...model, publishedTitle: null, modified: true, lastPublished: 'none' })
+  },
+  revert: {
+    expect: model => (model.publishedTitle === null ? 'refused' : 'ok'),
+    apply: model => ({ ...model, draftTitle: model.publishedTitle, modified: false, lastPublished: 'same' })
+  },
+  archive: {
+    expect: () => 'ok',
+    apply: model => ({ ...model, archived: true, lastPublished: 'same' }),
+    adopts: ['published', 'modified']
+  },
+  restore: {
+    expect: () => 'ok',
+    apply: model => ({ ...model, archived: false, lastPublished: 'same' }),
+    adopts: ['modified']
+  },
+  delete: {
+    expect: () => 'ok',
+    apply: model => ({ ...model, exists: false, publishedTitle: null })
+  }
+};
+
+// State of a document just created; `published` when it was created published
+function createModel(title, { published = false } = {}) {
+  return {
+    exists: true,
+    draftTitle: title,
+    publishedTitle: published ? title : null,
+    archived: false,
+    modified: !published,
+    lastPublished: published ? 'advanced' : 'none'
+  };
+}
+
+// `length` steps drawn from `operations`. Patches carry a version number for
+// their title, so a shrunk sequence sets the same titles. Delete ends a
+// sequence, so it is only ever the last step
+function generateSequence(rng, operations, length) {
+  const repeatable = operations.filter(name => name !== 'delete');
+  const steps = [];
+  for (let index = 0; index < length; index += 1) {
+    const last = index === length - 1;
+    const op = last && operations.includes('delete') && rng.next() < 0.25 ? 'delete' : rng.pick(repeatable);
+    steps.push(op === 'patch' ? { op, version: index + 1 } : { op });
+  }
+  return steps;
+}
+
+function describeStep(step) {
+  return step.version ? `${step.op} v${step.version}` : step.op;
+}
+
+// 'patch v1 → publish → archive'
+function describeSequence(steps) {
+  return steps.length ? steps.map(describeStep).join(' → ') : '(no steps)';
+}
+
+// Every way `observed` disagrees with `model`. `observed` holds the draft and
+// published versions (null when they 404) and whether each list endpoint
+// includes the document (null when the target has no list to check).
+// `before` is the draft's lastPublishedAt before the step
+function checkInvariants(model, observed, { before = null, adopted = [] } = {}) {
+  const violations = [];
+  const broken = (invariant, message) => violations.push({ invariant, message });
+  const { draft, published } = observed;
+  const expectPublished = model.exists && model.publishedTitle !== null;
+
+  if (Boolean(draft) !== model.exists) {
+    broken('draft exists', model.exists ? 'the draft is gone' : 'the draft is still there after delete');
+  }
+  if (!adopted.includes('published') && Boolean(published) !== expectPublished) {
+    broken('published exists', expectPublished ? 'there is no published version' : `a published version is still there ("${published.title}")`);
+  }
+
+  if (draft && model.exists) {
+    if (draft.title !== model.draftTitle) {
+      broken('draft content', `draft title is "${draft.title}", expected "${model.draftTitle}"`);
+    }
+    if (Boolean(draft.archived) !== model.archived) {
+      broken('archived flag', `draft archived is ${Boolean(draft.archived)}, expected ${model.archived}`);
+    }
+    if (!adopted.includes('modified') && typeof draft.modified === 'boolean' && draft.modified !== model.modified) {
+      broken('modified flag', `draft modified is ${draft.modified}, expected ${model.modified}`);
+    }
+    const at = draft.lastPublishedAt || null;
+    if (model.lastPublished === 'none' && at !== null && !adopted.includes('published')) {
+      broken('lastPublishedAt', `draft lastPublishedAt is ${at}, expected none`);
+    } else if (model.lastPublished === 'same' && at !== before && !adopted.includes('published')) {
+      broken('lastPublishedAt', `draft lastPublishedAt changed from ${before} to ${at}`);
+    } else if (model.lastPublished === 'advanced' && (at === null || (before !== null && at < before))) {
+      broken('lastPublishedAt', `draft lastPublishedAt is ${at} after publishing${before ? `, was ${before}` : ''}`);
+    }
+  }
+
+  if (published && model.exists) {
+    if (model.publishedTitle !== null && published.title !== model.publishedTitle) {
+      broken('published content', `published title is "${published.title}", expected "${model.publishedTitle}"`);
+    }
+    if (Boolean(published.archived) !== model.archived) {
+      broken('archived flag', `published archived is ${Boolean(published.archived)}, expected ${model.archived}`);
+    }
+    if (draft && (published.lastPublishedAt || null) !== (draft.lastPublishedAt || null)) {
+      broken('lastPublishedAt', `published lastPublishedAt ${published.lastPublishedAt} differs from the draft's ${draft.lastPublishedAt}`);
+    }
+  }
+
+  // Archived documents are left out of both lists
+  const hasPublished = adopted.includes('published') ? Boolean(published) : expectPublished;
+  if (observed.inDraftList !== null && observed.inDraftList !== (model.exists && !model.archived)) {
+    broken('draft list', observed.inDraftList ? 'listed in draft mode' : 'missing from the draft list');
+  }
+  if (observed.inPublishedList !== null && observed.inPublishedList !== (model.exists && !model.archived && hasPublished)) {
+    broken('published list', observed.inPublishedList ? 'listed in published mode' : 'missing from the published list');
+  }
+
+  return violations;
+}
+
+// After an adopting operation, take what the server decided into the model
+function adopt(model, observed, adopted) {
+  const next = { ...model };
+  if (adopted.includes('published')) next.publishedTitle = observed.published ? observed.published.title : null;
+  if (adopted.includes('modified') && typeof observed.draft?.modified === 'boolean') next.modified = observed.draft.modified;
+  return next;
+}
+
+// ok, refused (4xx, or a batch job that failed) or error (5xx, no response)
+function classify(error) {
+  if (!error) return { result: 'ok' };
+  const httpStatus = error.response?.status ?? null;
+  if (error.refused || (httpStatus >= 400 && httpStatus < 500)) return { result: 'refused', httpStatus, message: error.message };
+  return { result: 'error', httpStatus, message: error.message };
+}
+
+// Run a batch route and wait for its job; a job that fails for any of the
+// documents counts as a refusal, like a 4xx would
+async function runBatch(api, call) {
+  const response = await call();
+  const { jobId, job } = await settleBatch(api, response, { label: 'Job', log: () => {} });
+  if (job?.bad) {
+    const error = new Error(`job ${jobId} failed for ${job.bad} of ${job.total} document(s)`);
+    error.refused = true;
+    throw error;
+  }
+  return response;
+}
+
+// Apply `steps` to a fresh document from `target` and to the model, checking
+// after each. Stops at the first step that breaks an invariant and returns
+// { failure: { stepIndex, step, violations }, trace }, or { failure: null }.
+// Step -1 is the check made right after creating the document
+async function runSequence(target, steps) {
+  const { handle, model: initial } = await target.create();
+  let model = initial;
+  const trace = [];
+  try {
+    let observed = await target.observe(handle);
+    let violations = checkInvariants(model, observed, { before: null });
+    if (violations.length) return { failure: { stepIndex: -1, step: { op: 'create' }, violations }, trace };
+    let lastPublishedAt = observed.draft?.lastPublishedAt || null;
+
+    for (let index = 0; index < steps.length; index += 1) {
+      const step = steps[index];
+      const operation = OPERATIONS[step.op];
+      const expected = operation.expect(model);
+      let outcome;
+      try {
+        await target.perform[step.op](handle, step);
+        outcome = classify(null);
+      } catch (error) {
+        outcome = classify(error);
+      }
+      trace.push({ step, expected, outcome });
+
+      violations = [];
+      if (outcome.result === 'error') {
+        violations.push({ invariant: 'server error', message: `${describeStep(step)} failed: ${outcome.httpStatus ? `HTTP ${outcome.httpStatus} ` : ''}${outcome.message}` });
+      } else if (outcome.result !== expected) {
+        violations.push({
+          invariant: expected === 'refused' ? 'refused when it should be' : 'allowed when it should be',
+          message: expected === 'refused'
+            ? `${describeStep(step)} succeeded, expected it to be refused`
+            : `${describeStep(step)} was refused: ${outcome.httpStatus ? `HTTP ${outcome.httpStatus} ` : ''}${outcome.message}`
+        });
+      }
+      const adopted = outcome.result === 'ok' ? operation.adopts || [] : [];
+      if (outcome.result === 'ok') model = operation.apply(model, { ...step, title: target.titleFor(handle, step) });
+      else model = { ...model, lastPublished: 'same' };
+
+      observed = await target.observe(handle);
+      violations.push(...checkInvariants(model, observed, { before: lastPublishedAt, adopted }));
+      if (violations.length) return { failure: { stepIndex: index, step, violations }, trace };
+      model = adopt(model, observed, adopted);
+      lastPublishedAt = observed.draft?.lastPublishedAt || null;
+      if (!model.exists) break;
+    }
+    return { failure: null, trace };
+  } finally {
+    await target.cleanUp(handle, model);
+  }
+}
+
+// Drop steps, biggest chunks first, while the sequence still breaks
+// `invariant`; steps after the failing one never matter
+async function shrinkSequence(target, steps, invariant, { maxRuns = MAX_SHRINK_RUNS } = {}) {
+  const breaks = async (candidate) => {
+    const { failure } = await runSequence(target, candidate);
+    return failure && failure.violations.some(violation => violation.invariant === invariant) ? failure : null;
+  };
+  let current = steps;
+  let runs = 0;
+  for (let size = Math.max(1, Math.floor(current.length / 2)); size >= 1 && runs < maxRuns;) {
+    let improved = false;
+    for (let start = 0; start + size <= current.length && runs < maxRuns; start += 1) {
+      const candidate = [...current.slice(0, start), ...current.slice(start + size)];
+      runs += 1;
+      const failure = await breaks(candidate);
+      if (failure) {
+        current = candidate.slice(0, failure.stepIndex + 1);
+        improved = true;
+        break;
+      }
+    }
+    if (!improved) size = Math.floor(size / 2);
+    else size = Math.min(size, Math.max(1, Math.floor(current.length / 2)));
+  }
+  return { steps: current, runs };
+}
+
+// Run `sequences` random sequences of `length` steps against `target`.
+// Returns { name, sequences, steps, failures: [{ invariant, message,
+// sequenceNumber, original, minimal, failedStep, shrinkRuns }] }, one
+// failure per broken invariant; later sequences breaking it are `repeated`
+async function testLifecycle(target, { seed, sequences, length, onSequence = () => {} }) {
+  const rng = createRng(seed ^ hashString(target.name));
+  const summary = { name: target.name, sequences: 0, steps: 0, failures: [] };
+  const seen = new Set();
+
+  for (let number = 1; number <= sequences; number += 1) {
+    const steps = generateSequence(rng, target.operations, length);
+    const { failure, trace } = await runSequence(target, steps);
+    summary.sequences += 1;
+    summary.steps += trace.length;
+    const first = failure?.violations[0];
+    const repeated = Boolean(first) && seen.has(first.invariant);
+    onSequence({ number, steps, failure, repeated });
+    if (!failure || repeated) continue;
+    seen.add(first.invariant);
+
+    const failing = steps.slice(0, failure.stepIndex + 1);
+    const shrunk = await shrinkSequence(target, failing, first.invariant);
+    const { failure: minimalFailure } = await runSequence(target, shrunk.steps);
+    const minimal = minimalFailure || failure;
+    summary.failures.push({
+      invariant: first.invariant,
+      message: (minimal.violations.find(violation => violation.invariant === first.invariant) || first).message,
+      sequenceNumber: number,
+      original: describeSequence(failing),
+      minimal: describeSequence(shrunk.steps),
+      failedStep: minimal.stepIndex + 1,
+      shrinkRuns: shrunk.runs
+    });
+  }
+  return summary;
+}
+
+module.exports = {
+  MAX_SHRINK_RUNS,
+  OPERATIONS,
+  createModel,
+  generateSequence,
+  describeSequence,
+  checkInvariants,
+  runBatch,
+  runSequence,
+  shrinkSequence,
+  testLifecycle
+};
@@ -0,0 +1,106 @@
+// Request pacing and retries for every SDK call
+// instrumentApi() sends each call through paced(). Calls are spaced so the
+// whole process, all suites together, stays under APOSTROPHE_RATE_LIMIT
+// requests per second. A call that fails in a way worth repeating is retried
+// up to APOSTROPHE_MAX_RETRIES times, waiting APOSTROPHE_RETRY_DELAY_MS and
+// doubling each time, or as long as the server's Retry-After header asks.
+//
+// What is retried:
+//   - 429 and 503, whatever the method: the server turned the request away
+//   - 502, 504 and dropped connections, for GET, HEAD, OPTIONS, PUT and
+//     DELETE only, since a POST or PATCH may already have been applied
+// When replaying cassettes there is no server, so nothing waits; recorded
+// retries still replay in order.
+const { loadConfig } = require('./config');
+const { cassetteMode } = require('./cassette');
+
+const ALWAYS_RETRY = [429, 503];
+const RETRY_IF_IDEMPOTENT = [502, 504];
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const NETWORK_ERRORS = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'];
+
+// A Retry-After longer than this is not waited out; the call fails instead
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+
+let settings = null;
+let nextSlot = 0;
+
+function pacingSettings() {
+  if (!settings) {
+    const { rateLimit, maxRetries, retryDelayMs } = loadConfig();
+    settings = { rateLimit, maxRetries, retryDelayMs };
+  }
+  return settings;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wait for this call's turn; turns are 1/rate seconds apart
+async function takeTurn(rateLimit) {
+  if (!rateLimit) return;
+  const now = Date.now();
+  const turn = Math.max(now, nextSlot);
+  nextSlot = turn + 1000 / rateLimit;
+  if (turn > now) await sleep(turn - now);
+}
+
+// Retry-After is either seconds or an HTTP date; null when absent or unreadable
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (value === undefined || value === null || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function isRetryable(error) {
+  const method = (error.config?.method || '').toLowerCase();
+  const idempotent = IDEMPOTENT_METHODS.includes(method);
+  const status = error.response?.status;
+  if (status) return ALWAYS_RETRY.includes(status) || (idempotent && RETRY_IF_IDEMPOTENT.includes(status));
+  return idempotent && NETWORK_ERRORS.includes(error.code);
+}
+
+// Call `call` (which makes one SDK request) at the paced rate, retrying as
+// described above. onRetry({ method, attempt, maxRetries, httpStatus, code,
+// delayMs, retryAfter }) is called before each retry
+async function paced(call, { method, onRetry } = {}) {
+  const { rateLimit, maxRetries, retryDelayMs } = pacingSettings();
+  const offline = cassetteMode() === 'replay';
+
+  for (let attempt = 1; ; attempt += 1) {
+    if (!offline) await takeTurn(rateLimit);
+    try {
+      return await call();
+    } catch (error) {
+      if (attempt > maxRetries || !isRetryable(error)) throw error;
+      const retryAfter = retryAfterMs(error.response?.headers);
+      if (retryAfter !== null && retryAfter > MAX_RETRY_AFTER_MS) throw error;
+
+      // Up to a quarter either way, so parallel suites do not retry in step
+      const backoff = retryDelayMs * 2 ** (attempt - 1) * (0.75 + Math.random() * 0.5);
+      const delayMs = Math.round(retryAfter ?? backoff);
+      if (onRetry) {
+        onRetry({
+          method,
+          attempt,
+          maxRetries,
+          httpStatus: error.response?.status ?? null,
+          code: error.response ? null : error.code || null,
+          delayMs,
+          retryAfter: retryAfter !== null
+        });
+      }
+      if (!offline) await sleep(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  paced,
+  isRetryable,
+  retryAfterMs,
+  MAX_RETRY_AFTER_MS
+};
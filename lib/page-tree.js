@@ -0,0 +1,205 @@
+// Page tree integrity checks
+// A 200 from a create or move only says the request was accepted. verifyTree()
+// fetches the whole draft tree twice, nested (pageGet with all=1) and flat
+// (all=1, flat=1), and checks that:
+//
+// * every page's `path` is its parent's path plus its own aposDocId, and its
+//   `level` is one more than its parent's
+// * siblings have distinct ranks and `_children` lists them in rank order
+// * pages inside the archive page are archived
+// * both trees hold the same pages, with the same parent, path, level and rank
+//
+// It also checks that the pages a step touched are where the step asked for:
+// `{ id, targetId, position }` for a create or move, `{ id, archived }` for an
+// archive or restore, and `{ id, absent: true }` for a delete.
+
+const ARCHIVE_TYPE = '@apostrophecms/archive-page';
+const SIBLING_POSITIONS = ['before', 'after'];
+
+// Page ids differ by locale and mode; the tree is keyed by aposDocId
+function docIdOf(id) {
+  return String(id).split(':')[0];
+}
+
+function nameOf(page) {
+  return page ? `"${page.title}" (${page.aposDocId || docIdOf(page._id)})` : 'unknown page';
+}
+
+// Both shapes of the page tree, in draft mode unless told otherwise
+async function fetchTrees(api, { mode = 'draft', locale } = {}) {
+  const [{ data: nested }, { data: flat }] = [
+    await api.pageGet('1', undefined, undefined, mode, locale),
+    await api.pageGet('1', '1', undefined, mode, locale)
+  ];
+  return { nested, flat: Array.isArray(flat) ? flat : flat?.results || [] };
+}
+
+// Walk the nested tree into aposDocId → { page, parent, index, siblings }
+function indexNested(root) {
+  const nodes = new Map();
+  const duplicates = [];
+  const visit = (page, parent, index, siblings) => {
+    const id = page.aposDocId || docIdOf(page._id);
+    if (nodes.has(id)) {
+      duplicates.push(id);
+      return;
+    }
+    nodes.set(id, { page, parent, index, siblings });
+    (page._children || []).forEach((child, childIndex, children) => visit(child, page, childIndex, children));
+  };
+  if (root) visit(root, null, 0, [root]);
+  return { nodes, duplicates };
+}
+
+// Problems with the parent/child fields of the nested tree
+function checkNested(root, nodes) {
+  const problems = [];
+  if (!root) return ['The nested tree has no root page'];
+  if (root.level !== 0) problems.push(`The home page ${nameOf(root)} has level ${root.level}, expected 0`);
+
+  for (const { page, parent } of nodes.values()) {
+    const children = page._children || [];
+    const ranks = new Map();
+    children.forEach((child, index) => {
+      if (ranks.has(child.rank)) {
+        problems.push(`${nameOf(child)} and ${nameOf(ranks.get(child.rank))} share rank ${child.rank} under ${nameOf(page)}`);
+      } else {
+        ranks.set(child.rank, child);
+      }
+      if (index > 0 && children[index - 1].rank > child.rank) {
+        problems.push(`${nameOf(child)} (rank ${child.rank}) is listed after ${nameOf(children[index - 1])} (rank ${children[index - 1].rank})`);
+      }
+    });
+    if (!parent) continue;
+
+    const id = page.aposDocId || docIdOf(page._id);
+    if (page.path !== `${parent.path}/${id}`) {
+      problems.push(`${nameOf(page)} has path ${page.path}, expected ${parent.path}/${id}`);
+    }
+    if (page.level !== parent.level + 1) {
+      problems.push(`${nameOf(page)} has level ${page.level}, expected ${parent.level + 1}`);
+    }
+    const inArchive = parent.type === ARCHIVE_TYPE || (parent.archived && parent.level > 0);
+    if (inArchive && !page.archived) problems.push(`${nameOf(page)} is inside the archive but not archived`);
+  }
+  return problems;
+}
+
+// Problems where the flat tree disagrees with the nested one
+function checkFlat(flat, nodes) {
+  const problems = [];
+  const byPath = new Map(flat.map(page => [page.path, page]));
+  const seen = new Set();
+
+  for (const page of flat) {
+    const id = page.aposDocId || docIdOf(page._id);
+    seen.add(id);
+    const node = nodes.get(id);
+    if (!node) {
+      problems.push(`${nameOf(page)} is in the flat tree but not the nested one`);
+      continue;
+    }
+    for (const field of ['path', 'level', 'rank']) {
+      if (page[field] !== node.page[field]) {
+        problems.push(`${nameOf(page)} has ${field} ${page[field]} in the flat tree, ${node.page[field]} in the nested one`);
+      }
+    }
+    const parentPath = String(page.path).split('/').slice(0, -1).join('/');
+    if (parentPath && !byPath.has(parentPath)) {
+      problems.push(`${nameOf(page)} has no parent in the flat tree (path ${page.path})`);
+    }
+    // Flat pages list their children by _id, or as pages in some versions
+    if (Array.isArray(page._children)) {
+      const listed = page._children.map(child => docIdOf(typeof child === 'string' ? child : child._id));
+      const expected = (node.page._children || []).map(child => child.aposDocId || docIdOf(child._id));
+      if (listed.join() !== expected.join()) {
+        problems.push(`${nameOf(page)} lists children [${listed.join(', ')}] in the flat tree, [${expected.join(', ')}] in the nested one`);
+      }
+    }
+  }
+  for (const [id, { page }] of nodes) {
+    if (!seen.has(id)) problems.push(`${nameOf(page)} is in the nested tree but not the flat one`);
+  }
+  return problems;
+}
+
+function resolveTarget(targetId, nodes, root) {
+  if (!targetId || targetId === '_home') return root ? nodes.get(root.aposDocId || docIdOf(root._id)) : null;
+  if (targetId === '_archive') return [...nodes.values()].find(node => node.page.type === ARCHIVE_TYPE) || null;
+  return nodes.get(docIdOf(targetId)) || null;
+}
+
+function isInsideArchive(node, nodes) {
+  for (let current = node; current?.parent; current = nodes.get(current.parent.aposDocId || docIdOf(current.parent._id))) {
+    if (current.parent.type === ARCHIVE_TYPE) return true;
+  }
+  return false;
+}
+
+// Problems with where one page ended up
+function checkPlacement(expectation, nodes, root) {
+  const { id, targetId, position = 'lastChild', archived, absent, label = id } = expectation;
+  const node = nodes.get(docIdOf(id));
+  if (absent) return node ? [`${label} is still in the tree after being deleted`] : [];
+  if (!node) return [`${label} is not in the tree`];
+
+  if (archived !== undefined) {
+    const inside = isInsideArchive(node, nodes);
+    if (archived && !inside) return [`${label} is not inside the archive after archiving`];
+    if (!archived && inside) return [`${label} is still inside the archive after restoring`];
+    return [];
+  }
+
+  const target = resolveTarget(targetId, nodes, root);
+  if (!target) return [`${label}: target ${targetId} is not in the tree`];
+  const sibling = SIBLING_POSITIONS.includes(position);
+  const parent = sibling ? target.parent : target.page;
+  const parentId = parent && (parent.aposDocId || docIdOf(parent._id));
+  const actualParentId = node.parent && (node.parent.aposDocId || docIdOf(node.parent._id));
+  if (actualParentId !== parentId) {
+    return [`${label} is under ${nameOf(node.parent)}, expected ${nameOf(parent)} (${position} of ${targetId})`];
+  }
+
+  const count = node.siblings.length;
+  let expected;
+  if (position === 'firstChild') expected = 0;
+  else if (position === 'lastChild') expected = count - 1;
+  else if (position === 'before') expected = target.index - 1;
+  else if (position === 'after') expected = target.index + 1;
+  else expected = Math.min(parseInt(position, 10), count - 1);
+  if (node.index !== expected) {
+    return [`${label} is child ${node.index + 1} of ${count} under ${nameOf(parent)}, expected child ${expected + 1} (${position})`];
+  }
+  return [];
+}
+
+// Fetch both trees and return every problem found, the page count, and the
+// nested tree (`root`) with its index (`nodes`) for further checks
+async function verifyTree(api, expectations = [], options = {}) {
+  const { nested, flat } = await fetchTrees(api, options);
+  const { nodes, duplicates } = indexNested(nested);
+  const problems = [
+    ...duplicates.map(id => `${id} appears more than once in the nested tree`),
+    ...checkNested(nested, nodes),
+    ...checkFlat(flat, nodes),
+    ...expectations.flatMap(expectation => checkPlacement(expectation, nodes, nested))
+  ];
+  return { problems, pages: nodes.size, nodes, root: nested };
+}
+
+// The first few problems, and how many more there are
+function describeProblems(problems, limit = 5) {
+  const shown = problems.slice(0, limit).join('; ');
+  return problems.length > limit ? `${shown}; and ${problems.length - limit} more` : shown;
+}
+
+module.exports = {
+  docIdOf,
+  fetchTrees,
+  indexNested,
+  checkNested,
+  checkFlat,
+  checkPlacement,
+  verifyTree,
+  describeProblems
+};
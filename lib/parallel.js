@@ -0,0 +1,71 @@
+// Runs suites side by side in one process with a fixed number of workers.
+// Each suite's console output is buffered while it runs (AsyncLocalStorage
+// follows it through every await) and printed as one block when it finishes,
+// so concurrent suites never interleave their logs
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error'];
+const output = new AsyncLocalStorage();
+const originals = {};
+const unflushed = new Set();
+
+// Route console output into the buffer of whichever suite is running, if any
+function captureConsole() {
+  if (Object.keys(originals).length) return;
+  for (const name of CONSOLE_METHODS) {
+    originals[name] = console[name].bind(console);
+    console[name] = (...args) => {
+      const buffer = output.getStore();
+      // Format now: suites log objects they go on to change
+      if (buffer) buffer.push([name, util.format(...args)]);
+      else originals[name](...args);
+    };
+  }
+  // Ctrl-C or a crash exits mid-suite; still show what the running suites printed
+  process.on('exit', () => unflushed.forEach(flush));
+}
+
+function flush(buffer) {
+  unflushed.delete(buffer);
+  buffer.forEach(([name, text]) => originals[name](text));
+}
+
+// Call task(item) for every item, at most `workers` at a time; results come
+// back in item order whatever order the tasks finish in
+async function runPool(items, workers, task) {
+  captureConsole();
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      const buffer = [];
+      unflushed.add(buffer);
+      try {
+        results[index] = await output.run(buffer, () => task(items[index]));
+      } finally {
+        flush(buffer);
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(workers, items.length) }, worker));
+  return results;
+}
+
+// Worker count from --workers or APOSTROPHE_WORKERS; 1 runs suites one after another
+function parseWorkers(value) {
+  if (value === undefined || value === null || value === '') return 1;
+  const workers = Number(value);
+  if (!Number.isInteger(workers) || workers < 1) {
+    throw new Error(`Invalid worker count "${value}": use a whole number of 1 or more`);
+  }
+  return workers;
+}
+
+module.exports = {
+  runPool,
+  parseWorkers
+};
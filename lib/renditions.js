@@ -0,0 +1,322 @@
+// Image rendition checks
+// Apostrophe resizes every uploaded image into the sizes configured on
+// @apostrophecms/attachment and lists them in attachment._urls. A redirect or
+// an image/* response says nothing about whether that resizing worked, so
+// each rendition is downloaded and its header decoded: it must be in the
+// original's format, fit its size's box, keep the original's aspect ratio
+// and never be larger than the original. Taken from largest size to
+// smallest, renditions must never grow. When the original is a generated test
+// image (lib/test-images.js), the pixels of PNG renditions are decoded and
+// sampled against the colours its pattern should have there.
+//
+// APOSTROPHE_IMAGE_SIZES describes a project's own sizes, largest first,
+// e.g. `max:1600x1600,full:1140x1140`; Apostrophe's defaults are below.
+const zlib = require('zlib');
+const axios = require('axios');
+const { loadConfig } = require('./config');
+const { paced } = require('./pacing');
+const { expectedPixel } = require('./test-images');
+
+// Apostrophe's default imageSizes, largest first
+const DEFAULT_IMAGE_SIZES = [
+  { name: 'max', width: 1600, height: 1600 },
+  { name: 'full', width: 1140, height: 1140 },
+  { name: 'two-thirds', width: 760, height: 760 },
+  { name: 'one-half', width: 570, height: 700 },
+  { name: 'one-third', width: 380, height: 700 },
+  { name: 'one-sixth', width: 190, height: 350 }
+];
+
+// Resizing may round either way
+const TOLERANCE_PX = 1;
+
+const FORMAT_OF_EXTENSION = { jpg: 'jpeg', jpeg: 'jpeg', png: 'png', gif: 'gif', webp: 'webp' };
+
+// Points sampled in each rendition, as fractions of its width and height:
+// the middle of each quadrant, where scaling cannot blend in another colour.
+// The checkerboard's 8px squares do not survive scaling, so it is not sampled
+const SAMPLE_POINTS = [[0.25, 0.25], [0.75, 0.25], [0.75, 0.75], [0.25, 0.75]];
+const SAMPLED_PATTERNS = ['quadrants', 'solid'];
+// Levels a channel may be off by after resampling
+const PIXEL_TOLERANCE = 16;
+
+// Bytes per pixel of each 8-bit PNG colour type: grey, RGB, palette, grey
+// and alpha, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+function imageSizes() {
+  return loadConfig().imageSizes || DEFAULT_IMAGE_SIZES;
+}
+
+function reportedSize(attachment) {
+  return attachment.width && attachment.height ? { width: attachment.width, height: attachment.height } : null;
+}
+
+// JPEG start-of-frame markers; C4, C8 and CC share the range but are not frames
+function isStartOfFrame(marker) {
+  return marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+}
+
+function jpegSize(buffer) {
+  let offset = 2;
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    // Fill bytes, and markers that carry no length
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd9)) {
+      offset += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(offset + 2);
+    if (isStartOfFrame(marker)) {
+      if (offset + 9 > buffer.length) return null;
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function webpSize(buffer) {
+  const chunk = buffer.subarray(12, 16).toString('ascii');
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25 && buffer[20] === 0x2f) {
+    const bits = buffer.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// { format, width, height } from the file's header, or null when it is not
+// a PNG, JPEG, GIF or WebP image
+function decodeImageHeader(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  let size = null;
+  let format = null;
+  if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    format = 'png';
+    if (buffer.length >= 24 && buffer.subarray(12, 16).toString('ascii') === 'IHDR') {
+      size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+  } else if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    format = 'jpeg';
+    size = jpegSize(buffer);
+  } else if (['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii'))) {
+    format = 'gif';
+    size = { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  } else if (buffer.subarray(0, 4).toString('ascii') === 'RIFF' && buffer.subarray(8, 12).toString('ascii') === 'WEBP') {
+    format = 'webp';
+    size = webpSize(buffer);
+  }
+  return format && size ? { format, ...size } : null;
+}
+
+// Paeth predictor from the PNG spec
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// { width, height, pixel(x, y) } of an 8-bit, non-interlaced PNG, where
+// pixel() gives [r, g, b] and ignores alpha; null for any other image
+function decodePngPixels(buffer) {
+  const header = decodeImageHeader(buffer);
+  if (header?.format !== 'png') return null;
+  const idat = [];
+  let ihdr = null;
+  let palette = null;
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.subarray(offset + 4, offset + 8).toString('ascii');
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') ihdr = data;
+    else if (type === 'PLTE') palette = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  if (!ihdr || !idat.length) return null;
+  const [depth, colorType, , , interlace] = ihdr.subarray(8, 13);
+  const channels = PNG_CHANNELS[colorType];
+  if (depth !== 8 || interlace !== 0 || !channels || (colorType === 3 && !palette)) return null;
+
+  const { width, height } = header;
+  const stride = width * channels;
+  let raw;
+  try {
+    raw = zlib.inflateSync(Buffer.concat(idat));
+  } catch (error) {
+    return null;
+  }
+  if (raw.length < height * (stride + 1)) return null;
+  // Undo each row's filter against the row above, already unfiltered
+  const pixels = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y += 1) {
+    const filter = raw[y * (stride + 1)];
+    const source = y * (stride + 1) + 1;
+    const row = y * stride;
+    for (let i = 0; i < stride; i += 1) {
+      const a = i >= channels ? pixels[row + i - channels] : 0;
+      const b = y > 0 ? pixels[row - stride + i] : 0;
+      const c = i >= channels && y > 0 ? pixels[row - stride + i - channels] : 0;
+      let predicted;
+      switch (filter) {
+        case 0: predicted = 0; break;
+        case 1: predicted = a; break;
+        case 2: predicted = b; break;
+        case 3: predicted = (a + b) >> 1; break;
+        case 4: predicted = paeth(a, b, c); break;
+        default: return null;
+      }
+      pixels[row + i] = (raw[source + i] + predicted) & 0xff;
+    }
+  }
+  const pixel = (x, y) => {
+    const at = y * stride + x * channels;
+    if (colorType === 3) return [...palette.subarray(pixels[at] * 3, pixels[at] * 3 + 3)];
+    if (colorType === 0 || colorType === 4) return [pixels[at], pixels[at], pixels[at]];
+    return [pixels[at], pixels[at + 1], pixels[at + 2]];
+  };
+  return { width, height, pixel };
+}
+
+// Problems with the sampled pixels of one rendition of a test image drawn
+// with `pattern`; none when the pattern or the rendition cannot be sampled
+function checkPixels(size, buffer, pattern) {
+  if (!SAMPLED_PATTERNS.includes(pattern)) return [];
+  const decoded = decodePngPixels(buffer);
+  if (!decoded) return [];
+  const { width, height } = decoded;
+  const problems = [];
+  for (const [fx, fy] of SAMPLE_POINTS) {
+    const x = Math.floor(width * fx);
+    const y = Math.floor(height * fy);
+    const actual = decoded.pixel(x, y);
+    const expected = expectedPixel(pattern, x, y, width, height);
+    if (actual.some((channel, i) => Math.abs(channel - expected[i]) > PIXEL_TOLERANCE)) {
+      problems.push(`${size.name}: pixel (${x}, ${y}) is rgb(${actual.join(', ')}), expected rgb(${expected.join(', ')})`);
+    }
+  }
+  return problems;
+}
+
+// The size a rendition should have: the original scaled down to fit the
+// box, keeping its aspect ratio, and never scaled up
+function fitInside(original, box) {
+  const scale = Math.min(1, box.width / original.width, box.height / original.height);
+  return {
+    width: Math.max(1, Math.round(original.width * scale)),
+    height: Math.max(1, Math.round(original.height * scale))
+  };
+}
+
+// Download one rendition through the SDK instance's configuration, so it is
+// paced and recorded like any SDK call. Relative URLs are on the site itself
+async function downloadRendition(api, url) {
+  const configuration = api.configuration || {};
+  const absolute = new URL(url, configuration.basePath || api.basePath).href;
+  const response = await paced(() => axios.request({
+    ...configuration.baseOptions,
+    method: 'get',
+    url: absolute,
+    responseType: 'arraybuffer'
+  }), { method: 'GET rendition' });
+  return { buffer: Buffer.from(response.data), contentType: response.headers?.['content-type'] || null };
+}
+
+// Problems with one decoded rendition of `attachment`. `original` is the
+// uploaded image's size when known, otherwise the size the attachment reports
+function checkRendition(attachment, size, decoded, original = reportedSize(attachment)) {
+  if (!decoded) return [`${size.name}: not a PNG, JPEG, GIF or WebP image`];
+  const problems = [];
+  const format = FORMAT_OF_EXTENSION[attachment.extension];
+  if (format && decoded.format !== format) {
+    problems.push(`${size.name}: ${decoded.format}, expected ${format} like the original`);
+  }
+  // One problem per rendition: too big for its box, upscaled, or scaled wrong
+  const { width, height } = decoded;
+  const expected = original && fitInside(original, size);
+  if (width > size.width + TOLERANCE_PX || height > size.height + TOLERANCE_PX) {
+    problems.push(`${size.name}: ${width}x${height} does not fit ${size.width}x${size.height}${expected ? ` (expected ${expected.width}x${expected.height})` : ''}`);
+  } else if (original && (width > original.width + TOLERANCE_PX || height > original.height + TOLERANCE_PX)) {
+    problems.push(`${size.name}: ${width}x${height} is larger than the ${original.width}x${original.height} original`);
+  } else if (expected && (Math.abs(width - expected.width) > TOLERANCE_PX || Math.abs(height - expected.height) > TOLERANCE_PX)) {
+    problems.push(`${size.name}: ${width}x${height}, expected ${expected.width}x${expected.height} for the ${original.width}x${original.height} original`);
+  }
+  return problems;
+}
+
+// Problems with the order of renditions, given largest size first: each may
+// be no wider or taller than the one before it
+function checkOrder(renditions) {
+  const problems = [];
+  for (let i = 1; i < renditions.length; i += 1) {
+    const [larger, smaller] = [renditions[i - 1], renditions[i]];
+    if (smaller.width > larger.width || smaller.height > larger.height) {
+      problems.push(`${smaller.name} (${smaller.width}x${smaller.height}) is larger than ${larger.name} (${larger.width}x${larger.height})`);
+    }
+  }
+  return problems;
+}
+
+// Download and check every configured rendition of `attachment`. Pass
+// `original` ({ width, height }) when the uploaded image's size is known, so
+// renditions are checked against it rather than what the server reports,
+// and `pattern` when it is a generated test image, so PNG renditions have
+// their pixels sampled.
+// Returns { renditions: [{ name, width, height, format }], problems,
+// unchecked } where `unchecked` lists _urls sizes with no configured
+// dimensions
+async function verifyRenditions(api, attachment, { sizes = imageSizes(), original, pattern, log = console.log } = {}) {
+  const urls = attachment?._urls || {};
+  const renditions = [];
+  const problems = [];
+  for (const size of sizes) {
+    if (!urls[size.name]) {
+      problems.push(`${size.name}: missing from attachment._urls`);
+      continue;
+    }
+    try {
+      const { buffer, contentType } = await downloadRendition(api, urls[size.name]);
+      const decoded = decodeImageHeader(buffer);
+      const found = [
+        ...checkRendition(attachment, size, decoded, original || reportedSize(attachment)),
+        ...(pattern ? checkPixels(size, buffer, pattern) : [])
+      ];
+      log(`   ${found.length ? '⚠️' : '✅'} ${size.name}: ${decoded ? `${decoded.format} ${decoded.width}x${decoded.height}` : `undecodable ${contentType || 'response'}`} (box ${size.width}x${size.height}, ${buffer.length} bytes)`);
+      problems.push(...found);
+      if (decoded) renditions.push({ name: size.name, ...decoded });
+    } catch (error) {
+      problems.push(`${size.name}: download failed (${error.response?.status ? `HTTP ${error.response.status}` : error.message})`);
+    }
+  }
+  problems.push(...checkOrder(renditions));
+  const configured = new Set(sizes.map(size => size.name));
+  const unchecked = Object.keys(urls).filter(name => name !== 'original' && !configured.has(name));
+  return { renditions, problems, unchecked };
+}
+
+module.exports = {
+  DEFAULT_IMAGE_SIZES,
+  decodeImageHeader,
+  decodePngPixels,
+  fitInside,
+  downloadRendition,
+  checkRendition,
+  checkPixels,
+  checkOrder,
+  verifyRenditions
+};
@@ -0,0 +1,67 @@
+// Console reporter: the emoji summary printed at the end of every run
+const { STATUS, summarize } = require('../results');
+
+function report(runs, meta = {}) {
+  console.log('\n\n📊 COMBINED TEST SUMMARY');
+  console.log('='.repeat(60));
+
+  const width = Math.max(16, ...runs.map(run => run.suite.length + 1));
+  for (const run of runs) {
+    const { passed, failed, skipped, warned } = summarize(run.results);
+    const icon = failed > 0 ? '❌' : '✅';
+    const seconds = (run.durationMs / 1000).toFixed(1);
+    console.log(`${icon} ${run.suite.padEnd(width)} ${passed} passed, ${failed} failed, ${skipped} skipped, ${warned} warnings (${seconds}s)`);
+  }
+
+  const allResults = runs.flatMap(run => run.results);
+  const total = summarize(allResults);
+  console.log('-'.repeat(60));
+  console.log(`✅ Passed:   ${total.passed}`);
+  console.log(`❌ Failed:   ${total.failed}`);
+  console.log(`⏭️  Skipped:  ${total.skipped}`);
+  console.log(`⚠️  Warnings: ${total.warned}`);
+  const retries = allResults.reduce((sum, result) => sum + (result.retries?.length || 0), 0);
+  if (retries > 0) console.log(`🔁 Retries:  ${retries} (see the 🔁 lines above)`);
+
+  const failures = allResults.filter(r => r.status === STATUS.FAIL);
+  if (failures.length > 0) {
+    console.log('\n❌ FAILED CHECKS:');
+    failures.forEach((failure, index) => {
+      const method = failure.method ? ` (${failure.method}${failure.httpStatus ? ` → ${failure.httpStatus}` : ''})` : '';
+      console.log(`   ${index + 1}. [${failure.suite}] ${failure.name}${method}${failure.details ? `: ${failure.details}` : ''}`);
+    });
+  }
+
+  if (meta.coverage) reportCoverage(meta.coverage);
+  if (meta.latency) reportLatency(meta.latency);
+}
+
+function reportCoverage(coverage) {
+  console.log(`\n📐 SDK COVERAGE: ${coverage.called}/${coverage.total} operations (${coverage.percent}%)`);
+  console.log('-'.repeat(60));
+  for (const api of coverage.apis) {
+    if (api.missing) {
+      console.log(`⚠️  ${api.api.padEnd(24)} not exported by this SDK build`);
+      continue;
+    }
+    const icon = api.called === api.total ? '✅' : api.called > 0 ? '🟡' : '⬜';
+    console.log(`${icon} ${api.api.padEnd(24)} ${`${api.called}/${api.total}`.padStart(7)}  ${api.percent}%`);
+  }
+}
+
+function reportLatency(latency) {
+  const width = Math.max(24, ...latency.operations.map(operation => operation.method.length));
+  const ms = value => (value === null || value === undefined ? '-' : `${value}ms`).padStart(9);
+  console.log(`\n⏱️  LATENCY (${latency.iterations} iteration(s)${latency.saved ? `, saved to ${latency.baselineFile}` : ''})`);
+  console.log('-'.repeat(60));
+  console.log(`   ${'Operation'.padEnd(width)} ${'Calls'.padStart(5)} ${'p50'.padStart(9)} ${'p95'.padStart(9)} ${'p99'.padStart(9)} ${'Base p95'.padStart(9)}`);
+  for (const operation of latency.operations) {
+    const icon = operation.regressed.length ? '❌' : operation.baseline ? '✅' : '⬜';
+    console.log(`${icon} ${operation.method.padEnd(width)} ${String(operation.samples).padStart(5)} ${ms(operation.p50)} ${ms(operation.p95)} ${ms(operation.p99)} ${ms(operation.baseline?.p95)}`);
+  }
+}
+
+module.exports = {
+  name: 'console',
+  report
+};
@@ -0,0 +1,47 @@
+// Coverage reporter: every operation on the covered SDK classes, whether the
+// run called it and the HTTP statuses it got back, as a Markdown table per class
+
+function formatStatuses(statuses) {
+  return Object.entries(statuses)
+    .map(([status, count]) => (count > 1 ? `${status} ×${count}` : status))
+    .join(', ');
+}
+
+function render(runs, meta) {
+  const coverage = meta.coverage;
+  const lines = [
+    '# SDK method coverage',
+    '',
+    `${coverage.called} of ${coverage.total} operations called (${coverage.percent}%) against ${meta.baseUrl}, ${meta.finishedAt}.`,
+    ''
+  ];
+
+  if (coverage.threshold !== null && coverage.threshold !== undefined) {
+    lines.push(`Threshold: ${coverage.threshold}%`, '');
+  }
+
+  lines.push('| API | Called | Coverage |', '| --- | --- | --- |');
+  coverage.apis.forEach((api) => {
+    lines.push(`| ${api.api} | ${api.missing ? 'not in SDK' : `${api.called}/${api.total}`} | ${api.percent}% |`);
+  });
+
+  for (const api of coverage.apis) {
+    lines.push('', `## ${api.api}`, '');
+    if (api.missing) {
+      lines.push('Not exported by this SDK build.');
+      continue;
+    }
+    lines.push('| Operation | Called | Calls | Statuses |', '| --- | --- | --- | --- |');
+    api.operations.forEach((operation) => {
+      lines.push(`| \`${operation.name}\` | ${operation.called ? '✅' : '—'} | ${operation.calls} | ${formatStatuses(operation.statuses)} |`);
+    });
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  name: 'coverage',
+  fileName: 'coverage.md',
+  render
+};
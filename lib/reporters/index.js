@@ -0,0 +1,56 @@
+// Reporter selection and output
+// The console reporter always runs; file reporters (junit, tap, json, coverage) are
+// chosen with --reporter on the command line or APOSTROPHE_REPORTERS in .env
+const fs = require('fs');
+const path = require('path');
+
+const REPORTERS = {
+  console: require('./console'),
+  junit: require('./junit'),
+  tap: require('./tap'),
+  json: require('./json'),
+  coverage: require('./coverage')
+};
+
+const DEFAULT_REPORT_DIR = 'reports';
+
+// Accepts a list of names or comma-separated strings ('junit,tap')
+function resolveReporters(names = []) {
+  const requested = names
+    .flatMap(name => String(name).split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = requested.filter(name => !REPORTERS[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown reporter(s): ${unknown.join(', ')}. Available: ${Object.keys(REPORTERS).join(', ')}`);
+  }
+
+  return [...new Set(['console', ...requested])].map(name => REPORTERS[name]);
+}
+
+// Print the console summary and write one file per file reporter
+function writeReports(runs, { reporters, outputDir = DEFAULT_REPORT_DIR, meta }) {
+  const written = [];
+
+  for (const reporter of reporters) {
+    if (reporter.report) {
+      reporter.report(runs, meta);
+      continue;
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    const filePath = path.join(outputDir, reporter.fileName);
+    fs.writeFileSync(filePath, reporter.render(runs, meta));
+    written.push(filePath);
+  }
+
+  return written;
+}
+
+module.exports = {
+  REPORTERS,
+  DEFAULT_REPORT_DIR,
+  resolveReporters,
+  writeReports
+};
@@ -0,0 +1,29 @@
+// JSON reporter: the full result model for custom tooling
+const { summarize } = require('../results');
+
+function render(runs, meta) {
+  const allResults = runs.flatMap(run => run.results);
+  const report = {
+    name: meta.name,
+    baseUrl: meta.baseUrl,
+    runId: meta.runId,
+    startedAt: meta.startedAt,
+    finishedAt: meta.finishedAt,
+    summary: summarize(allResults),
+    suites: runs.map(run => ({
+      suite: run.suite,
+      durationMs: run.durationMs,
+      summary: summarize(run.results),
+      results: run.results
+    }))
+  };
+  if (meta.coverage) report.coverage = meta.coverage;
+  if (meta.latency) report.latency = meta.latency;
+  return JSON.stringify(report, null, 2) + '\n';
+}
+
+module.exports = {
+  name: 'json',
+  fileName: 'results.json',
+  render
+};
@@ -0,0 +1,75 @@
+// JUnit XML reporter, read by CI dashboards and test-history tools
+// One <testsuite> per suite run, one <testcase> per recorded check
+const { STATUS, summarize } = require('../results');
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Strip control characters that are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function renderTestCase(result) {
+  const attributes = `classname="${escapeXml(result.suite)}" name="${escapeXml(result.name)}" time="${seconds(result.durationMs)}"`;
+  const output = [
+    result.method && `method: ${result.method}`,
+    result.httpStatus && `httpStatus: ${result.httpStatus}`,
+    result.details && `details: ${result.details}`,
+    result.retries?.length && `retries: ${result.retries
+      .map(retry => `${retry.method} after ${retry.httpStatus || retry.code}, waited ${retry.delayMs}ms`)
+      .join('; ')}`
+  ].filter(Boolean).join('\n');
+
+  const children = [];
+  if (result.status === STATUS.FAIL) {
+    const message = result.error?.message || result.details || 'Check failed';
+    const body = result.error?.data ? JSON.stringify(result.error.data, null, 2) : '';
+    children.push(`      <failure message="${escapeXml(message)}" type="${escapeXml(result.error?.httpStatus ? `HTTP ${result.error.httpStatus}` : 'AssertionError')}">${escapeXml(body)}</failure>`);
+  } else if (result.status === STATUS.SKIP) {
+    children.push(`      <skipped message="${escapeXml(result.details)}"/>`);
+  }
+  if (result.status === STATUS.WARN || output) {
+    const prefix = result.status === STATUS.WARN ? 'WARN\n' : '';
+    children.push(`      <system-out>${escapeXml(prefix + output)}</system-out>`);
+  }
+
+  if (!children.length) {
+    return `    <testcase ${attributes}/>`;
+  }
+  return `    <testcase ${attributes}>\n${children.join('\n')}\n    </testcase>`;
+}
+
+function render(runs, meta) {
+  const allResults = runs.flatMap(run => run.results);
+  const total = summarize(allResults);
+  const totalMs = runs.reduce((sum, run) => sum + run.durationMs, 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(meta.name)}" tests="${total.total}" failures="${total.failed}" errors="0" skipped="${total.skipped}" time="${seconds(totalMs)}">`
+  ];
+
+  for (const run of runs) {
+    const summary = summarize(run.results);
+    lines.push(`  <testsuite name="${escapeXml(run.suite)}" tests="${summary.total}" failures="${summary.failed}" errors="0" skipped="${summary.skipped}" time="${seconds(run.durationMs)}" timestamp="${escapeXml(meta.startedAt)}">`);
+    run.results.forEach(result => lines.push(renderTestCase(result)));
+    lines.push('  </testsuite>');
+  }
+
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  name: 'junit',
+  fileName: 'junit.xml',
+  render
+};
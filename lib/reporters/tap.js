@@ -0,0 +1,61 @@
+// TAP version 13 reporter
+// Skips use the SKIP directive; warnings and failures carry a YAML block
+const { STATUS } = require('../results');
+
+// TAP descriptions must not contain '#' (it starts a directive) or newlines
+function describe(result) {
+  return `${result.suite}: ${result.name}`.replace(/#/g, '\\#').replace(/\s*\n\s*/g, ' ');
+}
+
+function yamlBlock(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `  ${key}: ${JSON.stringify(value)}`);
+  return lines.length ? ['  ---', ...lines, '  ...'] : [];
+}
+
+function render(runs) {
+  const allResults = runs.flatMap(run => run.results);
+  const lines = ['TAP version 13', `1..${allResults.length}`];
+
+  allResults.forEach((result, index) => {
+    const number = index + 1;
+
+    if (result.status === STATUS.SKIP) {
+      lines.push(`ok ${number} - ${describe(result)} # SKIP ${result.details || ''}`.trimEnd());
+      return;
+    }
+
+    if (result.status === STATUS.FAIL) {
+      lines.push(`not ok ${number} - ${describe(result)}`);
+      lines.push(...yamlBlock({
+        message: result.error?.message || result.details,
+        severity: 'fail',
+        method: result.method,
+        httpStatus: result.httpStatus,
+        data: result.error?.data,
+        durationMs: result.durationMs,
+        retries: result.retries?.length ? result.retries : null
+      }));
+      return;
+    }
+
+    lines.push(`ok ${number} - ${describe(result)}`);
+    if (result.status === STATUS.WARN) {
+      lines.push(...yamlBlock({
+        message: result.details,
+        severity: 'warn',
+        method: result.method,
+        httpStatus: result.httpStatus
+      }));
+    }
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  name: 'tap',
+  fileName: 'results.tap',
+  render
+};
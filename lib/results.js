@@ -0,0 +1,175 @@
+// Shared result model for the SDK test suites
+// Every suite records its checks into a ResultCollector and every exported
+// runner returns the list of results it produced, so tooling such as
+// run-all-tests.js can work from data instead of console output
+
+const STATUS = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  SKIP: 'skip',
+  WARN: 'warn'
+};
+
+const STATUS_LABELS = {
+  pass: '✅ PASS',
+  fail: '❌ FAIL',
+  skip: '⏭️  SKIP',
+  warn: '⚠️  WARN'
+};
+
+// Accept the legacy boolean outcome as well as an explicit status
+function toStatus(outcome) {
+  if (outcome === true) return STATUS.PASS;
+  if (outcome === false) return STATUS.FAIL;
+  if (Object.values(STATUS).includes(outcome)) return outcome;
+  throw new Error(`Unknown test outcome: ${outcome}`);
+}
+
+class ResultCollector {
+  constructor(suite) {
+    this.suite = suite;
+    this.results = [];
+    this.pending = null;
+    this.contractSeen = new Set();
+    this.resetPending();
+
+    // Suites use logTest as a plain function
+    this.logTest = this.logTest.bind(this);
+  }
+
+  // Start timing the next check and forget the SDK calls of the previous one
+  resetPending() {
+    this.pending = {
+      startedAt: Date.now(),
+      method: null,
+      httpStatus: null,
+      error: null,
+      retries: []
+    };
+  }
+
+  // Called by instrumentApi() for every SDK call made during the current check
+  noteCall({ method, httpStatus, error }) {
+    this.pending.method = method;
+    this.pending.httpStatus = httpStatus ?? null;
+    this.pending.error = error || null;
+  }
+
+  // Called by instrumentApi() before an SDK call is retried (see lib/pacing.js);
+  // the retry is kept with the check in progress
+  noteRetry({ method, attempt, maxRetries, httpStatus, code, delayMs, retryAfter }) {
+    this.pending.retries.push({ method, attempt, httpStatus, code, delayMs });
+    const reason = httpStatus ? `HTTP ${httpStatus}` : code || 'network error';
+    const wait = `${(delayMs / 1000).toFixed(1)}s${retryAfter ? ' (Retry-After)' : ''}`;
+    console.log(`   🔁 Retry ${attempt}/${maxRetries} of ${method} after ${reason}, waiting ${wait}`);
+  }
+
+  // Record a check; SDK method, HTTP status and duration default to what
+  // was observed since the previous check
+  record({ name, status, details = '', method, httpStatus, durationMs, error }) {
+    const pending = this.pending;
+    const result = {
+      suite: this.suite,
+      name,
+      status: toStatus(status),
+      details,
+      method: method || pending.method,
+      httpStatus: httpStatus ?? pending.httpStatus,
+      durationMs: durationMs ?? Date.now() - pending.startedAt,
+      error: null,
+      retries: pending.retries,
+      timestamp: new Date().toISOString()
+    };
+
+    if (result.status === STATUS.FAIL) {
+      const sdkError = pending.error;
+      result.error = error || {
+        message: details || sdkError?.message || 'Check failed',
+        httpStatus: sdkError?.response?.status ?? null,
+        data: sdkError?.response?.data ?? null
+      };
+    }
+
+    this.results.push(result);
+    this.resetPending();
+    return result;
+  }
+
+  // Print a check in the shared console format and record it
+  logTest(name, outcome, details = '') {
+    const result = this.record({ name, status: outcome, details });
+    console.log(`${STATUS_LABELS[result.status]}: ${name}`);
+    if (details) {
+      console.log(`   Details: ${details}`);
+    }
+    return result;
+  }
+
+  // Record an OpenAPI contract mismatch found by instrumentApi(). Unlike
+  // record() this leaves the check in progress alone, and a mismatch seen
+  // again in the same suite is not reported twice. `source: 'spec'` marks a
+  // fault in the spec rather than the server, reported under its own name
+  recordContract({ method, httpStatus, mismatches, status = STATUS.FAIL, source = 'server' }) {
+    const key = JSON.stringify([method, httpStatus, mismatches]);
+    if (this.contractSeen.has(key)) return null;
+    this.contractSeen.add(key);
+
+    const listed = mismatches.slice(0, 10).map(m => `${m.path}: ${m.message}`);
+    if (mismatches.length > listed.length) listed.push(`and ${mismatches.length - listed.length} more`);
+    const name = `${source === 'spec' ? 'Spec issue' : 'Contract'}: ${method} → ${httpStatus}`;
+    const details = listed.join('; ');
+    const result = {
+      suite: this.suite,
+      name,
+      status,
+      details,
+      method,
+      httpStatus,
+      durationMs: 0,
+      error: status === STATUS.FAIL ? { message: details, httpStatus, data: { mismatches } } : null,
+      retries: [],
+      timestamp: new Date().toISOString()
+    };
+
+    this.results.push(result);
+    console.log(`${STATUS_LABELS[status]}: ${name}`);
+    listed.forEach(line => console.log(`   ${line}`));
+    return result;
+  }
+
+  // Runners take a checkpoint on entry and return results.since(checkpoint),
+  // so nested runners (e.g. main) can concatenate what their parts return
+  checkpoint() {
+    this.resetPending();
+    return this.results.length;
+  }
+
+  // Retries of calls made after the last check (cleanup, final checks) are
+  // added to that check, so every retry ends up in the results
+  since(checkpoint = 0) {
+    const last = this.results[this.results.length - 1];
+    if (this.pending.retries.length && this.results.length > checkpoint) {
+      last.retries = [...last.retries, ...this.pending.retries];
+      this.pending.retries = [];
+    }
+    return this.results.slice(checkpoint);
+  }
+}
+
+// Count outcomes in a list of results
+function summarize(results) {
+  const count = status => results.filter(r => r.status === status).length;
+  return {
+    total: results.length,
+    passed: count(STATUS.PASS),
+    failed: count(STATUS.FAIL),
+    skipped: count(STATUS.SKIP),
+    warned: count(STATUS.WARN)
+  };
+}
+
+module.exports = {
+  STATUS,
+  ResultCollector,
+  summarize
+};
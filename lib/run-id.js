@@ -0,0 +1,46 @@
+// Per-run namespace for everything the suites create
+// Slugs, titles, usernames and emails all carry the run ID, so two runs
+// against the same instance, or suites running side by side, never collide.
+// APOSTROPHE_RUN_ID pins it (e.g. to a CI build number); otherwise one is
+// made up on first use and stored in the environment, so every suite the
+// runner loads shares it.
+const crypto = require('crypto');
+
+// Lowercase letters, digits and dashes only, so it is safe in slugs and usernames
+function normalizeRunId(value) {
+  const id = String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  if (!id) throw new Error(`Invalid APOSTROPHE_RUN_ID "${value}": use letters, digits and dashes`);
+  return id;
+}
+
+function runId() {
+  const id = process.env.APOSTROPHE_RUN_ID
+    ? normalizeRunId(process.env.APOSTROPHE_RUN_ID)
+    : crypto.randomBytes(4).toString('hex');
+  process.env.APOSTROPHE_RUN_ID = id;
+  return id;
+}
+
+// e.g. testSlug('sdk-test-page') → 'sdk-test-page-3f9c01ab'
+function testSlug(base) {
+  return `${base}-${runId()}`;
+}
+
+// e.g. testTitle('SDK Test Page') → 'SDK Test Page 3f9c01ab'
+function testTitle(base) {
+  return `${base} ${runId()}`;
+}
+
+// e.g. testUsername('sdktest') → 'sdktest-3f9c01ab-1718031234567'; the
+// timestamp keeps retries within one run unique
+function testUsername(base) {
+  return `${base}-${runId()}-${Date.now()}`;
+}
+
+module.exports = {
+  runId,
+  normalizeRunId,
+  testSlug,
+  testTitle,
+  testUsername
+};
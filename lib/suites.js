@@ -0,0 +1,88 @@
+// Registry of the SDK test suites, in the order run-all-tests.js runs them
+// Each entry names the suite file and the exported runner(s) to call.
+// Opt-in suites only run when named on the command line
+
+const SUITES = [
+  {
+    name: 'authentication',
+    file: 'authorization-api-tests.js',
+    runners: ['main']
+  },
+  {
+    name: 'users',
+    file: 'user-api-tests.js',
+    runners: ['runUsersApiTests']
+  },
+  {
+    name: 'global',
+    file: 'global-api-tests.js',
+    runners: ['runGlobalContentTests']
+  },
+  {
+    name: 'pages',
+    file: 'pages-api-tests.js',
+    runners: ['runPagesTests', 'runAdvancedPagesTests']
+  },
+  {
+    name: 'positions',
+    file: 'page-positions-api-tests.js',
+    runners: ['runPagePositionTests']
+  },
+  {
+    name: 'attachments',
+    file: 'attachments-api-tests.js',
+    runners: ['runAllAttachmentTests']
+  },
+  {
+    name: 'uploads',
+    file: 'upload-matrix-api-tests.js',
+    runners: ['runUploadMatrixTests']
+  },
+  {
+    name: 'media',
+    file: 'media-api-tests.js',
+    runners: ['runMediaTests', 'runAdvancedMediaTests']
+  },
+  {
+    name: 'localization',
+    file: 'localization-api-tests.js',
+    runners: ['runLocalizationTests']
+  },
+  {
+    name: 'permissions',
+    file: 'permissions-api-tests.js',
+    runners: ['runPermissionTests']
+  },
+  {
+    name: 'fuzz',
+    file: 'fuzz-api-tests.js',
+    runners: ['runFuzzTests'],
+    optIn: true
+  },
+  {
+    name: 'lifecycle',
+    file: 'lifecycle-api-tests.js',
+    runners: ['runLifecycleTests'],
+    optIn: true
+  }
+];
+
+// Look up suites by name, keeping registry order; no names means every
+// suite that is not opt-in
+function selectSuites(names = []) {
+  if (!names.length) {
+    return SUITES.filter(suite => !suite.optIn);
+  }
+
+  const unknown = names.filter(name => !SUITES.some(suite => suite.name === name));
+  if (unknown.length) {
+    throw new Error(`Unknown suite(s): ${unknown.join(', ')}. Available: ${SUITES.map(s => s.name).join(', ')}`);
+  }
+
+  return SUITES.filter(suite => names.includes(suite.name));
+}
+
+module.exports = {
+  SUITES,
+  selectSuites
+};
@@ -0,0 +1,164 @@
+// Synthetic test files for uploads other than raster images
+// createTestFile() writes small but well-formed files of the other types
+// Apostrophe accepts, so upload tests need no fixtures:
+//
+// * txt  — the text as UTF-8
+// * pdf  — one Letter page showing the text, with a correct xref table
+// * svg  — a 120x80 drawing with its width and height set
+// * docx — the three parts Word needs, in an uncompressed zip
+const { crc32 } = require('./test-images');
+
+const TYPES = {
+  txt: { extension: 'txt', mimeType: 'text/plain' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  svg: { extension: 'svg', mimeType: 'image/svg+xml' },
+  docx: { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+const DEFAULT_TEXT = 'SDK test file';
+
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// --- PDF ---
+
+// PDF strings are bytes; keep printable ASCII and escape the delimiters
+function pdfString(text) {
+  return `(${text.replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, char => `\\${char}`)})`;
+}
+
+function createPdf(text) {
+  const content = `BT /F1 24 Tf 72 720 Td ${pdfString(text)} Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+  let source = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = source.length;
+    source += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = source.length;
+  // Every xref entry is exactly 20 bytes, line end included
+  source += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  source += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  source += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(source, 'latin1');
+}
+
+// --- SVG ---
+
+function createSvg(text) {
+  return Buffer.from([
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<svg xmlns="http://www.w3.org/2000/svg" width="120" height="80" viewBox="0 0 120 80">',
+    '  <rect width="120" height="80" fill="#2e7d32"/>',
+    `  <text x="10" y="45" fill="#ffffff" font-size="12">${escapeXml(text)}</text>`,
+    '</svg>',
+    ''
+  ].join('\n'), 'utf8');
+}
+
+// --- DOCX ---
+
+// A zip of `entries` ({ name, data }) with every file stored uncompressed
+function createZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of entries) {
+    const fileName = Buffer.from(name, 'utf8');
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    locals.push(local, fileName, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, fileName);
+
+    offset += local.length + fileName.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+function createDocx(text) {
+  const xml = body => Buffer.from(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`, 'utf8');
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: xml('<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+        '</Types>')
+    },
+    {
+      name: '_rels/.rels',
+      data: xml('<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+        '</Relationships>')
+    },
+    {
+      name: 'word/document.xml',
+      data: xml('<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">' +
+        `<w:body><w:p><w:r><w:t>${escapeXml(text)}</w:t></w:r></w:p></w:body>` +
+        '</w:document>')
+    }
+  ]);
+}
+
+const WRITERS = {
+  txt: text => Buffer.from(`${text}\n`, 'utf8'),
+  pdf: createPdf,
+  svg: createSvg,
+  docx: createDocx
+};
+
+// A `type` (txt, pdf, svg or docx) file holding `text`. Returns { buffer,
+// type, extension, mimeType, filename }
+function createTestFile({ type = 'txt', text = DEFAULT_TEXT, filename } = {}) {
+  if (!WRITERS[type]) {
+    throw new Error(`Unknown test file type "${type}"; expected one of ${Object.keys(TYPES).join(', ')}`);
+  }
+  const { extension, mimeType } = TYPES[type];
+  return {
+    buffer: WRITERS[type](text),
+    type,
+    extension,
+    mimeType,
+    filename: filename || `test-file.${extension}`
+  };
+}
+
+module.exports = {
+  TYPES,
+  createTestFile
+};
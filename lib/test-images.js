@@ -0,0 +1,508 @@
+// Synthetic test images
+// Every image the suites upload is drawn at runtime by createTestImage(), so
+// a clean checkout needs no fixture files. It writes any size in any of the
+// four formats Apostrophe accepts for images, using only Node's zlib:
+//
+// * png  — 8-bit RGB, unfiltered rows
+// * gif  — GIF89a with a global palette, LZW-compressed
+// * jpeg — baseline, YCbCr without subsampling, near-lossless quantization
+// * webp — VP8L lossless, no transforms
+//
+// Every pattern is drawn from a handful of flat colours, so expectedPixel()
+// says what any pixel should be: exactly for png, gif and webp, and to within
+// a few levels for jpeg.
+const zlib = require('zlib');
+
+const FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  jpeg: { extension: 'jpg', mimeType: 'image/jpeg' },
+  gif: { extension: 'gif', mimeType: 'image/gif' },
+  webp: { extension: 'webp', mimeType: 'image/webp' }
+};
+const FORMAT_ALIASES = { jpg: 'jpeg' };
+
+// Largest side any of the formats can describe (VP8L stores 14 bits)
+const MAX_SIDE = 16384;
+
+const RED = [255, 0, 0];
+const GREEN = [0, 255, 0];
+const BLUE = [0, 0, 255];
+const WHITE = [255, 255, 255];
+const BLACK = [0, 0, 0];
+const GREY = [128, 128, 128];
+const CHECKER_SIZE = 8;
+
+// Each pattern's colours, and the colour index of pixel (x, y)
+const PATTERNS = {
+  // Red, green, white and blue quarters, clockwise from the top left, so a
+  // crop or a flip shows in which colours end up where
+  quadrants: {
+    colors: [RED, GREEN, WHITE, BLUE],
+    index: (x, y, width, height) => {
+      const right = x >= Math.floor(width / 2);
+      const bottom = y >= Math.floor(height / 2);
+      if (bottom) return right ? 2 : 3;
+      return right ? 1 : 0;
+    }
+  },
+  // 8px black and white squares, black at the top left
+  checkerboard: {
+    colors: [BLACK, WHITE],
+    index: (x, y) => (Math.floor(x / CHECKER_SIZE) + Math.floor(y / CHECKER_SIZE)) % 2
+  },
+  solid: {
+    colors: [GREY],
+    index: () => 0
+  }
+};
+
+// [r, g, b] of pixel (x, y) in a `width` x `height` image of `pattern`
+function expectedPixel(pattern, x, y, width, height) {
+  const { colors, index } = PATTERNS[pattern];
+  return colors[index(x, y, width, height)];
+}
+
+// Colour indexes of every pixel, row by row
+function drawIndexes(pattern, width, height) {
+  const { index } = PATTERNS[pattern];
+  const indexes = new Uint8Array(width * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) indexes[y * width + x] = index(x, y, width, height);
+  }
+  return indexes;
+}
+
+// Writes bits least significant first, as GIF and VP8L read them
+function lsbWriter() {
+  const bytes = [];
+  let current = 0;
+  let used = 0;
+  return {
+    write(value, count) {
+      for (let i = 0; i < count; i += 1) {
+        current |= ((value >>> i) & 1) << used;
+        used += 1;
+        if (used === 8) {
+          bytes.push(current);
+          current = 0;
+          used = 0;
+        }
+      }
+    },
+    finish() {
+      if (used) bytes.push(current);
+      return Buffer.from(bytes);
+    }
+  };
+}
+
+// --- PNG ---
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body), 0);
+  return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(indexes, colors, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  const rowLength = 1 + width * 3;
+  const pixels = Buffer.alloc(rowLength * height);
+  for (let y = 0; y < height; y += 1) {
+    // Each row starts with filter type 0, none
+    for (let x = 0; x < width; x += 1) {
+      const color = colors[indexes[y * width + x]];
+      const offset = y * rowLength + 1 + x * 3;
+      pixels[offset] = color[0];
+      pixels[offset + 1] = color[1];
+      pixels[offset + 2] = color[2];
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// --- GIF ---
+
+const MAX_LZW_CODE = 4096;
+
+function lzwCompress(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const writer = lsbWriter();
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+
+  writer.write(clearCode, codeSize);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; i += 1) {
+    const key = (prefix << 8) | indexes[i];
+    if (table.has(key)) {
+      prefix = table.get(key);
+      continue;
+    }
+    writer.write(prefix, codeSize);
+    if (nextCode === MAX_LZW_CODE) {
+      // The table is full: start over
+      writer.write(clearCode, codeSize);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = endCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize += 1;
+      table.set(key, nextCode);
+      nextCode += 1;
+    }
+    prefix = indexes[i];
+  }
+  writer.write(prefix, codeSize);
+  writer.write(endCode, codeSize);
+  return writer.finish();
+}
+
+function encodeGif(indexes, colors, width, height) {
+  // The palette holds a power of two colours, at least two
+  let paletteBits = 1;
+  while (1 << paletteBits < colors.length) paletteBits += 1;
+  const palette = Buffer.alloc(3 * (1 << paletteBits));
+  colors.forEach((color, i) => palette.set(color, i * 3));
+
+  const screen = Buffer.alloc(7);
+  screen.writeUInt16LE(width, 0);
+  screen.writeUInt16LE(height, 2);
+  screen[4] = 0x80 | ((paletteBits - 1) << 4) | (paletteBits - 1);
+
+  const descriptor = Buffer.alloc(10);
+  descriptor[0] = 0x2c;
+  descriptor.writeUInt16LE(width, 5);
+  descriptor.writeUInt16LE(height, 7);
+
+  const minCodeSize = Math.max(2, paletteBits);
+  const data = lzwCompress(indexes, minCodeSize);
+  const blocks = [];
+  for (let offset = 0; offset < data.length; offset += 255) {
+    const block = data.subarray(offset, offset + 255);
+    blocks.push(Buffer.from([block.length]), block);
+  }
+  return Buffer.concat([
+    Buffer.from('GIF89a', 'ascii'),
+    screen,
+    palette,
+    descriptor,
+    Buffer.from([minCodeSize]),
+    ...blocks,
+    Buffer.from([0x00, 0x3b])
+  ]);
+}
+
+// --- JPEG ---
+
+// Natural order index of each coefficient in zigzag order
+const ZIGZAG = (() => {
+  const order = [];
+  for (let sum = 0; sum < 15; sum += 1) {
+    const diagonal = [];
+    for (let y = 0; y <= sum; y += 1) {
+      const x = sum - y;
+      if (x < 8 && y < 8) diagonal.push(y * 8 + x);
+    }
+    order.push(...(sum % 2 ? diagonal : diagonal.reverse()));
+  }
+  return order;
+})();
+
+// Flat, fine quantization: flat colours come back within a few levels
+const QUANTIZER = 2;
+
+const COSINES = Array.from({ length: 64 }, (_, i) => {
+  const [x, u] = [i >> 3, i & 7];
+  const scale = u === 0 ? Math.SQRT1_2 : 1;
+  return scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16) / 2;
+});
+
+// One Huffman table each for DC and AC, shared by all three components and
+// covering every symbol, so no statistics are needed: DC categories 0-11
+// take 4 bits, AC run/size symbols 8 bits
+const DC_SYMBOLS = Array.from({ length: 12 }, (_, i) => i);
+const AC_SYMBOLS = [0x00, 0xf0];
+for (let run = 0; run < 16; run += 1) {
+  for (let size = 1; size <= 10; size += 1) AC_SYMBOLS.push((run << 4) | size);
+}
+const DC_CODE_LENGTH = 4;
+const AC_CODE_LENGTH = 8;
+const AC_CODES = new Map(AC_SYMBOLS.map((symbol, code) => [symbol, code]));
+
+function huffmanSegment(tableClass, symbols, codeLength) {
+  const counts = Buffer.alloc(16);
+  counts[codeLength - 1] = symbols.length;
+  return Buffer.concat([Buffer.from([tableClass << 4]), counts, Buffer.from(symbols)]);
+}
+
+function jpegSegment(marker, data) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(data.length + 2, 2);
+  return Buffer.concat([header, data]);
+}
+
+// Writes bits most significant first, with 0xff bytes stuffed
+function jpegWriter() {
+  const bytes = [];
+  let current = 0;
+  let used = 0;
+  const push = (byte) => {
+    bytes.push(byte);
+    if (byte === 0xff) bytes.push(0x00);
+  };
+  return {
+    write(value, count) {
+      for (let i = count - 1; i >= 0; i -= 1) {
+        current = (current << 1) | ((value >>> i) & 1);
+        used += 1;
+        if (used === 8) {
+          push(current);
+          current = 0;
+          used = 0;
+        }
+      }
+    },
+    finish() {
+      // Pad the last byte with ones
+      if (used) push((current << (8 - used)) | ((1 << (8 - used)) - 1));
+      return Buffer.from(bytes);
+    }
+  };
+}
+
+// Bits needed for a coefficient, and the bits that encode it
+function category(value) {
+  let size = 0;
+  for (let magnitude = Math.abs(value); magnitude; magnitude >>= 1) size += 1;
+  return { size, bits: value < 0 ? (value - 1) & ((1 << size) - 1) : value };
+}
+
+// Quantized coefficients of one 8x8 block, in zigzag order
+function transformBlock(samples) {
+  const rows = new Float64Array(64);
+  for (let y = 0; y < 8; y += 1) {
+    for (let u = 0; u < 8; u += 1) {
+      let sum = 0;
+      for (let x = 0; x < 8; x += 1) sum += samples[y * 8 + x] * COSINES[x * 8 + u];
+      rows[y * 8 + u] = sum;
+    }
+  }
+  const coefficients = new Int32Array(64);
+  for (let u = 0; u < 8; u += 1) {
+    for (let v = 0; v < 8; v += 1) {
+      let sum = 0;
+      for (let y = 0; y < 8; y += 1) sum += rows[y * 8 + u] * COSINES[y * 8 + v];
+      coefficients[v * 8 + u] = Math.round(sum / QUANTIZER);
+    }
+  }
+  return ZIGZAG.map(index => coefficients[index]);
+}
+
+function encodeBlock(writer, coefficients, previousDc) {
+  const dc = category(coefficients[0] - previousDc);
+  writer.write(dc.size, DC_CODE_LENGTH);
+  writer.write(dc.bits, dc.size);
+  let run = 0;
+  for (let i = 1; i < 64; i += 1) {
+    if (coefficients[i] === 0) {
+      run += 1;
+      continue;
+    }
+    for (; run > 15; run -= 16) writer.write(AC_CODES.get(0xf0), AC_CODE_LENGTH);
+    const ac = category(coefficients[i]);
+    writer.write(AC_CODES.get((run << 4) | ac.size), AC_CODE_LENGTH);
+    writer.write(ac.bits, ac.size);
+    run = 0;
+  }
+  if (run) writer.write(AC_CODES.get(0x00), AC_CODE_LENGTH);
+  return coefficients[0];
+}
+
+function toYCbCr([r, g, b]) {
+  return [
+    0.299 * r + 0.587 * g + 0.114 * b,
+    -0.168736 * r - 0.331264 * g + 0.5 * b + 128,
+    0.5 * r - 0.418688 * g - 0.081312 * b + 128
+  ];
+}
+
+function encodeJpeg(indexes, colors, width, height) {
+  const converted = colors.map(toYCbCr);
+  const writer = jpegWriter();
+  const previousDc = [0, 0, 0];
+  const samples = new Float64Array(64);
+  for (let top = 0; top < height; top += 8) {
+    for (let left = 0; left < width; left += 8) {
+      for (let component = 0; component < 3; component += 1) {
+        // Blocks past the right or bottom edge repeat the edge pixels
+        for (let y = 0; y < 8; y += 1) {
+          const row = Math.min(top + y, height - 1) * width;
+          for (let x = 0; x < 8; x += 1) {
+            const color = converted[indexes[row + Math.min(left + x, width - 1)]];
+            samples[y * 8 + x] = color[component] - 128;
+          }
+        }
+        previousDc[component] = encodeBlock(writer, transformBlock(samples), previousDc[component]);
+      }
+    }
+  }
+
+  const frame = Buffer.from([8, 0, 0, 0, 0, 3, 1, 0x11, 0, 2, 0x11, 0, 3, 0x11, 0]);
+  frame.writeUInt16BE(height, 1);
+  frame.writeUInt16BE(width, 3);
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    jpegSegment(0xe0, Buffer.from([0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0])),
+    jpegSegment(0xdb, Buffer.concat([Buffer.from([0]), Buffer.alloc(64, QUANTIZER)])),
+    jpegSegment(0xc0, frame),
+    jpegSegment(0xc4, Buffer.concat([
+      huffmanSegment(0, DC_SYMBOLS, DC_CODE_LENGTH),
+      huffmanSegment(1, AC_SYMBOLS, AC_CODE_LENGTH)
+    ])),
+    jpegSegment(0xda, Buffer.from([3, 1, 0x00, 2, 0x00, 3, 0x00, 0, 63, 0])),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+// --- WebP ---
+
+// Order in which VP8L lists the lengths of the code length code
+const CODE_LENGTH_ORDER = [17, 18, 0, 1, 2, 3, 4, 5, 16, 6, 7, 8];
+const LITERAL_CODE_LENGTH = 8;
+
+function reverseBits(value, count) {
+  let reversed = 0;
+  for (let i = 0; i < count; i += 1) reversed = (reversed << 1) | ((value >>> i) & 1);
+  return reversed;
+}
+
+// A prefix code giving each of the 256 literals 8 bits, so literal n is
+// code n, plus `unused` symbols with no code
+function writeLiteralCode(writer, unused = 0) {
+  writer.write(0, 1); // normal, not simple
+  writer.write(CODE_LENGTH_ORDER.length - 4, 4);
+  // Only lengths 0 and 8 occur, each coded in one bit
+  for (const symbol of CODE_LENGTH_ORDER) writer.write(symbol === 0 || symbol === LITERAL_CODE_LENGTH ? 1 : 0, 3);
+  writer.write(0, 1); // lengths for the whole alphabet follow
+  for (let i = 0; i < 256; i += 1) writer.write(1, 1);
+  for (let i = 0; i < unused; i += 1) writer.write(0, 1);
+}
+
+// A simple prefix code with one 8-bit symbol, which takes no bits to write
+function writeSingleSymbolCode(writer, symbol) {
+  writer.write(1, 1); // simple
+  writer.write(0, 1); // one symbol
+  if (symbol < 2) {
+    writer.write(0, 1);
+    writer.write(symbol, 1);
+  } else {
+    writer.write(1, 1);
+    writer.write(symbol, 8);
+  }
+}
+
+function encodeWebp(indexes, colors, width, height) {
+  const writer = lsbWriter();
+  writer.write(0x2f, 8);
+  writer.write(width - 1, 14);
+  writer.write(height - 1, 14);
+  writer.write(0, 1); // no alpha
+  writer.write(0, 3); // version
+  writer.write(0, 1); // no transforms
+  writer.write(0, 1); // no colour cache
+  writer.write(0, 1); // one set of prefix codes for the whole image
+  // Green shares its alphabet with 24 length prefixes, which are never used
+  writeLiteralCode(writer, 24);
+  writeLiteralCode(writer);
+  writeLiteralCode(writer);
+  writeSingleSymbolCode(writer, 0xff);
+  writeSingleSymbolCode(writer, 0);
+
+  for (const index of indexes) {
+    const [r, g, b] = colors[index];
+    writer.write(reverseBits(g, LITERAL_CODE_LENGTH), LITERAL_CODE_LENGTH);
+    writer.write(reverseBits(r, LITERAL_CODE_LENGTH), LITERAL_CODE_LENGTH);
+    writer.write(reverseBits(b, LITERAL_CODE_LENGTH), LITERAL_CODE_LENGTH);
+  }
+
+  const data = writer.finish();
+  const chunkHeader = Buffer.alloc(8);
+  chunkHeader.write('VP8L', 0, 'ascii');
+  chunkHeader.writeUInt32LE(data.length, 4);
+  const padding = Buffer.alloc(data.length % 2);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(4 + chunkHeader.length + data.length + padding.length, 4);
+  riff.write('WEBP', 8, 'ascii');
+  return Buffer.concat([riff, chunkHeader, data, padding]);
+}
+
+const ENCODERS = { png: encodePng, jpeg: encodeJpeg, gif: encodeGif, webp: encodeWebp };
+
+// Draw `pattern` into a `width` x `height` image in `format` (png, jpeg or
+// jpg, gif, webp). Returns the file's buffer with what an upload needs to
+// describe it: { buffer, format, extension, mimeType, filename, width,
+// height, pattern }
+function createTestImage({ format = 'png', width = 200, height = 150, pattern = 'quadrants', filename } = {}) {
+  const name = FORMAT_ALIASES[format] || format;
+  if (!ENCODERS[name]) {
+    throw new Error(`Unknown test image format "${format}"; expected one of ${Object.keys(FORMATS).join(', ')}`);
+  }
+  if (!PATTERNS[pattern]) {
+    throw new Error(`Unknown test image pattern "${pattern}"; expected one of ${Object.keys(PATTERNS).join(', ')}`);
+  }
+  for (const [label, side] of [['width', width], ['height', height]]) {
+    if (!Number.isInteger(side) || side < 1 || side > MAX_SIDE) {
+      throw new Error(`Test image ${label} must be an integer from 1 to ${MAX_SIDE}, got ${side}`);
+    }
+  }
+  const indexes = drawIndexes(pattern, width, height);
+  const buffer = ENCODERS[name](indexes, PATTERNS[pattern].colors, width, height);
+  const { extension, mimeType } = FORMATS[name];
+  return {
+    buffer,
+    format: name,
+    extension,
+    mimeType,
+    filename: filename || `test-image.${extension}`,
+    width,
+    height,
+    pattern
+  };
+}
+
+module.exports = {
+  FORMATS,
+  PATTERNS,
+  expectedPixel,
+  createTestImage,
+  crc32
+};
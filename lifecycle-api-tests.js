@@ -0,0 +1,296 @@
+// Lifecycle Test Suite for ApostropheCMS SDK
+// Applies random sequences of patch, publish, unpublish, revert, archive,
+// restore and delete to pages, images, files and the global document, and
+// after every step checks the document against a model of what Apostrophe
+// should have done: draft and published content, lastPublishedAt, the
+// archived and modified flags, and which list endpoints include it. Failing
+// sequences are shrunk to a minimal one; see lib/lifecycle.js for the model.
+// Opt-in: run it with `node run-all-tests.js lifecycle`.
+const {
+  PagesApi,
+  GlobalContentApi,
+  MediaApi,
+  AttachmentsApi,
+  Configuration
+} = require('apostrophecms-client');
+const { ResultCollector, STATUS } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, unpublishThenDelete, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle } = require('./lib/run-id');
+const { randomSeed } = require('./lib/fuzz');
+const { createModel, runBatch, testLifecycle } = require('./lib/lifecycle');
+const { createTestImage } = require('./lib/test-images');
+
+const config = requireConfig();
+
+const configuration = new Configuration({
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
+});
+
+const results = new ResultCollector('lifecycle');
+const logTest = results.logTest;
+
+const pagesApi = instrumentApi(new PagesApi(configuration), results);
+const globalApi = instrumentApi(new GlobalContentApi(configuration), results);
+const mediaApi = instrumentApi(new MediaApi(configuration), results);
+const attachmentsApi = instrumentApi(new AttachmentsApi(configuration), results);
+
+// Archived documents are only found by id when asked for
+const ANY_ARCHIVED = { params: { archived: 'any' } };
+
+let counter = 0;
+
+// The document, or null when it 404s
+async function getOrNull(call) {
+  try {
+    const { data } = await call();
+    return data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+function idsOf(doc) {
+  const locale = doc.aposLocale || 'en';
+  return {
+    aposDocId: doc.aposDocId,
+    draftId: `${doc.aposDocId}:${locale}:draft`,
+    publishedId: `${doc.aposDocId}:${locale}:published`
+  };
+}
+
+// Delete whatever a sequence left behind
+async function deleteDoc(api, kind, handle, model) {
+  if (!model.exists) {
+    ledger.release(handle.trackedId);
+    return;
+  }
+  if (await unpublishThenDelete(api, kind, handle.draftId)) ledger.release(handle.trackedId);
+  else console.log(`   ⚠️  Could not delete ${kind} ${handle.draftId}; it stays in the ledger`);
+}
+
+// A piece type (images, files) with the standard workflow routes. `prefix`
+// is the SDK method prefix: 'image' → imagePost, imagePublishById, ...
+function pieceTarget({ name, kind, prefix, label, slugBase, shared }) {
+  const call = suffix => (...args) => mediaApi[`${prefix}${suffix}`](...args);
+  return {
+    name,
+    operations: ['patch', 'publish', 'unpublish', 'revert', 'archive', 'restore', 'delete'],
+    titleFor: (handle, step) => `${handle.title} v${step.version}`,
+    create: async () => {
+      const title = `${testTitle(label)} lifecycle ${++counter}`;
+      const { data } = await call('Post')({
+        title,
+        slug: `${testSlug(slugBase)}-lifecycle-${counter}`,
+        attachment: { _id: shared.attachment._id }
+      }, 'draft');
+      ledger.track('lifecycle', kind, data);
+      return { handle: { ...idsOf(data), title, trackedId: data._id }, model: createModel(title) };
+    },
+    perform: {
+      patch: (handle, step) => call('PatchById')(handle.draftId, { title: `${handle.title} v${step.version}` }, 'draft'),
+      publish: handle => call('PublishById')(handle.draftId),
+      unpublish: handle => call('UnpublishById')(handle.draftId),
+      revert: handle => call('RevertDraftToPublishedById')(handle.draftId),
+      archive: handle => runBatch(mediaApi, () => call('Archive')({ _ids: [handle.aposDocId] })),
+      restore: handle => runBatch(mediaApi, () => call('Restore')({ _ids: [handle.aposDocId] })),
+      delete: async (handle) => {
+        if (!await unpublishThenDelete(mediaApi, kind, handle.draftId)) throw new Error(`${kind} ${handle.draftId} could not be deleted`);
+      }
+    },
+    observe: async (handle) => {
+      const listed = async (mode) => {
+        const { data } = await call('Get')(1, 100, handle.title, mode);
+        return (data.results || []).some(doc => doc.aposDocId === handle.aposDocId);
+      };
+      return {
+        draft: await getOrNull(() => call('GetById')(handle.draftId, 'draft', undefined, undefined, ANY_ARCHIVED)),
+        published: await getOrNull(() => call('GetById')(handle.publishedId, 'published', undefined, undefined, ANY_ARCHIVED)),
+        inDraftList: await listed('draft'),
+        inPublishedList: await listed('published')
+      };
+    },
+    cleanUp: (handle, model) => deleteDoc(mediaApi, kind, handle, model)
+  };
+}
+
+function buildTargets(shared) {
+  const listedPage = async (handle, mode) => {
+    const { data } = await pagesApi.pageGet(undefined, '1', undefined, mode);
+    return (data.results || []).some(doc => doc.aposDocId === handle.aposDocId);
+  };
+
+  const targets = [
+    {
+      name: 'page',
+      operations: ['patch', 'publish', 'unpublish', 'revert', 'archive', 'restore', 'delete'],
+      titleFor: (handle, step) => `${handle.title} v${step.version}`,
+      create: async () => {
+        const title = `${testTitle('SDK Test Page')} lifecycle ${++counter}`;
+        const { data } = await pagesApi.pagePost({
+          title,
+          type: config.pageType,
+          slug: `${testSlug('sdk-test-page')}-lifecycle-${counter}`,
+          _targetId: shared.parentPageId,
+          _position: 'lastChild'
+        }, 'draft');
+        ledger.track('lifecycle', 'page', data);
+        return { handle: { ...idsOf(data), title, trackedId: data._id }, model: createModel(title) };
+      },
+      perform: {
+        patch: (handle, step) => pagesApi.pagePatchById(handle.draftId, { title: `${handle.title} v${step.version}` }, 'draft'),
+        publish: handle => pagesApi.pagePublishById(handle.draftId),
+        unpublish: handle => pagesApi.pageUnpublishById(handle.draftId),
+        revert: handle => pagesApi.pageRevertDraftToPublishedById(handle.draftId),
+        archive: handle => runBatch(pagesApi, () => pagesApi.pageArchive({ _ids: [handle.aposDocId] })),
+        restore: handle => runBatch(pagesApi, () => pagesApi.pageRestore({ _ids: [handle.aposDocId] })),
+        delete: async (handle) => {
+          if (!await unpublishThenDelete(pagesApi, 'page', handle.draftId)) throw new Error(`page ${handle.draftId} could not be deleted`);
+        }
+      },
+      observe: async handle => ({
+        draft: await getOrNull(() => pagesApi.pageGetById(handle.draftId, 'draft', undefined, undefined, ANY_ARCHIVED)),
+        published: await getOrNull(() => pagesApi.pageGetById(handle.publishedId, 'published', undefined, undefined, ANY_ARCHIVED)),
+        inDraftList: await listedPage(handle, 'draft'),
+        inPublishedList: await listedPage(handle, 'published')
+      }),
+      cleanUp: (handle, model) => deleteDoc(pagesApi, 'page', handle, model)
+    }
+  ];
+
+  targets.push(
+    pieceTarget({ name: 'image', kind: 'image', prefix: 'image', label: 'SDK Test Image', slugBase: 'sdk-test-image', shared }),
+    pieceTarget({ name: 'file', kind: 'file', prefix: 'file', label: 'SDK Test File', slugBase: 'sdk-test-file', shared })
+  );
+
+  // The global document cannot be created, archived or deleted, so each
+  // sequence starts by publishing a known title; cleanUp() puts the
+  // original title back afterwards
+  if (shared.global) {
+    const ids = idsOf(shared.global);
+    targets.push({
+      name: 'global',
+      operations: ['patch', 'publish', 'revert'],
+      titleFor: (handle, step) => `${handle.title} v${step.version}`,
+      create: async () => {
+        const title = `${testTitle('SDK Test Global')} lifecycle ${++counter}`;
+        await globalApi.globalPatchById(ids.draftId, { title }, 'draft');
+        await globalApi.globalPublishById(ids.draftId);
+        return { handle: { ...ids, title }, model: createModel(title, { published: true }) };
+      },
+      perform: {
+        patch: (handle, step) => globalApi.globalPatchById(handle.draftId, { title: `${handle.title} v${step.version}` }, 'draft'),
+        publish: handle => globalApi.globalPublishById(handle.draftId),
+        revert: handle => globalApi.globalRevertDraftToPublishedById(handle.draftId)
+      },
+      observe: async handle => ({
+        draft: await getOrNull(() => globalApi.globalGetById(handle.draftId, ANY_ARCHIVED)),
+        published: await getOrNull(() => globalApi.globalGetById(handle.publishedId, ANY_ARCHIVED)),
+        inDraftList: null,
+        inPublishedList: null
+      }),
+      cleanUp: async () => {}
+    });
+  }
+  return targets;
+}
+
+// Parent page, an attachment for images and files, and the global document
+// when it is safe to publish (no unpublished changes of its own)
+async function setUp() {
+  console.log('🔧 Setup: parent page, attachment and global document');
+  const shared = {};
+
+  const { data: home } = await pagesApi.pageGet(undefined, undefined, 'false');
+  shared.parentPageId = config.parentPageId || home._id;
+
+  const { buffer, mimeType } = createTestImage();
+  const { data: attachment } = await attachmentsApi.attachmentUpload(new File([buffer], 'sdk-test-lifecycle.png', { type: mimeType }), 'draft');
+  shared.attachment = attachment;
+
+  const { data } = await globalApi.globalGet('draft');
+  const globalDraft = data.results ? data.results[0] : data;
+  if (globalDraft?.modified) {
+    console.log('   ⚠️  The global document has unpublished changes; publishing would release them, so it is skipped');
+    shared.globalSkipped = 'the global draft has unpublished changes';
+  } else if (globalDraft) {
+    shared.global = globalDraft;
+  }
+
+  logTest('Set up lifecycle targets', true, `parent ${shared.parentPageId}, attachment ${shared.attachment._id}${shared.global ? `, global ${shared.global._id}` : ''}`);
+  return shared;
+}
+
+function reportTarget(summary, seed) {
+  for (const failure of summary.failures) {
+    logTest(`Lifecycle ${summary.name}: ${failure.invariant}`, false,
+      `${failure.message} at step ${failure.failedStep} of: ${failure.minimal} (sequence ${failure.sequenceNumber}, seed ${seed}, shrunk in ${failure.shrinkRuns} runs from: ${failure.original})`);
+  }
+  if (!summary.failures.length) {
+    logTest(`Lifecycle ${summary.name}: invariants hold`, true, `${summary.sequences} sequences, ${summary.steps} steps`);
+  }
+}
+
+// Publish the global document's original title again
+async function cleanUp(shared) {
+  if (!shared?.global) return;
+  console.log('\n🧹 Cleanup: Restore the global document');
+  const { draftId } = idsOf(shared.global);
+  try {
+    await globalApi.globalPatchById(draftId, { title: shared.global.title }, 'draft');
+    await globalApi.globalPublishById(draftId);
+    logTest('Restore global document', true, `title "${shared.global.title}" published again`);
+  } catch (error) {
+    logTest('Restore global document', false, error.message);
+  }
+}
+
+async function runLifecycleTests() {
+  const checkpoint = results.checkpoint();
+  console.log('🔄 Lifecycle API Test Suite');
+  console.log('===========================\n');
+
+  const seed = config.lifecycleSeed ?? randomSeed();
+  console.log(`🎲 Seed ${seed} (APOSTROPHE_LIFECYCLE_SEED=${seed} replays these sequences)`);
+  console.log(`🔢 ${config.lifecycleSequences} sequences of ${config.lifecycleSteps} steps per document type\n`);
+
+  let shared = null;
+  try {
+    shared = await setUp();
+
+    for (const target of buildTargets(shared)) {
+      console.log(`\n📄 ${target.name}`);
+      const summary = await testLifecycle(target, {
+        seed,
+        sequences: config.lifecycleSequences,
+        length: config.lifecycleSteps,
+        onSequence: ({ number, steps, failure, repeated }) => {
+          if (failure) console.log(`   ❗ Sequence ${number} broke "${failure.violations[0].invariant}" at step ${failure.stepIndex + 1} of ${steps.length}${repeated ? ' (already reported)' : ', shrinking...'}`);
+        }
+      });
+      reportTarget(summary, seed);
+    }
+    if (shared.globalSkipped) logTest('Lifecycle global', STATUS.SKIP, shared.globalSkipped);
+  } catch (error) {
+    console.error('❌ Test suite failed with error:', error.message);
+    logTest('Lifecycle API suite', false, `Test suite failed with error: ${error.message}`);
+  }
+
+  await cleanUp(shared);
+
+  console.log('\n=====================================');
+  console.log('🎯 Lifecycle API Tests Complete');
+
+  return results.since(checkpoint);
+}
+
+// Run the tests
+if (require.main === module) {
+  installCleanupHandlers();
+  cleanupLedger().then(runLifecycleTests).catch(console.error);
+}
+
+module.exports = { runLifecycleTests };
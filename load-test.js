@@ -0,0 +1,378 @@
+// Load and soak test built from the suites' own SDK operations
+// Runs weighted scenarios (reading the page tree, searching images, creating
+// and editing a page, ...) from a number of concurrent workers for a fixed
+// time, then reports throughput, error rates and a breakdown of the errors.
+// Pages a scenario creates are deleted by the same scenario and tracked in
+// the cleanup ledger; at the end the server is searched for anything with
+// this run's ID still on it, and any leak fails the run.
+//
+// Load calls are neither paced nor retried, so 429s and 503s show up as
+// errors. The leak check is paced and retried like the suites, so a busy
+// server cannot hide a leak.
+//
+// Usage:
+//   node load-test.js                               # 5 workers for 60 seconds
+//   node load-test.js --duration 30m --concurrency 20
+//   node load-test.js --scenarios page-tree=5,page-create-edit=1
+//   node load-test.js --max-error-rate 0.5 --profile staging
+//   node load-test.js --fake-server --duration 10s
+const { parseArgs } = require('util');
+const sdk = require('apostrophecms-client');
+const { loadProfile, requireConfig } = require('./lib/config');
+const { ledger, cleanupLedger, installCleanupHandlers, unpublishThenDelete } = require('./lib/ledger');
+const { runId, testSlug, testTitle } = require('./lib/run-id');
+const { percentile } = require('./lib/benchmark');
+const { paced } = require('./lib/pacing');
+const { TARGETS, findTarget } = require('./sweep-test-content');
+
+const DEFAULT_DURATION = '60s';
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_MAX_ERROR_RATE = 1;
+const PROGRESS_EVERY_MS = 10 * 1000;
+
+// Each scenario is one or more SDK calls made the way the suites make them.
+// `call(name, fn)` times and counts one request; a scenario that throws
+// counts as failed
+const SCENARIOS = [
+  {
+    name: 'page-tree',
+    weight: 4,
+    description: 'flat page tree, as pages-api-tests.js Test 2',
+    run: ({ apis, call }) => call('PagesApi.pageGet', () => apis.pages.pageGet('1', '1'))
+  },
+  {
+    name: 'page-tree-nested',
+    weight: 2,
+    description: 'nested page tree from the home page',
+    run: ({ apis, call }) => call('PagesApi.pageGet', () => apis.pages.pageGet())
+  },
+  {
+    name: 'image-search',
+    weight: 3,
+    description: 'first five images matching "SDK", as media-api-tests.js',
+    run: ({ apis, call }) => call('MediaApi.imageGet', () => apis.media.imageGet(1, 5, 'SDK'))
+  },
+  {
+    name: 'global-read',
+    weight: 2,
+    description: 'the global document, as global-api-tests.js',
+    run: ({ apis, call }) => call('GlobalContentApi.globalGet', () => apis.global.globalGet())
+  },
+  {
+    name: 'page-create-edit',
+    weight: 1,
+    description: 'pagePost and pagePatchById, then unpublish and delete the page',
+    run: async ({ apis, call, config, parentPageId, sequence }) => {
+      const { data } = await call('PagesApi.pagePost', () => apis.pages.pagePost({
+        title: `${testTitle('SDK Test Page')} load ${sequence}`,
+        type: config.pageType,
+        slug: `${testSlug('sdk-test-page')}-load-${sequence}`,
+        _targetId: parentPageId,
+        _position: 'lastChild'
+      }));
+      ledger.track('load', 'page', data);
+      try {
+        await call('PagesApi.pagePatchById', () => apis.pages.pagePatchById(data._id, {
+          title: `${testTitle('SDK Test Page')} load ${sequence} - Updated`
+        }));
+      } finally {
+        // New pages are published; deleting only the published version would
+        // leave the draft behind, so unpublish and delete the draft, as the suites do
+        await call('PagesApi.pageUnpublishById', () => apis.pages.pageUnpublishById(data._id));
+        await call('PagesApi.pageDeleteById', () => apis.pages.pageDeleteById(data._id.replace(/:published$/, ':draft')));
+        ledger.release(data._id);
+      }
+    }
+  }
+];
+
+// "90", "90s", "15m" or "2h" → milliseconds
+function parseDuration(value) {
+  const match = /^(\d+(?:\.\d+)?)\s*(s|m|h)?$/.exec(String(value).trim());
+  if (!match || Number(match[1]) <= 0) {
+    throw new Error(`Invalid duration "${value}": use seconds, or a number followed by s, m or h`);
+  }
+  return Math.round(Number(match[1]) * { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }[match[2] || 's']);
+}
+
+// "page-tree=5,image-search" → SCENARIOS with those weights only (1 when left out)
+function selectScenarios(value) {
+  if (!value) return SCENARIOS;
+  return value.split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+    const [name, weight = '1'] = item.split('=');
+    const scenario = SCENARIOS.find(s => s.name === name.trim());
+    if (!scenario) {
+      throw new Error(`Unknown scenario "${name}". Available: ${SCENARIOS.map(s => s.name).join(', ')}`);
+    }
+    const parsed = Number(weight);
+    if (!Number.isFinite(parsed) || parsed <= 0) throw new Error(`Invalid weight "${weight}" for ${name}`);
+    return { ...scenario, weight: parsed };
+  });
+}
+
+function pickScenario(scenarios, totalWeight) {
+  let roll = Math.random() * totalWeight;
+  for (const scenario of scenarios) {
+    roll -= scenario.weight;
+    if (roll < 0) return scenario;
+  }
+  return scenarios[scenarios.length - 1];
+}
+
+// How a failed call is grouped in the breakdown: HTTP status, or the error code
+function errorKey(method, error) {
+  const reason = error.response?.status ? `HTTP ${error.response.status}` : error.code || error.message;
+  return `${method} → ${reason}`;
+}
+
+class LoadStats {
+  constructor(scenarios) {
+    this.scenarios = new Map(scenarios.map(s => [s.name, { runs: 0, failed: 0, durations: [] }]));
+    this.requests = 0;
+    this.failedRequests = 0;
+    this.errors = new Map(); // 'PagesApi.pagePost → HTTP 503' → count
+  }
+
+  request(method, error) {
+    this.requests += 1;
+    if (!error) return;
+    this.failedRequests += 1;
+    const key = errorKey(method, error);
+    this.errors.set(key, (this.errors.get(key) || 0) + 1);
+  }
+
+  scenario(name, durationMs, failed) {
+    const entry = this.scenarios.get(name);
+    entry.runs += 1;
+    if (failed) entry.failed += 1;
+    else entry.durations.push(durationMs);
+  }
+
+  get runs() {
+    return [...this.scenarios.values()].reduce((sum, entry) => sum + entry.runs, 0);
+  }
+
+  get failedRuns() {
+    return [...this.scenarios.values()].reduce((sum, entry) => sum + entry.failed, 0);
+  }
+}
+
+function rate(count, total) {
+  return total ? Math.round((count / total) * 10000) / 100 : 0;
+}
+
+// Keep `concurrency` scenarios running until the time is up; scenarios
+// already started are allowed to finish
+async function runLoad({ apis, config, scenarios, concurrency, durationMs, parentPageId }) {
+  const stats = new LoadStats(scenarios);
+  const totalWeight = scenarios.reduce((sum, s) => sum + s.weight, 0);
+  const started = Date.now();
+  const deadline = started + durationMs;
+  let sequence = 0;
+
+  const call = async (method, fn) => {
+    try {
+      const response = await fn();
+      stats.request(method);
+      return response;
+    } catch (error) {
+      stats.request(method, error);
+      throw error;
+    }
+  };
+
+  const progress = setInterval(() => {
+    const seconds = Math.round((Date.now() - started) / 1000);
+    console.log(`   ⏱️  ${seconds}s: ${stats.runs} scenarios, ${stats.requests} requests, ${stats.failedRequests} errors`);
+  }, PROGRESS_EVERY_MS);
+
+  const worker = async () => {
+    while (Date.now() < deadline) {
+      const scenario = pickScenario(scenarios, totalWeight);
+      sequence += 1;
+      const scenarioStarted = performance.now();
+      let failed = false;
+      try {
+        await scenario.run({ apis, call, config, parentPageId, sequence });
+      } catch (error) {
+        failed = true;
+      }
+      stats.scenario(scenario.name, performance.now() - scenarioStarted, failed);
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: concurrency }, worker));
+  } finally {
+    clearInterval(progress);
+  }
+  stats.elapsedMs = Date.now() - started;
+  return stats;
+}
+
+// The same API instances with every call paced and retried (lib/pacing.js)
+function pacedApis(apis) {
+  return Object.fromEntries(Object.entries(apis).map(([key, api]) => [key, new Proxy(api, {
+    get(target, property, receiver) {
+      const value = Reflect.get(target, property, receiver);
+      if (typeof value !== 'function' || property === 'constructor') return value;
+      return (...args) => paced(() => value.apply(target, args), { method: `${api.constructor.name}.${String(property)}` });
+    }
+  })]));
+}
+
+// Anything on the server carrying this run's ID, in any of the sweeper's
+// content types, is a document the scenarios failed to delete
+async function findLeaks(apis) {
+  const id = runId();
+  const mentionsRun = ({ doc }) => [doc.title, doc.slug, doc.username].some(value => typeof value === 'string' && value.includes(id));
+  const leaks = [];
+  for (const target of TARGETS) {
+    leaks.push(...(await findTarget(apis, target)).filter(mentionsRun).map(entry => ({ ...entry, target })));
+  }
+  return leaks;
+}
+
+function printReport(stats, { concurrency, errorRate, maxErrorRate }) {
+  const seconds = stats.elapsedMs / 1000;
+  console.log('\n\n📊 LOAD TEST SUMMARY');
+  console.log('='.repeat(60));
+  console.log(`⏱️  ${seconds.toFixed(1)}s with ${concurrency} worker(s)`);
+  console.log(`   ${'Scenario'.padEnd(18)} ${'Runs'.padStart(7)} ${'Failed'.padStart(7)} ${'Fail %'.padStart(7)} ${'Runs/s'.padStart(8)} ${'p50'.padStart(9)} ${'p95'.padStart(9)}`);
+  for (const [name, entry] of stats.scenarios) {
+    const sorted = [...entry.durations].sort((a, b) => a - b);
+    const ms = value => (value === null ? '-' : `${Math.round(value * 10) / 10}ms`).padStart(9);
+    const icon = entry.failed ? '❌' : entry.runs ? '✅' : '⬜';
+    console.log(`${icon} ${name.padEnd(18)} ${String(entry.runs).padStart(7)} ${String(entry.failed).padStart(7)} ${`${rate(entry.failed, entry.runs)}%`.padStart(7)} ${(entry.runs / seconds).toFixed(1).padStart(8)} ${ms(percentile(sorted, 50))} ${ms(percentile(sorted, 95))}`);
+  }
+  console.log('-'.repeat(60));
+  console.log(`🔁 Scenarios: ${stats.runs} (${(stats.runs / seconds).toFixed(1)}/s), ${stats.failedRuns} failed`);
+  console.log(`📨 Requests:  ${stats.requests} (${(stats.requests / seconds).toFixed(1)}/s), ${stats.failedRequests} failed`);
+  console.log(`${errorRate > maxErrorRate ? '❌' : '✅'} Error rate: ${errorRate}% of requests (limit ${maxErrorRate}%)`);
+
+  if (stats.errors.size) {
+    console.log('\n❌ ERROR BREAKDOWN:');
+    [...stats.errors]
+      .sort(([, a], [, b]) => b - a)
+      .forEach(([key, count]) => console.log(`   ${String(count).padStart(6)} × ${key}`));
+  }
+}
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      duration: { type: 'string' },
+      concurrency: { type: 'string' },
+      scenarios: { type: 'string' },
+      'max-error-rate': { type: 'string' },
+      'fake-server': { type: 'boolean', default: false },
+      profile: { type: 'string' },
+      list: { type: 'boolean', default: false }
+    }
+  });
+  if (values['fake-server'] && values.profile && values.profile !== 'fake-server') {
+    throw new Error(`--fake-server cannot be combined with --profile ${values.profile}`);
+  }
+
+  const rawConcurrency = values.concurrency ?? process.env.APOSTROPHE_LOAD_CONCURRENCY ?? DEFAULT_CONCURRENCY;
+  const concurrency = Number(rawConcurrency);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${rawConcurrency}": use a whole number of 1 or more`);
+  }
+  const rawMaxErrorRate = values['max-error-rate'] ?? process.env.APOSTROPHE_LOAD_MAX_ERROR_RATE ?? DEFAULT_MAX_ERROR_RATE;
+  const maxErrorRate = Number(rawMaxErrorRate);
+  if (!Number.isFinite(maxErrorRate) || maxErrorRate < 0 || maxErrorRate > 100) {
+    throw new Error(`Maximum error rate must be a percentage between 0 and 100, got "${rawMaxErrorRate}"`);
+  }
+
+  return {
+    list: values.list,
+    durationMs: parseDuration(values.duration ?? process.env.APOSTROPHE_LOAD_DURATION ?? DEFAULT_DURATION),
+    concurrency,
+    scenarios: selectScenarios(values.scenarios ?? process.env.APOSTROPHE_LOAD_SCENARIOS),
+    maxErrorRate,
+    profile: values['fake-server'] ? 'fake-server' : values.profile
+  };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseCliArgs(argv);
+  if (options.list) {
+    console.log('Available scenarios (default weight):');
+    SCENARIOS.forEach(s => console.log(`  ${s.name.padEnd(18)} ${String(s.weight).padStart(2)}  ${s.description}`));
+    return;
+  }
+
+  const profile = loadProfile(options.profile);
+  let fakeServer = null;
+  if (profile.fakeServer) {
+    const { createFakeServer } = require('./fake-server');
+    fakeServer = createFakeServer();
+    process.env.APOSTROPHE_BASE_URL = (await fakeServer.start()).baseUrl;
+    // Nothing on the fake server outlives the process
+    process.env.APOSTROPHE_LEDGER = 'off';
+  }
+
+  try {
+    const config = requireConfig();
+    installCleanupHandlers();
+    await cleanupLedger({ reason: 'Cleaning up documents left by an interrupted run' });
+
+    const configuration = new sdk.Configuration({ basePath: config.baseUrl, apiKey: config.apiKey });
+    const apis = {
+      pages: new sdk.PagesApi(configuration),
+      media: new sdk.MediaApi(configuration),
+      global: new sdk.GlobalContentApi(configuration),
+      users: new sdk.UsersApi(configuration)
+    };
+
+    console.log('🏋️  SDK load test');
+    console.log(`🌐 Base URL: ${config.baseUrl} (profile: ${config.profile})`);
+    console.log(`🏷️  Run ID: ${runId()}`);
+    console.log(`👷 ${options.concurrency} worker(s) for ${(options.durationMs / 1000).toFixed(0)}s`);
+    console.log(`🎲 Scenarios: ${options.scenarios.map(s => `${s.name}=${s.weight}`).join(', ')}`);
+
+    const steadyApis = pacedApis(apis);
+    const parentPageId = config.parentPageId || (await steadyApis.pages.pageGet()).data._id;
+    const stats = await runLoad({ ...options, apis, config, parentPageId });
+    const errorRate = rate(stats.failedRequests, stats.requests);
+    printReport(stats, { concurrency: options.concurrency, errorRate, maxErrorRate: options.maxErrorRate });
+
+    console.log('\n🧹 Leak check');
+    const leaks = await findLeaks(steadyApis);
+    if (!leaks.length) {
+      console.log(`   ✅ No test documents with run ID ${runId()} left on the server`);
+    }
+    for (const leak of leaks) {
+      const { doc } = leak;
+      const id = doc.aposLocale ? `${leak.aposDocId}:${doc.aposLocale}:published` : doc._id;
+      const api = leak.target.kind === 'page' ? steadyApis.pages : leak.target.kind === 'user' ? steadyApis.users : steadyApis.media;
+      const removed = await unpublishThenDelete(api, leak.target.kind, id);
+      if (removed) ledger.release(leak.aposDocId);
+      console.log(`   ❌ Leaked ${leak.target.kind} "${doc.title || doc.username || doc.slug}" (${leak.aposDocId})${removed ? ', now deleted' : ', could not delete it'}`);
+    }
+
+    const failed = errorRate > options.maxErrorRate || leaks.length > 0;
+    console.log(`\n🏁 Load test ${failed ? 'failed' : 'passed'}`);
+    process.exitCode = failed ? 1 : 0;
+  } finally {
+    if (fakeServer) await fakeServer.stop();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('💥 Load test failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SCENARIOS,
+  parseDuration,
+  selectScenarios,
+  runLoad,
+  findLeaks,
+  main
+};
@@ -0,0 +1,395 @@
+// Localization Test Suite for ApostropheCMS SDK
+// Discovers the configured locales with i18nLocalesGet, localizes a test
+// page, a test image and the global document from the default (first)
+// locale into every other one, then edits and publishes each locale on its
+// own and checks that no locale's content leaks into another, and that
+// pageGetLocalesById, imageGetLocalesById and globalGetLocalesById report
+// the right set of locales. Skipped when only one locale is configured.
+const {
+  PagesApi,
+  GlobalContentApi,
+  MediaApi,
+  AttachmentsApi,
+  InternationalizationApi,
+  Configuration
+} = require('apostrophecms-client');
+const { ResultCollector, STATUS } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, unpublishThenDelete, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle } = require('./lib/run-id');
+const { createTestImage } = require('./lib/test-images');
+
+const config = requireConfig();
+
+const configuration = new Configuration({
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
+});
+
+const results = new ResultCollector('localization');
+const logTest = results.logTest;
+
+const pagesApi = instrumentApi(new PagesApi(configuration), results);
+const globalApi = instrumentApi(new GlobalContentApi(configuration), results);
+const mediaApi = instrumentApi(new MediaApi(configuration), results);
+const attachmentsApi = instrumentApi(new AttachmentsApi(configuration), results);
+const i18nApi = instrumentApi(new InternationalizationApi(configuration), results);
+
+// `${aposDocId}:${locale}:${mode}`: one version of a document in one locale
+function versionId(aposDocId, locale, mode) {
+  return `${aposDocId}:${locale}:${mode}`;
+}
+
+// The document, or null when it 404s
+async function getOrNull(call) {
+  try {
+    const { data } = await call();
+    return data;
+  } catch (error) {
+    if (error.response?.status === 404) return null;
+    throw error;
+  }
+}
+
+// *GetLocalesById answers with locale names or with { results: [{ aposLocale }] }
+function localesIn(data) {
+  const list = Array.isArray(data) ? data : data?.results || [];
+  return [...new Set(list.map(entry => (typeof entry === 'string' ? entry : entry?.aposLocale)).filter(Boolean))].sort();
+}
+
+function sameSet(actual, expected) {
+  const sorted = [...expected].sort();
+  return actual.length === sorted.length && actual.every((locale, index) => locale === sorted[index]);
+}
+
+// How each kind of document is localized, edited, published and read, by locale
+const KINDS = {
+  page: {
+    label: 'page',
+    localize: (draftId, toLocale) => pagesApi.pageLocalizeById(draftId, { toLocale }),
+    patch: (aposDocId, locale, title) => pagesApi.pagePatchById(versionId(aposDocId, locale, 'draft'), { title }, 'draft', locale),
+    publish: (aposDocId, locale) => pagesApi.pagePublishById(versionId(aposDocId, locale, 'draft'), locale),
+    get: (aposDocId, locale, mode) => getOrNull(() => pagesApi.pageGetById(versionId(aposDocId, locale, mode), mode, locale)),
+    locales: draftId => pagesApi.pageGetLocalesById(draftId)
+  },
+  image: {
+    label: 'image',
+    localize: (draftId, toLocale) => mediaApi.imageLocalizeById(draftId, { toLocale }),
+    patch: (aposDocId, locale, title) => mediaApi.imagePatchById(versionId(aposDocId, locale, 'draft'), { title }, 'draft', locale),
+    publish: (aposDocId, locale) => mediaApi.imagePublishById(versionId(aposDocId, locale, 'draft')),
+    get: (aposDocId, locale, mode) => getOrNull(() => mediaApi.imageGetById(versionId(aposDocId, locale, mode), mode, locale)),
+    locales: draftId => mediaApi.imageGetLocalesById(draftId)
+  },
+  global: {
+    label: 'global document',
+    // The spec gives this route no request body, so the SDK method takes none;
+    // the generated client passes options.data through as the body
+    localize: (draftId, toLocale) => globalApi.globalLocalizeById(draftId, { data: { toLocale } }),
+    patch: (aposDocId, locale, title) => globalApi.globalPatchById(versionId(aposDocId, locale, 'draft'), { title }, 'draft', locale),
+    publish: (aposDocId, locale) => globalApi.globalPublishById(versionId(aposDocId, locale, 'draft')),
+    get: (aposDocId, locale, mode) => getOrNull(() => globalApi.globalGetById(versionId(aposDocId, locale, mode))),
+    locales: draftId => globalApi.globalGetLocalesById(draftId)
+  }
+};
+
+// Every locale's draft (and published version, when `mode` says so) must
+// carry that locale's own title; `expected(locale)` gives the title, or null
+// when the version must not exist
+async function checkIsolation(kind, aposDocId, locales, mode, expected) {
+  const wrong = [];
+  for (const locale of locales) {
+    const doc = await kind.get(aposDocId, locale, mode);
+    const want = expected(locale);
+    if (want === null && doc) wrong.push(`${locale} ${mode} exists ("${doc.title}")`);
+    else if (want !== null && !doc) wrong.push(`${locale} ${mode} is missing`);
+    else if (want !== null && doc.title !== want) wrong.push(`${locale} ${mode} is "${doc.title}", expected "${want}"`);
+  }
+  return wrong;
+}
+
+async function runLocalizationTests() {
+  const checkpoint = results.checkpoint();
+  console.log('🌍 Starting ApostropheCMS Localization API Tests');
+  console.log('================================================\n');
+
+  // Documents under test: { kind, aposDocId, title, tracked: [ids] }, plus
+  // { originals, localized: [locales] } for the global document
+  const subjects = [];
+  let locales = [];
+
+  try {
+    // Test 1: Discover the configured locales
+    console.log('🌍 Test 1: Discover Locales (i18nLocalesGet)');
+    try {
+      const { status, data } = await i18nApi.i18nLocalesGet();
+      locales = status === 200 && data && typeof data === 'object' ? Object.keys(data) : [];
+      if (locales.length) {
+        logTest('Discover locales', true, `Found locales: ${locales.join(', ')}`);
+      } else {
+        logTest('Discover locales', false, 'No locales in the response');
+      }
+    } catch (error) {
+      logTest('Discover locales', false, error.message);
+    }
+
+    if (locales.length < 2) {
+      if (locales.length === 1) {
+        logTest('Localization', STATUS.SKIP, `Only one locale (${locales[0]}) is configured; add another to the i18n module (fake server: FAKE_SERVER_LOCALES=en,fr)`);
+      }
+      return results.since(checkpoint);
+    }
+    const [source, ...targets] = locales;
+    console.log(`   Localizing from ${source} into ${targets.join(', ')}`);
+
+    // Test 2: Create a page and an image in the default locale, and find the global document
+    console.log(`\n🌍 Test 2: Create Test Content in ${source}`);
+    try {
+      const { data: home } = await pagesApi.pageGet(undefined, undefined, 'false', 'draft', source);
+      const title = testTitle('SDK Test Page') + ' i18n';
+      const { data } = await pagesApi.pagePost({
+        title,
+        type: config.pageType,
+        slug: testSlug('sdk-test-page') + '-i18n',
+        _targetId: config.parentPageId || home._id,
+        _position: 'lastChild'
+      }, 'draft', source);
+      ledger.track('localization', 'page', data);
+      subjects.push({ kind: KINDS.page, aposDocId: data.aposDocId, title, tracked: [data._id] });
+      logTest('Create page', true, `${data._id}`);
+    } catch (error) {
+      logTest('Create page', false, error.message);
+    }
+
+    try {
+      const { buffer, mimeType } = createTestImage();
+      const { data: attachment } = await attachmentsApi.attachmentUpload(new File([buffer], 'sdk-test-i18n.png', { type: mimeType }), 'draft', source);
+      const title = testTitle('SDK Test Image') + ' i18n';
+      const { data } = await mediaApi.imagePost({
+        title,
+        slug: testSlug('sdk-test-image') + '-i18n',
+        attachment: { _id: attachment._id }
+      }, 'draft', source);
+      ledger.track('localization', 'image', data);
+      subjects.push({ kind: KINDS.image, aposDocId: data.aposDocId, title, tracked: [data._id] });
+      logTest('Create image', true, `${data._id}`);
+    } catch (error) {
+      logTest('Create image', false, error.message);
+    }
+
+    // Localizing the global document overwrites each locale's draft, and the
+    // suite publishes a changed title; both are only undone safely when no
+    // locale has unpublished changes of its own
+    try {
+      const { data } = await globalApi.globalGet('draft', source);
+      const globalDraft = data.results ? data.results[0] : data;
+      const originals = {};
+      for (const locale of locales) {
+        const draft = await KINDS.global.get(globalDraft.aposDocId, locale, 'draft');
+        originals[locale] = draft;
+      }
+      const modified = locales.filter(locale => originals[locale]?.modified);
+      if (modified.length) {
+        logTest('Find global document', STATUS.SKIP, `Unpublished changes in ${modified.join(', ')}; publishing would release them`);
+      } else {
+        subjects.push({ kind: KINDS.global, aposDocId: globalDraft.aposDocId, title: testTitle('SDK Test Global') + ' i18n', tracked: [], originals, localized: [] });
+        logTest('Find global document', true, `${globalDraft.aposDocId} in ${locales.filter(locale => originals[locale]).join(', ')}`);
+      }
+    } catch (error) {
+      logTest('Find global document', false, error.message);
+    }
+
+    // Test 3: Locales before localizing
+    console.log('\n🌍 Test 3: Locales Before Localizing (*GetLocalesById)');
+    for (const subject of subjects) {
+      const { kind } = subject;
+      // Pages and images exist only where they were created; the global document exists everywhere
+      const expected = kind === KINDS.global ? locales.filter(locale => subject.originals[locale]) : [source];
+      try {
+        const { data } = await kind.locales(versionId(subject.aposDocId, source, 'draft'));
+        const reported = localesIn(data);
+        logTest(`Locales of new ${kind.label}`, sameSet(reported, expected),
+          `reported ${reported.join(', ') || 'none'}, expected ${expected.join(', ')}`);
+      } catch (error) {
+        logTest(`Locales of new ${kind.label}`, false, error.message);
+      }
+    }
+
+    // Test 4: Localize into every other locale
+    console.log('\n🌍 Test 4: Localize Into Every Locale (*LocalizeById)');
+    for (const subject of subjects) {
+      const { kind } = subject;
+      const failed = [];
+      try {
+        for (const locale of targets) {
+          try {
+            const { data } = await kind.localize(versionId(subject.aposDocId, source, 'draft'), locale);
+            if (kind === KINDS.global) {
+              subject.localized.push(locale);
+            } else if (data?._id) {
+              ledger.track('localization', kind === KINDS.page ? 'page' : 'image', data);
+              subject.tracked.push(data._id);
+            }
+          } catch (error) {
+            failed.push(`${locale}: ${error.response?.status || error.message}`);
+          }
+        }
+        if (failed.length) {
+          logTest(`Localize ${kind.label}`, false, failed.join('; '));
+          continue;
+        }
+        // A localized document starts as a draft copy of the source; pages and
+        // images get no published version until one is published
+        const sourceTitle = kind === KINDS.global ? subject.originals[source].title : subject.title;
+        const wrong = [
+          ...await checkIsolation(kind, subject.aposDocId, targets, 'draft', () => sourceTitle),
+          ...(kind === KINDS.global ? [] : await checkIsolation(kind, subject.aposDocId, targets, 'published', () => null))
+        ];
+        logTest(`Localize ${kind.label}`, !wrong.length, wrong.length ? wrong.join('; ') : `Draft copies in ${targets.join(', ')}`);
+      } finally {
+        // The localized global drafts hold the source locale's content; put
+        // each locale's own published content back, whatever failed above
+        if (kind === KINDS.global) {
+          subject.unreverted = await revertGlobalDrafts(subject);
+          if (subject.unreverted.length) {
+            logTest('Revert localized global drafts', false, subject.unreverted.join('; '));
+          }
+        }
+      }
+    }
+
+    // Test 5: Locales after localizing
+    console.log('\n🌍 Test 5: Locales After Localizing (*GetLocalesById)');
+    for (const subject of subjects) {
+      const { kind } = subject;
+      try {
+        const { data } = await kind.locales(versionId(subject.aposDocId, source, 'draft'));
+        const reported = localesIn(data);
+        logTest(`Locales of localized ${kind.label}`, sameSet(reported, locales),
+          `reported ${reported.join(', ') || 'none'}, expected ${locales.join(', ')}`);
+      } catch (error) {
+        logTest(`Locales of localized ${kind.label}`, false, error.message);
+      }
+    }
+
+    // Test 6: Edit each locale's draft on its own
+    console.log('\n🌍 Test 6: Edit Each Locale (*PatchById with aposLocale)');
+    const localeTitle = (subject, locale) => `${subject.title} [${locale}]`;
+    for (const subject of subjects) {
+      const { kind } = subject;
+      try {
+        for (const locale of locales) {
+          await kind.patch(subject.aposDocId, locale, localeTitle(subject, locale));
+        }
+        const wrong = await checkIsolation(kind, subject.aposDocId, locales, 'draft', locale => localeTitle(subject, locale));
+        logTest(`Edit ${kind.label} per locale`, !wrong.length, wrong.length ? wrong.join('; ') : `Each of ${locales.length} drafts has its own title`);
+      } catch (error) {
+        logTest(`Edit ${kind.label} per locale`, false, error.message);
+      }
+    }
+
+    // Test 7: Publish one locale at a time; the others must not change
+    console.log('\n🌍 Test 7: Publish Each Locale (*PublishById)');
+    for (const subject of subjects) {
+      const { kind } = subject;
+      const problems = [];
+      // Publishing a draft that still holds the source locale's content would release it
+      if (subject.unreverted?.length) {
+        logTest(`Publish ${kind.label} per locale`, STATUS.SKIP, 'Some localized drafts could not be reverted');
+        continue;
+      }
+      try {
+        for (const [index, locale] of locales.entries()) {
+          await kind.publish(subject.aposDocId, locale);
+          const published = locales.slice(0, index + 1);
+          const wrong = await checkIsolation(kind, subject.aposDocId, locales, 'published', (other) => {
+            if (published.includes(other)) return localeTitle(subject, other);
+            return kind === KINDS.global ? subject.originals[other].title : null;
+          });
+          if (wrong.length) problems.push(`after publishing ${locale}: ${wrong.join('; ')}`);
+        }
+        logTest(`Publish ${kind.label} per locale`, !problems.length,
+          problems.length ? problems.join(' | ') : `Published ${locales.join(', ')} one at a time; no locale changed another`);
+      } catch (error) {
+        logTest(`Publish ${kind.label} per locale`, false, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Test suite failed with error:', error.message);
+    logTest('Localization API suite', false, `Test suite failed with error: ${error.message}`);
+  } finally {
+    await cleanUp(subjects, locales);
+  }
+
+  console.log('\n=====================================');
+  console.log('🎯 Localization API Tests Complete');
+
+  return results.since(checkpoint);
+}
+
+// Revert the global drafts in the locales it was localized into to their
+// published versions. A locale that had no global document has nothing to
+// revert to. Returns the locales that could not be reverted
+async function revertGlobalDrafts(subject) {
+  const problems = [];
+  for (const locale of subject.localized) {
+    if (!subject.originals[locale]) continue;
+    try {
+      await globalApi.globalRevertDraftToPublishedById(versionId(subject.aposDocId, locale, 'draft'));
+    } catch (error) {
+      problems.push(`${locale}: ${error.response?.status || error.message}`);
+    }
+  }
+  return problems;
+}
+
+// Delete the page and image in every locale. Revert the localized global
+// drafts again, then publish the global document's original title in every
+// locale whose draft is known to hold only that locale's content
+async function cleanUp(subjects, locales) {
+  if (!subjects.length) return;
+  console.log('\n🧹 Cleanup: Delete Test Content');
+  for (const subject of subjects) {
+    const { kind } = subject;
+    const problems = [];
+    if (kind === KINDS.global) {
+      const unreverted = await revertGlobalDrafts(subject);
+      problems.push(...unreverted.map(problem => `not reverted, so not published: ${problem}`));
+      for (const locale of locales) {
+        const original = subject.originals[locale];
+        if (!original || unreverted.some(problem => problem.startsWith(`${locale}:`))) continue;
+        try {
+          await kind.patch(subject.aposDocId, locale, original.title);
+          await kind.publish(subject.aposDocId, locale);
+        } catch (error) {
+          problems.push(`${locale}: ${error.message}`);
+        }
+      }
+      logTest('Restore global document', !problems.length, problems.length ? problems.join('; ') : 'Original titles published again');
+      // The API cannot delete a global document, so one that localizing
+      // created stays behind
+      const created = subject.localized.filter(locale => !subject.originals[locale]);
+      if (created.length) {
+        logTest('Global document left in new locales', STATUS.WARN,
+          `${created.join(', ')} had no global document before; the one localized into each stays and must be removed by hand`);
+      }
+      continue;
+    }
+    const api = kind === KINDS.page ? pagesApi : mediaApi;
+    const ledgerKind = kind === KINDS.page ? 'page' : 'image';
+    for (const id of subject.tracked) {
+      if (!await unpublishThenDelete(api, ledgerKind, id)) problems.push(id);
+    }
+    // Every locale shares the aposDocId the ledger releases by
+    if (!problems.length) ledger.release(subject.aposDocId);
+    logTest(`Delete ${kind.label}`, !problems.length, problems.length ? `Still present: ${problems.join(', ')}` : `Deleted in ${subject.tracked.length} locale(s)`);
+  }
+}
+
+// Run the tests
+if (require.main === module) {
+  installCleanupHandlers();
+  cleanupLedger().then(runLocalizationTests).catch(console.error);
+}
+
+module.exports = { runLocalizationTests };
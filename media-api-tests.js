@@ -4,43 +4,54 @@
 // - Fixes: Image Src URL (Test 5) + Advanced image src by size (Adv Test 3)
 // - Adds robust cleanup, unique slugs, redirect-safe src checks, and better diagnostics
 
-const fs = require('fs');
-const path = require('path');
-require('dotenv').config();
 const { MediaApi, AttachmentsApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle } = require('./lib/run-id');
+const { settleBatch, checkArchived, describeWrong } = require('./lib/jobs');
+const { verifyRenditions } = require('./lib/renditions');
+const { createTestImage } = require('./lib/test-images');
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Configuration
 // ────────────────────────────────────────────────────────────────────────────────
+const config = requireConfig();
+
 const configuration = new Configuration({
-  basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
-  apiKey: process.env.APOSTROPHE_API_KEY
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
 });
 
-if (!process.env.APOSTROPHE_API_KEY) {
-  console.error('❌ Error: APOSTROPHE_API_KEY is required in .env');
-  console.error('   Add to .env:');
-  console.error('   APOSTROPHE_API_KEY=your-api-key');
-  console.error('   APOSTROPHE_BASE_URL=http://localhost:3000/api/v1  # optional');
-  process.exit(1);
-}
+const results = new ResultCollector('media');
+const logTest = results.logTest;
 
-const mediaApi = new MediaApi(configuration);
-const attachmentsApi = new AttachmentsApi(configuration);
+const mediaApi = instrumentApi(new MediaApi(configuration), results);
+const attachmentsApi = instrumentApi(new AttachmentsApi(configuration), results);
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Utilities
 // ────────────────────────────────────────────────────────────────────────────────
-function logTest(name, ok, details = '') {
-  const status = ok ? '✅ PASS' : '❌ FAIL';
-  const ts = new Date().toISOString().substr(11, 8);
-  console.log(`[${ts}] ${status}: ${name}`);
-  if (details) console.log(`   Details: ${details}`);
+
+// Draft of an image, archived or not, for checking what a batch job did
+async function getImageDraft(id) {
+  const { data } = await mediaApi.imageGetById(id, 'draft', undefined, undefined, { params: { archived: 'any' } });
+  return data;
 }
 
-function wait(ms = 300) { return new Promise(r => setTimeout(r, ms)); }
+// Log a batch archive/restore once its job (if any) has finished and the images say so
+async function logBatch(name, response, ids, archived) {
+  const { jobId, job } = await settleBatch(mediaApi, response, { label: `${name} job` });
+  const wrong = await checkArchived(ids, getImageDraft, archived);
+  if (job?.bad) logTest(name, false, `job ${jobId}: ${job.bad} of ${job.total} failed`);
+  else if (wrong.length) logTest(name, false, `${archived ? 'not archived' : 'still archived'}: ${describeWrong(wrong)}`);
+  else logTest(name, true, `count=${ids.length}${jobId ? `, job ${jobId}` : ''}`);
+}
 
-const TEST_IMAGE = 'test-image.png';
+// Larger than every default image size, so each rendition is a downscale
+// whose exact size is known
+const TEST_IMAGE = { format: 'png', width: 1800, height: 1200, pattern: 'quadrants' };
 
 function createFileFromBuffer(buffer, filename, mimeType) {
   try { if (typeof File !== 'undefined') return new File([buffer], filename, { type: mimeType }); } catch (_) { }
@@ -60,18 +71,14 @@ function createFileFromBuffer(buffer, filename, mimeType) {
 
 async function createTestAttachment() {
   console.log('🔧 Creating test attachment...');
-  const imagePath = path.join(__dirname, TEST_IMAGE);
-  if (!fs.existsSync(imagePath)) throw new Error(`Missing ${TEST_IMAGE} at ${imagePath}`);
-  const buf = fs.readFileSync(imagePath);
-  if (!buf.length) throw new Error(`${TEST_IMAGE} is empty`);
-  // Light signature check (PNG/JPEG/GIF) just for nicer logs
-  const isPNG = buf.length >= 8 && buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]));
-  const isJPEG = buf.length >= 3 && buf.subarray(0, 3).equals(Buffer.from([0xFF, 0xD8, 0xFF]));
-  const isGIF = buf.length >= 6 && ['GIF89a', 'GIF87a'].includes(buf.subarray(0, 6).toString('ascii'));
-  console.log(`   📸 Detected: ${isPNG ? 'PNG' : isJPEG ? 'JPEG' : isGIF ? 'GIF' : 'unknown'} (${buf.length} bytes)`);
-  const file = createFileFromBuffer(buf, 'test-media.png', 'image/png');
+  const image = createTestImage(TEST_IMAGE);
+  console.log(`   📸 Generated ${image.format} ${image.width}x${image.height} ${image.pattern} (${image.buffer.length} bytes)`);
+  const file = createFileFromBuffer(image.buffer, 'test-media.png', image.mimeType);
   const { status, data } = await attachmentsApi.attachmentUpload(file, 'draft');
   if (status !== 200 || !data?._id) throw new Error('Attachment upload failed');
+  if (data.width !== image.width || data.height !== image.height) {
+    throw new Error(`Attachment is ${data.width}x${data.height}, expected ${image.width}x${image.height}`);
+  }
   console.log(`   ✅ Attachment: ${data._id}`);
   return data;
 }
@@ -80,22 +87,28 @@ async function safeDeleteDocument(itemId, kind, deleteMethod, unpublishMethod) {
   if (!itemId) return false;
   try {
     if (unpublishMethod) {
-      try { await unpublishMethod.call(mediaApi, itemId); console.log(`   📤 Unpublished ${kind}`); await wait(400); }
+      try { await unpublishMethod.call(mediaApi, itemId); console.log(`   📤 Unpublished ${kind}`); }
       catch (e) {
         if (e.response?.status === 404) console.log('   ℹ️ Not published, continuing');
         else console.log(`   ⚠️ Unpublish failed: ${e.response?.status || ''}`);
       }
     }
-    const tryIds = [itemId, itemId.replace(':en:published', ':en:draft'), itemId.split(':')[0]];
-    for (const id of [...new Set(tryIds)]) {
+    // After unpublishing, the published id 404s while the draft still exists,
+    // so only call it gone when every form of the id 404s
+    const baseId = itemId.split(':')[0];
+    const tryIds = [...new Set([itemId, `${baseId}:en:draft`, baseId])];
+    let notFound = 0;
+    for (const id of tryIds) {
       try {
         const resp = await deleteMethod.call(mediaApi, id);
         if (resp.status === 200) { logTest(`Delete ${kind}`, true, `id=${id}`); return true; }
       } catch (e) {
-        if (e.response?.status === 404) { logTest(`Delete ${kind}`, true, `already gone (${id})`); return true; }
+        if (e.response?.status === 404) { notFound++; continue; }
         console.log(`   ⚠️ Delete attempt with ${id} failed: ${e.response?.status || e.message}`);
       }
     }
+    if (notFound === tryIds.length) { logTest(`Delete ${kind}`, true, `already gone (${itemId})`); return true; }
+    logTest(`Delete ${kind}`, false, `still present after trying ${tryIds.join(', ')}`);
   } catch (e) {
     logTest(`Delete ${kind}`, false, e.message);
   }
@@ -118,6 +131,7 @@ const state = {
 
 
 async function runMediaTests() {
+  const checkpoint = results.checkpoint();
   console.log('🚀 ApostropheCMS Media API Tests — Combined & Fixed');
   console.log('===================================================\n');
 
@@ -127,19 +141,17 @@ async function runMediaTests() {
     logTest('Create test attachment', true, state.attachment._id);
   } catch (e) {
     logTest('Create test attachment', false, e.message);
-    return;
+    return results.since(checkpoint);
   }
-  await wait();
 
   // 1) Create Image
   console.log('\n📷 Test 1: imagePost');
   try {
-    const payload = { title: 'SDK Test Image', slug: 'sdk-test-image-' + Date.now(), attachment: { _id: state.attachment._id } };
+    const payload = { title: testTitle('SDK Test Image'), slug: testSlug('sdk-test-image'), attachment: { _id: state.attachment._id } };
     const { status, data } = await mediaApi.imagePost(payload);
-    if (status === 200 && data?._id) { state.imageId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'image' }); logTest('Create image', true, `${data._id}`); }
+    if (status === 200 && data?._id) { state.imageId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'image' }); ledger.track('media', 'image', data); logTest('Create image', true, `${data._id}`); }
     else logTest('Create image', false, 'Unexpected response');
   } catch (e) { logTest('Create image', false, e.message); }
-  await wait();
 
   // 2) imageGet (list)
   console.log('\n📷 Test 2: imageGet');
@@ -148,7 +160,6 @@ async function runMediaTests() {
     if (status === 200 && data) { logTest('List images', true, `keys=${Object.keys(data)}`); }
     else logTest('List images', false);
   } catch (e) { logTest('List images', false, e.message); }
-  await wait();
 
   // 3) imageGetById
   console.log('\n📷 Test 3: imageGetById');
@@ -163,20 +174,18 @@ async function runMediaTests() {
   } catch (e) {
     logTest('Get image by id', false, e.message);
   }
-  await wait();
 
   // 4) imagePatchById
   console.log('\n📷 Test 4: imagePatchById');
   try {
-    const patch = { title: 'SDK Test Image — Updated', alt: 'Updated alt text' };
+    const patch = { title: `${testTitle('SDK Test Image')} — Updated`, alt: 'Updated alt text' };
     const { status, data } = await mediaApi.imagePatchById(state.imageId, patch);
     if (status === 200 && data?.title === patch.title) logTest('Patch image', true, data.title);
     else logTest('Patch image', false, 'Title not updated');
   } catch (e) { logTest('Patch image', false, e.message); }
-  await wait();
 
   // 5) imageGetSrcById — COMBINED: pick best size + verify all sizes on SAME ID
-  console.log('\n📷 Test 5: imageGetSrcById (selected & all sizes)');
+  console.log('\n📷 Test 5: imageGetSrcById and every rendition');
   try {
     // Always use the same aposDocId captured in Test 3
     const imgResp = await mediaApi.imageGetById(state.imageId);
@@ -192,13 +201,19 @@ async function runMediaTests() {
       const preferredOrder = ['max', 'full', 'original', 'large', 'medium', 'small', 'thumbnail'];
       const pick = preferredOrder.find(s => sizes.includes(s)) || sizes[0];
 
-      // A) Verify preferred size (this is the old Test 5)
-      const resp = await mediaApi.imageGetSrcById(aposDocId, pick, undefined, 80);
+      // A) Verify preferred size (this is the old Test 5). Redirects are not
+      // followed, so the contract check sees the status the route answers with
+      const resp = await mediaApi.imageGetSrcById(aposDocId, pick, undefined, 80, {
+        maxRedirects: 0,
+        validateStatus: code => code >= 200 && code < 400
+      });
       const status = resp.status;
       const ctype = resp.headers?.['content-type'];
       if (status === 302) {
         const loc = resp.headers?.location || '(no location header)';
         logTest('Get image src (preferred)', true, `size=${pick} → redirect ${loc}`);
+      } else if (status === 200 && typeof resp.data?.url === 'string') {
+        logTest('Get image src (preferred)', true, `size=${pick} → ${resp.data.url}`);
       } else if (status === 200 && ctype && ctype.startsWith('image/')) {
         logTest('Get image src (preferred)', true, `size=${pick} served (${ctype})`);
       } else if (status === 200 && typeof resp.data === 'string') {
@@ -207,24 +222,12 @@ async function runMediaTests() {
         logTest('Get image src (preferred)', false, `status=${status} ctype=${ctype || 'n/a'} size=${pick}`);
       }
 
-      // B) Verify ALL sizes available on this same image (this replaces Advanced Test 3)
-      let okCount = 0;
-      for (const size of sizes) {
-        try {
-          const r = await mediaApi.imageGetSrcById(aposDocId, size, undefined, 80);
-          const st = r.status;
-          const ct = r.headers?.['content-type'];
-          if (st === 302) { console.log(`   ✅ ${size}: redirect 302`); okCount++; }
-          else if (st === 200 && ct && ct.startsWith('image/')) { console.log(`   ✅ ${size}: 200 (${ct})`); okCount++; }
-          else if (st === 200 && typeof r.data === 'string') { console.log(`   ✅ ${size}: 200 (url string)`); okCount++; }
-          else { console.log(`   ⚠️ ${size}: status=${st} ctype=${ct || 'n/a'}`); }
-        } catch (e) {
-          if (e.response?.status === 404) console.log(`   ⚠️ ${size}: 404 notfound`);
-          else if (e.response?.status === 302) { console.log(`   ✅ ${size}: redirect 302`); okCount++; }
-          else console.log(`   ⚠️ ${size}: ${e.message}`);
-        }
-      }
-      logTest('Get image src (all sizes)', okCount > 0, `success ${okCount}/${sizes.length}`);
+      // B) Download every rendition and decode it: a redirect or an image/*
+      // response says nothing about whether resizing worked (lib/renditions.js)
+      const { renditions, problems, unchecked } = await verifyRenditions(mediaApi, imgData.attachment, { original: TEST_IMAGE, pattern: TEST_IMAGE.pattern });
+      if (unchecked.length) console.log(`   ℹ️ No dimensions configured for ${unchecked.join(', ')}; APOSTROPHE_IMAGE_SIZES lists a project's sizes`);
+      if (problems.length) logTest('Image renditions', false, problems.join('; '));
+      else logTest('Image renditions', true, renditions.map(r => `${r.name} ${r.width}x${r.height}`).join(', '));
     }
   } catch (e) {
     if (e.response?.status === 404) {
@@ -236,62 +239,54 @@ async function runMediaTests() {
       logTest('Get image src', false, e.message);
     }
   }
-  await wait();
 
 
   // 6) filePost
   console.log('\n📁 Test 6: filePost');
   try {
-    const payload = { title: 'SDK Test File', slug: 'sdk-test-file-' + Date.now(), attachment: { _id: state.attachment._id } };
+    const payload = { title: testTitle('SDK Test File'), slug: testSlug('sdk-test-file'), attachment: { _id: state.attachment._id } };
     const { status, data } = await mediaApi.filePost(payload);
-    if (status === 200 && data?._id) { state.fileId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'file' }); logTest('Create file', true, `${data._id}`); }
+    if (status === 200 && data?._id) { state.fileId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'file' }); ledger.track('media', 'file', data); logTest('Create file', true, `${data._id}`); }
     else logTest('Create file', false);
   } catch (e) { logTest('Create file', false, e.message); }
-  await wait();
 
   // 7) fileGet
   console.log('\n📁 Test 7: fileGet');
   try { const { status, data } = await mediaApi.fileGet(1, 10); if (status === 200) logTest('List files', true, `keys=${Object.keys(data)}`); else logTest('List files', false); }
   catch (e) { logTest('List files', false, e.message); }
-  await wait();
 
   // 8) fileGetById
   console.log('\n📁 Test 8: fileGetById');
   try { const { status, data } = await mediaApi.fileGetById(state.fileId); if (status === 200 && data?._id === state.fileId) logTest('Get file by id', true, data.title); else logTest('Get file by id', false); }
   catch (e) { logTest('Get file by id', false, e.message); }
-  await wait();
 
   // 9) imageTagPost (unique slug)
   console.log('\n🏷️ Test 9: imageTagPost');
   try {
-    const tag = { title: 'SDK Test Image Tag', slug: 'sdk-test-image-tag-' + Date.now() };
+    const tag = { title: testTitle('SDK Test Image Tag'), slug: testSlug('sdk-test-image-tag') };
     const { status, data } = await mediaApi.imageTagPost(tag);
-    if (status === 200 && data?._id) { state.imageTagId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'imageTag' }); logTest('Create image tag', true, data.slug); }
+    if (status === 200 && data?._id) { state.imageTagId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'imageTag' }); ledger.track('media', 'imageTag', data); logTest('Create image tag', true, data.slug); }
     else logTest('Create image tag', false);
   } catch (e) { logTest('Create image tag', false, e.message); }
-  await wait();
 
   // 10) fileTagPost (unique slug)
   console.log('\n🏷️ Test 10: fileTagPost');
   try {
-    const tag = { title: 'SDK Test File Tag', slug: 'sdk-test-file-tag-' + Date.now() };
+    const tag = { title: testTitle('SDK Test File Tag'), slug: testSlug('sdk-test-file-tag') };
     const { status, data } = await mediaApi.fileTagPost(tag);
-    if (status === 200 && data?._id) { state.fileTagId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'fileTag' }); logTest('Create file tag', true, data.slug); }
+    if (status === 200 && data?._id) { state.fileTagId = data._id; state.created.push({ id: data._id, aposDocId: data.aposDocId, type: 'fileTag' }); ledger.track('media', 'fileTag', data); logTest('Create file tag', true, data.slug); }
     else logTest('Create file tag', false);
   } catch (e) { logTest('Create file tag', false, e.message); }
-  await wait();
 
   // 11) imageTagGet
   console.log('\n🏷️ Test 11: imageTagGet');
   try { const { status, data } = await mediaApi.imageTagGet(); if (status === 200) logTest('List image tags', true, `count=${data.results?.length ?? 'n/a'}`); else logTest('List image tags', false); }
   catch (e) { logTest('List image tags', false, e.message); }
-  await wait();
 
   // 12) fileTagGet
   console.log('\n🏷️ Test 12: fileTagGet');
   try { const { status, data } = await mediaApi.fileTagGet(); if (status === 200) logTest('List file tags', true, `count=${data.results?.length ?? 'n/a'}`); else logTest('List file tags', false); }
   catch (e) { logTest('List file tags', false, e.message); }
-  await wait();
 
   // 13) imagePublishById (tolerate already-published)
   console.log('\n📷 Test 13: imagePublishById');
@@ -303,7 +298,6 @@ async function runMediaTests() {
     if (e.response?.status === 400) logTest('Publish image', true, 'already published');
     else logTest('Publish image', false, e.message);
   }
-  await wait();
 
   // 14) imageGet with params (search/pagination)
   console.log('\n🔍 Test 14: imageGet (pagination/search)');
@@ -312,10 +306,28 @@ async function runMediaTests() {
     if (status === 200) logTest('Search images', true, `found=${data.results?.length ?? 0}`);
     else logTest('Search images', false);
   } catch (e) { logTest('Search images', false, e.message); }
-  await wait();
 
-  // 15) Cleanup — reverse order
-  console.log('\n🧹 Test 15: Cleanup');
+  // 15) imageArchive → imageRestore on this suite's own image, before cleanup
+  // deletes it, so the batch jobs are polled and their effect checked
+  console.log('\n📦 Test 15: imageArchive → imageRestore');
+  if (!state.imageAposDocId) {
+    logTest('Archive images', 'skip', 'no test image was created');
+  } else {
+    const ids = [state.imageAposDocId];
+    try {
+      const a = await mediaApi.imageArchive({ _ids: ids });
+      if (a.status === 200) await logBatch('Archive images', a, ids, true);
+      else logTest('Archive images', false, `status=${a.status}`);
+    } catch (e) { logTest('Archive images', false, e.message); }
+    try {
+      const r = await mediaApi.imageRestore({ _ids: ids });
+      if (r.status === 200) await logBatch('Restore images', r, ids, false);
+      else logTest('Restore images', false, `status=${r.status}`);
+    } catch (e) { logTest('Restore images', false, e.message); }
+  }
+
+  // 16) Cleanup — reverse order
+  console.log('\n🧹 Test 16: Cleanup');
   const items = [...state.created].reverse();
   for (const it of items) {
     let del, unpub;
@@ -325,50 +337,42 @@ async function runMediaTests() {
       case 'imageTag': del = mediaApi.imageTagDeleteById; unpub = mediaApi.imageTagUnpublishById; break;
       case 'fileTag': del = mediaApi.fileTagDeleteById; unpub = mediaApi.fileTagUnpublishById; break;
     }
-    await safeDeleteDocument(it.aposDocId || it.id, it.type, del, unpub);
-    await wait(300);
+    if (await safeDeleteDocument(it.aposDocId || it.id, it.type, del, unpub)) ledger.release(it.id);
   }
   console.log(`   ℹ️ Attachment ${state.attachment?._id} left in place for reuse.`);
+
+  return results.since(checkpoint);
 }
 
 // ────────────────────────────────────────────────────────────────────────────────
 // Advanced Tests (combined)
 // ────────────────────────────────────────────────────────────────────────────────
 async function runAdvancedMediaTests() {
+  const checkpoint = results.checkpoint();
   console.log('\n🔬 Advanced Media API Tests');
   console.log('==============================\n');
 
-  // Adv 1: Archive + Restore
-  console.log('📦 Adv 1: imageArchive → imageRestore');
+  // Adv 1: Archive with no ids (archiving real images is Test 15)
+  console.log('📦 Adv 1: imageArchive with no ids');
   try {
-    const res = await mediaApi.imageGet(1, 2, 'SDK', 'draft');
-    const ids = res.data?.results?.map(i => i.aposDocId || i._id) || [];
-    if (!ids.length) { console.log('   ℹ️ No images to archive; sending empty payload'); }
-    try {
-      const a = await mediaApi.imageArchive({ _ids: ids });
-      logTest('Archive images', a.status === 200, `count=${ids.length}`);
-      await wait(800);
-      const r = await mediaApi.imageRestore({ _ids: ids });
-      logTest('Restore images', r.status === 200, `count=${ids.length}`);
-    } catch (e) {
-      if (e.response?.status === 400 && !ids.length) logTest('Archive images (empty)', true, 'expected 400');
-      else logTest('Archive/Restore', false, e.message);
-    }
-  } catch (e) { logTest('Archive setup', false, e.message); }
-  await wait();
+    const a = await mediaApi.imageArchive({ _ids: [] });
+    logTest('Archive images (empty)', false, `accepted with status=${a.status}, expected 400`);
+  } catch (e) {
+    if (e.response?.status === 400) logTest('Archive images (empty)', true, 'expected 400');
+    else logTest('Archive images (empty)', false, e.message);
+  }
 
   // Adv 2: Autocrop (if available)
   console.log('\n✂️ Adv 2: imageAutocrop');
   try {
     const res = await mediaApi.imageGet(1, 1, 'SDK', 'draft');
     const id = res.data?.results?.[0] && (res.data.results[0].aposDocId || res.data.results[0]._id);
-    if (!id) { logTest('Autocrop', true, 'no image available (skipped)'); }
+    if (!id) { logTest('Autocrop', 'skip', 'no image available'); }
     else {
       const r = await mediaApi.imageAutocrop({ _ids: [id] });
       logTest('Autocrop', r.status === 200, 'done');
     }
   } catch (e) { logTest('Autocrop', false, e.message); }
-  await wait();
 
   // Adv 3: Tagging an image (assign tag)
   console.log('\n🏷️ Adv 3: imageTag (assign)');
@@ -377,13 +381,12 @@ async function runAdvancedMediaTests() {
     const tags = await mediaApi.imageTagGet();
     const imgId = images.data?.results?.[0] && (images.data.results[0].aposDocId || images.data.results[0]._id);
     const tagId = tags.data?.results?.[0] && (tags.data.results[0].aposDocId || tags.data.results[0]._id);
-    if (!imgId || !tagId) { logTest('Image tagging', true, 'insufficient data (skipped)'); }
+    if (!imgId || !tagId) { logTest('Image tagging', 'skip', 'insufficient data'); }
     else {
       const r = await mediaApi.imageTag({ _ids: [imgId], tagIds: [tagId] });
       logTest('Image tagging', r.status === 200, `image=${imgId} tag=${tagId}`);
     }
   } catch (e) { logTest('Image tagging', false, e.message); }
-  await wait();
 
   // Adv 4: i18n + renderAreas
   console.log('\n🌐 Adv 4: imageGet with renderAreas=true');
@@ -391,6 +394,8 @@ async function runAdvancedMediaTests() {
     const r = await mediaApi.imageGet(1, 1, '', 'draft', 'en', true);
     logTest('i18n+render', r.status === 200, `results=${r.data?.results?.length ?? 0}`);
   } catch (e) { logTest('i18n+render', false, e.message); }
+
+  return results.since(checkpoint);
 }
 
 // ────────────────────────────────────────────────────────────────────────────────
@@ -399,16 +404,18 @@ async function runAdvancedMediaTests() {
 async function main() {
   console.log('🚀 ApostropheCMS Media API Test Suite');
   console.log('=====================================');
-  console.log(`🔑 API Key: ${process.env.APOSTROPHE_API_KEY ? '***' + process.env.APOSTROPHE_API_KEY.slice(-4) : 'Not set'}`);
-  console.log(`🌐 Base URL: ${process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1'}`);
+  console.log(`🔑 API Key: ***${config.apiKey.slice(-4)}`);
+  console.log(`🌐 Base URL: ${config.baseUrl}`);
   console.log('');
-  await runMediaTests();
-  await runAdvancedMediaTests();
+  const mediaResults = await runMediaTests();
+  const advancedResults = await runAdvancedMediaTests();
   console.log('\n🎉 All tests complete');
+  return [...mediaResults, ...advancedResults];
 }
 
 if (require.main === module) {
-  main().catch(err => { console.error('💥 Fatal error:', err); process.exit(1); });
+  installCleanupHandlers();
+  cleanupLedger().then(main).catch(err => { console.error('💥 Fatal error:', err); process.exit(1); });
 }
 
 module.exports = { runMediaTests, runAdvancedMediaTests, main };
@@ -0,0 +1,319 @@
+// Page Positioning Test Suite for ApostropheCMS SDK
+// Builds a scratch tree under APOSTROPHE_PARENT_PAGE_ID (or the home page)
+// and creates (pagePost) and moves (pagePutById) pages with every _position:
+// before, after, firstChild and lastChild, within one parent, across levels
+// and into the scratch area from outside it. After each step the whole tree
+// is checked (lib/page-tree.js), the scratch pages must be in the expected
+// order, and their slugs and _url must follow their new parents. Moves the
+// tree cannot allow, such as a page under its own descendant, must get a 4xx.
+const { PagesApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector, STATUS } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, unpublishThenDelete, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle } = require('./lib/run-id');
+const { docIdOf, fetchTrees, indexNested, verifyTree, describeProblems } = require('./lib/page-tree');
+
+const config = requireConfig();
+
+const configuration = new Configuration({
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
+});
+
+const results = new ResultCollector('positions');
+const logTest = results.logTest;
+
+const pagesApi = instrumentApi(new PagesApi(configuration), results);
+
+// P is the parent page and S the scratch page made under it. Creating uses
+// each position once; E starts outside the scratch area, under P
+const CREATES = [
+  { name: 'A', targetName: 'S', position: 'lastChild' },
+  { name: 'B', targetName: 'S', position: 'firstChild' },
+  { name: 'C', targetName: 'B', position: 'after' },
+  { name: 'D', targetName: 'B', position: 'before' },
+  { name: 'E', targetName: 'P', position: 'lastChild' }
+];
+
+// Scratch tree after CREATES: S [D, B, C, A], and E under P
+const MOVES = [
+  { name: 'A', targetName: 'B', position: 'firstChild', note: 'down a level' },
+  { name: 'D', targetName: 'A', position: 'lastChild', note: 'two levels down' },
+  { name: 'C', targetName: 'A', position: 'before', note: 'beside a page one level down' },
+  { name: 'A', targetName: 'B', position: 'after', note: 'up a level, with its child' },
+  { name: 'E', targetName: 'A', position: 'before', note: 'into the scratch area' },
+  { name: 'B', targetName: 'S', position: 'lastChild', note: 'within the same parent' }
+];
+// Scratch tree after MOVES: S [E, A [D], B [C]]
+
+// Requests the server must refuse; `targetName: null` uses `targetId` as given
+const INVALID_MOVES = [
+  { label: 'move a page under its own child', name: 'B', targetName: 'C', position: 'firstChild' },
+  { label: 'move a page under its own grandchild', name: 'S', targetName: 'D', position: 'lastChild' },
+  { label: 'move a page under itself', name: 'A', targetName: 'A', position: 'lastChild' },
+  { label: 'move a page beside the home page', name: 'A', targetName: null, targetId: '_home', position: 'after' },
+  { label: 'move a page with an unknown _position', name: 'A', targetName: 'S', position: 'sideways' },
+  { label: 'move a page under a page that does not exist', name: 'A', targetName: null, targetId: 'sdk-missing-page', position: 'lastChild' }
+];
+
+// What the scratch tree should look like: parent and ordered children by name
+function createModel() {
+  const parents = new Map();
+  const children = new Map([['S', []]]);
+
+  function place(name, targetName, position) {
+    const oldParent = parents.get(name);
+    if (oldParent) children.get(oldParent).splice(children.get(oldParent).indexOf(name), 1);
+    if (!children.has(name)) children.set(name, []);
+
+    const beside = position === 'before' || position === 'after';
+    const parent = beside ? parents.get(targetName) : targetName;
+    if (!children.has(parent)) children.set(parent, []);
+    const siblings = children.get(parent);
+    let index;
+    if (position === 'firstChild') index = 0;
+    else if (position === 'lastChild') index = siblings.length;
+    else index = siblings.indexOf(targetName) + (position === 'after' ? 1 : 0);
+    siblings.splice(index, 0, name);
+    parents.set(name, parent);
+  }
+
+  // S and every page placed under it, parents first
+  function scratch() {
+    const names = [];
+    const visit = (name) => {
+      names.push(name);
+      (children.get(name) || []).forEach(visit);
+    };
+    visit('S');
+    return names;
+  }
+
+  return { parents, children, place, scratch };
+}
+
+function joinSlug(parentSlug, segment) {
+  return parentSlug === '/' ? `/${segment}` : `${parentSlug}/${segment}`;
+}
+
+function errorDetail(error) {
+  const data = error.response?.data;
+  return data?.message || data?.error || (typeof data === 'string' ? data : '');
+}
+
+async function runPagePositionTests() {
+  const checkpoint = results.checkpoint();
+  console.log('🌳 Starting ApostropheCMS Page Positioning Tests');
+  console.log('================================================\n');
+
+  const model = createModel();
+  const ids = new Map(); // name → draft _id
+  const segments = new Map(); // name → last part of its slug
+  let parent = null;
+
+  // Where `name` should be, by slug: its parent's slug plus its own segment
+  const expectedSlug = (name) => {
+    if (name === 'P') return parent.slug;
+    const parentName = model.parents.get(name) || 'P';
+    return joinSlug(expectedSlug(parentName), segments.get(name));
+  };
+
+  // The whole tree, the placement of the page that moved, and the scratch
+  // pages' order, slugs and URLs against the model
+  async function checkStep(step, { name, targetName, targetId, position }) {
+    try {
+      const { problems, nodes } = await verifyTree(pagesApi, [{ id: ids.get(name), targetId: targetId || ids.get(targetName), position, label: name }]);
+      const names = new Map([...ids].map(([key, id]) => [docIdOf(id), key]));
+      const nameOf = page => names.get(page.aposDocId || docIdOf(page._id)) || `"${page.title}"`;
+      for (const scratchName of model.scratch()) {
+        const node = nodes.get(docIdOf(ids.get(scratchName)));
+        if (!node) {
+          problems.push(`${scratchName} is not in the tree`);
+          continue;
+        }
+        const actual = (node.page._children || []).map(nameOf);
+        const expected = model.children.get(scratchName) || [];
+        if (actual.join() !== expected.join()) {
+          problems.push(`${scratchName} has children [${actual.join(', ')}], expected [${expected.join(', ')}]`);
+        }
+        const slug = expectedSlug(scratchName);
+        if (node.page.slug !== slug) problems.push(`${scratchName} has slug ${node.page.slug}, expected ${slug}`);
+        if (typeof node.page._url === 'string' && !node.page._url.endsWith(node.page.slug)) {
+          problems.push(`${scratchName} has _url ${node.page._url}, which does not end with its slug ${node.page.slug}`);
+        }
+      }
+      logTest(step, !problems.length, problems.length ? describeProblems(problems) : `Scratch tree: ${describeScratch()}`);
+    } catch (error) {
+      logTest(step, false, error.message);
+    }
+  }
+
+  // 'S [E, A [D], B [C]]'
+  function describeScratch(name = 'S') {
+    const children = model.children.get(name) || [];
+    return children.length ? `${name} [${children.map(child => describeScratch(child)).join(', ')}]` : name;
+  }
+
+  async function movePage(id, targetId, position) {
+    const { data: current } = await pagesApi.pageGetById(id, 'draft');
+    const { _children, _ancestors, ...fields } = current;
+    return pagesApi.pagePutById(id, { ...fields, _targetId: targetId, _position: position }, 'draft');
+  }
+
+  try {
+    // Test 1: Find the parent page and create the scratch page under it
+    console.log('🌳 Test 1: Create Scratch Page (pagePost)');
+    try {
+      const { data: home } = await pagesApi.pageGet(undefined, undefined, 'false', 'draft');
+      const parentId = config.parentPageId || home._id;
+      const { data } = await pagesApi.pageGetById(parentId, 'draft');
+      parent = data;
+      ids.set('P', parent._id);
+
+      const segment = testSlug('sdk-positions');
+      const { data: scratch } = await pagesApi.pagePost({
+        title: `${testTitle('SDK Test Page')} scratch`,
+        type: config.pageType,
+        slug: joinSlug(parent.slug, segment),
+        _targetId: parent._id,
+        _position: 'lastChild'
+      }, 'draft');
+      ledger.track('positions', 'page', scratch);
+      ids.set('S', scratch._id);
+      segments.set('S', segment);
+      model.parents.set('S', 'P');
+      logTest('Create scratch page', true, `${scratch.slug} under "${parent.title}"`);
+    } catch (error) {
+      logTest('Create scratch page', false, `${error.message} ${errorDetail(error)}`.trim());
+      return results.since(checkpoint);
+    }
+
+    // Test 2: Create pages with every position
+    console.log('\n🌳 Test 2: Create Pages With Every Position (pagePost)');
+    for (const step of CREATES) {
+      const label = `Create ${step.name} ${step.position} ${step.targetName}`;
+      const segment = step.name === 'E' ? testSlug('sdk-positions-e') : step.name.toLowerCase();
+      const parentName = ['before', 'after'].includes(step.position) ? model.parents.get(step.targetName) : step.targetName;
+      try {
+        const { data } = await pagesApi.pagePost({
+          title: `${testTitle('SDK Test Page')} ${step.name}`,
+          type: config.pageType,
+          slug: joinSlug(expectedSlug(parentName), segment),
+          _targetId: ids.get(step.targetName),
+          _position: step.position
+        }, 'draft');
+        ledger.track('positions', 'page', data);
+        ids.set(step.name, data._id);
+        segments.set(step.name, segment);
+        // E stays outside the model until it moves into the scratch area
+        if (step.targetName !== 'P') model.place(step.name, step.targetName, step.position);
+        await checkStep(label, step);
+      } catch (error) {
+        logTest(label, false, `${error.message} ${errorDetail(error)}`.trim());
+      }
+    }
+
+    if (!CREATES.every(step => ids.has(step.name))) {
+      logTest('Move pages', STATUS.SKIP, 'Not every scratch page could be created');
+    } else {
+      // Test 3: Move pages with every position, across levels
+      console.log('\n🌳 Test 3: Move Pages With Every Position (pagePutById)');
+      for (const step of MOVES) {
+        const label = `Move ${step.name} ${step.position} ${step.targetName} (${step.note})`;
+        try {
+          await movePage(ids.get(step.name), ids.get(step.targetName), step.position);
+          model.place(step.name, step.targetName, step.position);
+          await checkStep(label, step);
+        } catch (error) {
+          logTest(label, false, `${error.message} ${errorDetail(error)}`.trim());
+        }
+      }
+
+      // Test 4: Moves that must be refused, leaving the tree as it was
+      console.log('\n🌳 Test 4: Refuse Impossible Moves (pagePutById)');
+      for (const step of INVALID_MOVES) {
+        const label = `Refuse to ${step.label}`;
+        const targetId = step.targetName ? ids.get(step.targetName) : step.targetId;
+        try {
+          const { status } = await movePage(ids.get(step.name), targetId, step.position);
+          logTest(label, false, `Accepted with ${status}`);
+        } catch (error) {
+          const status = error.response?.status;
+          const detail = errorDetail(error);
+          if (status >= 400 && status < 500) {
+            logTest(label, detail ? true : STATUS.WARN, detail ? `${status}: ${detail}` : `${status} without an error message`);
+          } else {
+            logTest(label, false, status ? `${status}: ${detail || error.message}` : error.message);
+          }
+        }
+      }
+      await checkStep('Tree unchanged after refused moves', { name: 'B', targetName: 'S', position: 'lastChild' });
+
+      // Test 5: Creating under a page that does not exist
+      console.log('\n🌳 Test 5: Refuse Creating Under a Missing Page (pagePost)');
+      try {
+        const { status, data } = await pagesApi.pagePost({
+          title: `${testTitle('SDK Test Page')} X`,
+          type: config.pageType,
+          slug: testSlug('sdk-positions-x'),
+          _targetId: 'sdk-missing-page',
+          _position: 'lastChild'
+        }, 'draft');
+        ledger.track('positions', 'page', data);
+        ids.set('X', data._id);
+        logTest('Refuse to create a page under a page that does not exist', false, `Accepted with ${status}`);
+      } catch (error) {
+        const status = error.response?.status;
+        const detail = errorDetail(error);
+        logTest('Refuse to create a page under a page that does not exist',
+          status >= 400 && status < 500 ? (detail ? true : STATUS.WARN) : false,
+          status ? `${status}${detail ? `: ${detail}` : ' without an error message'}` : error.message);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Test suite failed with error:', error.message);
+    logTest('Page positioning suite', false, `Test suite failed with error: ${error.message}`);
+  } finally {
+    await cleanUp(ids);
+  }
+
+  console.log('\n================================================');
+  console.log('🎯 Page Positioning Tests Complete');
+
+  return results.since(checkpoint);
+}
+
+// Delete the scratch pages deepest first, since pages with children cannot be deleted
+async function cleanUp(ids) {
+  const created = [...ids].filter(([name]) => name !== 'P');
+  if (!created.length) return;
+  console.log('\n🧹 Cleanup: Delete Scratch Pages');
+
+  let levels = new Map();
+  try {
+    const { nested } = await fetchTrees(pagesApi);
+    levels = new Map([...indexNested(nested).nodes].map(([id, node]) => [id, node.page.level]));
+  } catch (error) {
+    console.log(`   ⚠️  Could not read the tree (${error.message}); deleting in reverse order of creation`);
+  }
+  const order = created
+    .map(([name, id], index) => ({ name, id, level: levels.get(docIdOf(id)) ?? index }))
+    .sort((a, b) => b.level - a.level);
+
+  const failed = [];
+  for (const { name, id } of order) {
+    if (await unpublishThenDelete(pagesApi, 'page', id)) ledger.release(id);
+    else failed.push(name);
+  }
+  logTest('Delete scratch pages', !failed.length,
+    failed.length ? `Could not delete: ${failed.join(', ')}` : `Deleted ${order.length} page(s)`);
+}
+
+// Run the tests
+if (require.main === module) {
+  installCleanupHandlers();
+  cleanupLedger().then(runPagePositionTests).catch(console.error);
+}
+
+module.exports = { runPagePositionTests };
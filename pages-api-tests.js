@@ -1,46 +1,58 @@
 // Pages API Test Suite for ApostropheCMS SDK
 // This test suite covers all the pages endpoints with simple, verbose tests
 // Tests assume API key authentication and full read/write permissions
-require('dotenv').config();
 const { PagesApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle } = require('./lib/run-id');
+const { settleBatch, checkArchived, describeWrong } = require('./lib/jobs');
+const { verifyTree, describeProblems } = require('./lib/page-tree');
+
+const config = requireConfig();
 
 // Configure the API client with API key authentication
 const configuration = new Configuration({
-  basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
-  apiKey: process.env.APOSTROPHE_API_KEY
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
 });
 
-// Validate that we have the required environment variables
-if (!process.env.APOSTROPHE_API_KEY) {
-  console.error('❌ Error: APOSTROPHE_API_KEY is required in .env file');
-  console.log('Please create a .env file with:');
-  console.log('APOSTROPHE_API_KEY=your-api-key-here');
-  console.log('APOSTROPHE_BASE_URL=http://localhost:3000/api/v1  # Optional, defaults to localhost');
-  process.exit(1);
-}
+// Collect structured results for every check in this suite
+const results = new ResultCollector('pages');
+const logTest = results.logTest;
 
-const pagesApi = new PagesApi(configuration);
+const pagesApi = instrumentApi(new PagesApi(configuration), results);
 
-// Helper function to log test results
-function logTest(testName, success, details = '') {
-  const status = success ? '✅ PASS' : '❌ FAIL';
-  console.log(`${status}: ${testName}`);
-  if (details) {
-    console.log(`   Details: ${details}`);
-  }
+// Draft of a page, archived or not, for checking what a batch job did
+async function getPageDraft(id) {
+  const { data } = await pagesApi.pageGetById(id, 'draft', undefined, undefined, { params: { archived: 'any' } });
+  return data;
 }
 
-// Helper function to wait between tests
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+// Check the whole draft tree after a step that changed it, and that the pages
+// the step touched are where it asked (see lib/page-tree.js), logged under
+// `name`. Returns the problems
+async function checkTree(step, expectations = [], name = `Page tree after ${step}`) {
+  try {
+    const { problems, pages } = await verifyTree(pagesApi, expectations);
+    logTest(name, !problems.length,
+      problems.length ? describeProblems(problems) : `${pages} pages consistent in the nested and flat trees`);
+    return problems;
+  } catch (error) {
+    logTest(name, false, error.message);
+    return [error.message];
+  }
 }
 
 async function runPagesTests() {
+  const checkpoint = results.checkpoint();
   console.log('🚀 Starting ApostropheCMS Pages API Tests');
   console.log('=====================================\n');
 
   let testPageId = null; // Will store the ID of a test page we create
   let homePageId = null; // Will store the home page ID for reference
+  let parentPageId = config.parentPageId; // Test pages go here; defaults to the home page
 
   try {
     // Test 1: Get the page tree to understand the structure
@@ -51,7 +63,9 @@ async function runPagesTests() {
       if (status === 200 && data && data._children) {
         logTest('Get page tree', true, `Found ${data._children.length} top-level pages`);
         homePageId = data._id;
+        parentPageId = parentPageId || homePageId;
         console.log(`   Home page ID: ${homePageId}`);
+        if (parentPageId !== homePageId) console.log(`   Parent page ID (APOSTROPHE_PARENT_PAGE_ID): ${parentPageId}`);
       } else {
         logTest('Get page tree', false, 'Unexpected response structure');
       }
@@ -59,8 +73,6 @@ async function runPagesTests() {
       logTest('Get page tree', false, error.message);
     }
 
-    await wait(500);
-
     // Test 2: Get page tree with flat parameter
     console.log('\n📄 Test 2: Get Page Tree Flat (pageGet with flat=1)');
     try {
@@ -75,8 +87,6 @@ async function runPagesTests() {
       logTest('Get flat page tree', false, error.message);
     }
 
-    await wait(500);
-
     // Diagnostic: Let's examine the home page structure to understand what we're working with
     console.log('\n🔍 Diagnostic: Examine Home Page Structure');
     if (homePageId) {
@@ -103,16 +113,14 @@ async function runPagesTests() {
       }
     }
 
-    await wait(500);
-
     // Test 3: Create a new test page
     console.log('\n📄 Test 3: Create New Page (pagePost)');
     try {
       const newPageData = {
-        title: 'SDK Test Page',
-        type: 'default-page', // Default page type
-        slug: 'sdk-test-page',
-        _targetId: homePageId, // Place under home page
+        title: testTitle('SDK Test Page'),
+        type: config.pageType, // APOSTROPHE_PAGE_TYPE, default-page unless set
+        slug: testSlug('sdk-test-page'),
+        _targetId: parentPageId, // Place under APOSTROPHE_PARENT_PAGE_ID or the home page
         _position: 'lastChild' // Position at end
       };
 
@@ -120,9 +128,11 @@ async function runPagesTests() {
 
       if (status === 200 && data && data._id) {
         testPageId = data._id;
+        ledger.track('pages', 'page', data);
         logTest('Create new page', true, `Created page with ID: ${testPageId}`);
         console.log(`   Page title: ${data.title}`);
         console.log(`   Page slug: ${data.slug}`);
+        await checkTree('create', [{ id: testPageId, targetId: parentPageId, position: 'lastChild', label: 'test page' }]);
       } else {
         logTest('Create new page', false, 'Failed to create page or get valid response');
       }
@@ -130,8 +140,6 @@ async function runPagesTests() {
       logTest('Create new page', false, error.message);
     }
 
-    await wait(500);
-
     // Test 4: Get the created page by ID
     console.log('\n📄 Test 4: Get Page by ID (pageGetById)');
     if (testPageId) {
@@ -149,22 +157,20 @@ async function runPagesTests() {
         logTest('Get page by ID', false, error.message);
       }
     } else {
-      logTest('Get page by ID', false, 'No test page ID available');
+      logTest('Get page by ID', 'skip', 'No test page ID available');
     }
 
-    await wait(500);
-
     // Test 5: Update page using PATCH
     console.log('\n📄 Test 5: Update Page with PATCH (pagePatchById)');
     if (testPageId) {
       try {
         const updateData = {
-          title: 'SDK Test Page - Updated'
+          title: `${testTitle('SDK Test Page')} - Updated`
         };
 
         const { status, data } = await pagesApi.pagePatchById(testPageId, updateData);
 
-        if (status === 200 && data && data.title === 'SDK Test Page - Updated') {
+        if (status === 200 && data && data.title === updateData.title) {
           logTest('Update page with PATCH', true, `Updated title to: ${data.title}`);
         } else {
           logTest('Update page with PATCH', false, 'Update failed or title not changed');
@@ -173,11 +179,9 @@ async function runPagesTests() {
         logTest('Update page with PATCH', false, error.message);
       }
     } else {
-      logTest('Update page with PATCH', false, 'No test page ID available');
+      logTest('Update page with PATCH', 'skip', 'No test page ID available');
     }
 
-    await wait(500);
-
     // Test 6: Publish the page (if it's in draft mode)
     console.log('\n📄 Test 6: Publish Page (pagePublishById)');
     if (testPageId) {
@@ -195,11 +199,9 @@ async function runPagesTests() {
         logTest('Publish page', false, `${error.message} (This may be expected if page is already published)`);
       }
     } else {
-      logTest('Publish page', false, 'No test page ID available');
+      logTest('Publish page', 'skip', 'No test page ID available');
     }
 
-    await wait(500);
-
     // Test 7: Get page locales (internationalization test)
     console.log('\n📄 Test 7: Get Page Locales (pageGetLocalesById)');
     if (testPageId) {
@@ -216,11 +218,9 @@ async function runPagesTests() {
         logTest('Get page locales', false, error.message);
       }
     } else {
-      logTest('Get page locales', false, 'No test page ID available');
+      logTest('Get page locales', 'skip', 'No test page ID available');
     }
 
-    await wait(500);
-
     // Test 8: Test renderAreas parameter
     console.log('\n📄 Test 8: Get Page with Rendered Areas (pageGetById with renderAreas)');
     if (testPageId) {
@@ -242,20 +242,18 @@ async function runPagesTests() {
         logTest('Get page with rendered areas', false, error.message);
       }
     } else {
-      logTest('Get page with rendered areas', false, 'No test page ID available');
+      logTest('Get page with rendered areas', 'skip', 'No test page ID available');
     }
 
-    await wait(500);
-
     // Test 9: Create a child page to test tree operations
     console.log('\n📄 Test 9: Create Child Page for Tree Testing');
     let childPageId = null;
     if (testPageId) {
       try {
         const childPageData = {
-          title: 'SDK Child Test Page',
-          type: 'default-page',
-          slug: 'sdk-child-test-page',
+          title: testTitle('SDK Child Test Page'),
+          type: config.pageType,
+          slug: testSlug('sdk-child-test-page'),
           _targetId: testPageId, // Place under our test page
           _position: 'lastChild'
         };
@@ -264,7 +262,9 @@ async function runPagesTests() {
 
         if (status === 200 && data && data._id) {
           childPageId = data._id;
+          ledger.track('pages', 'page', data);
           logTest('Create child page', true, `Created child page with ID: ${childPageId}`);
+          await checkTree('creating the child', [{ id: childPageId, targetId: testPageId, position: 'lastChild', label: 'child page' }]);
         } else {
           logTest('Create child page', false, 'Failed to create child page');
         }
@@ -272,12 +272,11 @@ async function runPagesTests() {
         logTest('Create child page', false, error.message);
       }
     } else {
-      logTest('Create child page', false, 'No parent test page ID available');
+      logTest('Create child page', 'skip', 'No parent test page ID available');
     }
 
-    await wait(500);
-
     // Test 10: Test bulk operations - Archive pages
+    // Archiving runs as a background job; wait for it, then check every page moved to the archive
     console.log('\n📄 Test 10: Archive Pages (pageArchive)');
     const pagesToArchive = [childPageId, testPageId].filter(Boolean);
     if (pagesToArchive.length > 0) {
@@ -286,11 +285,19 @@ async function runPagesTests() {
           _ids: pagesToArchive
         };
 
-        const { status, data } = await pagesApi.pageArchive(archiveData);
+        const response = await pagesApi.pageArchive(archiveData);
 
-        if (status === 200) {
-          logTest('Archive pages', true, `Archive operation initiated`);
-          console.log(`   Response:`, data);
+        if (response.status === 200) {
+          const { jobId, job } = await settleBatch(pagesApi, response, { label: 'Archive job' });
+          const wrong = await checkArchived(pagesToArchive, getPageDraft, true);
+          if (job?.bad) {
+            logTest('Archive pages', false, `Job ${jobId} failed to archive ${job.bad} of ${job.total} page(s)`);
+          } else if (wrong.length) {
+            logTest('Archive pages', false, `Not archived after the ${jobId ? 'job finished' : 'response'}: ${describeWrong(wrong)}`);
+          } else {
+            logTest('Archive pages', true, `Archived ${pagesToArchive.length} page(s)${jobId ? ` (job ${jobId})` : ''}`);
+          }
+          await checkTree('archive', pagesToArchive.map(id => ({ id, archived: true })));
         } else {
           logTest('Archive pages', false, 'Archive operation failed');
         }
@@ -298,12 +305,11 @@ async function runPagesTests() {
         logTest('Archive pages', false, error.message);
       }
     } else {
-      logTest('Archive pages', false, 'No pages available to archive');
+      logTest('Archive pages', 'skip', 'No pages available to archive');
     }
 
-    await wait(500);
-
     // Test 11: Test bulk operations - Restore pages
+    // Restore may answer with the pages or with a job, like archive
     console.log('\n📄 Test 11: Restore Pages (pageRestore)');
     if (pagesToArchive.length > 0) {
       try {
@@ -312,38 +318,34 @@ async function runPagesTests() {
         };
 
         console.log('   Restoring pages:', pagesToArchive);
-        const { status, data } = await pagesApi.pageRestore(restoreData);
+        const response = await pagesApi.pageRestore(restoreData);
 
-        console.log(`   Restore response status: ${status}`);
-        console.log('   Restore response data:', JSON.stringify(data, null, 2));
+        console.log(`   Restore response status: ${response.status}`);
 
-        if (status === 200 && data) {
-          if (data.jobId) {
-            // Likely also async operation like archive
-            logTest('Restore pages', true, `Restore job started with ID: ${data.jobId}`);
-            console.log('   Note: Restore operation may also be asynchronous');
-          } else if (Array.isArray(data)) {
-            // OpenAPI spec format
-            logTest('Restore pages', true, `Restored ${data.length} page(s) immediately`);
+        if (response.status === 200 && response.data) {
+          const { jobId, job } = await settleBatch(pagesApi, response, { label: 'Restore job' });
+          const wrong = await checkArchived(pagesToArchive, getPageDraft, false);
+          if (job?.bad) {
+            logTest('Restore pages', false, `Job ${jobId} failed to restore ${job.bad} of ${job.total} page(s)`);
+          } else if (wrong.length) {
+            logTest('Restore pages', false, `Still archived after the ${jobId ? 'job finished' : 'response'}: ${describeWrong(wrong)}`);
           } else {
-            // Some other success format
-            logTest('Restore pages', true, `Restore operation completed`);
+            logTest('Restore pages', true, `Restored ${pagesToArchive.length} page(s)${jobId ? ` (job ${jobId})` : ' immediately'}`);
           }
+          await checkTree('restore', pagesToArchive.map(id => ({ id, archived: false })));
         } else {
-          logTest('Restore pages', false, `Restore operation failed (status: ${status})`);
+          logTest('Restore pages', false, `Restore operation failed (status: ${response.status})`);
         }
       } catch (error) {
         logTest('Restore pages', false, `${error.message} - ${error.response?.data ? JSON.stringify(error.response.data) : 'No additional error data'}`);
       }
     } else {
-      logTest('Restore pages', false, 'No pages available to restore');
+      logTest('Restore pages', 'skip', 'No pages available to restore');
     }
 
-    await wait(500);
-
     // Test 12: Test moving pages in tree (using PUT with position)
     console.log('\n📄 Test 12: Move Page in Tree (pagePutById)');
-    if (testPageId && homePageId) {
+    if (testPageId && parentPageId) {
       try {
         // Get current page data first
         const { data: currentPage } = await pagesApi.pageGetById(testPageId);
@@ -351,14 +353,16 @@ async function runPagesTests() {
         // Update the page with new position
         const moveData = {
           ...currentPage,
-          _targetId: homePageId, // Move back under home
+          _targetId: parentPageId, // Move back under the parent page
           _position: 'firstChild' // Move to first position
         };
 
         const { status, data } = await pagesApi.pagePutById(testPageId, moveData);
 
+        // A 200 only means the move was accepted; the tree check is the move's
+        // one result, so a wrong tree is counted once
         if (status === 200 && data) {
-          logTest('Move page in tree', true, `Moved page to first child position`);
+          await checkTree('move', [{ id: testPageId, targetId: parentPageId, position: 'firstChild', label: 'test page' }], 'Move page in tree');
         } else {
           logTest('Move page in tree', false, 'Move operation failed');
         }
@@ -369,8 +373,6 @@ async function runPagesTests() {
       logTest('Move page in tree', false, 'Missing required page IDs');
     }
 
-    await wait(500);
-
     // Test 13: Clean up - Delete test pages (IMPROVED WITH PROPER LIFECYCLE)
     console.log('\n📄 Test 13: Cleanup - Delete Test Pages (with proper unpublish first)');
 
@@ -399,8 +401,6 @@ async function runPagesTests() {
           // This is often expected if the page was never published
         }
 
-        await wait(200); // Brief pause between operations
-
         // Step 2: Now delete the page using the appropriate ID
         // After unpublishing, we need to use either the aposDocId or the draft ID
         let deleteId = pageId;
@@ -474,13 +474,17 @@ async function runPagesTests() {
 
     // Delete child page first (if it exists)
     if (childPageId) {
-      await safeDeletePage(childPageId, 'child page');
-      await wait(500);
+      if (await safeDeletePage(childPageId, 'child page')) ledger.release(childPageId);
     }
 
     // Delete main test page
     if (testPageId) {
-      await safeDeletePage(testPageId, 'test page');
+      if (await safeDeletePage(testPageId, 'test page')) ledger.release(testPageId);
+    }
+
+    const deleted = [childPageId, testPageId].filter(Boolean);
+    if (deleted.length) {
+      await checkTree('delete', deleted.map(id => ({ id, absent: true })));
     }
 
     // Verification step: Check if pages still appear in page tree
@@ -490,8 +494,8 @@ async function runPagesTests() {
       if (status === 200 && data.results) {
         const remainingTestPages = data.results.filter(page => 
           page.title && (
-            page.title.includes('SDK Test Page') || 
-            page.title.includes('SDK Child Test Page')
+            page.title.includes(testTitle('SDK Test Page')) ||
+            page.title.includes(testTitle('SDK Child Test Page'))
           )
         );
 
@@ -502,7 +506,7 @@ async function runPagesTests() {
           remainingTestPages.forEach(page => {
             console.log(`     - "${page.title}" (${page._id})`);
           });
-          console.log('   💡 These may be draft-only pages that need manual cleanup');
+          console.log('   💡 These may be draft-only pages; `npm run sweep -- --delete --only pages` removes them');
         }
       }
     } catch (error) {
@@ -511,14 +515,18 @@ async function runPagesTests() {
 
   } catch (error) {
     console.error('❌ Test suite failed with error:', error.message);
+    logTest('Pages API suite', false, `Test suite failed with error: ${error.message}`);
   }
   console.log('\n=====================================');
   console.log('🎯 Pages API Tests Complete');
+
+  return results.since(checkpoint);
 }
 
 
 // Simplified advanced tests - removing problematic workflow test
 async function runAdvancedPagesTests() {
+  const checkpoint = results.checkpoint();
   console.log('\n🔬 Advanced Pages API Tests');
   console.log('============================\n');
 
@@ -527,7 +535,7 @@ async function runAdvancedPagesTests() {
   try {
     // Try to get available locales
     const { InternationalizationApi } = require('apostrophecms-client');
-    const i18nApi = new InternationalizationApi(configuration);
+    const i18nApi = instrumentApi(new InternationalizationApi(configuration), results);
 
     try {
       const { status, data } = await i18nApi.i18nLocalesGet();
@@ -536,7 +544,7 @@ async function runAdvancedPagesTests() {
         logTest('Get available locales', true, `Found locales: ${locales.join(', ')}`);
 
         if (locales.length > 1) {
-          console.log('   ℹ️  Multiple locales detected - page localization tests could be expanded');
+          console.log('   ℹ️  Multiple locales detected - localization-api-tests.js covers localizing pages');
         } else {
           console.log('   ℹ️  Single locale detected - internationalization may not be fully configured');
         }
@@ -550,8 +558,6 @@ async function runAdvancedPagesTests() {
     logTest('Internationalization test setup', false, 'I18n API not available');
   }
 
-  await wait(500);
-
   // Test 2: Test page draft/published modes
   console.log('\n📄 Advanced Test 3: Draft vs Published Mode Testing');
   try {
@@ -586,13 +592,17 @@ async function runAdvancedPagesTests() {
 
   console.log('\n============================');
   console.log('🧪 Advanced Tests Complete');
+
+  return results.since(checkpoint);
 }
 
 // Main execution
 async function main() {
   try {
-    await runPagesTests();
-    await runAdvancedPagesTests();
+    return [
+      ...await runPagesTests(),
+      ...await runAdvancedPagesTests()
+    ];
   } catch (error) {
     console.error('Test execution failed:', error);
     process.exit(1);
@@ -601,7 +611,8 @@ async function main() {
 
 // Export for use in test runners or run directly
 if (require.main === module) {
-  main();
+  installCleanupHandlers();
+  cleanupLedger().then(main);
 }
 
 module.exports = {
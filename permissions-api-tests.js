@@ -0,0 +1,401 @@
+// Permissions Test Suite for ApostropheCMS SDK
+// Creates one user per role (guest, contributor, editor, admin) with the API
+// key, logs each of them in for a bearer token and tries the same operations
+// as every one of them. Each outcome is compared with EXPECTED_PERMISSIONS, so
+// an endpoint that lets a contributor publish, or stops an editor editing,
+// fails the suite. Whatever an operation needs to act on is created with the
+// API key first, and everything is deleted again at the end.
+const {
+  PagesApi,
+  GlobalContentApi,
+  MediaApi,
+  AttachmentsApi,
+  UsersApi,
+  AuthenticationApi,
+  Configuration
+} = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, unpublishThenDelete, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testSlug, testTitle, testUsername } = require('./lib/run-id');
+const { createTestImage } = require('./lib/test-images');
+
+const config = requireConfig();
+
+const results = new ResultCollector('permissions');
+const logTest = results.logTest;
+
+const ROLES = ['guest', 'contributor', 'editor', 'admin'];
+const TEST_PASSWORD = 'TestPassword123!';
+
+// Which roles each operation should succeed for; every other role must be
+// refused with 401 or 403. These are Apostrophe's default roles: contributors
+// create and edit drafts but cannot publish, editors cannot manage users.
+const EXPECTED_PERMISSIONS = {
+  'pageGet (published)': ['guest', 'contributor', 'editor', 'admin'],
+  'pageGet (draft)': ['contributor', 'editor', 'admin'],
+  'pagePost (draft)': ['contributor', 'editor', 'admin'],
+  'pagePost (published)': ['editor', 'admin'],
+  'pagePatchById (draft)': ['contributor', 'editor', 'admin'],
+  'pagePatchById (published)': ['editor', 'admin'],
+  'pagePublishById': ['editor', 'admin'],
+  'pageUnpublishById': ['editor', 'admin'],
+  'pageDeleteById (never published)': ['contributor', 'editor', 'admin'],
+  'globalGet (published)': ['guest', 'contributor', 'editor', 'admin'],
+  'globalPatchById (draft)': ['contributor', 'editor', 'admin'],
+  'globalPatchById (published)': ['editor', 'admin'],
+  'attachmentUpload': ['contributor', 'editor', 'admin'],
+  'imagePost (draft)': ['contributor', 'editor', 'admin'],
+  'imagePublishById': ['editor', 'admin'],
+  'userList': ['admin'],
+  'userCreate': ['admin'],
+  'userPatchById': ['admin']
+};
+
+// Fetch or create what the operations act on; `shared` is set up once,
+// `fixture` is what setup() made for this one attempt. skip(shared) gives a
+// reason not to run an operation at all
+const OPERATIONS = [
+  {
+    name: 'pageGet (published)',
+    run: ({ pages }) => pages.pageGet(undefined, undefined, undefined, 'published')
+  },
+  {
+    name: 'pageGet (draft)',
+    run: ({ pages }) => pages.pageGet(undefined, undefined, undefined, 'draft')
+  },
+  {
+    name: 'pagePost (draft)',
+    creates: 'page',
+    run: ({ pages }, { shared, role }) => pages.pagePost(pageData(shared, `${role}-draft`), 'draft')
+  },
+  {
+    name: 'pagePost (published)',
+    creates: 'page',
+    run: ({ pages }, { shared, role }) => pages.pagePost(pageData(shared, `${role}-published`), 'published')
+  },
+  {
+    name: 'pagePatchById (draft)',
+    run: ({ pages }, { shared, role }) =>
+      pages.pagePatchById(shared.page.draftId, { title: testTitle(`SDK Test Page Permissions ${role}`) }, 'draft')
+  },
+  {
+    name: 'pagePatchById (published)',
+    run: ({ pages }, { shared, role }) =>
+      pages.pagePatchById(shared.page.publishedId, { title: testTitle(`SDK Test Page Permissions ${role}`) }, 'published')
+  },
+  {
+    name: 'pagePublishById',
+    setup: (admin, shared, role) => createPage(admin, shared, `${role}-publish`, 'draft'),
+    run: ({ pages }, { fixture }) => pages.pagePublishById(fixture._id)
+  },
+  {
+    name: 'pageUnpublishById',
+    setup: (admin, shared, role) => createPage(admin, shared, `${role}-unpublish`, 'published'),
+    run: ({ pages }, { fixture }) => pages.pageUnpublishById(fixture._id)
+  },
+  {
+    name: 'pageDeleteById (never published)',
+    setup: (admin, shared, role) => createPage(admin, shared, `${role}-delete`, 'draft'),
+    run: ({ pages }, { fixture }) => pages.pageDeleteById(fixture._id, 'draft')
+  },
+  {
+    name: 'globalGet (published)',
+    run: ({ global }) => global.globalGet('published')
+  },
+  // The global doc is shared, so the patches change nothing. A published-mode
+  // patch publishes the draft, so it is skipped while the draft has
+  // unpublished changes, as in the lifecycle suite
+  {
+    name: 'globalPatchById (draft)',
+    run: ({ global }, { shared }) => global.globalPatchById(shared.global.draftId, {}, 'draft')
+  },
+  {
+    name: 'globalPatchById (published)',
+    skip: ({ global }) => global.modified && 'The global draft has unpublished changes; publishing would release them',
+    run: ({ global }, { shared }) => global.globalPatchById(shared.global.publishedId, {}, 'published')
+  },
+  {
+    name: 'attachmentUpload',
+    run: ({ attachments }, { role }) => attachments.attachmentUpload(testImageFile(`sdk-test-permissions-${role}.png`), 'draft')
+  },
+  {
+    name: 'imagePost (draft)',
+    creates: 'image',
+    run: ({ media }, { shared, role }) => media.imagePost(imageData(shared, `${role}-post`), 'draft')
+  },
+  {
+    name: 'imagePublishById',
+    setup: (admin, shared, role) => createImage(admin, shared, `${role}-publish`),
+    run: ({ media }, { fixture }) => media.imagePublishById(fixture._id)
+  },
+  {
+    name: 'userList',
+    run: ({ users }) => users.userList()
+  },
+  {
+    name: 'userCreate',
+    creates: 'user',
+    run: ({ users }, { role }) => users.userCreate(userData(`sdktest-by-${role}`, 'guest'))
+  },
+  {
+    name: 'userPatchById',
+    run: ({ users }, { shared, role }) => users.userPatchById(shared.users.guest._id, { title: `SDK Test User guest (patched by ${role})` })
+  }
+];
+
+// Content created during the run, deleted with the API key at the end
+const created = [];
+
+function track(kind, doc, label) {
+  created.push({ kind, id: doc._id, label });
+  ledger.track('permissions', kind, doc, label);
+}
+
+function apisFor(configuration) {
+  return {
+    pages: instrumentApi(new PagesApi(configuration), results),
+    global: instrumentApi(new GlobalContentApi(configuration), results),
+    media: instrumentApi(new MediaApi(configuration), results),
+    attachments: instrumentApi(new AttachmentsApi(configuration), results),
+    users: instrumentApi(new UsersApi(configuration), results),
+    auth: instrumentApi(new AuthenticationApi(configuration), results)
+  };
+}
+
+const admin = apisFor(new Configuration({ basePath: config.baseUrl, apiKey: config.apiKey }));
+
+function pageData(shared, name) {
+  return {
+    title: testTitle(`SDK Test Page Permissions ${name}`),
+    type: config.pageType,
+    slug: testSlug(`sdk-test-page-permissions-${name}`),
+    _targetId: shared.parentPageId,
+    _position: 'lastChild'
+  };
+}
+
+function imageData(shared, name) {
+  return {
+    title: testTitle(`SDK Test Image Permissions ${name}`),
+    slug: testSlug(`sdk-test-image-permissions-${name}`),
+    attachment: { _id: shared.attachment._id }
+  };
+}
+
+function userData(base, role) {
+  const username = testUsername(base);
+  return {
+    title: `SDK Test User ${username}`,
+    username,
+    email: `${username}@example.com`,
+    password: TEST_PASSWORD,
+    role
+  };
+}
+
+function testImageFile(filename) {
+  const { buffer, mimeType } = createTestImage();
+  return new File([buffer], filename, { type: mimeType });
+}
+
+async function createPage(apis, shared, name, mode) {
+  const { data } = await apis.pages.pagePost(pageData(shared, name), mode);
+  track('page', data, data.title);
+  return data;
+}
+
+async function createImage(apis, shared, name) {
+  const { data } = await apis.media.imagePost(imageData(shared, name), 'draft');
+  track('image', data, data.title);
+  return data;
+}
+
+// Draft and published _ids of a document, from either one
+function versionIds(doc) {
+  const [aposDocId, locale] = doc._id.split(':');
+  return { draftId: `${aposDocId}:${locale}:draft`, publishedId: `${aposDocId}:${locale}:published` };
+}
+
+// 2xx is allowed, 401/403 refused; anything else means the check itself broke
+function outcomeOf(status) {
+  if (status >= 200 && status < 300) return 'allowed';
+  if (status === 401 || status === 403) return 'refused';
+  return 'error';
+}
+
+// Users, tokens and the content every role's operations act on
+async function setUp() {
+  console.log('🔧 Setup: users, logins and shared content');
+  const shared = { users: {}, apis: {} };
+
+  const { data: home } = await admin.pages.pageGet(undefined, undefined, 'false');
+  shared.parentPageId = config.parentPageId || home._id;
+  shared.page = versionIds(await createPage(admin, shared, 'shared', 'published'));
+
+  const { data: globalDoc } = await admin.global.globalGet('draft');
+  const globalDraft = globalDoc.results ? globalDoc.results[0] : globalDoc;
+  shared.global = { ...versionIds(globalDraft), modified: Boolean(globalDraft.modified) };
+
+  const { data: attachment } = await admin.attachments.attachmentUpload(testImageFile('sdk-test-permissions.png'), 'draft');
+  shared.attachment = attachment;
+  logTest('Create shared content', true, `page ${shared.page.draftId}, attachment ${attachment._id}`);
+
+  for (const role of ROLES) {
+    try {
+      const { data: user } = await admin.users.userCreate(userData(`sdktest-${role}`, role));
+      track('user', user, user.username);
+      shared.users[role] = user;
+
+      const login = apisFor(new Configuration({ basePath: config.baseUrl }));
+      const { data } = await login.auth.authLogin({ username: user.username, password: TEST_PASSWORD, session: false });
+      if (!data?.token) throw new Error('no token in the login response');
+      shared.apis[role] = apisFor(new Configuration({ basePath: config.baseUrl, accessToken: data.token }));
+      logTest(`Create and log in ${role}`, true, user.username);
+    } catch (error) {
+      logTest(`Create and log in ${role}`, false, error.message);
+    }
+  }
+  return shared;
+}
+
+// Try one operation as one role and compare with the table
+async function attempt(operation, role, shared) {
+  const expected = EXPECTED_PERMISSIONS[operation.name].includes(role) ? 'allowed' : 'refused';
+  const label = `${role}: ${operation.name}`;
+
+  const reason = operation.skip?.(shared);
+  if (reason) {
+    logTest(label, 'skip', reason);
+    return 'skipped';
+  }
+
+  let fixture = null;
+  if (operation.setup) {
+    try {
+      fixture = await operation.setup(admin, shared, role);
+    } catch (error) {
+      logTest(label, 'skip', `Could not create what it acts on: ${error.message}`);
+      return 'skipped';
+    }
+  }
+
+  let status;
+  let message = '';
+  try {
+    const response = await operation.run(shared.apis[role], { shared, role, fixture });
+    status = response.status;
+    if (operation.creates && response.data?._id) {
+      track(operation.creates, response.data, response.data.title || response.data.username);
+    }
+  } catch (error) {
+    status = error.response?.status;
+    message = error.response?.data?.message || error.message;
+  }
+
+  const actual = outcomeOf(status);
+  if (actual === 'error') {
+    logTest(label, false, `Expected ${expected}, got ${status ?? 'no response'}: ${message}`);
+  } else if (actual !== expected) {
+    const problem = actual === 'allowed' ? 'permission hole' : 'too strict';
+    logTest(label, false, `Expected ${expected}, got ${status} (${problem})${message ? `: ${message}` : ''}`);
+  } else {
+    logTest(label, true, `${actual} (${status})`);
+  }
+  return actual;
+}
+
+function printMatrix(outcomes) {
+  const width = Math.max(...OPERATIONS.map(operation => operation.name.length)) + 2;
+  const icons = { allowed: '✅', refused: '🚫', error: '💥', skipped: '⏭' };
+  console.log('\n📋 Permission matrix (❗ = differs from EXPECTED_PERMISSIONS)');
+  console.log(`   ${'Operation'.padEnd(width)}${ROLES.map(role => role.padEnd(13)).join('')}`);
+  for (const operation of OPERATIONS) {
+    const cells = ROLES.map((role) => {
+      const actual = outcomes[operation.name][role];
+      const expected = EXPECTED_PERMISSIONS[operation.name].includes(role) ? 'allowed' : 'refused';
+      const mark = actual === expected || actual === 'skipped' ? '' : ' ❗';
+      // Icons are two columns wide whatever their string length, so pad by hand
+      return `${icons[actual]}${mark}${' '.repeat(mark ? 8 : 11)}`;
+    });
+    console.log(`   ${operation.name.padEnd(width)}${cells.join('')}`);
+  }
+}
+
+// Log the role users out, then delete everything with the API key, newest first
+async function cleanUp(shared) {
+  console.log('\n🧹 Cleanup: Delete Test Content');
+  for (const apis of Object.values(shared?.apis || {})) {
+    try {
+      await apis.auth.authLogout();
+    } catch (error) {
+      // The user is deleted below, which ends the token anyway
+    }
+  }
+
+  const failed = [];
+  for (const item of [...created].reverse()) {
+    try {
+      const gone = item.kind === 'user'
+        ? (await admin.users.userDeleteById(item.id)).status === 200
+        : await unpublishThenDelete(item.kind === 'page' ? admin.pages : admin.media, item.kind, item.id);
+      if (gone) ledger.release(item.id);
+      else failed.push(item);
+    } catch (error) {
+      if (error.response?.status === 404) ledger.release(item.id);
+      else failed.push(item);
+    }
+  }
+  if (failed.length) {
+    logTest('Delete test content', false, `Could not delete ${failed.map(item => `${item.kind} ${item.id}`).join(', ')}`);
+    console.log('   ⚠️  Manual cleanup may be required');
+  } else {
+    logTest('Delete test content', true, `Deleted ${created.length} documents and users`);
+  }
+}
+
+async function runPermissionTests() {
+  const checkpoint = results.checkpoint();
+  console.log('🧪 Permissions API Test Suite');
+  console.log('=============================\n');
+
+  let shared = null;
+  try {
+    shared = await setUp();
+    const outcomes = {};
+
+    for (const operation of OPERATIONS) {
+      console.log(`\n📄 ${operation.name}`);
+      outcomes[operation.name] = {};
+      for (const role of ROLES) {
+        if (!shared.apis[role]) {
+          logTest(`${role}: ${operation.name}`, 'skip', `No ${role} user logged in`);
+          outcomes[operation.name][role] = 'skipped';
+          continue;
+        }
+        outcomes[operation.name][role] = await attempt(operation, role, shared);
+      }
+    }
+
+    printMatrix(outcomes);
+  } catch (error) {
+    console.error('❌ Test suite failed with error:', error.message);
+    logTest('Permissions API suite', false, `Test suite failed with error: ${error.message}`);
+  }
+
+  await cleanUp(shared);
+
+  console.log('\n=====================================');
+  console.log('🎯 Permissions API Tests Complete');
+
+  return results.since(checkpoint);
+}
+
+// Run the tests
+if (require.main === module) {
+  installCleanupHandlers();
+  cleanupLedger().then(runPermissionTests).catch(console.error);
+}
+
+module.exports = { runPermissionTests, EXPECTED_PERMISSIONS };
@@ -0,0 +1,407 @@
+// Unified runner for the ApostropheCMS SDK test suites
+// Runs every suite (or the ones named on the command line) in a set order,
+// prints one combined pass/fail/skip summary and exits non-zero on any failure
+//
+// Usage:
+//   node run-all-tests.js                 # run every suite
+//   node run-all-tests.js pages media     # run only the named suites
+//   node run-all-tests.js --list          # list available suites
+//   node run-all-tests.js --reporter junit,tap,json --output-dir reports
+//   node run-all-tests.js --fake-server   # run against the in-memory fake server
+//   node run-all-tests.js --profile staging  # settings from .env.staging
+//   node run-all-tests.js --record        # save every suite's HTTP traffic to cassettes/
+//   node run-all-tests.js --replay        # answer from cassettes/ with no server
+//   node run-all-tests.js --contract warn # report OpenAPI mismatches as warnings
+//   node run-all-tests.js --coverage-threshold 40 --reporter coverage
+//   node run-all-tests.js --workers 3     # run up to three suites at once
+//   node run-all-tests.js --auth-matrix   # run suites under API key, bearer token and session cookie
+//   node run-all-tests.js --benchmark --save-baseline  # time every SDK call and save p50/p95/p99
+//   node run-all-tests.js --benchmark --tolerance 25   # fail on latency regressions against the baseline
+const path = require('path');
+const { parseArgs } = require('util');
+const { STATUS, ResultCollector, summarize } = require('./lib/results');
+const { SUITES, selectSuites } = require('./lib/suites');
+const { DEFAULT_REPORT_DIR, resolveReporters, writeReports } = require('./lib/reporters');
+const { DEFAULT_CASSETTE_DIR, cassetteMode: cassetteModeFromEnv, missingCassettes } = require('./lib/cassette');
+const { contractMode } = require('./lib/contract');
+const { coverage, buildCoverage, parseThreshold } = require('./lib/coverage');
+const { cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { runId } = require('./lib/run-id');
+const { runPool, parseWorkers } = require('./lib/parallel');
+const { loadProfile, requireConfig } = require('./lib/config');
+const { instrumentApi } = require('./lib/instrument');
+const authMatrix = require('./lib/auth-matrix');
+const benchmark = require('./lib/benchmark');
+
+// Run a single suite's exported runners in order and return their results.
+// `fresh` loads the suite file again, with new SDK instances and state;
+// `label` names the run and its results (e.g. "pages [bearer]")
+async function runSuite(suite, { fresh = false, label = suite.name } = {}) {
+  console.log(`\n\n▶️  Suite: ${label} (${suite.file})`);
+  console.log('='.repeat(60));
+
+  const started = Date.now();
+  let suiteResults = [];
+
+  try {
+    const suiteFile = path.join(__dirname, suite.file);
+    if (fresh) delete require.cache[require.resolve(suiteFile)];
+    const suiteModule = require(suiteFile);
+
+    for (const runnerName of suite.runners) {
+      if (typeof suiteModule[runnerName] !== 'function') {
+        throw new Error(`${suite.file} does not export ${runnerName}()`);
+      }
+      suiteResults.push(...(await suiteModule[runnerName]() || []));
+    }
+  } catch (error) {
+    // A runner that throws means the suite could not finish
+    suiteResults.push({
+      suite: suite.name,
+      name: `${suite.name} suite`,
+      status: STATUS.FAIL,
+      details: `Suite crashed: ${error.message}`,
+      method: null,
+      httpStatus: null,
+      durationMs: Date.now() - started,
+      error: { message: error.message, httpStatus: null, data: null },
+      retries: [],
+      timestamp: new Date().toISOString()
+    });
+    console.error(`💥 Suite ${suite.name} crashed:`, error);
+    await cleanupLedger({
+      reason: `Suite ${suite.name} crashed; cleaning up what it created`,
+      runId: runId(),
+      suite: suite.name
+    });
+  }
+
+  if (label !== suite.name) suiteResults = suiteResults.map(result => ({ ...result, suite: label }));
+  return {
+    suite: label,
+    durationMs: Date.now() - started,
+    results: suiteResults
+  };
+}
+
+// Run suites one after another, or side by side with more than one worker
+async function runSuites(suites, workers, runOptions = () => ({})) {
+  if (workers > 1) return runPool(suites, workers, suite => runSuite(suite, runOptions(suite)));
+  const runs = [];
+  for (const suite of suites) {
+    runs.push(await runSuite(suite, runOptions(suite)));
+  }
+  return runs;
+}
+
+// Log in for a bearer token and a session cookie, run the matrix suites under
+// each credential type in turn and report every SDK operation whose statuses
+// differ between them (see lib/auth-matrix.js)
+async function runAuthMatrix(suites, config, workers) {
+  const started = Date.now();
+  const results = new ResultCollector('auth-matrix');
+  const { logTest } = results;
+  const sdk = require('apostrophecms-client');
+  const instrument = api => instrumentApi(api, results);
+  const session = { sdk, basePath: config.baseUrl, instrument, logTest };
+
+  console.log(`\n\n🔀 Auth matrix: logging in as ${config.username}`);
+  console.log('='.repeat(60));
+  const credentials = await authMatrix.logIn({ ...session, username: config.username, password: config.password });
+  const modes = credentials.map(credential => credential.mode);
+
+  const runs = [];
+  for (const credential of credentials) {
+    authMatrix.useCredential(credential);
+    try {
+      runs.push(...await runSuites(suites, workers, suite => ({ fresh: true, label: `${suite.name} [${credential.mode}]` })));
+    } finally {
+      authMatrix.useCredential(null);
+    }
+  }
+
+  console.log(`\n\n🔀 Auth matrix: comparing ${modes.join(', ')}`);
+  console.log('='.repeat(60));
+  await authMatrix.logOut({ ...session, credentials });
+  const operations = authMatrix.compareModes(modes);
+  for (const suite of suites) {
+    const suiteOperations = operations.filter(operation => operation.suite === suite.name);
+    const differing = suiteOperations.filter(operation => operation.differs);
+    differing.forEach((operation) => {
+      const outcomes = Object.entries(operation.outcomes).map(([mode, outcome]) => `${mode}: ${outcome}`).join('; ');
+      logTest(`Same outcome for every credential: ${operation.method} (${suite.name})`, false, outcomes);
+    });
+    if (!differing.length && modes.length > 1) {
+      logTest(`Same outcome for every credential (${suite.name})`, true, `${suiteOperations.length} operations under ${modes.join(', ')}`);
+    }
+  }
+
+  runs.push({ suite: 'auth-matrix', durationMs: Date.now() - started, results: results.since(0) });
+  return runs;
+}
+
+// Run the suites `iterations` times, then compare each SDK operation's
+// latency with the baseline file, or save it as the new baseline
+async function runBenchmark(suites, config, { iterations, workers, baselineFile, tolerance, saveBaseline }) {
+  const runs = [];
+  for (let iteration = 1; iteration <= iterations; iteration += 1) {
+    console.log(`\n\n⏱️  Benchmark: iteration ${iteration} of ${iterations}`);
+    console.log('='.repeat(60));
+    const label = suite => (iterations > 1 ? `${suite.name} #${iteration}` : suite.name);
+    runs.push(...await runSuites(suites, workers, suite => ({ fresh: iteration > 1, label: label(suite) })));
+  }
+
+  const started = Date.now();
+  const results = new ResultCollector('benchmark');
+  const { logTest } = results;
+  const endpoints = benchmark.summarizeLatency(benchmark.latency);
+  const baseline = saveBaseline ? null : benchmark.loadBaseline(baselineFile);
+  const operations = benchmark.compareLatency(endpoints, baseline, tolerance);
+
+  console.log(`\n\n⏱️  Benchmark: ${Object.keys(endpoints).length} operations over ${iterations} iteration(s)`);
+  console.log('='.repeat(60));
+  if (saveBaseline) {
+    benchmark.saveBaseline(baselineFile, endpoints, { profile: config.profile, baseUrl: config.baseUrl, iterations, workers });
+    logTest('Save latency baseline', true, `${Object.keys(endpoints).length} operations written to ${baselineFile}`);
+  } else if (!baseline) {
+    logTest('Compare latency with the baseline', STATUS.SKIP, `no baseline at ${baselineFile}; run with --save-baseline first`);
+  } else {
+    // The fake server's port changes every run, so compare the profile rather than the URL
+    if (baseline.profile !== config.profile || baseline.workers !== workers) {
+      logTest('Baseline measured under the same conditions', STATUS.WARN,
+        `baseline: ${baseline.profile} profile, ${baseline.workers} worker(s); now: ${config.profile} profile, ${workers} worker(s)`);
+    }
+    const describe = (operation, name) => `${name} ${operation[name]}ms (baseline ${operation.baseline[name]}ms, ${operation.change[name] > 0 ? '+' : ''}${operation.change[name]}%)`;
+    for (const operation of operations) {
+      if (!operation.baseline) {
+        logTest(`Latency: ${operation.method}`, STATUS.SKIP, 'not in the baseline yet');
+      } else if (operation.regressed.length) {
+        logTest(`Latency within ${tolerance}% of baseline: ${operation.method}`, false,
+          operation.regressed.map(name => describe(operation, name)).join('; '));
+      } else {
+        logTest(`Latency within ${tolerance}% of baseline: ${operation.method}`, true,
+          benchmark.COMPARED_PERCENTILES.map(name => describe(operation, name)).join('; '));
+      }
+    }
+  }
+
+  runs.push({ suite: 'benchmark', durationMs: Date.now() - started, results: results.since(0) });
+  return {
+    runs,
+    latency: {
+      baselineFile,
+      saved: saveBaseline,
+      iterations,
+      tolerance,
+      operations
+    }
+  };
+}
+
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      list: { type: 'boolean', default: false },
+      reporter: { type: 'string', multiple: true, default: [] },
+      'output-dir': { type: 'string' },
+      'fake-server': { type: 'boolean', default: false },
+      profile: { type: 'string' },
+      record: { type: 'boolean', default: false },
+      replay: { type: 'boolean', default: false },
+      'cassette-dir': { type: 'string' },
+      contract: { type: 'string' },
+      'coverage-threshold': { type: 'string' },
+      workers: { type: 'string' },
+      'auth-matrix': { type: 'boolean', default: false },
+      benchmark: { type: 'boolean', default: false },
+      iterations: { type: 'string' },
+      baseline: { type: 'string' },
+      tolerance: { type: 'string' },
+      'save-baseline': { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.record && values.replay) {
+    throw new Error('--record and --replay cannot be used together');
+  }
+  // --fake-server is short for --profile fake-server
+  if (values['fake-server'] && values.profile && values.profile !== 'fake-server') {
+    throw new Error(`--fake-server cannot be combined with --profile ${values.profile}`);
+  }
+
+  const benchmarkOnly = ['iterations', 'baseline', 'tolerance', 'save-baseline'].filter(name => values[name]);
+  if (!values.benchmark && benchmarkOnly.length) {
+    throw new Error(`--${benchmarkOnly[0]} only applies with --benchmark`);
+  }
+  if (values.benchmark && values.replay) {
+    throw new Error('--benchmark needs a server to time; it cannot be used with --replay');
+  }
+  if (values.benchmark && values['auth-matrix']) {
+    throw new Error('--benchmark and --auth-matrix cannot be used together');
+  }
+
+  // .env and the profile's own file fill in process.env before any setting is read
+  const profile = loadProfile(values['fake-server'] ? 'fake-server' : values.profile);
+  if (values.replay && profile.fakeServer) {
+    throw new Error('--replay does not need a server; drop --fake-server');
+  }
+
+  return {
+    list: values.list,
+    profile,
+    fakeServer: profile.fakeServer,
+    cassetteMode: values.record ? 'record' : values.replay ? 'replay' : null,
+    cassetteDir: values['cassette-dir'],
+    contract: values.contract,
+    coverageThreshold: parseThreshold(values['coverage-threshold'] ?? process.env.APOSTROPHE_COVERAGE_THRESHOLD),
+    workers: parseWorkers(values.workers ?? process.env.APOSTROPHE_WORKERS),
+    authMatrix: values['auth-matrix'],
+    benchmark: values.benchmark && {
+      iterations: benchmark.parseIterations(values.iterations ?? process.env.APOSTROPHE_BENCHMARK_ITERATIONS),
+      baselineFile: values.baseline || process.env.APOSTROPHE_BENCHMARK_BASELINE || benchmark.DEFAULT_BASELINE_FILE,
+      tolerance: benchmark.parseTolerance(values.tolerance ?? process.env.APOSTROPHE_BENCHMARK_TOLERANCE),
+      saveBaseline: values['save-baseline']
+    },
+    suites: positionals,
+    // Reporters from the command line win over APOSTROPHE_REPORTERS in .env
+    reporters: values.reporter.length ? values.reporter : (process.env.APOSTROPHE_REPORTERS || '').split(','),
+    outputDir: values['output-dir'] || process.env.APOSTROPHE_REPORT_DIR || DEFAULT_REPORT_DIR
+  };
+}
+
+async function main() {
+  const options = parseCliArgs(process.argv.slice(2));
+
+  if (options.list) {
+    console.log('Available suites (in run order):');
+    SUITES.forEach(suite => console.log(`  ${suite.name.padEnd(16)} ${suite.file}${suite.optIn ? ' (opt-in: runs only when named)' : ''}`));
+    return;
+  }
+
+  // Start the fake server before any suite loads, since suites read the
+  // base URL and credentials when they are required
+  let fakeServer = null;
+  if (options.fakeServer) {
+    // The profile has already filled in the fake server's API key and admin login
+    const { createFakeServer } = require('./fake-server');
+    fakeServer = createFakeServer();
+    const { baseUrl } = await fakeServer.start();
+    process.env.APOSTROPHE_BASE_URL = baseUrl;
+    console.log(`🧪 Fake ApostropheCMS server started at ${baseUrl}`);
+  }
+
+  // Cassettes and contract checks are picked up by lib/instrument.js through the environment
+  if (options.contract) process.env.APOSTROPHE_CONTRACT = options.contract;
+  const contract = contractMode();
+  if (options.cassetteMode) process.env.APOSTROPHE_CASSETTE_MODE = options.cassetteMode;
+  if (options.cassetteDir) process.env.APOSTROPHE_CASSETTE_DIR = options.cassetteDir;
+  const cassetteMode = cassetteModeFromEnv();
+  if (cassetteMode === 'replay') {
+    // Nothing is sent anywhere, but the suites still refuse to load without a key
+    process.env.APOSTROPHE_API_KEY = process.env.APOSTROPHE_API_KEY || 'replay';
+  }
+
+  // The suite files exit on load with invalid settings, so check once up front
+  const config = requireConfig();
+
+  // The fake server's documents and replayed ids die with the process, so
+  // there is nothing to keep a ledger for
+  if (options.fakeServer || cassetteMode === 'replay') process.env.APOSTROPHE_LEDGER = 'off';
+  installCleanupHandlers();
+  await cleanupLedger({ reason: 'Cleaning up documents left by an interrupted run' });
+
+  const suites = selectSuites(options.suites);
+  if (cassetteMode === 'replay') {
+    // No cassettes are committed, so a clean checkout has to record first
+    const missing = missingCassettes(suites.map(suite => suite.name));
+    if (missing.length) {
+      const dir = process.env.APOSTROPHE_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+      const what = missing.length === suites.length ? `No cassettes in ${dir}/` : `Missing cassettes: ${missing.join(', ')}`;
+      throw new Error(`${what}. Run npm run test:record first, or point --cassette-dir at a recorded set`);
+    }
+  }
+  const reporters = resolveReporters(options.reporters);
+  const baseUrl = config.baseUrl;
+  const startedAt = new Date().toISOString();
+
+  console.log('🧪 ApostropheCMS SDK Test Runner');
+  console.log(`🌐 Base URL: ${baseUrl}`);
+  console.log(`🗂️  Profile: ${config.profile} (${options.profile.description})`);
+  console.log(`🏷️  Run ID: ${runId()}`);
+  console.log(`📋 Suites: ${suites.map(s => s.name).join(', ')}`);
+  if (options.workers > 1) console.log(`👷 Workers: ${options.workers} (each suite's output is printed when it finishes)`);
+  console.log(`📝 Reporters: ${reporters.map(r => r.name).join(', ')}`);
+  console.log(`📐 OpenAPI contract: ${contract}`);
+  if (cassetteMode !== 'off') {
+    console.log(`📼 Cassettes: ${cassetteMode} (${process.env.APOSTROPHE_CASSETTE_DIR || DEFAULT_CASSETTE_DIR}/)`);
+  }
+
+  const matrixSuites = options.authMatrix ? suites.filter(suite => authMatrix.MATRIX_SUITES.includes(suite.name)) : [];
+  if (options.authMatrix) {
+    if (!matrixSuites.length) throw new Error(`--auth-matrix needs at least one of: ${authMatrix.MATRIX_SUITES.join(', ')}`);
+    if (!config.username) throw new Error('--auth-matrix logs in with APOSTROPHE_USERNAME and APOSTROPHE_PASSWORD; set both');
+    console.log(`🔀 Auth matrix: ${matrixSuites.map(s => s.name).join(', ')} under ${authMatrix.AUTH_MODES.join(', ')}`);
+  }
+
+  if (options.benchmark) {
+    const { iterations, baselineFile, tolerance, saveBaseline } = options.benchmark;
+    console.log(`⏱️  Benchmark: ${iterations} iteration(s), ${saveBaseline ? `saving the baseline to ${baselineFile}` : `${tolerance}% tolerance against ${baselineFile}`}`);
+  }
+
+  let runs = [];
+  let latency = null;
+  try {
+    if (options.benchmark) {
+      ({ runs, latency } = await runBenchmark(suites, config, { ...options.benchmark, workers: options.workers }));
+    } else {
+      // Suites outside the matrix run once, with the API key
+      runs = await runSuites(suites.filter(suite => !matrixSuites.includes(suite)), options.workers);
+      if (matrixSuites.length) runs.push(...await runAuthMatrix(matrixSuites, config, options.workers));
+    }
+  } finally {
+    if (fakeServer) await fakeServer.stop();
+  }
+
+  const sdkCoverage = {
+    ...buildCoverage(require('apostrophecms-client'), coverage),
+    threshold: options.coverageThreshold
+  };
+
+  const written = writeReports(runs, {
+    reporters,
+    outputDir: options.outputDir,
+    meta: {
+      name: 'apos-sdk-smoketest',
+      baseUrl,
+      runId: runId(),
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      coverage: sdkCoverage,
+      latency
+    }
+  });
+  written.forEach(filePath => console.log(`📄 Report written: ${filePath}`));
+  console.log('\n🏁 All suites completed');
+
+  // Exit code gates the pipeline; set it rather than exit so output flushes
+  const total = summarize(runs.flatMap(run => run.results));
+  const belowThreshold = sdkCoverage.threshold !== null && sdkCoverage.percent < sdkCoverage.threshold;
+  if (belowThreshold) {
+    console.error(`❌ SDK coverage ${sdkCoverage.percent}% is below the ${sdkCoverage.threshold}% threshold`);
+  }
+  process.exitCode = total.failed > 0 || belowThreshold ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('💥 Fatal error running suites:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  runSuite,
+  main
+};
@@ -0,0 +1,258 @@
+// Orphan sweeper for leftover SDK test content
+// Finds what interrupted or failed runs left behind on the server, in both
+// draft and published modes and including archived documents:
+//   - pages titled "SDK Test Page" / "SDK Child Test Page" (and their "- Updated" titles)
+//   - images, files, image tags and file tags whose slugs start with `sdk-test-`
+//   - users whose username starts with `sdktest`
+//   - attachments those images and files use (reported only; the REST API cannot delete them)
+// Lists everything as a dry run by default; --archive or --delete act on it.
+//
+// Usage:
+//   node sweep-test-content.js                   # dry run
+//   node sweep-test-content.js --delete          # unpublish, then delete
+//   node sweep-test-content.js --archive         # move to the archive instead
+//   node sweep-test-content.js --only pages,users
+//   node sweep-test-content.js --profile staging
+const { parseArgs } = require('util');
+const { PagesApi, MediaApi, UsersApi, Configuration } = require('apostrophecms-client');
+const { ledger, unpublishThenDelete } = require('./lib/ledger');
+const { settleBatch } = require('./lib/jobs');
+const { loadProfile, requireConfig } = require('./lib/config');
+
+const PER_PAGE = 100;
+
+const isTestSlug = doc => typeof doc.slug === 'string' && doc.slug.startsWith('sdk-test-');
+
+// What counts as test content, and how to list and archive each kind
+const TARGETS = [
+  {
+    kind: 'page',
+    group: 'pages',
+    icon: '📄',
+    match: doc => /^SDK (Child )?Test Page\b/.test(doc.title || ''),
+    list: (apis, mode) => apis.pages.pageGet('1', '1', undefined, mode)
+      .then(({ data }) => data.results || []),
+    archive: (apis, ids) => apis.pages.pageArchive({ _ids: ids })
+  },
+  {
+    kind: 'image',
+    group: 'images',
+    icon: '📷',
+    match: isTestSlug,
+    list: (apis, mode) => listAll((page, options) => apis.media.imageGet(page, PER_PAGE, undefined, mode, undefined, undefined, options)),
+    archive: (apis, ids) => apis.media.imageArchive({ _ids: ids })
+  },
+  {
+    kind: 'file',
+    group: 'files',
+    icon: '📁',
+    match: isTestSlug,
+    list: (apis, mode) => listAll((page, options) => apis.media.fileGet(page, PER_PAGE, undefined, mode, undefined, undefined, options)),
+    archive: (apis, ids) => apis.media.fileArchive({ _ids: ids })
+  },
+  {
+    kind: 'imageTag',
+    group: 'image-tags',
+    icon: '🏷️',
+    match: isTestSlug,
+    list: (apis, mode) => listAll((page, options) => apis.media.imageTagGet(page, PER_PAGE, undefined, mode, undefined, undefined, options)),
+    archive: (apis, ids) => apis.media.imageTagArchive({ _ids: ids })
+  },
+  {
+    kind: 'fileTag',
+    group: 'file-tags',
+    icon: '🏷️',
+    match: isTestSlug,
+    // fileTagGet takes no paging arguments, so page through the query string
+    list: (apis, mode) => listAll((page, options) => apis.media.fileTagGet(mode, undefined, undefined, {
+      ...options,
+      params: { ...options.params, page, perPage: PER_PAGE }
+    })),
+    archive: (apis, ids) => apis.media.fileTagArchive({ _ids: ids })
+  },
+  {
+    kind: 'user',
+    group: 'users',
+    icon: '👤',
+    match: doc => typeof doc.username === 'string' && doc.username.startsWith('sdktest'),
+    // userList takes no arguments at all; users are not localized
+    list: (apis) => listAll((page, options) => apis.users.userList({
+      ...options,
+      params: { ...options.params, page, perPage: PER_PAGE }
+    })),
+    archive: (apis, ids) => apis.users.userArchive({ _ids: ids })
+  }
+];
+
+const GROUPS = TARGETS.map(target => target.group);
+
+// Follow `pages` until every result is read; archived documents included
+async function listAll(fetchPage) {
+  const docs = [];
+  for (let page = 1; ; page++) {
+    const { data } = await fetchPage(page, { params: { archived: 'any' } });
+    docs.push(...(data.results || []));
+    if (!data.pages || page >= data.pages) return docs;
+  }
+}
+
+// Test documents of one kind, merged across modes by aposDocId
+async function findTarget(apis, target) {
+  const found = new Map();
+  const modes = target.kind === 'user' ? [undefined] : ['draft', 'published'];
+  for (const mode of modes) {
+    for (const doc of (await target.list(apis, mode)).filter(target.match)) {
+      const aposDocId = doc.aposDocId || doc._id.split(':')[0];
+      const entry = found.get(aposDocId) || { aposDocId, doc, modes: [] };
+      if (doc.aposMode) entry.modes.push(doc.aposMode);
+      // Prefer the draft: it exists whenever the document does
+      if (doc.aposMode === 'draft') entry.doc = doc;
+      found.set(aposDocId, entry);
+    }
+  }
+  return [...found.values()];
+}
+
+function describe(entry) {
+  const { doc } = entry;
+  const name = doc.title || doc.username || doc.slug || entry.aposDocId;
+  const flags = [entry.modes.join('+'), doc.archived ? 'archived' : ''].filter(Boolean).join(', ');
+  return `"${name}" ${entry.aposDocId}${doc.slug ? ` ${doc.slug}` : ''}${flags ? ` [${flags}]` : ''}`;
+}
+
+async function deleteEntries(apis, target, entries) {
+  const api = target.kind === 'page' ? apis.pages : target.kind === 'user' ? apis.users : apis.media;
+  // Children before parents: a draft page with children can't be deleted
+  const ordered = target.kind === 'page'
+    ? [...entries].sort((a, b) => (b.doc.level || 0) - (a.doc.level || 0))
+    : entries;
+
+  let failed = 0;
+  for (const entry of ordered) {
+    const { doc } = entry;
+    const id = doc.aposLocale ? `${entry.aposDocId}:${doc.aposLocale}:published` : doc._id;
+    if (await unpublishThenDelete(api, target.kind, id)) {
+      ledger.release(entry.aposDocId);
+      console.log(`   🗑️  Deleted ${describe(entry)}`);
+    } else {
+      failed += 1;
+      console.log(`   ⚠️  Could not delete ${describe(entry)}`);
+    }
+  }
+  return failed;
+}
+
+async function archiveEntries(apis, target, entries) {
+  const ids = entries.filter(entry => !entry.doc.archived).map(entry => entry.aposDocId);
+  if (!ids.length) {
+    console.log('   ℹ️  Already archived');
+    return 0;
+  }
+  try {
+    // Archiving runs as a background job; count what it could not archive
+    const { job } = await settleBatch(apis.pages, await target.archive(apis, ids), { label: 'Archive job' });
+    if (job?.bad) {
+      console.log(`   ⚠️  Archived ${ids.length - job.bad} ${target.group}; ${job.bad} could not be archived`);
+      return job.bad;
+    }
+    console.log(`   📦 Archived ${ids.length} ${target.group}`);
+    return 0;
+  } catch (error) {
+    console.log(`   ⚠️  Archive failed: ${error.response?.status || ''} ${error.message}`);
+    return ids.length;
+  }
+}
+
+function parseCliArgs(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      delete: { type: 'boolean', default: false },
+      archive: { type: 'boolean', default: false },
+      only: { type: 'string' },
+      profile: { type: 'string' }
+    }
+  });
+  if (values.delete && values.archive) throw new Error('Use either --delete or --archive, not both');
+
+  const only = values.only ? values.only.split(',').map(group => group.trim()).filter(Boolean) : GROUPS;
+  const unknown = only.filter(group => !GROUPS.includes(group));
+  if (unknown.length) throw new Error(`Unknown content type(s): ${unknown.join(', ')}. Available: ${GROUPS.join(', ')}`);
+
+  return {
+    action: values.delete ? 'delete' : values.archive ? 'archive' : 'dry-run',
+    only,
+    profile: values.profile
+  };
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const options = parseCliArgs(argv);
+  loadProfile(options.profile);
+  const config = requireConfig();
+
+  const configuration = new Configuration({
+    basePath: config.baseUrl,
+    apiKey: config.apiKey
+  });
+  const apis = {
+    pages: new PagesApi(configuration),
+    media: new MediaApi(configuration),
+    users: new UsersApi(configuration)
+  };
+
+  console.log('🧹 SDK test content sweep');
+  console.log(`🌐 Base URL: ${configuration.basePath} (profile: ${config.profile})`);
+  console.log(`🔧 Mode: ${options.action}${options.action === 'dry-run' ? ' (pass --delete or --archive to act)' : ''}`);
+
+  let found = 0;
+  let failed = 0;
+  const attachments = new Map();
+
+  for (const target of TARGETS.filter(t => options.only.includes(t.group))) {
+    let entries;
+    try {
+      entries = await findTarget(apis, target);
+    } catch (error) {
+      console.log(`\n${target.icon} ${target.group}: could not list (${error.response?.status || error.message})`);
+      failed += 1;
+      continue;
+    }
+
+    console.log(`\n${target.icon} ${target.group}: ${entries.length} found`);
+    if (!entries.length) continue;
+    found += entries.length;
+
+    entries.forEach((entry) => {
+      const attachment = entry.doc.attachment;
+      if (attachment?._id) attachments.set(attachment._id, attachment.name || attachment.title || '');
+    });
+
+    if (options.action === 'delete') failed += await deleteEntries(apis, target, entries);
+    else if (options.action === 'archive') failed += await archiveEntries(apis, target, entries);
+    else entries.forEach(entry => console.log(`   - ${describe(entry)}`));
+  }
+
+  if (attachments.size) {
+    console.log(`\n📎 attachments used by the test media: ${attachments.size}`);
+    attachments.forEach((name, id) => console.log(`   - ${id}${name ? ` ${name}` : ''}`));
+    console.log('   💡 The REST API cannot delete attachments; once the media above is gone they are');
+    console.log('      unused and can be removed on the server. Uploads with no document are not listed.');
+  }
+
+  console.log(`\n🏁 ${found} test document${found === 1 ? '' : 's'} found${failed ? `, ${failed} problem(s)` : ''}`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('💥 Sweep failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  TARGETS,
+  findTarget,
+  main
+};
@@ -0,0 +1,263 @@
+// Upload Acceptance Matrix for ApostropheCMS SDK
+// Uploads one file per case with attachmentUpload: every image format, SVG,
+// PDF, DOCX and text, a zero-byte file, files whose extension or MIME type
+// does not match their content, a unicode name and a file one byte over
+// APOSTROPHE_MAX_UPLOAD_BYTES. Each case in CASES declares its outcome. An
+// accepted file must come back with the declared extension and group, its
+// exact length and a slug of its name. A refused one must get the declared
+// 4xx status with an error message. All files are generated at runtime.
+const { AttachmentsApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector, STATUS } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { createTestImage } = require('./lib/test-images');
+const { createTestFile } = require('./lib/test-files');
+
+const config = requireConfig();
+
+const configuration = new Configuration({
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
+});
+
+const results = new ResultCollector('uploads');
+const logTest = results.logTest;
+
+const attachmentsApi = instrumentApi(new AttachmentsApi(configuration), results);
+
+const image = (format, filename, mimeType) => {
+  const { buffer, mimeType: type } = createTestImage({ format });
+  return { buffer, filename, mimeType: mimeType || type };
+};
+const file = (type, filename, mimeType) => {
+  const { buffer, mimeType: fileType } = createTestFile({ type });
+  return { buffer, filename, mimeType: mimeType || fileType };
+};
+const raw = (buffer, filename, mimeType) => ({ buffer, filename, mimeType });
+
+// `accept` is the attachment the upload must produce; `name` is its exact
+// slug, or `namePrefix` the start of it where slugs of non-ASCII letters
+// differ between servers. `reject` is the 4xx status the upload must get.
+// Apostrophe picks the group from the extension and ignores the MIME type
+// sent with the file, and stores an image under its real format
+const CASES = [
+  {
+    label: 'PNG image',
+    file: () => image('png', 'sdk-test-upload.png'),
+    accept: { extension: 'png', group: 'images', name: 'sdk-test-upload', width: 200, height: 150 }
+  },
+  {
+    label: 'JPEG image named .jpeg',
+    file: () => image('jpeg', 'sdk-test-upload.jpeg'),
+    accept: { extension: 'jpg', group: 'images', name: 'sdk-test-upload', width: 200, height: 150 }
+  },
+  {
+    label: 'GIF image',
+    file: () => image('gif', 'sdk-test-upload.gif'),
+    accept: { extension: 'gif', group: 'images', name: 'sdk-test-upload', width: 200, height: 150 }
+  },
+  {
+    label: 'WebP image',
+    file: () => image('webp', 'sdk-test-upload.webp'),
+    accept: { extension: 'webp', group: 'images', name: 'sdk-test-upload', width: 200, height: 150 }
+  },
+  {
+    label: 'SVG drawing',
+    file: () => file('svg', 'sdk-test-upload.svg'),
+    accept: { extension: 'svg', group: 'images', name: 'sdk-test-upload' }
+  },
+  {
+    label: 'PDF document',
+    file: () => file('pdf', 'sdk-test-upload.pdf'),
+    accept: { extension: 'pdf', group: 'office', name: 'sdk-test-upload' }
+  },
+  {
+    label: 'DOCX document',
+    file: () => file('docx', 'sdk-test-upload.docx'),
+    accept: { extension: 'docx', group: 'office', name: 'sdk-test-upload' }
+  },
+  {
+    label: 'Text file',
+    file: () => file('txt', 'sdk-test-upload.txt'),
+    accept: { extension: 'txt', group: 'office', name: 'sdk-test-upload' }
+  },
+  {
+    label: 'Upper-case name and extension',
+    file: () => file('pdf', 'SDK-TEST-UPLOAD.PDF'),
+    accept: { extension: 'pdf', group: 'office', name: 'sdk-test-upload' }
+  },
+  {
+    label: 'Unicode name',
+    file: () => file('pdf', 'sdk-test Résumé 日本語.pdf'),
+    accept: { extension: 'pdf', group: 'office', namePrefix: 'sdk-test-' }
+  },
+  {
+    label: 'PNG sent as application/pdf',
+    file: () => image('png', 'sdk-test-mime.png', 'application/pdf'),
+    accept: { extension: 'png', group: 'images', name: 'sdk-test-mime', width: 200, height: 150 }
+  },
+  {
+    label: 'PDF sent as image/png',
+    file: () => file('pdf', 'sdk-test-mime.pdf', 'image/png'),
+    accept: { extension: 'pdf', group: 'office', name: 'sdk-test-mime' }
+  },
+  {
+    label: 'PNG named .jpg',
+    file: () => image('png', 'sdk-test-mislabeled.jpg', 'image/jpeg'),
+    accept: { extension: 'png', group: 'images', name: 'sdk-test-mislabeled', width: 200, height: 150 }
+  },
+  {
+    label: 'Text named .png',
+    file: () => file('txt', 'sdk-test-mislabeled.png', 'image/png'),
+    reject: 400
+  },
+  {
+    label: 'Zero-byte text file',
+    file: () => raw(Buffer.alloc(0), 'sdk-test-empty.txt', 'text/plain'),
+    reject: 400
+  },
+  {
+    label: 'Zero-byte PNG',
+    file: () => raw(Buffer.alloc(0), 'sdk-test-empty.png', 'image/png'),
+    reject: 400
+  },
+  {
+    label: 'Unsupported extension (.exe)',
+    file: () => raw(Buffer.from('MZ'), 'sdk-test-upload.exe', 'application/octet-stream'),
+    reject: 400
+  },
+  {
+    label: 'No extension',
+    file: () => file('txt', 'sdk-test-upload', 'text/plain'),
+    reject: 400
+  },
+  // Last, so a replay without APOSTROPHE_MAX_UPLOAD_BYTES still matches
+  // every recorded request before it
+  {
+    label: 'One byte over the size limit',
+    needsLimit: true,
+    file: () => raw(Buffer.alloc(config.maxUploadBytes + 1, 'a'), 'sdk-test-oversized.txt', 'text/plain'),
+    reject: 413
+  }
+];
+
+// Apostrophe names an attachment with a slug of its file name
+const SLUG = /^[^\sA-Z/.]+$/u;
+
+function errorDetail(error) {
+  const data = error.response?.data;
+  return data?.message || data?.error || (typeof data === 'string' ? data : '');
+}
+
+function upload({ buffer, filename, mimeType }) {
+  return attachmentsApi.attachmentUpload(new File([buffer], filename, { type: mimeType }), 'draft');
+}
+
+// Problems with an accepted upload's attachment
+function checkAttachment(attachment, sent, expected) {
+  const problems = [];
+  if (!attachment?._id) return ['The response has no attachment _id'];
+  for (const field of ['extension', 'group', 'width', 'height']) {
+    if (expected[field] !== undefined && attachment[field] !== expected[field]) {
+      problems.push(`${field} is ${JSON.stringify(attachment[field])}, expected ${JSON.stringify(expected[field])}`);
+    }
+  }
+  if (attachment.length !== sent.buffer.length) {
+    problems.push(`length is ${attachment.length}, expected ${sent.buffer.length} bytes`);
+  }
+  if (typeof attachment.name !== 'string' || !SLUG.test(attachment.name)) {
+    problems.push(`name ${JSON.stringify(attachment.name)} is not a slug of "${sent.filename}"`);
+  } else if (expected.name !== undefined && attachment.name !== expected.name) {
+    problems.push(`name is "${attachment.name}", expected "${expected.name}"`);
+  } else if (expected.namePrefix !== undefined && !attachment.name.startsWith(expected.namePrefix)) {
+    problems.push(`name "${attachment.name}" does not start with "${expected.namePrefix}"`);
+  }
+  return problems;
+}
+
+// Upload one case and log whether the outcome matches its declaration.
+// Returns what happened, for the matrix
+async function runCase(testCase) {
+  const label = `Upload ${testCase.label}`;
+  const expected = testCase.accept ? 'accepted' : `refused ${testCase.reject}`;
+  if (testCase.needsLimit && !config.maxUploadBytes) {
+    logTest(label, STATUS.SKIP, 'Set APOSTROPHE_MAX_UPLOAD_BYTES to the project\'s upload limit');
+    return { testCase, expected, actual: 'skipped' };
+  }
+
+  const sent = testCase.file();
+  try {
+    const { status, data } = await upload(sent);
+    const actual = `accepted${data?.extension ? ` as ${data.group}/${data.extension}` : ''}`;
+    if (!testCase.accept) {
+      logTest(label, false, `Accepted with ${status} (${data?.group}/${data?.extension}, ${data?.length} bytes), expected ${testCase.reject}`);
+      return { testCase, expected, actual, matched: false };
+    }
+    const problems = checkAttachment(data, sent, testCase.accept);
+    logTest(label, !problems.length, problems.length
+      ? problems.join('; ')
+      : `${data.group}/${data.extension}, "${data.name}", ${data.length} bytes`);
+    return { testCase, expected, actual, matched: !problems.length };
+  } catch (error) {
+    const status = error.response?.status;
+    const detail = errorDetail(error);
+    const actual = status ? `refused ${status}` : 'error';
+    if (!status || status < 400 || status >= 500) {
+      logTest(label, false, status ? `${status}: ${detail || error.message}` : error.message);
+      return { testCase, expected, actual, matched: false };
+    }
+    if (testCase.accept) {
+      logTest(label, false, `Refused with ${status}${detail ? `: ${detail}` : ''}, expected it to be accepted`);
+      return { testCase, expected, actual, matched: false };
+    }
+    // The right kind of refusal; a different 4xx or no message is only a warning
+    if (status !== testCase.reject) {
+      logTest(label, STATUS.WARN, `Refused with ${status}, expected ${testCase.reject}${detail ? `: ${detail}` : ''}`);
+    } else {
+      logTest(label, detail ? true : STATUS.WARN, detail ? `${status}: ${detail}` : `${status} without an error message`);
+    }
+    return { testCase, expected, actual, matched: status === testCase.reject };
+  }
+}
+
+function printMatrix(outcomes) {
+  const width = Math.max(...outcomes.map(({ testCase }) => testCase.label.length)) + 2;
+  console.log('\n📋 Upload matrix (❗ = differs from the declared outcome)');
+  console.log(`   ${'Case'.padEnd(width)}${'Expected'.padEnd(14)}Actual`);
+  for (const { testCase, expected, actual, matched } of outcomes) {
+    const mark = matched === false ? ' ❗' : '';
+    console.log(`   ${testCase.label.padEnd(width)}${expected.padEnd(14)}${actual}${mark}`);
+  }
+}
+
+async function runUploadMatrixTests() {
+  const checkpoint = results.checkpoint();
+  console.log('📤 Starting ApostropheCMS Upload Acceptance Matrix');
+  console.log('==================================================\n');
+  console.log(`📏 Upload limit: ${config.maxUploadBytes ? `${config.maxUploadBytes} bytes` : 'not set (APOSTROPHE_MAX_UPLOAD_BYTES)'}\n`);
+
+  const outcomes = [];
+  try {
+    for (const testCase of CASES) {
+      outcomes.push(await runCase(testCase));
+    }
+    printMatrix(outcomes);
+  } catch (error) {
+    console.error('❌ Test suite failed with error:', error.message);
+    logTest('Upload matrix suite', false, `Test suite failed with error: ${error.message}`);
+  }
+
+  // Attachments are not documents and the API cannot delete them, so the
+  // uploads stay behind, as in the attachments suite
+  console.log('\n==================================================');
+  console.log('🎯 Upload Acceptance Matrix Complete');
+
+  return results.since(checkpoint);
+}
+
+// Run the tests
+if (require.main === module) {
+  runUploadMatrixTests().catch(console.error);
+}
+
+module.exports = { runUploadMatrixTests };
@@ -1,48 +1,35 @@
 // Users API Test Suite for ApostropheCMS SDK
 // This test suite covers the Users API endpoints with simple, verbose tests
 // Tests assume API key authentication and full read/write permissions
-require('dotenv').config();
 const { UsersApi, Configuration } = require('apostrophecms-client');
+const { ResultCollector } = require('./lib/results');
+const { instrumentApi } = require('./lib/instrument');
+const { requireConfig } = require('./lib/config');
+const { ledger, cleanupLedger, installCleanupHandlers } = require('./lib/ledger');
+const { testUsername: namespacedUsername } = require('./lib/run-id');
+
+const config = requireConfig();
 
 // Configure the API client with API key authentication
 const configuration = new Configuration({
-  basePath: process.env.APOSTROPHE_BASE_URL || 'http://localhost:3000/api/v1',
-  apiKey: process.env.APOSTROPHE_API_KEY
+  basePath: config.baseUrl,
+  apiKey: config.apiKey
 });
 
-// Validate that we have the required environment variables
-if (!process.env.APOSTROPHE_API_KEY) {
-  console.error('❌ Error: APOSTROPHE_API_KEY is required in .env file');
-  console.log('Please create a .env file with:');
-  console.log('APOSTROPHE_API_KEY=your-api-key-here');
-  console.log('APOSTROPHE_BASE_URL=http://localhost:3000/api/v1  # Optional, defaults to localhost');
-  process.exit(1);
-}
-
-const usersApi = new UsersApi(configuration);
+// Collect structured results for every check in this suite
+const results = new ResultCollector('users');
+const logTest = results.logTest;
 
-// Helper function to log test results
-function logTest(testName, success, details = '') {
-  const status = success ? '✅' : '❌';
-  console.log(`${status} ${testName}`);
-  if (details) {
-    console.log(`   ${details}`);
-  }
-}
-
-// Helper function to add delay between requests
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const usersApi = instrumentApi(new UsersApi(configuration), results);
 
-// Generate unique username to avoid conflicts
+// Generate unique username to avoid conflicts, including with parallel runs
 function generateTestUsername() {
-  const timestamp = Date.now();
-  return `sdktest${timestamp}`;
+  return namespacedUsername('sdktest');
 }
 
 // Main test function
 async function runUsersApiTests() {
+  const checkpoint = results.checkpoint();
   console.log('🧪 Users API Test Suite');
   console.log('========================\n');
 
@@ -71,8 +58,6 @@ async function runUsersApiTests() {
       logTest('List users', false, error.message);
     }
 
-    await wait(500);
-
     // Test 2: Check username uniqueness for a new username
     console.log('\n📄 Test 2: Check Username Uniqueness (userUniqueUsername)');
     testUsername = generateTestUsername();
@@ -99,8 +84,6 @@ async function runUsersApiTests() {
       logTest('Check username uniqueness', false, error.message);
     }
 
-    await wait(500);
-
     // Test 3: Create a new test user
     console.log('\n📄 Test 3: Create New User (userCreate)');
     try {
@@ -116,6 +99,7 @@ async function runUsersApiTests() {
 
       if (status === 200 && data && data._id) {
         testUserId = data._id;
+        ledger.track('users', 'user', data, testUsername);
         logTest('Create new user', true, `Created user with ID: ${testUserId}`);
         console.log(`   User title: ${data.title}`);
         console.log(`   Username: ${data.username}`);
@@ -128,8 +112,6 @@ async function runUsersApiTests() {
       logTest('Create new user', false, error.message);
     }
 
-    await wait(500);
-
     // Test 4: Get the created user by ID
     console.log('\n📄 Test 4: Get User by ID (userGetById)');
     if (testUserId) {
@@ -148,11 +130,9 @@ async function runUsersApiTests() {
         logTest('Get user by ID', false, error.message);
       }
     } else {
-      logTest('Get user by ID', false, 'No test user ID available');
+      logTest('Get user by ID', 'skip', 'No test user ID available');
     }
 
-    await wait(500);
-
     // Test 5: Update user using PATCH
     console.log('\n📄 Test 5: Update User with PATCH (userPatchById)');
     if (testUserId) {
@@ -172,11 +152,9 @@ async function runUsersApiTests() {
         logTest('Update user with PATCH', false, error.message);
       }
     } else {
-      logTest('Update user with PATCH', false, 'No test user ID available');
+      logTest('Update user with PATCH', 'skip', 'No test user ID available');
     }
 
-    await wait(500);
-
     // Test 6: Check uniqueness of existing username (should not be available)
     console.log('\n📄 Test 6: Check Existing Username Uniqueness');
     if (testUsername) {
@@ -198,13 +176,12 @@ async function runUsersApiTests() {
         logTest('Check existing username uniqueness', false, error.message);
       }
     } else {
-      logTest('Check existing username uniqueness', false, 'No test username available');
+      logTest('Check existing username uniqueness', 'skip', 'No test username available');
     }
 
-    await wait(500);
-
   } catch (error) {
     console.error('❌ Test suite failed with error:', error.message);
+    logTest('Users API suite', false, `Test suite failed with error: ${error.message}`);
   }
 
   // Cleanup: Delete test user
@@ -214,6 +191,7 @@ async function runUsersApiTests() {
       const { status, data } = await usersApi.userDeleteById(testUserId);
       
       if (status === 200) {
+        ledger.release(testUserId);
         logTest('Delete test user', true, `Successfully deleted user ${testUserId}`);
       } else {
         logTest('Delete test user', false, `Failed to delete user ${testUserId}`);
@@ -224,16 +202,19 @@ async function runUsersApiTests() {
       console.log('   ⚠️  Manual cleanup may be required');
     }
   } else {
-    logTest('Delete test user', false, 'No test user ID available for cleanup');
+    logTest('Delete test user', 'skip', 'No test user ID available for cleanup');
   }
 
   console.log('\n=====================================');
   console.log('🎯 Users API Tests Complete');
+
+  return results.since(checkpoint);
 }
 
 // Run the tests
 if (require.main === module) {
-  runUsersApiTests().catch(console.error);
+  installCleanupHandlers();
+  cleanupLedger().then(runUsersApiTests).catch(console.error);
 }
 
 module.exports = { runUsersApiTests };
\ No newline at end of file